@@ -17,11 +17,37 @@
 
 const state = {
   playerCurrent: INITIAL_STATE.playerCurrent,
-  playlist: INITIAL_STATE.playlist || [],
   serverStatus: INITIAL_STATE.serverStatus,
   lastTimestamp: INITIAL_STATE.timestamp,
 };
 
+/* The track list is fetched a page at a time from /api/player/library */
+const libraryState = {
+  query: '',
+  offset: 0,
+  limit: 50,
+  page: null,
+  requestId: 0,
+};
+
+/* Play history is fetched a page at a time from /api/player/history, newest first */
+const historyState = {
+  offset: 0,
+  limit: 50,
+  requestId: 0,
+};
+
+/* Weekly schedule and saved playlists (slot sources), loaded when the Schedule page opens */
+const scheduleState = {
+  schedule: null,
+  playlists: [],
+};
+
+/* Cover thumbnails need the API key, so they are fetched as blobs; keyed by `${id}-${size}` */
+const coverUrls = new Map();
+
+const SCHEDULE_DAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+
 const API_KEY = CONFIG && CONFIG.apiKey ? CONFIG.apiKey : null;
 
 const overlayStyleState = {
@@ -43,12 +69,19 @@ const elements = {
   title: document.getElementById('track-title'),
   artist: document.getElementById('track-artist'),
   album: document.getElementById('track-album'),
+  cover: document.getElementById('track-cover'),
   duration: document.getElementById('track-duration'),
   position: document.getElementById('track-position'),
+  scrubber: document.getElementById('track-scrubber'),
   playbackState: document.getElementById('playback-state'),
   btnPrevious: document.getElementById('btn-previous'),
   btnPlay: document.getElementById('btn-play'),
   btnNext: document.getElementById('btn-next'),
+  playbackOrder: document.getElementById('playback-order'),
+  repeatMode: document.getElementById('repeat-mode'),
+  btnMute: document.getElementById('btn-mute'),
+  masterVolume: document.getElementById('master-volume'),
+  masterVolumeLabel: document.getElementById('master-volume-label'),
   tcpPort: document.getElementById('tcp-port'),
   playerPort: document.getElementById('player-port'),
   httpPort: document.getElementById('http-port'),
@@ -56,6 +89,53 @@ const elements = {
   restarts: document.getElementById('restarts'),
   background: document.getElementById('background'),
   playlistBody: document.getElementById('playlist-body'),
+  librarySearch: document.getElementById('library-search'),
+  libraryPrev: document.getElementById('library-prev'),
+  libraryNext: document.getElementById('library-next'),
+  libraryRange: document.getElementById('library-range'),
+  historyBody: document.getElementById('history-body'),
+  historyFrom: document.getElementById('history-from'),
+  historyTo: document.getElementById('history-to'),
+  historyReason: document.getElementById('history-reason'),
+  historyPrev: document.getElementById('history-prev'),
+  historyNext: document.getElementById('history-next'),
+  historyRange: document.getElementById('history-range'),
+  btnHistoryRefresh: document.getElementById('btn-history-refresh'),
+  btnHistoryReportCsv: document.getElementById('btn-history-report-csv'),
+  btnHistoryReportJson: document.getElementById('btn-history-report-json'),
+  scheduleClock: document.getElementById('schedule-clock'),
+  scheduleGrid: document.getElementById('schedule-grid'),
+  scheduleSlotsBody: document.getElementById('schedule-slots-body'),
+  scheduleSlotForm: document.getElementById('schedule-slot-form'),
+  scheduleSlotName: document.getElementById('schedule-slot-name'),
+  scheduleSlotStart: document.getElementById('schedule-slot-start'),
+  scheduleSlotEnd: document.getElementById('schedule-slot-end'),
+  scheduleSlotTransition: document.getElementById('schedule-slot-transition'),
+  scheduleSlotDays: document.getElementById('schedule-slot-days'),
+  scheduleSlotSourceType: document.getElementById('schedule-slot-source-type'),
+  scheduleSlotSourceLabel: document.getElementById('schedule-slot-source-label'),
+  scheduleSlotPlaylist: document.getElementById('schedule-slot-playlist'),
+  scheduleSlotSourceValue: document.getElementById('schedule-slot-source-value'),
+  scheduleSlotJingleMode: document.getElementById('schedule-slot-jingle-mode'),
+  scheduleSlotJingleEvery: document.getElementById('schedule-slot-jingle-every'),
+  scheduleSettingsForm: document.getElementById('schedule-settings-form'),
+  jingleMode: document.getElementById('jingle-mode'),
+  jingleEvery: document.getElementById('jingle-every'),
+  jingleStatus: document.getElementById('jingle-status'),
+  scheduleTimezone: document.getElementById('schedule-timezone'),
+  scheduleFade: document.getElementById('schedule-fade'),
+  queuePanel: document.getElementById('queue-panel'),
+  queueList: document.getElementById('queue-list'),
+  btnQueueClear: document.getElementById('btn-queue-clear'),
+  cueEditor: document.getElementById('cue-editor'),
+  cueEditorTrack: document.getElementById('cue-editor-track'),
+  cueEditorSource: document.getElementById('cue-editor-source'),
+  cueIn: document.getElementById('cue-in'),
+  cueOut: document.getElementById('cue-out'),
+  cueFadeIn: document.getElementById('cue-fade-in'),
+  cueFadeOut: document.getElementById('cue-fade-out'),
+  btnCueClear: document.getElementById('btn-cue-clear'),
+  btnCueCancel: document.getElementById('btn-cue-cancel'),
   lastUpdate: document.getElementById('last-update'),
   toast: document.getElementById('toast'),
   backgroundForm: document.getElementById('background-form'),
@@ -88,6 +168,7 @@ const elements = {
 const overlayStyleInputs = Array.from(document.querySelectorAll('[data-style-path]'));
 
 let progressTimer = null;
+let scrubbing = false;
 
 /* ==========================================================================
  * Utility Functions
@@ -443,13 +524,61 @@ function updateStatus(status) {
   elements.playerPort.textContent = String(status.playerApiPort);
 }
 
+function loadCoverUrl(id, size) {
+  const key = `${id}-${size}`;
+  if (!coverUrls.has(key)) {
+    const request = fetch(`/api/player/covers/${encodeURIComponent(id)}?size=${size}`, {
+      headers: buildApiHeaders(),
+    })
+      .then((response) => (response.ok ? response.blob() : null))
+      .then((blob) => (blob ? URL.createObjectURL(blob) : null))
+      .catch(() => null);
+    coverUrls.set(key, request);
+    /* Thumbnails still being extracted are asked for again next time */
+    request.then((url) => {
+      if (!url) coverUrls.delete(key);
+    });
+  }
+  return coverUrls.get(key);
+}
+
+function updateCover(track) {
+  const img = elements.cover;
+  if (!img) return;
+  const id = track && track.cover ? track.cover : null;
+  if (img.dataset.cover === (id || '')) return;
+  img.dataset.cover = id || '';
+  if (!id) {
+    img.hidden = true;
+    img.removeAttribute('src');
+    return;
+  }
+  loadCoverUrl(id, 'large').then((url) => {
+    if (img.dataset.cover !== id) return;
+    if (url) {
+      img.src = url;
+      img.hidden = false;
+    } else {
+      /* Not extracted yet: retry on the next state update */
+      img.dataset.cover = '';
+      img.hidden = true;
+    }
+  });
+}
+
 function updateTrack(current) {
   if (!current || !current.track) {
+    updateCover(null);
     elements.title.textContent = 'Waiting for player...';
     elements.artist.textContent = '--';
     elements.album.textContent = '--';
     elements.duration.textContent = '--:--';
     elements.position.textContent = '0:00';
+    if (elements.scrubber) {
+      elements.scrubber.disabled = true;
+      elements.scrubber.max = '0';
+      elements.scrubber.value = '0';
+    }
     elements.playbackState.textContent = 'Idle';
     elements.btnPlay.innerHTML =
       '<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polygon points="5 3 19 12 5 21 5 3"></polygon></svg>';
@@ -458,9 +587,12 @@ function updateTrack(current) {
   }
 
   const { track, isPlaying, isPaused, positionSeconds } = current;
-  elements.title.textContent = track.title || track.filename;
-  elements.artist.textContent = track.artist || 'Unknown Artist';
-  elements.album.textContent = track.album || 'Unknown Album';
+  updateCover(track);
+  /* Streams show the title they announced, with the station name below */
+  const isStream = track.format === 'stream';
+  elements.title.textContent = (isStream && track.streamTitle) || track.title || track.filename;
+  elements.artist.textContent = isStream ? 'Live stream' : track.artist || 'Unknown Artist';
+  elements.album.textContent = isStream ? track.title : track.album || 'Unknown Album';
   elements.duration.textContent = formatDuration(track.duration);
 
   if (progressTimer) {
@@ -470,12 +602,12 @@ function updateTrack(current) {
 
   const initialPosition = Number(positionSeconds || 0);
   let currentPosition = initialPosition;
-  elements.position.textContent = formatDuration(currentPosition);
+  updateProgress(currentPosition, track.duration);
 
   if (isPlaying && !isPaused) {
     progressTimer = setInterval(() => {
       currentPosition += 1;
-      elements.position.textContent = formatDuration(currentPosition);
+      updateProgress(currentPosition, track.duration);
     }, 1000);
   }
 
@@ -497,41 +629,476 @@ function updateTrack(current) {
   }
 }
 
+function updateProgress(position, duration) {
+  /* Leave the label and slider alone while the user is dragging the scrubber */
+  if (scrubbing) return;
+  elements.position.textContent = formatDuration(position);
+  if (!elements.scrubber) return;
+  const seekable = Number.isFinite(duration) && duration > 0;
+  elements.scrubber.disabled = !seekable;
+  elements.scrubber.max = seekable ? String(Math.round(duration)) : '0';
+  elements.scrubber.value = seekable ? String(Math.min(Math.round(position), duration)) : '0';
+}
+
 function renderPlaylist(list, currentTrack) {
   const body = elements.playlistBody;
   if (!list || list.length === 0) {
-    body.innerHTML =
-      '<tr><td colspan="4" class="empty-state" style="text-align:center; padding:2rem; color:var(--text-secondary)">No tracks available.</td></tr>';
+    const message = libraryState.query ? 'No tracks match your search.' : 'No tracks available.';
+    body.innerHTML = `<tr><td colspan="5" class="empty-state" style="text-align:center; padding:2rem; color:var(--text-secondary)">${message}</td></tr>`;
     return;
   }
   const currentFilename = currentTrack && currentTrack.track ? currentTrack.track.filename : null;
   body.innerHTML = '';
   for (const entry of list) {
     const row = document.createElement('tr');
+    row.dataset.index = String(entry.index);
+    row.title = 'Click to play now';
     if (entry.filename === currentFilename) {
       row.style.background = 'rgba(129, 140, 248, 0.1)';
       row.style.color = 'var(--accent)';
     }
 
+    const queuedBadge =
+      entry.queuePosition !== null && entry.queuePosition !== undefined
+        ? `<span class="queue-badge">Up next #${entry.queuePosition + 1}</span>`
+        : '';
+
+    const cover = entry.cover
+      ? `<img class="playlist-cover" data-cover="${escapeHtml(entry.cover)}" alt="" hidden>`
+      : '';
+
+    const tempoKey = [entry.key, entry.bpm ? `${Math.round(entry.bpm)} BPM` : null]
+      .filter(Boolean)
+      .join(' · ');
+    const tempoKeyBadge = tempoKey
+      ? `<span class="tempo-key-badge">${escapeHtml(tempoKey)}</span>`
+      : '';
+
     row.innerHTML = `
         <td>${entry.index + 1}</td>
-        <td style="font-weight:600">${entry.title || entry.filename}</td>
-        <td style="color:var(--text-secondary)">${entry.artist || 'Unknown'}</td>
+        <td style="font-weight:600">${cover}${escapeHtml(entry.title || entry.filename)}${tempoKeyBadge}${queuedBadge}</td>
+        <td style="color:var(--text-secondary)">${escapeHtml(entry.artist || 'Unknown')}</td>
         <td style="font-family:var(--font-mono); font-size:0.85rem">${formatDuration(entry.duration)}</td>
+        <td><button type="button" class="btn btn-sm" data-queue-add="${entry.index}" title="Add to Up Next" aria-label="Add ${escapeHtml(entry.title || entry.filename)} to up next">+</button> <button type="button" class="btn btn-sm" data-cue-edit="${entry.index}" title="Edit cue points" aria-label="Edit cue points of ${escapeHtml(entry.title || entry.filename)}">Cue</button></td>
     `;
     body.appendChild(row);
   }
+  for (const img of body.querySelectorAll('img[data-cover]')) {
+    loadCoverUrl(img.dataset.cover, 'thumb').then((url) => {
+      if (!url) return;
+      img.src = url;
+      img.hidden = false;
+    });
+  }
+}
+
+function renderLibraryPager(page) {
+  if (!elements.libraryRange) return;
+  if (!page || page.total === 0) {
+    elements.libraryRange.textContent = libraryState.query ? '0 matches' : '0 tracks';
+  } else {
+    const last = Math.min(page.offset + page.items.length, page.total);
+    const noun = libraryState.query ? 'matches' : 'tracks';
+    elements.libraryRange.textContent = `${page.offset + 1}–${last} of ${page.total} ${noun}`;
+  }
+  elements.libraryPrev.disabled = !page || page.offset === 0;
+  elements.libraryNext.disabled = !page || page.offset + page.items.length >= page.total;
+}
+
+async function loadLibrary() {
+  const requestId = ++libraryState.requestId;
+  const params = new URLSearchParams({
+    offset: String(libraryState.offset),
+    limit: String(libraryState.limit),
+  });
+  if (libraryState.query) params.set('q', libraryState.query);
+  try {
+    const response = await fetch(`/api/player/library?${params}`, {
+      cache: 'no-store',
+      headers: buildApiHeaders(),
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+    /* Ignore responses that arrive after a newer search was sent */
+    if (requestId !== libraryState.requestId) return;
+    if (data.total > 0 && data.offset >= data.total) {
+      /* The library shrank under the current page; jump back to the last page */
+      libraryState.offset = Math.floor((data.total - 1) / libraryState.limit) * libraryState.limit;
+      await loadLibrary();
+      return;
+    }
+    libraryState.page = data;
+    renderPlaylist(data.items, state.playerCurrent);
+    renderLibraryPager(data);
+  } catch (err) {
+    console.error('Library load failed', err);
+  }
+}
+
+let librarySearchTimer = null;
+
+function handleLibrarySearchInput() {
+  if (librarySearchTimer) clearTimeout(librarySearchTimer);
+  librarySearchTimer = setTimeout(() => {
+    libraryState.query = elements.librarySearch.value.trim();
+    libraryState.offset = 0;
+    loadLibrary();
+  }, 250);
+}
+
+function changeLibraryPage(delta) {
+  libraryState.offset = Math.max(0, libraryState.offset + delta * libraryState.limit);
+  loadLibrary();
+}
+
+function renderHistory(page) {
+  const body = elements.historyBody;
+  if (!page || page.items.length === 0) {
+    body.innerHTML = `<tr><td colspan="5" class="empty-state" style="text-align:center; padding:2rem; color:var(--text-secondary)">No plays recorded in this range.</td></tr>`;
+  } else {
+    body.innerHTML = page.items
+      .map(
+        (play) => `
+      <tr title="${escapeHtml(play.path)}">
+        <td style="font-family:var(--font-mono); font-size:0.8rem">${escapeHtml(new Date(play.startedAt).toLocaleString())}</td>
+        <td style="font-weight:600">${escapeHtml(play.title || play.filename)}</td>
+        <td style="color:var(--text-secondary)">${escapeHtml(play.artist || 'Unknown')}</td>
+        <td style="font-family:var(--font-mono); font-size:0.85rem">${formatDuration(play.playedSeconds)}</td>
+        <td><span class="history-reason ${escapeHtml(play.endReason)}">${escapeHtml(play.endReason)}</span></td>
+      </tr>`
+      )
+      .join('');
+  }
+  if (!page || page.total === 0) {
+    elements.historyRange.textContent = '0 plays';
+  } else {
+    const last = Math.min(page.offset + page.items.length, page.total);
+    elements.historyRange.textContent = `${page.offset + 1}–${last} of ${page.total} plays`;
+  }
+  elements.historyPrev.disabled = !page || page.offset === 0;
+  elements.historyNext.disabled = !page || page.offset + page.items.length >= page.total;
+}
+
+function historyRangeParams() {
+  const params = new URLSearchParams();
+  /* datetime-local inputs hold local time; the API expects absolute timestamps */
+  if (elements.historyFrom.value) {
+    params.set('from', new Date(elements.historyFrom.value).toISOString());
+  }
+  if (elements.historyTo.value) params.set('to', new Date(elements.historyTo.value).toISOString());
+  return params;
+}
+
+async function loadHistory() {
+  if (!elements.historyBody) return;
+  const requestId = ++historyState.requestId;
+  const params = historyRangeParams();
+  params.set('offset', String(historyState.offset));
+  params.set('limit', String(historyState.limit));
+  if (elements.historyReason.value) params.set('reason', elements.historyReason.value);
+  try {
+    const response = await fetch(`/api/player/history?${params}`, {
+      cache: 'no-store',
+      headers: buildApiHeaders(),
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+    if (requestId !== historyState.requestId) return;
+    renderHistory(data);
+  } catch (err) {
+    if (requestId !== historyState.requestId) return;
+    showToast('Failed to load history: ' + err.message, 'error');
+  }
+}
+
+async function downloadHistoryReport(format) {
+  const params = historyRangeParams();
+  params.set('format', format);
+  try {
+    const response = await fetch(`/api/player/history/report?${params}`, {
+      cache: 'no-store',
+      headers: buildApiHeaders(),
+    });
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || `HTTP ${response.status}`);
+    }
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const match = /filename="([^"]+)"/.exec(disposition);
+    const blob = await response.blob();
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = match ? match[1] : `play-report.${format}`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+    showToast('Report downloaded', 'success');
+  } catch (err) {
+    showToast('Report failed: ' + err.message, 'error');
+  }
+}
+
+function applyHistoryFilters() {
+  historyState.offset = 0;
+  loadHistory();
+}
+
+function changeHistoryPage(delta) {
+  historyState.offset = Math.max(0, historyState.offset + delta * historyState.limit);
+  loadHistory();
+}
+
+function clockMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+function describeScheduleSource(source) {
+  if (source.type === 'playlist') {
+    const playlist = scheduleState.playlists.find((entry) => entry.id === source.id);
+    return `Playlist: ${playlist ? playlist.name : source.id}`;
+  }
+  if (source.type === 'folder') return `Folder: ${source.path}`;
+  return `Tags: ${new URLSearchParams(source.filter).toString().replace(/&/g, ', ')}`;
+}
+
+function describeJingleRule(rule) {
+  if (!rule) return 'Default';
+  return rule.mode === 'off'
+    ? 'Off'
+    : `Every ${rule.every} ${rule.mode === 'tracks' ? 'tracks' : 'min'}`;
+}
+
+function renderJingles(status) {
+  if (!status) {
+    elements.jingleStatus.textContent = 'Set JINGLES_DIR to enable jingles';
+    return;
+  }
+  if (document.activeElement !== elements.jingleMode) elements.jingleMode.value = status.rule.mode;
+  if (document.activeElement !== elements.jingleEvery) {
+    elements.jingleEvery.value = String(status.rule.every);
+  }
+  elements.jingleStatus.textContent = `${status.jingles.length} clips in the jingles folder`;
+}
+
+function renderScheduleGrid(schedule) {
+  const blocks = SCHEDULE_DAYS.map(() => []);
+  for (const slot of schedule.slots) {
+    const start = clockMinutes(slot.start);
+    const end = clockMinutes(slot.end);
+    for (const day of slot.days) {
+      const index = SCHEDULE_DAYS.indexOf(day);
+      /* Slots ending at or before their start run past midnight into the next day */
+      if (end > start) {
+        blocks[index].push({ slot, from: start, to: end });
+      } else {
+        blocks[index].push({ slot, from: start, to: 1440 });
+        if (end > 0) blocks[(index + 1) % 7].push({ slot, from: 0, to: end });
+      }
+    }
+  }
+  const hours = Array.from(
+    { length: 24 },
+    (_, hour) =>
+      `<div class="schedule-hour" style="top:${(hour / 24) * 100}%">${String(hour).padStart(2, '0')}</div>`
+  ).join('');
+  elements.scheduleGrid.innerHTML =
+    `<div class="schedule-hours">${hours}</div>` +
+    SCHEDULE_DAYS.map((day, index) => {
+      const isToday = schedule.localTime.day === day;
+      const items = blocks[index]
+        .map(({ slot, from, to }) => {
+          const active = slot.id === schedule.activeSlotId ? ' active' : '';
+          const label = slot.name || describeScheduleSource(slot.source);
+          return `<div class="schedule-block${active}" style="top:${(from / 1440) * 100}%; height:${((to - from) / 1440) * 100}%" title="${escapeHtml(`${label} (${slot.start}–${slot.end})`)}">${escapeHtml(label)}</div>`;
+        })
+        .join('');
+      const now = isToday
+        ? `<div class="schedule-now" style="top:${(clockMinutes(schedule.localTime.time) / 1440) * 100}%"></div>`
+        : '';
+      return `<div class="schedule-day${isToday ? ' today' : ''}"><div class="schedule-day-label">${day}</div><div class="schedule-day-body">${items}${now}</div></div>`;
+    }).join('');
+}
+
+function renderSchedule(schedule) {
+  scheduleState.schedule = schedule;
+  elements.scheduleClock.textContent = `${schedule.timezone} · ${schedule.localTime.day} ${schedule.localTime.time}`;
+  if (document.activeElement !== elements.scheduleTimezone) {
+    elements.scheduleTimezone.value = schedule.timezone;
+  }
+  if (document.activeElement !== elements.scheduleFade) {
+    elements.scheduleFade.value = String(schedule.fadeSeconds);
+  }
+  renderScheduleGrid(schedule);
+  if (schedule.slots.length === 0) {
+    elements.scheduleSlotsBody.innerHTML = `<tr><td colspan="7" class="empty-state" style="text-align:center; padding:2rem; color:var(--text-secondary)">No slots yet. Outside slots the normal rotation plays.</td></tr>`;
+    return;
+  }
+  elements.scheduleSlotsBody.innerHTML = schedule.slots
+    .map(
+      (slot) => `
+      <tr class="${slot.id === schedule.activeSlotId ? 'active' : ''}">
+        <td style="font-weight:600">${escapeHtml(slot.name || slot.id)}</td>
+        <td>${escapeHtml(slot.days.join(', '))}</td>
+        <td style="font-family:var(--font-mono); font-size:0.85rem">${escapeHtml(`${slot.start}–${slot.end}`)}</td>
+        <td style="color:var(--text-secondary)">${escapeHtml(describeScheduleSource(slot.source))}</td>
+        <td>${slot.transition === 'fade' ? 'Fade' : 'Track end'}</td>
+        <td>${escapeHtml(describeJingleRule(slot.jingles))}</td>
+        <td><button type="button" class="btn btn-sm" data-schedule-remove="${escapeHtml(slot.id)}" aria-label="Remove slot ${escapeHtml(slot.name || slot.id)}">Remove</button></td>
+      </tr>`
+    )
+    .join('');
+}
+
+function renderSchedulePlaylists() {
+  elements.scheduleSlotPlaylist.innerHTML = scheduleState.playlists.length
+    ? scheduleState.playlists
+        .map(
+          (playlist) =>
+            `<option value="${escapeHtml(playlist.id)}">${escapeHtml(playlist.name)}</option>`
+        )
+        .join('')
+    : '<option value="">No saved playlists</option>';
+}
+
+function updateScheduleSourceInput() {
+  const type = elements.scheduleSlotSourceType.value;
+  elements.scheduleSlotPlaylist.hidden = type !== 'playlist';
+  elements.scheduleSlotSourceValue.hidden = type === 'playlist';
+  const label = { playlist: 'Playlist', folder: 'Folder', tags: 'Filter' }[type];
+  elements.scheduleSlotSourceLabel.textContent = label;
+  elements.scheduleSlotSourceLabel.htmlFor =
+    type === 'playlist' ? 'schedule-slot-playlist' : 'schedule-slot-source-value';
+  elements.scheduleSlotSourceValue.placeholder =
+    type === 'folder' ? 'e.g., Mixes/Friday' : 'e.g., genre=House&minDuration=120';
+}
+
+async function loadSchedule() {
+  if (!elements.scheduleGrid) return;
+  try {
+    const [scheduleResponse, playlistsResponse, jinglesResponse] = await Promise.all([
+      fetch('/api/player/schedule', { cache: 'no-store', headers: buildApiHeaders() }),
+      fetch('/api/player/playlists', { cache: 'no-store', headers: buildApiHeaders() }),
+      fetch('/api/player/jingles', { cache: 'no-store', headers: buildApiHeaders() }),
+    ]);
+    const data = await scheduleResponse.json().catch(() => ({}));
+    if (!scheduleResponse.ok) throw new Error(data.error || `HTTP ${scheduleResponse.status}`);
+    scheduleState.playlists = playlistsResponse.ok ? await playlistsResponse.json() : [];
+    renderSchedulePlaylists();
+    renderSchedule(data);
+    renderJingles(jinglesResponse.ok ? await jinglesResponse.json() : null);
+  } catch (err) {
+    showToast('Failed to load schedule: ' + err.message, 'error');
+  }
+}
+
+async function sendScheduleRequest(method, url, body) {
+  const response = await fetch(url, {
+    method,
+    headers: buildApiHeaders(body ? 'application/json' : undefined),
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || `HTTP ${response.status}`);
+  }
+}
+
+async function addScheduleSlot() {
+  const type = elements.scheduleSlotSourceType.value;
+  const value = elements.scheduleSlotSourceValue.value.trim();
+  let source;
+  if (type === 'playlist') {
+    source = { type, id: elements.scheduleSlotPlaylist.value };
+  } else if (type === 'folder') {
+    source = { type, path: value };
+  } else {
+    source = { type, filter: Object.fromEntries(new URLSearchParams(value)) };
+  }
+  const days = Array.from(
+    elements.scheduleSlotDays.querySelectorAll('input[type="checkbox"]:checked'),
+    (input) => input.value
+  );
+  const end = elements.scheduleSlotEnd.value === '00:00' ? '24:00' : elements.scheduleSlotEnd.value;
+  const jingleMode = elements.scheduleSlotJingleMode.value;
+  try {
+    await sendScheduleRequest('POST', '/api/player/schedule/slots', {
+      name: elements.scheduleSlotName.value.trim() || null,
+      days,
+      start: elements.scheduleSlotStart.value,
+      end,
+      source,
+      transition: elements.scheduleSlotTransition.value,
+      jingles: jingleMode
+        ? { mode: jingleMode, every: Number(elements.scheduleSlotJingleEvery.value) }
+        : null,
+    });
+    elements.scheduleSlotName.value = '';
+    showToast('Slot added', 'success');
+    loadSchedule();
+  } catch (err) {
+    showToast('Failed to add slot: ' + err.message, 'error');
+  }
+}
+
+async function removeScheduleSlot(id) {
+  try {
+    await sendScheduleRequest('DELETE', `/api/player/schedule/slots/${encodeURIComponent(id)}`);
+    showToast('Slot removed', 'success');
+    loadSchedule();
+  } catch (err) {
+    showToast('Failed to remove slot: ' + err.message, 'error');
+  }
+}
+
+async function saveScheduleSettings() {
+  try {
+    await sendScheduleRequest('PUT', '/api/player/schedule', {
+      timezone: elements.scheduleTimezone.value.trim(),
+      fadeSeconds: Number(elements.scheduleFade.value),
+    });
+    await sendScheduleRequest('PUT', '/api/player/jingles', {
+      mode: elements.jingleMode.value,
+      every: Number(elements.jingleEvery.value),
+    });
+    showToast('Schedule settings saved', 'success');
+    loadSchedule();
+  } catch (err) {
+    showToast('Failed to save settings: ' + err.message, 'error');
+  }
+}
+
+function renderQueue(queue) {
+  const entries = Array.isArray(queue) ? queue : [];
+  if (elements.btnQueueClear) elements.btnQueueClear.disabled = entries.length === 0;
+  if (!elements.queuePanel || !elements.queueList) return;
+  elements.queuePanel.hidden = entries.length === 0;
+  elements.queueList.innerHTML = entries
+    .map(
+      (entry) => `
+      <li class="queue-item">
+        <span class="queue-item-label">${escapeHtml(entry.title || entry.filename)} <span style="color: var(--text-secondary);">${escapeHtml(entry.artist || '')}</span></span>
+        <button type="button" class="btn btn-sm" data-queue-move="${entry.position}" data-queue-to="${entry.position - 1}" ${entry.position === 0 ? 'disabled' : ''} aria-label="Move up">&uarr;</button>
+        <button type="button" class="btn btn-sm" data-queue-move="${entry.position}" data-queue-to="${entry.position + 1}" ${entry.position === entries.length - 1 ? 'disabled' : ''} aria-label="Move down">&darr;</button>
+        <button type="button" class="btn btn-sm" data-queue-remove="${entry.position}" aria-label="Remove from up next">&times;</button>
+      </li>`
+    )
+    .join('');
 }
 
 function applyState(next) {
   const prevBackground = state.serverStatus?.backgroundSource;
   state.playerCurrent = next.playerCurrent;
-  state.playlist = next.playlist;
   state.serverStatus = next.serverStatus;
   state.lastTimestamp = next.timestamp;
   updateTrack(state.playerCurrent);
   updateStatus(state.serverStatus);
-  renderPlaylist(state.playlist, state.playerCurrent);
+  if (libraryState.page) renderPlaylist(libraryState.page.items, state.playerCurrent);
+  renderQueue(state.playerCurrent ? state.playerCurrent.queue : []);
+  renderPlaybackMode(state.playerCurrent ? state.playerCurrent.mode : null);
+  renderVolume(state.playerCurrent ? state.playerCurrent.volume : null);
   elements.lastUpdate.textContent = `Last update: ${new Date(state.lastTimestamp).toLocaleTimeString()}`;
   updateOverlayPreview();
 
@@ -551,6 +1118,8 @@ async function refreshState() {
     if (!response.ok) throw new Error(`HTTP ${response.status}`);
     const data = await response.json();
     applyState(data);
+    /* Keep the visible page's queue badges and highlight current */
+    loadLibrary();
   } catch (err) {
     console.error('State refresh failed', err);
     updateStatus(null);
@@ -581,6 +1150,245 @@ async function sendAction(action) {
   }
 }
 
+/* ==========================================================================
+ * Playback Mode
+ * ========================================================================== */
+
+function renderPlaybackMode(mode) {
+  if (!mode || !elements.playbackOrder) return;
+  /* Don't overwrite a select while the user has it open */
+  if (document.activeElement !== elements.playbackOrder) {
+    elements.playbackOrder.value = mode.order;
+  }
+  if (document.activeElement !== elements.repeatMode) {
+    elements.repeatMode.value = mode.repeat;
+  }
+}
+
+async function setPlaybackMode(changes) {
+  try {
+    const response = await fetch('/api/player/mode', {
+      method: 'PUT',
+      headers: buildApiHeaders('application/json'),
+      body: JSON.stringify(changes),
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+    renderPlaybackMode(data);
+    showToast('Playback mode updated', 'success');
+  } catch (err) {
+    showToast(`Mode change failed: ${err.message}`, 'error');
+  }
+}
+
+/* ==========================================================================
+ * Master Volume
+ * ========================================================================== */
+
+function formatVolumeDb(level) {
+  return level > 0 ? `${(20 * Math.log10(level)).toFixed(1)} dB` : '-∞ dB';
+}
+
+function renderVolume(volume) {
+  if (!volume || !elements.masterVolume) return;
+  /* Don't move the slider under the user's pointer; follow fades otherwise */
+  if (document.activeElement !== elements.masterVolume) {
+    elements.masterVolume.value = String(Math.round(volume.level * 100));
+    elements.masterVolumeLabel.textContent = formatVolumeDb(volume.level);
+  }
+  elements.btnMute.setAttribute('aria-pressed', String(volume.muted));
+  elements.btnMute.textContent = volume.muted ? 'Unmute' : 'Mute';
+}
+
+async function setVolume(changes) {
+  try {
+    const response = await fetch('/api/player/volume', {
+      method: 'PUT',
+      headers: buildApiHeaders('application/json'),
+      body: JSON.stringify(changes),
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+    renderVolume(data);
+  } catch (err) {
+    showToast(`Volume change failed: ${err.message}`, 'error');
+  }
+}
+
+/* ==========================================================================
+ * Jump & Seek
+ * ========================================================================== */
+
+async function playTrackAt(index) {
+  try {
+    const response = await fetch(`/api/player/play/${encodeURIComponent(index)}`, {
+      method: 'POST',
+      headers: buildApiHeaders(),
+    });
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || `HTTP ${response.status}`);
+    }
+    await refreshState();
+    showToast('Playing selected track', 'success');
+  } catch (err) {
+    showToast(`Play failed: ${err.message}`, 'error');
+  }
+}
+
+async function seekTo(position) {
+  try {
+    const response = await fetch('/api/player/seek', {
+      method: 'POST',
+      headers: buildApiHeaders('application/json'),
+      body: JSON.stringify({ position }),
+    });
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || `HTTP ${response.status}`);
+    }
+  } catch (err) {
+    showToast(`Seek failed: ${err.message}`, 'error');
+  } finally {
+    scrubbing = false;
+    await refreshState();
+  }
+}
+
+function handlePlaylistRowClick(event) {
+  if (event.target.closest('button')) return;
+  const row = event.target.closest('tr[data-index]');
+  if (!row) return;
+  playTrackAt(Number(row.dataset.index));
+}
+
+/* ==========================================================================
+ * Up Next Queue
+ * ========================================================================== */
+
+async function sendQueueRequest(method, path, body, successMessage) {
+  try {
+    const response = await fetch(`/api/player/queue${path}`, {
+      method,
+      headers: buildApiHeaders(body ? 'application/json' : undefined),
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || `HTTP ${response.status}`);
+    }
+    await refreshState();
+    if (successMessage) showToast(successMessage, 'success');
+  } catch (err) {
+    showToast(`Queue update failed: ${err.message}`, 'error');
+  }
+}
+
+function handleQueueClick(event) {
+  const button = event.target.closest('button');
+  if (!button || button.disabled) return;
+  if (button.dataset.queueAdd !== undefined) {
+    sendQueueRequest('POST', '', { index: Number(button.dataset.queueAdd) }, 'Added to Up Next');
+  } else if (button.dataset.queueMove !== undefined) {
+    sendQueueRequest('POST', '/move', {
+      from: Number(button.dataset.queueMove),
+      to: Number(button.dataset.queueTo),
+    });
+  } else if (button.dataset.queueRemove !== undefined) {
+    sendQueueRequest(
+      'DELETE',
+      `/${Number(button.dataset.queueRemove)}`,
+      null,
+      'Removed from Up Next'
+    );
+  }
+}
+
+/* ==========================================================================
+ * Cue Points
+ * ========================================================================== */
+
+let cueEditorIndex = null;
+
+function renderCueEditor(data) {
+  const cues = data.cues || { in: 0, out: null, fadeIn: 0, fadeOut: 0, source: null };
+  elements.cueEditorTrack.textContent = data.filename;
+  elements.cueEditorSource.textContent = !data.cues
+    ? 'No cue points; the whole track plays'
+    : cues.source === 'auto'
+      ? 'Detected from silence'
+      : 'Set manually';
+  elements.cueIn.value = String(cues.in);
+  elements.cueOut.value = cues.out === null ? '' : String(cues.out);
+  elements.cueOut.max = data.duration ? String(Math.ceil(data.duration)) : '';
+  elements.cueFadeIn.value = String(cues.fadeIn);
+  elements.cueFadeOut.value = String(cues.fadeOut);
+  elements.btnCueClear.disabled = !data.cues;
+}
+
+async function sendCueRequest(method, body) {
+  const response = await fetch(`/api/player/tracks/${cueEditorIndex}/cues`, {
+    method,
+    cache: 'no-store',
+    headers: buildApiHeaders(body ? 'application/json' : undefined),
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  if (response.status === 204) return null;
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+  return data;
+}
+
+async function openCueEditor(index) {
+  cueEditorIndex = index;
+  try {
+    renderCueEditor(await sendCueRequest('GET'));
+    elements.cueEditor.hidden = false;
+    elements.cueIn.focus();
+  } catch (err) {
+    closeCueEditor();
+    showToast('Failed to load cue points: ' + err.message, 'error');
+  }
+}
+
+function closeCueEditor() {
+  cueEditorIndex = null;
+  elements.cueEditor.hidden = true;
+}
+
+async function saveCuePoints() {
+  if (cueEditorIndex === null) return;
+  const out = elements.cueOut.value.trim();
+  try {
+    await sendCueRequest('PUT', {
+      in: Number(elements.cueIn.value || 0),
+      out: out === '' ? null : Number(out),
+      fadeIn: Number(elements.cueFadeIn.value || 0),
+      fadeOut: Number(elements.cueFadeOut.value || 0),
+    });
+    closeCueEditor();
+    showToast('Cue points saved', 'success');
+  } catch (err) {
+    showToast('Failed to save cue points: ' + err.message, 'error');
+  }
+}
+
+async function clearCuePoints() {
+  if (cueEditorIndex === null) return;
+  try {
+    await sendCueRequest('DELETE');
+    closeCueEditor();
+    showToast('Cue points cleared', 'success');
+  } catch (err) {
+    showToast('Failed to clear cue points: ' + err.message, 'error');
+  }
+}
+
+function handleCueEditClick(event) {
+  const button = event.target.closest('button[data-cue-edit]');
+  if (button) openCueEditor(Number(button.dataset.cueEdit));
+}
+
 /* ==========================================================================
  * Background Management
  * ========================================================================== */
@@ -684,6 +1492,8 @@ window.deleteBackground = async function (filename) {
 const diagElements = {
   pageDashboard: document.getElementById('page-dashboard'),
   pageOverlay: document.getElementById('page-overlay'),
+  pageHistory: document.getElementById('page-history'),
+  pageSchedule: document.getElementById('page-schedule'),
   pageTechnical: document.getElementById('page-technical'),
   streamState: document.getElementById('diag-stream-state'),
   state: document.getElementById('diag-state'),
@@ -1132,6 +1942,12 @@ function showPage(pageName) {
   if (diagElements.pageOverlay) {
     diagElements.pageOverlay.classList.toggle('hidden', pageName !== 'overlay');
   }
+  if (diagElements.pageHistory) {
+    diagElements.pageHistory.classList.toggle('hidden', pageName !== 'history');
+  }
+  if (diagElements.pageSchedule) {
+    diagElements.pageSchedule.classList.toggle('hidden', pageName !== 'schedule');
+  }
   if (diagElements.pageTechnical) {
     diagElements.pageTechnical.classList.toggle('hidden', pageName !== 'technical');
   }
@@ -1142,6 +1958,13 @@ function showPage(pageName) {
     link.classList.toggle('active', linkPage === pageName);
   });
 
+  if (pageName === 'history') {
+    loadHistory();
+  }
+  if (pageName === 'schedule') {
+    loadSchedule();
+  }
+
   /* Start/stop diagnostics polling based on active page */
   if (pageName === 'technical') {
     fetchDiagnostics();
@@ -1165,6 +1988,10 @@ function handleHashChange() {
   const hash = window.location.hash.replace('#', '');
   if (hash === 'technical') {
     showPage('technical');
+  } else if (hash === 'history') {
+    showPage('history');
+  } else if (hash === 'schedule') {
+    showPage('schedule');
   } else if (hash === 'overlay') {
     showPage('overlay');
   } else {
@@ -1179,6 +2006,71 @@ function handleHashChange() {
 /* Player control buttons */
 elements.btnPrevious.addEventListener('click', () => sendAction('previous'));
 elements.btnNext.addEventListener('click', () => sendAction('next'));
+if (elements.playbackOrder) {
+  elements.playbackOrder.addEventListener('change', () =>
+    setPlaybackMode({ order: elements.playbackOrder.value })
+  );
+  elements.repeatMode.addEventListener('change', () =>
+    setPlaybackMode({ repeat: elements.repeatMode.value })
+  );
+}
+if (elements.masterVolume) {
+  elements.masterVolume.addEventListener('input', () => {
+    elements.masterVolumeLabel.textContent = formatVolumeDb(elements.masterVolume.value / 100);
+  });
+  elements.masterVolume.addEventListener('change', () =>
+    setVolume({ level: Number(elements.masterVolume.value) / 100 })
+  );
+  elements.btnMute.addEventListener('click', () =>
+    setVolume({ muted: elements.btnMute.getAttribute('aria-pressed') !== 'true' })
+  );
+}
+elements.playlistBody.addEventListener('click', handleQueueClick);
+elements.playlistBody.addEventListener('click', handlePlaylistRowClick);
+if (elements.cueEditor) {
+  elements.playlistBody.addEventListener('click', handleCueEditClick);
+  elements.cueEditor.addEventListener('submit', saveCuePoints);
+  elements.btnCueClear.addEventListener('click', clearCuePoints);
+  elements.btnCueCancel.addEventListener('click', closeCueEditor);
+}
+if (elements.librarySearch) {
+  elements.librarySearch.addEventListener('input', handleLibrarySearchInput);
+  elements.libraryPrev.addEventListener('click', () => changeLibraryPage(-1));
+  elements.libraryNext.addEventListener('click', () => changeLibraryPage(1));
+}
+if (elements.historyBody) {
+  elements.historyFrom.addEventListener('change', applyHistoryFilters);
+  elements.historyTo.addEventListener('change', applyHistoryFilters);
+  elements.historyReason.addEventListener('change', applyHistoryFilters);
+  elements.historyPrev.addEventListener('click', () => changeHistoryPage(-1));
+  elements.historyNext.addEventListener('click', () => changeHistoryPage(1));
+  elements.btnHistoryRefresh.addEventListener('click', loadHistory);
+  elements.btnHistoryReportCsv.addEventListener('click', () => downloadHistoryReport('csv'));
+  elements.btnHistoryReportJson.addEventListener('click', () => downloadHistoryReport('json'));
+}
+if (elements.scheduleGrid) {
+  elements.scheduleSlotForm.addEventListener('submit', addScheduleSlot);
+  elements.scheduleSettingsForm.addEventListener('submit', saveScheduleSettings);
+  elements.scheduleSlotSourceType.addEventListener('change', updateScheduleSourceInput);
+  elements.scheduleSlotsBody.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-schedule-remove]');
+    if (button) removeScheduleSlot(button.dataset.scheduleRemove);
+  });
+  updateScheduleSourceInput();
+}
+if (elements.scrubber) {
+  elements.scrubber.addEventListener('input', () => {
+    scrubbing = true;
+    elements.position.textContent = formatDuration(Number(elements.scrubber.value));
+  });
+  elements.scrubber.addEventListener('change', () => seekTo(Number(elements.scrubber.value)));
+}
+if (elements.queueList) elements.queueList.addEventListener('click', handleQueueClick);
+if (elements.btnQueueClear) {
+  elements.btnQueueClear.addEventListener('click', () =>
+    sendQueueRequest('DELETE', '', null, 'Up Next cleared')
+  );
+}
 elements.btnPlay.addEventListener('click', () => {
   const mode = elements.btnPlay.dataset.mode || 'resume';
   sendAction(mode);
@@ -1317,6 +2209,10 @@ document.querySelectorAll('.nav-link').forEach((link) => {
       const target = href.replace('#', '');
       if (target === 'technical') {
         showPage('technical');
+      } else if (target === 'history') {
+        showPage('history');
+      } else if (target === 'schedule') {
+        showPage('schedule');
       } else if (target === 'overlay') {
         showPage('overlay');
       } else {
@@ -1394,6 +2290,7 @@ initSecurityBanner();
 
 /* Apply initial state from server */
 applyState(INITIAL_STATE);
+loadLibrary();
 loadOverlayStyle();
 loadRecentBackgrounds();
 
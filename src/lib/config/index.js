@@ -27,6 +27,7 @@ if (dotenv && typeof dotenv.config === 'function') {
  * These match the documented defaults in README.md.
  */
 const DEFAULT_TCP_PORT = 5000;
+const DEFAULT_VOICE_TCP_PORT = 5001;
 const DEFAULT_HTTP_PORT = 4000;
 const DEFAULT_PLAYER_API_PORT = 3000;
 
@@ -42,6 +43,12 @@ const DEFAULT_HTTP_HOST = '127.0.0.1';
  */
 const TCP_PORT = optionalPortEnv('TCP_PORT', DEFAULT_TCP_PORT, 'streamdj');
 
+/**
+ * TCP port for the talk-over voice input, mixed over the music.
+ * @type {number}
+ */
+const VOICE_TCP_PORT = optionalPortEnv('VOICE_TCP_PORT', DEFAULT_VOICE_TCP_PORT, 'streamdj');
+
 /**
  * HTTP port for the server control API.
  * @type {number}
@@ -70,11 +77,13 @@ const PLAYER_API_HOST = optionalEnv('PLAYER_API_HOST', DEFAULT_HTTP_HOST);
 
 module.exports = {
   TCP_PORT,
+  VOICE_TCP_PORT,
   HTTP_PORT,
   HTTP_HOST,
   PLAYER_API_PORT,
   PLAYER_API_HOST,
   DEFAULT_TCP_PORT,
+  DEFAULT_VOICE_TCP_PORT,
   DEFAULT_HTTP_PORT,
   DEFAULT_HTTP_HOST,
   DEFAULT_PLAYER_API_PORT,
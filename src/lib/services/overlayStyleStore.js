@@ -29,6 +29,27 @@ const BASELINE_STYLE = {
     showAlbum: true,
     commentPrefix: '',
   },
+  cover: {
+    enabled: false,
+    size: 240,
+    horizontal: 'left',
+    vertical: 'bottom',
+    offsetX: 40,
+    offsetY: 40,
+  },
+  lyrics: {
+    enabled: false,
+    color: '#FFFFFF',
+    opacity: 1,
+    size: 40,
+    box: true,
+    boxColor: '#000000',
+    boxOpacity: 0.45,
+    horizontal: 'center',
+    vertical: 'top',
+    offsetX: 0,
+    offsetY: 40,
+  },
 };
 
 const emitter = new EventEmitter();
@@ -216,6 +237,79 @@ function normalizeStyle(payload, fallback) {
     }
   }
 
+  if (payload.cover && typeof payload.cover === 'object') {
+    if (payload.cover.enabled !== undefined) {
+      next.cover.enabled = Boolean(payload.cover.enabled);
+    }
+    if (payload.cover.size !== undefined) {
+      next.cover.size = Math.round(clamp(Number(payload.cover.size), 64, 720));
+    }
+    if (payload.cover.horizontal !== undefined) {
+      const horiz = String(payload.cover.horizontal).toLowerCase();
+      if (!H_ALIGN.has(horiz)) {
+        throw new Error('cover.horizontal must be one of left, center, right');
+      }
+      next.cover.horizontal = horiz;
+    }
+    if (payload.cover.vertical !== undefined) {
+      const vert = String(payload.cover.vertical).toLowerCase();
+      if (!V_ALIGN.has(vert)) {
+        throw new Error('cover.vertical must be one of top, center, bottom');
+      }
+      next.cover.vertical = vert;
+    }
+    if (payload.cover.offsetX !== undefined) {
+      next.cover.offsetX = clamp(Number(payload.cover.offsetX), -800, 800);
+    }
+    if (payload.cover.offsetY !== undefined) {
+      next.cover.offsetY = clamp(Number(payload.cover.offsetY), -800, 800);
+    }
+  }
+
+  if (payload.lyrics && typeof payload.lyrics === 'object') {
+    if (payload.lyrics.enabled !== undefined) {
+      next.lyrics.enabled = Boolean(payload.lyrics.enabled);
+    }
+    if (payload.lyrics.color !== undefined) {
+      next.lyrics.color = sanitizeColor(payload.lyrics.color, 'lyrics.color');
+    }
+    if (payload.lyrics.opacity !== undefined) {
+      next.lyrics.opacity = sanitizeOpacity(payload.lyrics.opacity, 'lyrics.opacity');
+    }
+    if (payload.lyrics.size !== undefined) {
+      next.lyrics.size = clamp(Number(payload.lyrics.size), 16, 96);
+    }
+    if (payload.lyrics.box !== undefined) {
+      next.lyrics.box = Boolean(payload.lyrics.box);
+    }
+    if (payload.lyrics.boxColor !== undefined) {
+      next.lyrics.boxColor = sanitizeColor(payload.lyrics.boxColor, 'lyrics.boxColor');
+    }
+    if (payload.lyrics.boxOpacity !== undefined) {
+      next.lyrics.boxOpacity = sanitizeOpacity(payload.lyrics.boxOpacity, 'lyrics.boxOpacity');
+    }
+    if (payload.lyrics.horizontal !== undefined) {
+      const horiz = String(payload.lyrics.horizontal).toLowerCase();
+      if (!H_ALIGN.has(horiz)) {
+        throw new Error('lyrics.horizontal must be one of left, center, right');
+      }
+      next.lyrics.horizontal = horiz;
+    }
+    if (payload.lyrics.vertical !== undefined) {
+      const vert = String(payload.lyrics.vertical).toLowerCase();
+      if (!V_ALIGN.has(vert)) {
+        throw new Error('lyrics.vertical must be one of top, center, bottom');
+      }
+      next.lyrics.vertical = vert;
+    }
+    if (payload.lyrics.offsetX !== undefined) {
+      next.lyrics.offsetX = clamp(Number(payload.lyrics.offsetX), -800, 800);
+    }
+    if (payload.lyrics.offsetY !== undefined) {
+      next.lyrics.offsetY = clamp(Number(payload.lyrics.offsetY), -800, 800);
+    }
+  }
+
   return next;
 }
 
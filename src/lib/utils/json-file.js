@@ -0,0 +1,68 @@
+'use strict';
+
+/**
+ * JSON file utilities
+ * Writes data files through a temp file that is renamed over the target, so
+ * a crash or full disk mid-write never leaves a truncated file behind.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Serializes a value for a data file
+ * @param {any} data - Value to serialize
+ * @param {boolean} pretty - Indent for readability
+ * @returns {string} JSON text
+ */
+function toJson(data, pretty) {
+  return pretty ? JSON.stringify(data, null, 2) : JSON.stringify(data);
+}
+
+/**
+ * Writes a value as JSON, creating the parent folder if needed. Throws on
+ * failure so callers decide how to report it; the temp file is removed first.
+ * @param {string} filePath - Target file
+ * @param {any} data - Value to serialize
+ * @param {Object} [options={}] - Write options
+ * @param {boolean} [options.pretty=true] - Indent the JSON for hand editing
+ */
+function writeJsonAtomicSync(filePath, data, options = {}) {
+  const { pretty = true } = options;
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.tmp`;
+  try {
+    fs.writeFileSync(tmpPath, toJson(data, pretty), 'utf8');
+    fs.renameSync(tmpPath, filePath);
+  } catch (err) {
+    fs.rmSync(tmpPath, { force: true });
+    throw err;
+  }
+}
+
+/**
+ * Writes a value as JSON without blocking the event loop. Callers must not
+ * start a second write to the same file before the first one settles.
+ * @param {string} filePath - Target file
+ * @param {any} data - Value to serialize
+ * @param {Object} [options={}] - Write options
+ * @param {boolean} [options.pretty=true] - Indent the JSON for hand editing
+ * @returns {Promise<void>} Resolves once the file is in place
+ */
+async function writeJsonAtomic(filePath, data, options = {}) {
+  const { pretty = true } = options;
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.tmp`;
+  try {
+    await fs.promises.writeFile(tmpPath, toJson(data, pretty), 'utf8');
+    await fs.promises.rename(tmpPath, filePath);
+  } catch (err) {
+    await fs.promises.rm(tmpPath, { force: true });
+    throw err;
+  }
+}
+
+module.exports = {
+  writeJsonAtomic,
+  writeJsonAtomicSync,
+};
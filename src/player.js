@@ -4,7 +4,7 @@
  * StreamDJ Player Module
  *
  * Orchestrates the music player components: playlist management, audio playback,
- * server connection, and HTTP API. Scans the music directory for MP3 files,
+ * server connection, and HTTP API. Scans the music directory for audio files,
  * extracts metadata, and streams decoded audio to the StreamDJ server via TCP.
  *
  * @module player
@@ -13,7 +13,7 @@
 const fs = require('fs');
 const path = require('path');
 const dotenv = require('dotenv');
-const { requireEnv } = require('./lib/utils/env');
+const { requireEnv, optionalEnv, optionalIntEnv } = require('./lib/utils/env');
 const { createLogger } = require('./lib/utils/logger');
 const { validateFfmpegAvailable, logFfmpegInstallHelp } = require('./lib/services/ffmpeg');
 
@@ -23,8 +23,38 @@ if (dotenv) {
 }
 
 /* Import modular components */
-const { createPlaylistManager } = require('./player/playlist-manager');
+const {
+  createPlaylistManager,
+  DEFAULT_AUDIO_EXTENSIONS,
+  PLAYBACK_ORDERS,
+  REPEAT_MODES,
+  DEFAULT_ROTATION_RULES,
+} = require('./player/playlist-manager');
+const { createPlayerSettings } = require('./player/player-settings');
+const { createPlaylistStore } = require('./player/playlist-store');
+const { createPlayHistory } = require('./player/play-history');
+const { createScheduleStore, isValidTimezone } = require('./player/schedule-store');
+const { createScheduler } = require('./player/scheduler');
+const {
+  createJingleRotation,
+  normalizeJingleRule,
+  DEFAULT_JINGLE_RULE,
+} = require('./player/jingles');
+const { createLibraryIndex } = require('./player/library-index');
+const { createLibraryRoots } = require('./player/library-roots');
+const {
+  createLoudnessAnalyzer,
+  LOUDNESS_MODES,
+  MIN_TARGET_LUFS,
+  MAX_TARGET_LUFS,
+} = require('./player/loudness');
+const { createSilenceAnalyzer } = require('./player/cue-points');
+const { createTempoKeyAnalyzer } = require('./player/tempo-key');
+const { createCoverArtCache } = require('./player/cover-art');
+const { normalizeStream } = require('./player/streams');
+const { normalizeVolumeSettings, DEFAULT_VOLUME_SETTINGS } = require('./player/master-volume');
 const { createPlaybackController } = require('./player/playback-controller');
+const { createPlaybackStateStore } = require('./player/playback-state');
 const { createAudioSocket } = require('./player/audio-socket');
 const { createHttpApi } = require('./player/http-api');
 
@@ -33,7 +63,24 @@ const { createHttpApi } = require('./player/http-api');
  */
 
 const RAW_MUSIC_DIR = requireEnv('MUSIC_DIR', 'player');
-const SHUFFLE_DEFAULT = true;
+const DEFAULT_PLAYBACK_MODE = { order: 'shuffle', repeat: 'all' };
+const AUDIO_EXTENSIONS = optionalEnv('AUDIO_EXTENSIONS', DEFAULT_AUDIO_EXTENSIONS.join(','))
+  .split(',')
+  .map((ext) => ext.trim())
+  .filter(Boolean);
+const CROSSFADE_SECONDS = optionalIntEnv('CROSSFADE_SECONDS', 0, 'player');
+const GAPLESS = optionalEnv('GAPLESS', 'true') !== 'false';
+const LOUDNESS_MODE = optionalEnv('LOUDNESS_MODE', 'off');
+const LOUDNESS_TARGET_LUFS = Number(optionalEnv('LOUDNESS_TARGET_LUFS', '-14'));
+const LOUDNESS_ANALYZE = optionalEnv('LOUDNESS_ANALYZE', 'false') === 'true';
+const AUTO_TRIM_SILENCE = optionalEnv('AUTO_TRIM_SILENCE', 'false') === 'true';
+const TEMPO_KEY_ANALYZE = optionalEnv('TEMPO_KEY_ANALYZE', 'false') === 'true';
+const RESUME_PLAYBACK = optionalEnv('RESUME_PLAYBACK', 'true') !== 'false';
+const RAW_JINGLES_DIR = optionalEnv('JINGLES_DIR', '');
+const SCHEDULE_TIMEZONE = optionalEnv(
+  'SCHEDULE_TIMEZONE',
+  Intl.DateTimeFormat().resolvedOptions().timeZone
+);
 
 /*
  * Logger
@@ -44,9 +91,10 @@ const { log, warn, error } = createLogger('player');
 /**
  * Resolve music directory with a fallback for project-relative paths.
  * @param {string} input - Raw MUSIC_DIR value
+ * @param {string} [envName='MUSIC_DIR'] - Variable name used in the fallback warning
  * @returns {string} Resolved path
  */
-function resolveMusicDir(input) {
+function resolveMusicDir(input, envName = 'MUSIC_DIR') {
   const resolved = path.resolve(input);
   if (fs.existsSync(resolved)) {
     return resolved;
@@ -56,7 +104,7 @@ function resolveMusicDir(input) {
   const projectRoot = path.resolve(__dirname, '..');
   const fallback = path.join(projectRoot, trimmed);
   if (fallback !== resolved && fs.existsSync(fallback)) {
-    warn(`MUSIC_DIR not found at ${resolved}; falling back to ${fallback}`);
+    warn(`${envName} not found at ${resolved}; falling back to ${fallback}`);
     return fallback;
   }
 
@@ -64,14 +112,39 @@ function resolveMusicDir(input) {
 }
 
 const MUSIC_DIR = resolveMusicDir(RAW_MUSIC_DIR);
+const JINGLES_DIR = RAW_JINGLES_DIR ? resolveMusicDir(RAW_JINGLES_DIR, 'JINGLES_DIR') : null;
+
+/* Runtime data (library index, etc.) lives next to the server's persisted state */
+const DATA_DIR = path.resolve(__dirname, '..', 'data');
+const LIBRARY_INDEX_PATH = path.join(DATA_DIR, 'library-index.json');
+const LIBRARY_ROOTS_PATH = path.join(DATA_DIR, 'library-roots.json');
+const PLAYER_SETTINGS_PATH = path.join(DATA_DIR, 'player-settings.json');
+const PLAYLISTS_PATH = path.join(DATA_DIR, 'playlists.json');
+const PLAY_HISTORY_PATH = path.join(DATA_DIR, 'play-history.jsonl');
+const SCHEDULE_PATH = path.join(DATA_DIR, 'schedule.json');
+const PLAYBACK_STATE_PATH = path.join(DATA_DIR, 'playback-state.json');
+const COVER_ART_DIR = path.join(DATA_DIR, 'covers');
 
 /*
  * Component Instances
  */
 
+let playerSettings = null;
+let playlistStore = null;
+let playHistory = null;
+let scheduleStore = null;
+let scheduler = null;
+let jingleRotation = null;
+let libraryIndex = null;
+let libraryRoots = null;
+let loudnessAnalyzer = null;
+let silenceAnalyzer = null;
+let tempoKeyAnalyzer = null;
+let coverArt = null;
 let playlistManager = null;
 let audioSocket = null;
 let playbackController = null;
+let playbackState = null;
 let httpApi = null;
 
 /**
@@ -95,9 +168,30 @@ function registerSignalHandlers() {
       audioSocket.setShuttingDown(true);
       audioSocket.disconnect();
     }
+    if (scheduler) {
+      scheduler.stop();
+    }
+    if (playbackState) {
+      await playbackState.stop();
+    }
     if (playlistManager) {
       playlistManager.stopWatcher();
     }
+    if (loudnessAnalyzer) {
+      loudnessAnalyzer.stop();
+    }
+    if (silenceAnalyzer) {
+      silenceAnalyzer.stop();
+    }
+    if (tempoKeyAnalyzer) {
+      tempoKeyAnalyzer.stop();
+    }
+    if (coverArt) {
+      coverArt.stop();
+    }
+    if (libraryIndex) {
+      await libraryIndex.save().catch((err) => warn('Failed to save library index:', err.message));
+    }
     if (httpApi) {
       await httpApi.stop();
     }
@@ -142,16 +236,141 @@ async function bootstrap() {
     process.exit(1);
   }
 
+  if (!LOUDNESS_MODES.includes(LOUDNESS_MODE)) {
+    error(`LOUDNESS_MODE must be one of: ${LOUDNESS_MODES.join(', ')}`);
+    process.exit(1);
+  }
+  if (
+    !Number.isFinite(LOUDNESS_TARGET_LUFS) ||
+    LOUDNESS_TARGET_LUFS < MIN_TARGET_LUFS ||
+    LOUDNESS_TARGET_LUFS > MAX_TARGET_LUFS
+  ) {
+    error(`LOUDNESS_TARGET_LUFS must be between ${MIN_TARGET_LUFS} and ${MAX_TARGET_LUFS}`);
+    process.exit(1);
+  }
+  if (!isValidTimezone(SCHEDULE_TIMEZONE)) {
+    error('SCHEDULE_TIMEZONE must be an IANA timezone name such as Europe/Berlin');
+    process.exit(1);
+  }
+
+  /* Runtime-adjustable settings persisted across restarts */
+  playerSettings = createPlayerSettings({ filePath: PLAYER_SETTINGS_PATH });
+  playerSettings.load();
+  const playbackMode = playerSettings.get('playbackMode', DEFAULT_PLAYBACK_MODE);
+  if (!PLAYBACK_ORDERS.includes(playbackMode.order)) {
+    playbackMode.order = DEFAULT_PLAYBACK_MODE.order;
+  }
+  if (!REPEAT_MODES.includes(playbackMode.repeat)) {
+    playbackMode.repeat = DEFAULT_PLAYBACK_MODE.repeat;
+  }
+  /* Loudness changed via PUT /loudness wins over the environment */
+  const loudnessSettings = playerSettings.get('loudness', {
+    mode: LOUDNESS_MODE,
+    targetLufs: LOUDNESS_TARGET_LUFS,
+  });
+  if (!LOUDNESS_MODES.includes(loudnessSettings.mode)) {
+    loudnessSettings.mode = LOUDNESS_MODE;
+  }
+  if (
+    typeof loudnessSettings.targetLufs !== 'number' ||
+    !(
+      loudnessSettings.targetLufs >= MIN_TARGET_LUFS &&
+      loudnessSettings.targetLufs <= MAX_TARGET_LUFS
+    )
+  ) {
+    loudnessSettings.targetLufs = LOUDNESS_TARGET_LUFS;
+  }
+
+  libraryIndex = createLibraryIndex({ filePath: LIBRARY_INDEX_PATH });
+
+  /* MUSIC_DIR is the main root; further roots are added through the API */
+  libraryRoots = createLibraryRoots({ musicDir: MUSIC_DIR, filePath: LIBRARY_ROOTS_PATH });
+  libraryRoots.load();
+
+  /* Untagged tracks are measured in the background; results land in the library index */
+  if (LOUDNESS_ANALYZE) {
+    loudnessAnalyzer = createLoudnessAnalyzer({
+      onResult: (fullPath, replayGain) => playlistManager.setTrackReplayGain(fullPath, replayGain),
+    });
+  }
+
+  /* Tracks without cue points get leading and trailing silence trimmed */
+  if (AUTO_TRIM_SILENCE) {
+    silenceAnalyzer = createSilenceAnalyzer({
+      onResult: (fullPath, cues) => playlistManager.setTrackCues(fullPath, cues),
+    });
+  }
+
+  /* Tracks without BPM or key tags are estimated for harmonic ordering */
+  if (TEMPO_KEY_ANALYZE) {
+    tempoKeyAnalyzer = createTempoKeyAnalyzer({
+      onResult: (fullPath, result) => playlistManager.setTrackTempoKey(fullPath, result),
+    });
+  }
+
+  /* Embedded pictures are resized into thumbnails shared by every track using them */
+  coverArt = createCoverArtCache({ dir: COVER_ART_DIR });
+
   playlistManager = createPlaylistManager({
     musicDir: MUSIC_DIR,
-    shuffle: SHUFFLE_DEFAULT,
+    libraryRoots,
+    shuffle: playbackMode.order !== 'sequential',
+    harmonic: playbackMode.order === 'harmonic',
+    repeat: playbackMode.repeat,
+    rotationRules: playerSettings.get('rotationRules', DEFAULT_ROTATION_RULES),
+    audioExtensions: AUDIO_EXTENSIONS,
+    libraryIndex,
+    loudnessAnalyzer,
+    silenceAnalyzer,
+    tempoKeyAnalyzer,
+    coverArt,
   });
 
+  /* Saved playlists and crates; the active one is the rotation outside scheduled slots */
+  playlistStore = createPlaylistStore({
+    filePath: PLAYLISTS_PATH,
+    musicDir: MUSIC_DIR,
+    libraryRoots,
+    onActiveChange: () => scheduler.check(),
+  });
+  playlistStore.load();
+  playlistManager.onTrackRenamed((oldPath, newPath) => playlistStore.renameTrack(oldPath, newPath));
+
+  /* Weekly programming clock */
+  scheduleStore = createScheduleStore({
+    filePath: SCHEDULE_PATH,
+    defaultTimezone: SCHEDULE_TIMEZONE,
+    onChange: () => scheduler.check(),
+    checkSource: (source) => scheduler.checkSource(source),
+  });
+  scheduleStore.load();
+
+  /* Every play is logged for setlist recall */
+  playHistory = createPlayHistory({
+    filePath: PLAY_HISTORY_PATH,
+    musicDir: MUSIC_DIR,
+    libraryRoots,
+  });
+  playHistory.load();
+
+  /* Station IDs and sweepers played between tracks; schedule slots may override the rule */
+  if (JINGLES_DIR) {
+    const savedJingleRule = normalizeJingleRule(
+      playerSettings.get('jingleRule', DEFAULT_JINGLE_RULE)
+    );
+    jingleRotation = createJingleRotation({
+      dir: JINGLES_DIR,
+      audioExtensions: AUDIO_EXTENSIONS,
+      rule: 'error' in savedJingleRule ? DEFAULT_JINGLE_RULE : savedJingleRule.rule,
+      getOverride: () => scheduler.getJingleRule(),
+    });
+  }
+
   /* Initialize audio socket with drain callback */
   audioSocket = createAudioSocket({
     onDrain: () => {
       if (playbackController) {
-        playbackController.resumeFfmpegStdout();
+        playbackController.handleSocketDrain();
       }
     },
   });
@@ -160,6 +379,22 @@ async function bootstrap() {
   playbackController = createPlaybackController({
     playlistManager,
     audioSocket,
+    crossfadeSeconds: CROSSFADE_SECONDS,
+    gapless: GAPLESS,
+    loudness: { mode: loudnessSettings.mode, targetLufs: loudnessSettings.targetLufs },
+    playHistory,
+    jingles: jingleRotation,
+    volume: normalizeVolumeSettings(playerSettings.get('masterVolume', DEFAULT_VOLUME_SETTINGS)),
+  });
+
+  /* Switches the rotation source as schedule slots begin and end */
+  scheduler = createScheduler({
+    scheduleStore,
+    playlistManager,
+    playlistStore,
+    musicDir: MUSIC_DIR,
+    libraryRoots,
+    playbackController,
   });
 
   /* Initialize HTTP API */
@@ -167,6 +402,15 @@ async function bootstrap() {
     playlistManager,
     playbackController,
     audioSocket,
+    libraryIndex,
+    playerSettings,
+    playlistStore,
+    playHistory,
+    scheduleStore,
+    scheduler,
+    jingleRotation,
+    coverArt,
+    libraryRoots,
   });
 
   /* Register signal handlers */
@@ -174,7 +418,36 @@ async function bootstrap() {
 
   /* Initialize playlist and start components */
   await playlistManager.ensureMusicDir();
+  await libraryIndex.load();
+  await coverArt.load();
   await playlistManager.loadInitialPlaylist();
+  for (const saved of playerSettings.get('streams', [])) {
+    const parsed = normalizeStream(saved);
+    if ('stream' in parsed) {
+      playlistManager.addStream(parsed.stream);
+    }
+  }
+  if (jingleRotation) {
+    await jingleRotation.load();
+  }
+  scheduler.start();
+
+  /* Continue the previous run's track, queue and shuffle order */
+  let resume = null;
+  if (RESUME_PLAYBACK) {
+    playbackState = createPlaybackStateStore({
+      filePath: PLAYBACK_STATE_PATH,
+      getSnapshot: () => ({
+        ...playlistManager.getResumeState(),
+        position: playbackController.getResumePosition(),
+      }),
+    });
+    const saved = playbackState.load();
+    const index = saved ? playlistManager.restoreResumeState(saved) : -1;
+    if (index !== -1) {
+      resume = { index, offset: typeof saved.position === 'number' ? saved.position : null };
+    }
+  }
   playlistManager.watchMusicDirectory();
 
   /* Connect to audio server */
@@ -184,7 +457,10 @@ async function bootstrap() {
   await httpApi.start();
 
   /* Start playback loop */
-  await playbackController.startPlaybackLoop();
+  await playbackController.startPlaybackLoop(resume);
+  if (playbackState) {
+    playbackState.start();
+  }
 }
 
 bootstrap().catch((err) => {
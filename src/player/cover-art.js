@@ -0,0 +1,293 @@
+'use strict';
+
+/**
+ * Cover Art Module
+ *
+ * Extracts embedded cover art found while scanning and caches it on disk as
+ * JPEG thumbnails in fixed sizes, resized with FFmpeg in the background one
+ * picture at a time. Thumbnails are keyed by a hash of the picture, so the
+ * tracks of an album share one set of files.
+ *
+ * @module player/cover-art
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const mm = require('music-metadata');
+const { createLogger } = require('../lib/utils/logger');
+
+const { log, warn } = createLogger('cover-art');
+
+/**
+ * Thumbnail sizes (longest edge in pixels); smaller pictures are not upscaled
+ */
+const COVER_SIZES = { thumb: 96, large: 512 };
+
+/**
+ * Cover ids are the first 16 hex digits of the picture's SHA-1
+ */
+const COVER_ID_PATTERN = /^[0-9a-f]{16}$/;
+
+/**
+ * Picks the picture to use as cover art: the front cover if tagged as such,
+ * otherwise the first one
+ * @param {Array<{type?: string, data: Uint8Array}>|undefined} pictures - music-metadata `common.picture`
+ * @returns {{type?: string, data: Uint8Array}|null} Picture, or null if there is none
+ */
+function selectPicture(pictures) {
+  if (!Array.isArray(pictures) || pictures.length === 0) {
+    return null;
+  }
+  const front = pictures.find((picture) => picture.type === 'Cover (front)');
+  const picture = front || pictures[0];
+  return picture && picture.data && picture.data.length > 0 ? picture : null;
+}
+
+/**
+ * Derives the cover id of a picture
+ * @param {Uint8Array} data - Picture bytes
+ * @returns {string} Cover id
+ */
+function getCoverId(data) {
+  return crypto.createHash('sha1').update(data).digest('hex').slice(0, 16);
+}
+
+/**
+ * Creates a cover art cache that renders thumbnails into a directory
+ * @param {Object} options - Configuration options
+ * @param {string} options.dir - Directory thumbnails are stored in
+ * @returns {Object} CoverArtCache instance
+ */
+function createCoverArtCache(options) {
+  const { dir } = options;
+
+  /** @type {Set<string>} Ids with every size rendered */
+  const available = new Set();
+  /** @type {Array<{id: string, fullPath: string}>} */
+  const queue = [];
+  const queued = new Set();
+  const failed = new Set();
+  let current = null;
+  let activeProcess = null;
+  let stopped = false;
+
+  /**
+   * Returns the file a thumbnail is stored in
+   * @param {string} id - Cover id
+   * @param {string} size - Key of COVER_SIZES
+   * @returns {string} Absolute file path
+   */
+  function thumbnailPath(id, size) {
+    return path.join(dir, `${id}-${size}.jpg`);
+  }
+
+  /**
+   * Finds thumbnails rendered by earlier runs
+   * @returns {Promise<void>}
+   */
+  async function load() {
+    let files;
+    try {
+      await fs.promises.mkdir(dir, { recursive: true });
+      files = new Set(await fs.promises.readdir(dir));
+    } catch (err) {
+      warn(`Unable to read cover art cache ${dir}: ${err.message}`);
+      return;
+    }
+    for (const file of files) {
+      const match = /^([0-9a-f]{16})-large\.jpg$/.exec(file);
+      if (match && Object.keys(COVER_SIZES).every((size) => files.has(`${match[1]}-${size}.jpg`))) {
+        available.add(match[1]);
+      }
+    }
+    log(`Found ${available.size} cached covers`);
+  }
+
+  /**
+   * Checks whether a cover's thumbnails are rendered
+   * @param {string} id - Cover id
+   * @returns {boolean} True if all sizes are available
+   */
+  function has(id) {
+    return available.has(id);
+  }
+
+  /**
+   * Returns the thumbnail file of a cover
+   * @param {string} id - Cover id
+   * @param {string} size - Key of COVER_SIZES
+   * @returns {string|null} Absolute file path, or null if not rendered
+   */
+  function getPath(id, size) {
+    return available.has(id) && COVER_SIZES[size] ? thumbnailPath(id, size) : null;
+  }
+
+  /**
+   * Queues thumbnails to be rendered from a track's embedded picture. The
+   * picture is read again when its turn comes so a scan does not hold every
+   * cover in memory.
+   * @param {string} id - Cover id
+   * @param {string} fullPath - Audio file the picture is embedded in
+   */
+  function enqueue(id, fullPath) {
+    if (stopped || available.has(id) || queued.has(id) || failed.has(id)) {
+      return;
+    }
+    queued.add(id);
+    queue.push({ id, fullPath });
+    processQueue();
+  }
+
+  /**
+   * Starts the next render if none is running
+   */
+  function processQueue() {
+    if (current || stopped || queue.length === 0) {
+      return;
+    }
+    const { id, fullPath } = queue.shift();
+    current = renderCover(id, fullPath)
+      .then((rendered) => {
+        if (rendered) {
+          available.add(id);
+        } else {
+          failed.add(id);
+        }
+      })
+      .catch((err) => {
+        failed.add(id);
+        warn(`Failed to extract cover art from ${fullPath}: ${err.message}`);
+      })
+      .finally(() => {
+        queued.delete(id);
+        current = null;
+        if (queue.length === 0 && !stopped) {
+          log('Cover art queue finished');
+        }
+        processQueue();
+      });
+  }
+
+  /**
+   * Reads a track's picture and renders every thumbnail size
+   * @param {string} id - Cover id
+   * @param {string} fullPath - Audio file
+   * @returns {Promise<boolean>} True if the thumbnails were written
+   */
+  async function renderCover(id, fullPath) {
+    const metadata = await mm.parseFile(fullPath);
+    const picture = selectPicture(metadata.common && metadata.common.picture);
+    if (!picture) {
+      return false;
+    }
+    const sizes = Object.entries(COVER_SIZES);
+    const split = `[0:v]split=${sizes.length}${sizes.map(([size]) => `[${size}]`).join('')}`;
+    const scales = sizes.map(
+      ([size, edge]) =>
+        `[${size}]scale='min(${edge},iw)':'min(${edge},ih)':force_original_aspect_ratio=decrease[${size}out]`
+    );
+    const args = [
+      '-hide_banner',
+      '-loglevel',
+      'error',
+      '-f',
+      'image2pipe',
+      '-i',
+      'pipe:0',
+      '-filter_complex',
+      [split, ...scales].join(';'),
+    ];
+    for (const [size] of sizes) {
+      args.push(
+        '-map',
+        `[${size}out]`,
+        '-frames:v',
+        '1',
+        '-q:v',
+        '3',
+        '-y',
+        `${thumbnailPath(id, size)}.tmp.jpg`
+      );
+    }
+    const code = await runFfmpeg(args, picture.data);
+    if (code !== 0) {
+      if (!stopped) {
+        warn(`Cover art resize failed for ${fullPath} (code=${code})`);
+      }
+      for (const [size] of sizes) {
+        await fs.promises.rm(`${thumbnailPath(id, size)}.tmp.jpg`, { force: true });
+      }
+      return false;
+    }
+    for (const [size] of sizes) {
+      await fs.promises.rename(`${thumbnailPath(id, size)}.tmp.jpg`, thumbnailPath(id, size));
+    }
+    return true;
+  }
+
+  /**
+   * Runs FFmpeg with a picture on stdin
+   * @param {string[]} args - FFmpeg arguments
+   * @param {Uint8Array} input - Bytes written to stdin
+   * @returns {Promise<number|null>} Exit code
+   */
+  function runFfmpeg(args, input) {
+    return new Promise((resolve) => {
+      let ffmpeg;
+      try {
+        ffmpeg = spawn('ffmpeg', args, { stdio: ['pipe', 'ignore', 'ignore'] });
+      } catch (err) {
+        warn(`Failed to start cover art resize: ${err.message}`);
+        resolve(null);
+        return;
+      }
+      activeProcess = ffmpeg;
+      ffmpeg.on('error', (err) => {
+        warn(`Cover art resize failed: ${err.message}`);
+      });
+      /* FFmpeg may exit before reading everything (e.g. an unsupported format) */
+      ffmpeg.stdin.on('error', () => {});
+      ffmpeg.stdin.end(input);
+      ffmpeg.on('close', (code) => {
+        activeProcess = null;
+        resolve(code);
+      });
+    });
+  }
+
+  /**
+   * Stops rendering and drops queued covers
+   */
+  function stop() {
+    stopped = true;
+    queue.length = 0;
+    queued.clear();
+    if (activeProcess) {
+      activeProcess.kill('SIGTERM');
+    }
+  }
+
+  return {
+    /* Lifecycle */
+    load,
+    stop,
+
+    /* Thumbnails */
+    enqueue,
+    has,
+    getPath,
+    get pending() {
+      return queue.length + (current ? 1 : 0);
+    },
+  };
+}
+
+module.exports = {
+  createCoverArtCache,
+  selectPicture,
+  getCoverId,
+  COVER_SIZES,
+  COVER_ID_PATTERN,
+};
@@ -0,0 +1,346 @@
+'use strict';
+
+/**
+ * Cue Points Module
+ *
+ * Per-track cue-in/cue-out points and fade lengths. Cues are either set by
+ * hand through the API or detected by trimming leading and trailing silence
+ * with FFmpeg's silencedetect filter in the background. They are stored with
+ * the track's metadata in the library index.
+ *
+ * @module player/cue-points
+ */
+
+const { spawn } = require('child_process');
+const { createLogger } = require('../lib/utils/logger');
+
+const { log, warn } = createLogger('cue-points');
+
+/**
+ * Upper bound for fade-in and fade-out lengths
+ */
+const MAX_CUE_FADE_SECONDS = 30;
+
+/**
+ * Level and minimum length of what counts as silence when trimming
+ */
+const SILENCE_THRESHOLD_DB = -50;
+const SILENCE_MIN_SECONDS = 0.5;
+
+/**
+ * Leading silence must start this close to the beginning of the file
+ */
+const SILENCE_EDGE_TOLERANCE_SECONDS = 0.05;
+
+/**
+ * @typedef {Object} CuePoints
+ * @property {number} in - Playback starts here (seconds)
+ * @property {number|null} out - Playback ends here (seconds), null for the end of the file
+ * @property {number} fadeIn - Fade-in length after the cue-in point (seconds)
+ * @property {number} fadeOut - Fade-out length before the cue-out point (seconds)
+ * @property {string} source - 'manual' or 'auto' (silence detection)
+ */
+
+/**
+ * Rounds seconds to milliseconds
+ * @param {number} seconds - Value in seconds
+ * @returns {number} Rounded value
+ */
+function roundSeconds(seconds) {
+  return Math.round(seconds * 1000) / 1000;
+}
+
+/**
+ * Validates cue points set through the API
+ * @param {any} input - Candidate cues: `in`, `out`, `fadeIn`, `fadeOut` (all optional)
+ * @param {number|null} duration - Track duration in seconds, if known
+ * @returns {{cues: CuePoints}|{error: string}} Normalized cues or a validation error
+ */
+function normalizeCuePoints(input, duration) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'Cue points must be an object' };
+  }
+  const isSeconds = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+  const cueIn = input.in === undefined ? 0 : input.in;
+  const cueOut = input.out === undefined ? null : input.out;
+  const fadeIn = input.fadeIn === undefined ? 0 : input.fadeIn;
+  const fadeOut = input.fadeOut === undefined ? 0 : input.fadeOut;
+  if (!isSeconds(cueIn)) {
+    return { error: 'in must be a non-negative number of seconds' };
+  }
+  if (cueOut !== null && (!isSeconds(cueOut) || cueOut <= cueIn)) {
+    return { error: 'out must be null or a number of seconds after in' };
+  }
+  const known = Number.isFinite(duration) && duration > 0;
+  if (known && (cueIn >= duration || (cueOut !== null && cueOut > duration + 1))) {
+    return { error: `Cue points must lie within the track (${duration}s)` };
+  }
+  for (const [name, value] of [
+    ['fadeIn', fadeIn],
+    ['fadeOut', fadeOut],
+  ]) {
+    if (!isSeconds(value) || value > MAX_CUE_FADE_SECONDS) {
+      return { error: `${name} must be between 0 and ${MAX_CUE_FADE_SECONDS} seconds` };
+    }
+  }
+  const end = cueOut !== null ? cueOut : known ? duration : null;
+  if (end !== null && fadeIn + fadeOut > end - cueIn) {
+    return { error: 'fadeIn and fadeOut together exceed the playable length' };
+  }
+  return {
+    cues: {
+      in: roundSeconds(cueIn),
+      out: cueOut === null ? null : roundSeconds(cueOut),
+      fadeIn: roundSeconds(fadeIn),
+      fadeOut: roundSeconds(fadeOut),
+      source: 'manual',
+    },
+  };
+}
+
+/**
+ * Returns where playback of a track ends
+ * @param {Object} track - Track metadata
+ * @returns {number|null} End position in seconds, or null if unknown
+ */
+function getPlayableEnd(track) {
+  if (track.cues && track.cues.out !== null) {
+    return track.cues.out;
+  }
+  return Number.isFinite(track.duration) && track.duration > 0 ? track.duration : null;
+}
+
+/**
+ * Returns how long a track plays between its cue points
+ * @param {Object} track - Track metadata
+ * @returns {number|null} Length in seconds, or null if unknown
+ */
+function getPlayableLength(track) {
+  const end = getPlayableEnd(track);
+  return end === null ? null : end - (track.cues ? track.cues.in : 0);
+}
+
+/**
+ * Builds FFmpeg input options and audio filters that apply a track's cues
+ * when decoding from a position
+ * @param {CuePoints|null|undefined} cues - Track cues
+ * @param {number} startSeconds - Decoder start position (already at or after cue-in)
+ * @param {number|null} duration - Track duration in seconds, if known
+ * @returns {{inputArgs: string[], filters: string[]}} Options placed before `-i`, and filters
+ */
+function buildCueArgs(cues, startSeconds, duration) {
+  const inputArgs = [];
+  const filters = [];
+  if (!cues) {
+    return { inputArgs, filters };
+  }
+  const end =
+    cues.out !== null ? cues.out : Number.isFinite(duration) && duration > 0 ? duration : null;
+  if (cues.out !== null) {
+    inputArgs.push('-t', Math.max(cues.out - startSeconds, 0).toFixed(3));
+  }
+  /* A decoder restarted mid-track (seek, resume) does not fade in again */
+  if (cues.fadeIn > 0 && startSeconds <= cues.in) {
+    filters.push(`afade=t=in:st=0:d=${cues.fadeIn.toFixed(3)}`);
+  }
+  if (cues.fadeOut > 0 && end !== null) {
+    const fadeStart = Math.max(end - cues.fadeOut - startSeconds, 0);
+    const fadeLength = Math.min(cues.fadeOut, Math.max(end - startSeconds, 0));
+    if (fadeLength > 0) {
+      filters.push(`afade=t=out:st=${fadeStart.toFixed(3)}:d=${fadeLength.toFixed(3)}`);
+    }
+  }
+  return { inputArgs, filters };
+}
+
+/**
+ * Parses FFmpeg silencedetect output into trim points. Only silence that
+ * touches the start or the end of the file is trimmed.
+ * @param {string} output - FFmpeg stderr output
+ * @returns {{in: number, out: number|null}} Trim points (0 and null when nothing is trimmed)
+ */
+function parseSilenceDetect(output) {
+  const durationMatch = /Duration:\s+(\d+):(\d{2}):(\d{2}(?:\.\d+)?)/.exec(output);
+  const duration = durationMatch
+    ? Number(durationMatch[1]) * 3600 + Number(durationMatch[2]) * 60 + Number(durationMatch[3])
+    : null;
+
+  /** @type {Array<{start: number, end: number|null}>} */
+  const silences = [];
+  const pattern = /silence_(start|end): (-?\d+(?:\.\d+)?)/g;
+  let match;
+  while ((match = pattern.exec(output)) !== null) {
+    const value = Number.parseFloat(match[2]);
+    if (match[1] === 'start') {
+      silences.push({ start: value, end: null });
+    } else if (silences.length > 0 && silences[silences.length - 1].end === null) {
+      silences[silences.length - 1].end = value;
+    }
+  }
+
+  let cueIn = 0;
+  let cueOut = null;
+  const first = silences[0];
+  if (first && first.start <= SILENCE_EDGE_TOLERANCE_SECONDS) {
+    if (first.end === null || (duration !== null && first.end >= duration)) {
+      /* The whole file is silent; leave it untrimmed */
+      return { in: 0, out: null };
+    }
+    cueIn = first.end;
+  }
+  const last = silences[silences.length - 1];
+  const reachesEnd =
+    last &&
+    (last.end === null ||
+      (duration !== null && last.end >= duration - SILENCE_EDGE_TOLERANCE_SECONDS));
+  if (reachesEnd && last.start > cueIn) {
+    cueOut = last.start;
+  }
+  return {
+    in: roundSeconds(Math.max(cueIn, 0)),
+    out: cueOut === null ? null : roundSeconds(cueOut),
+  };
+}
+
+/**
+ * Creates a background analyzer that detects leading and trailing silence
+ * in tracks without cues, one file at a time
+ * @param {Object} options - Configuration options
+ * @param {Function} options.onResult - Called with (fullPath, CuePoints) after each analysis
+ * @returns {Object} SilenceAnalyzer instance
+ */
+function createSilenceAnalyzer(options) {
+  const { onResult } = options;
+
+  /** @type {string[]} */
+  const queue = [];
+  const queued = new Set();
+  const failed = new Set();
+  let current = null;
+  let activeProcess = null;
+  let stopped = false;
+
+  /**
+   * Queues a file for analysis unless it is already queued or failed before
+   * @param {string} fullPath - Absolute file path
+   */
+  function enqueue(fullPath) {
+    if (stopped || queued.has(fullPath) || failed.has(fullPath)) {
+      return;
+    }
+    queued.add(fullPath);
+    queue.push(fullPath);
+    processQueue();
+  }
+
+  /**
+   * Starts the next analysis if none is running
+   */
+  function processQueue() {
+    if (current || stopped || queue.length === 0) {
+      return;
+    }
+    const fullPath = queue.shift();
+    current = analyzeFile(fullPath)
+      .then((trim) => {
+        if (trim) {
+          onResult(fullPath, { ...trim, fadeIn: 0, fadeOut: 0, source: 'auto' });
+        } else {
+          failed.add(fullPath);
+        }
+      })
+      .catch((err) => warn(`Failed to store cue points for ${fullPath}: ${err.message}`))
+      .finally(() => {
+        queued.delete(fullPath);
+        current = null;
+        if (queue.length === 0 && !stopped) {
+          log('Silence trim queue finished');
+        }
+        processQueue();
+      });
+  }
+
+  /**
+   * Runs FFmpeg's silencedetect filter over a file
+   * @param {string} fullPath - Absolute file path
+   * @returns {Promise<{in: number, out: number|null}|null>} Trim points, or null on failure
+   */
+  function analyzeFile(fullPath) {
+    return new Promise((resolve) => {
+      const args = [
+        '-hide_banner',
+        '-nostats',
+        '-i',
+        fullPath,
+        '-map',
+        '0:a:0',
+        '-af',
+        `silencedetect=noise=${SILENCE_THRESHOLD_DB}dB:d=${SILENCE_MIN_SECONDS}`,
+        '-f',
+        'null',
+        '-',
+      ];
+      let output = '';
+      let ffmpeg;
+      try {
+        ffmpeg = spawn('ffmpeg', args, { stdio: ['ignore', 'ignore', 'pipe'] });
+      } catch (err) {
+        warn(`Failed to start silence detection: ${err.message}`);
+        resolve(null);
+        return;
+      }
+      activeProcess = ffmpeg;
+      ffmpeg.stderr.setEncoding('utf8');
+      ffmpeg.stderr.on('data', (chunk) => {
+        /* Header and silence events only; a bound guards against pathological files */
+        if (output.length < 262144) {
+          output += chunk;
+        }
+      });
+      ffmpeg.on('error', (err) => {
+        warn(`Silence detection failed for ${fullPath}: ${err.message}`);
+      });
+      ffmpeg.on('close', (code) => {
+        activeProcess = null;
+        if (code !== 0) {
+          if (!stopped) {
+            warn(`Silence detection failed for ${fullPath} (code=${code})`);
+          }
+          resolve(null);
+          return;
+        }
+        resolve(parseSilenceDetect(output));
+      });
+    });
+  }
+
+  /**
+   * Stops analysis and drops queued files
+   */
+  function stop() {
+    stopped = true;
+    queue.length = 0;
+    queued.clear();
+    if (activeProcess) {
+      activeProcess.kill('SIGTERM');
+    }
+  }
+
+  return {
+    enqueue,
+    stop,
+    get pending() {
+      return queue.length + (current ? 1 : 0);
+    },
+  };
+}
+
+module.exports = {
+  createSilenceAnalyzer,
+  normalizeCuePoints,
+  getPlayableEnd,
+  getPlayableLength,
+  buildCueArgs,
+  parseSilenceDetect,
+  MAX_CUE_FADE_SECONDS,
+};
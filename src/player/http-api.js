@@ -11,9 +11,32 @@
 
 const express = require('express');
 const http = require('http');
+const path = require('path');
 const { createLogger } = require('../lib/utils/logger');
 const { PLAYER_API_PORT, PLAYER_API_HOST } = require('../lib/config');
 const { createAuthMiddleware, isAuthEnabled } = require('../lib/utils/auth');
+const { MAX_CROSSFADE_SECONDS } = require('./playback-controller');
+const { LOUDNESS_MODES, MIN_TARGET_LUFS, MAX_TARGET_LUFS } = require('./loudness');
+const {
+  PLAYBACK_ORDERS,
+  REPEAT_MODES,
+  ROTATION_FALLBACKS,
+  MAX_SEPARATION,
+  MAX_REPEAT_HOURS,
+} = require('./playlist-manager');
+const { normalizeName, PLAYLIST_KINDS } = require('./playlist-store');
+const { parseM3u, buildM3u, createLibraryMatcher } = require('./m3u');
+const { parseLibraryQuery, queryLibrary } = require('./library-query');
+const { parseHistoryQuery } = require('./play-history');
+const { parseReportQuery, buildPlayReport, formatReportCsv } = require('./play-report');
+const { getLocalTime, WEEKDAYS } = require('./schedule-store');
+const { normalizeJingleRule } = require('./jingles');
+const { normalizeCuePoints } = require('./cue-points');
+const { COVER_SIZES, COVER_ID_PATTERN } = require('./cover-art');
+const { loadLyrics, findLyricIndex } = require('./lyrics');
+const { MAX_BPM_TOLERANCE } = require('./tempo-key');
+const { normalizeStream, MAX_STREAMS } = require('./streams');
+const { parseLevel, MAX_FADE_SECONDS } = require('./master-volume');
 
 const { log, error } = createLogger('api');
 
@@ -23,6 +46,16 @@ const { log, error } = createLogger('api');
  * @param {Object} options.playlistManager - PlaylistManager instance
  * @param {Object} options.playbackController - PlaybackController instance
  * @param {Object} options.audioSocket - AudioSocket instance
+ * @param {Object} [options.libraryIndex] - LibraryIndex instance
+ * @param {Object} [options.playerSettings] - PlayerSettings instance used to persist runtime changes
+ * @param {Object} [options.playlistStore] - PlaylistStore instance for saved playlists and crates
+ * @param {Object} [options.playHistory] - PlayHistory instance backing GET /history
+ * @param {Object} [options.scheduleStore] - ScheduleStore instance for the weekly schedule
+ * @param {Object} [options.scheduler] - Scheduler instance applying the schedule
+ * @param {Object} [options.jingleRotation] - JingleRotation instance inserting jingles; null
+ *   when JINGLES_DIR is unset
+ * @param {Object} [options.coverArt] - CoverArtCache instance serving cover thumbnails
+ * @param {Object} [options.libraryRoots] - LibraryRoots instance managed through /roots
  * @param {number} [options.port] - HTTP port to listen on
  * @param {string} [options.host] - HTTP host to bind to
  * @returns {Object} HTTP API instance
@@ -32,6 +65,15 @@ function createHttpApi(options) {
     playlistManager,
     playbackController,
     audioSocket,
+    libraryIndex = null,
+    playerSettings = null,
+    playlistStore = null,
+    playHistory = null,
+    scheduleStore = null,
+    scheduler = null,
+    jingleRotation = null,
+    coverArt = null,
+    libraryRoots = null,
     port = PLAYER_API_PORT,
     host = PLAYER_API_HOST,
   } = options;
@@ -71,6 +113,280 @@ function createHttpApi(options) {
     });
   }
 
+  /**
+   * Parses an integer from a route parameter or JSON body value
+   * @param {any} value - Raw value
+   * @returns {number|null} Parsed integer, or null if invalid
+   */
+  function parseInteger(value) {
+    if (typeof value === 'number') {
+      return Number.isInteger(value) ? value : null;
+    }
+    if (typeof value === 'string' && /^-?\d+$/.test(value.trim())) {
+      return Number.parseInt(value, 10);
+    }
+    return null;
+  }
+
+  /**
+   * Resolves the playlist index a request refers to, by `index` or `filename`
+   * @param {Object} body - Request body
+   * @returns {number} Playlist index, or -1 if no track matches
+   */
+  function resolveTrackIndex(body) {
+    const payload = body || {};
+    if (payload.index !== undefined) {
+      const index = parseInteger(payload.index);
+      return index !== null && playlistManager.getTrackAtIndex(index) ? index : -1;
+    }
+    return playlistManager.findTrackIndex(payload.filename);
+  }
+
+  /**
+   * Resolves track references (playlist indices, file names or library
+   * paths) to absolute paths
+   * @param {any} references - Candidate array of references
+   * @returns {{paths: string[], unknown: any[]}|null} Resolved paths and unresolved
+   *   references, or null if the value is not an array
+   */
+  function resolveTrackReferences(references) {
+    if (!Array.isArray(references)) {
+      return null;
+    }
+    const paths = [];
+    const unknown = [];
+    for (const reference of references) {
+      const index =
+        typeof reference === 'number'
+          ? resolveTrackIndex({ index: reference })
+          : playlistManager.findTrackIndex(reference);
+      if (index === -1) {
+        unknown.push(reference);
+      } else {
+        paths.push(playlistManager.getTrackAtIndex(index).fullPath);
+      }
+    }
+    return { paths, unknown };
+  }
+
+  /**
+   * Adds library details to a saved playlist. Files that are no longer in
+   * the library stay listed with `missing: true`.
+   * @param {Object} playlist - Saved playlist from the store
+   * @returns {Object} Playlist with track details
+   */
+  function describePlaylist(playlist) {
+    const indices = playlistManager.resolveTrackPaths(
+      playlist.tracks.map(playlistStore.toFullPath)
+    );
+    return {
+      ...playlist,
+      trackCount: playlist.tracks.length,
+      tracks: playlist.tracks.map((trackPath, position) => {
+        const index = indices[position];
+        const track = index === -1 ? null : playlistManager.getTrackAtIndex(index);
+        return {
+          position,
+          path: trackPath,
+          index: track ? index : null,
+          title: track ? track.title : null,
+          artist: track ? track.artist : null,
+          album: track ? track.album : null,
+          duration: track ? track.duration : null,
+          missing: !track,
+        };
+      }),
+    };
+  }
+
+  /**
+   * Describes the current rotation source. While a schedule slot is active
+   * it overrides the saved source, which applies again once the slot ends.
+   * @returns {{source: Object|null, scheduledSlot: string|null, availableTracks: number}}
+   *   Rotation status
+   */
+  function describeRotation() {
+    const active = playlistStore.getActive();
+    return {
+      source: active ? { id: active.id, name: active.name, kind: active.kind } : null,
+      scheduledSlot: scheduler ? scheduler.getStatus().activeSlotId : null,
+      availableTracks: playlistManager.getRotationSize(),
+    };
+  }
+
+  /**
+   * Lists the library roots with the number of tracks each one holds
+   * @returns {Array<Object>} Roots with a `tracks` count
+   */
+  function describeRoots() {
+    const counts = new Map();
+    for (const track of playlistManager.playlist) {
+      counts.set(track.root, (counts.get(track.root) || 0) + 1);
+    }
+    return libraryRoots.list().map((root) => ({ ...root, tracks: counts.get(root.id) || 0 }));
+  }
+
+  /**
+   * Rescans after a root change and replies with the changed root
+   * @param {Object} res - Express response
+   * @param {number} status - HTTP status of the reply
+   * @param {Object|null} root - Changed root, or null to reply without a body
+   * @returns {Promise<void>}
+   */
+  async function applyRootChange(res, status, root) {
+    try {
+      const { added, removed } = await playlistManager.reloadRoots();
+      log(`Library roots changed: ${added} tracks added, ${removed} removed`);
+    } catch (err) {
+      error('Library rescan failed:', err.message);
+      res.status(500).json({ error: 'Library rescan failed' });
+      return;
+    }
+    if (root) {
+      res.status(status).json(describeRoots().find((entry) => entry.id === root.id) || root);
+    } else {
+      res.status(status).end();
+    }
+  }
+
+  /**
+   * Describes the schedule with the slot in effect and the schedule's local time
+   * @returns {Object} Schedule status
+   */
+  function describeSchedule() {
+    const schedule = scheduleStore.get();
+    const local = getLocalTime(new Date(), schedule.timezone);
+    const hours = String(Math.floor(local.minutes / 60)).padStart(2, '0');
+    const minutes = String(local.minutes % 60).padStart(2, '0');
+    return {
+      ...schedule,
+      activeSlotId: scheduler ? scheduler.getStatus().activeSlotId : null,
+      localTime: { day: WEEKDAYS[local.day], time: `${hours}:${minutes}` },
+    };
+  }
+
+  /**
+   * Resolves the library track a `/tracks/:index` route refers to
+   * @param {string} value - Route parameter
+   * @returns {{index: number, track: Object}|null} Index and track, or null if not found
+   */
+  function findTrackParam(value) {
+    const index = parseInteger(value);
+    const track = index === null ? null : playlistManager.getTrackAtIndex(index);
+    return track ? { index, track } : null;
+  }
+
+  /**
+   * Describes a track's cue points
+   * @param {number} index - Playlist index
+   * @param {Object} track - Track metadata
+   * @returns {{index: number, filename: string, duration: number|null, cues: Object|null}} Cue status
+   */
+  function describeCues(index, track) {
+    return { index, filename: track.filename, duration: track.duration, cues: track.cues || null };
+  }
+
+  /**
+   * Sends a cover thumbnail, or an error if it is not available
+   * @param {import('express').Response} res - Express response
+   * @param {string|null} id - Cover id
+   * @param {unknown} sizeParam - Requested size (`thumb` or `large`, default `large`)
+   * @param {string} cacheControl - Cache-Control header for the image
+   */
+  function sendCover(res, id, sizeParam, cacheControl) {
+    const size = sizeParam === undefined ? 'large' : sizeParam;
+    if (typeof size !== 'string' || !Object.hasOwn(COVER_SIZES, size)) {
+      res
+        .status(400)
+        .json({ error: `size must be one of: ${Object.keys(COVER_SIZES).join(', ')}` });
+      return;
+    }
+    const filePath = id && coverArt ? coverArt.getPath(id, size) : null;
+    if (!filePath) {
+      res.status(404).json({ error: id ? 'Cover art not extracted yet' : 'No cover art' });
+      return;
+    }
+    res.set('Cache-Control', cacheControl);
+    res.type('jpeg');
+    res.sendFile(filePath, (err) => {
+      if (err && !res.headersSent) {
+        res.status(404).json({ error: 'Cover art not found' });
+      }
+    });
+  }
+
+  /**
+   * Sends the synced lyrics of a track. A track that left the playlist while
+   * on air (removed, or renamed before the watcher caught up) has no index and
+   * gets empty lyrics, as its file may be gone.
+   * @param {import('express').Response} res - Express response
+   * @param {number|null} index - Playlist index, or null if the track is no longer listed
+   * @param {Object} track - Track metadata
+   * @param {number|null} positionSeconds - Playback position to report the current line for
+   */
+  async function sendLyrics(res, index, track, positionSeconds) {
+    try {
+      const lyrics =
+        track.isStream || index === null
+          ? { source: null, lines: [] }
+          : await loadLyrics(track.fullPath);
+      const body = { index, filename: track.filename, ...lyrics };
+      if (positionSeconds !== null) {
+        body.positionSeconds = positionSeconds;
+        body.line = findLyricIndex(lyrics.lines, positionSeconds);
+      }
+      res.json(body);
+    } catch (err) {
+      error(`Lyrics lookup failed for ${track.filename}:`, err.message);
+      res.status(500).json({ error: 'Lyrics lookup failed' });
+    }
+  }
+
+  /**
+   * Lists the HTTP streams in the playlist
+   * @returns {Array<{index: number, name: string, url: string, streamTitle: string|null}>} Streams
+   */
+  function describeStreams() {
+    return playlistManager.listStreams().map((track) => ({
+      index: playlistManager.playlist.indexOf(track),
+      name: track.title,
+      url: track.fullPath,
+      streamTitle: track.streamTitle || null,
+    }));
+  }
+
+  /**
+   * Saves the stream list so the streams are added again after a restart
+   */
+  function persistStreams() {
+    if (playerSettings) {
+      playerSettings.set(
+        'streams',
+        playlistManager.listStreams().map((track) => ({ url: track.fullPath, name: track.title }))
+      );
+    }
+  }
+
+  /**
+   * Saves the master level and mute state so they survive a restart
+   */
+  function persistVolume() {
+    if (playerSettings) {
+      playerSettings.set('masterVolume', playbackController.getVolumeSettings());
+    }
+  }
+
+  /**
+   * Describes the jingle on air for status responses
+   * @param {Object|null} jingle - Jingle track
+   * @returns {{filename: string, title: string, duration: number|null}|null} Jingle summary
+   */
+  function describeJingle(jingle) {
+    return jingle
+      ? { filename: jingle.filename, title: jingle.title, duration: jingle.duration }
+      : null;
+  }
+
   /**
    * Sets up all HTTP routes
    */
@@ -81,6 +397,194 @@ function createHttpApi(options) {
     registerActionRoute('/pause', 'Pause playback', () => playbackController.pausePlayback());
     registerActionRoute('/resume', 'Resume playback', () => playbackController.resumePlayback());
 
+    /* Jump to a track by index in the path, or by `index`/`filename` in the body */
+    app.post(['/play', '/play/:index'], async (req, res) => {
+      const index =
+        req.params.index !== undefined
+          ? resolveTrackIndex({ index: req.params.index })
+          : resolveTrackIndex(req.body);
+      if (index === -1) {
+        res.status(404).json({ error: 'Track not found' });
+        return;
+      }
+      try {
+        await playbackController.playTrack(index);
+        res.status(204).end();
+      } catch (err) {
+        error('Play track failed:', err.message);
+        res.status(500).json({ error: 'Play track failed' });
+      }
+    });
+
+    /* Seek within the current track */
+    app.post('/seek', async (req, res) => {
+      const raw =
+        req.body && req.body.position !== undefined ? req.body.position : req.query.position;
+      const position = Number(raw);
+      if (raw === undefined || raw === '' || !Number.isFinite(position) || position < 0) {
+        res.status(400).json({ error: 'position must be a non-negative number of seconds' });
+        return;
+      }
+      try {
+        const ok = await playbackController.seekTo(position);
+        if (!ok) {
+          res.status(409).json({ error: 'No seekable track is playing' });
+          return;
+        }
+        res.status(204).end();
+      } catch (err) {
+        error('Seek failed:', err.message);
+        res.status(500).json({ error: 'Seek failed' });
+      }
+    });
+
+    /* Playback order and repeat mode */
+    app.get('/mode', (_req, res) => {
+      res.json(playlistManager.getPlaybackMode());
+    });
+
+    app.put('/mode', (req, res) => {
+      const body = req.body || {};
+      if (body.order !== undefined && !PLAYBACK_ORDERS.includes(body.order)) {
+        res.status(400).json({ error: `order must be one of: ${PLAYBACK_ORDERS.join(', ')}` });
+        return;
+      }
+      if (body.repeat !== undefined && !REPEAT_MODES.includes(body.repeat)) {
+        res.status(400).json({ error: `repeat must be one of: ${REPEAT_MODES.join(', ')}` });
+        return;
+      }
+      const mode = playlistManager.setPlaybackMode({ order: body.order, repeat: body.repeat });
+      if (playerSettings) {
+        playerSettings.set('playbackMode', mode);
+      }
+      res.json(mode);
+    });
+
+    /* Track transition settings (crossfade length, gapless preloading) */
+    app.get('/crossfade', (_req, res) => {
+      res.json(playbackController.getTransitionSettings());
+    });
+
+    app.put('/crossfade', (req, res) => {
+      const body = req.body || {};
+      const update = {};
+      if (body.crossfadeSeconds !== undefined) {
+        const seconds = body.crossfadeSeconds;
+        if (typeof seconds !== 'number' || !(seconds >= 0 && seconds <= MAX_CROSSFADE_SECONDS)) {
+          res.status(400).json({
+            error: `crossfadeSeconds must be a number between 0 and ${MAX_CROSSFADE_SECONDS}`,
+          });
+          return;
+        }
+        update.crossfadeSeconds = seconds;
+      }
+      if (body.gapless !== undefined) {
+        if (typeof body.gapless !== 'boolean') {
+          res.status(400).json({ error: 'gapless must be a boolean' });
+          return;
+        }
+        update.gapless = body.gapless;
+      }
+      res.json(playbackController.setTransitionSettings(update));
+    });
+
+    /* Loudness normalization settings */
+    app.get('/loudness', (_req, res) => {
+      res.json({
+        ...playbackController.getLoudnessSettings(),
+        currentGainDb: playbackController.getCurrentGainDb(),
+      });
+    });
+
+    app.put('/loudness', (req, res) => {
+      const body = req.body || {};
+      const update = {};
+      if (body.mode !== undefined) {
+        if (!LOUDNESS_MODES.includes(body.mode)) {
+          res.status(400).json({ error: `mode must be one of: ${LOUDNESS_MODES.join(', ')}` });
+          return;
+        }
+        update.mode = body.mode;
+      }
+      if (body.targetLufs !== undefined) {
+        const target = body.targetLufs;
+        if (
+          typeof target !== 'number' ||
+          !(target >= MIN_TARGET_LUFS && target <= MAX_TARGET_LUFS)
+        ) {
+          res.status(400).json({
+            error: `targetLufs must be a number between ${MIN_TARGET_LUFS} and ${MAX_TARGET_LUFS}`,
+          });
+          return;
+        }
+        update.targetLufs = target;
+      }
+      const settings = playbackController.setLoudnessSettings(update);
+      if (playerSettings) {
+        playerSettings.set('loudness', settings);
+      }
+      res.json(settings);
+    });
+
+    /* Master volume, mute and timed fades */
+    app.get('/volume', (_req, res) => {
+      res.json(playbackController.getVolume());
+    });
+
+    app.put('/volume', (req, res) => {
+      const body = req.body || {};
+      const update = {};
+      if (body.level !== undefined || body.db !== undefined) {
+        const parsed = parseLevel(body);
+        if ('error' in parsed) {
+          res.status(400).json({ error: parsed.error });
+          return;
+        }
+        update.level = parsed.level;
+      }
+      if (body.muted !== undefined) {
+        if (typeof body.muted !== 'boolean') {
+          res.status(400).json({ error: 'muted must be a boolean' });
+          return;
+        }
+        update.muted = body.muted;
+      }
+      const volume = playbackController.setVolume(update);
+      persistVolume();
+      res.json(volume);
+    });
+
+    app.post('/volume/mute', (_req, res) => {
+      const volume = playbackController.setVolume({ muted: true });
+      persistVolume();
+      res.json(volume);
+    });
+
+    app.post('/volume/unmute', (_req, res) => {
+      const volume = playbackController.setVolume({ muted: false });
+      persistVolume();
+      res.json(volume);
+    });
+
+    app.post('/volume/fade', (req, res) => {
+      const body = req.body || {};
+      const parsed = parseLevel(body);
+      if ('error' in parsed) {
+        res.status(400).json({ error: parsed.error });
+        return;
+      }
+      const seconds = body.seconds;
+      if (typeof seconds !== 'number' || !(seconds >= 0 && seconds <= MAX_FADE_SECONDS)) {
+        res.status(400).json({
+          error: `seconds must be a number between 0 and ${MAX_FADE_SECONDS}`,
+        });
+        return;
+      }
+      const volume = playbackController.fadeVolume(parsed.level, seconds);
+      persistVolume();
+      res.json(volume);
+    });
+
     /* Health check endpoint */
     app.get('/health', (_req, res) => {
       const socket = audioSocket.getSocket();
@@ -104,7 +608,11 @@ function createHttpApi(options) {
         track: playlistManager.getCurrentTrackInfo(),
         isPlaying: playbackController.isPlaying(),
         isPaused: playbackController.isPaused(),
+        jingle: describeJingle(playbackController.getCurrentJingle()),
         positionSeconds: Number(playbackController.getCurrentPositionSeconds().toFixed(2)),
+        queue: playlistManager.listQueue(),
+        mode: playlistManager.getPlaybackMode(),
+        volume: playbackController.getVolume(),
       });
     });
 
@@ -112,6 +620,648 @@ function createHttpApi(options) {
     app.get('/playlist', (_req, res) => {
       res.json(playlistManager.listPlaylist());
     });
+
+    /* Up-next queue endpoints */
+    app.get('/queue', (_req, res) => {
+      res.json(playlistManager.listQueue());
+    });
+
+    app.post('/queue', (req, res) => {
+      const index = resolveTrackIndex(req.body);
+      if (index === -1) {
+        res.status(404).json({ error: 'Track not found' });
+        return;
+      }
+      const position =
+        req.body && req.body.position !== undefined ? parseInteger(req.body.position) : undefined;
+      if (position === null) {
+        res.status(400).json({ error: 'position must be an integer' });
+        return;
+      }
+      playlistManager.enqueue(index, position);
+      log(`Queued track ${index}: ${playlistManager.getTrackAtIndex(index).filename}`);
+      res.status(201).json(playlistManager.listQueue());
+    });
+
+    app.post('/queue/move', (req, res) => {
+      const from = parseInteger(req.body && req.body.from);
+      const to = parseInteger(req.body && req.body.to);
+      if (from === null || to === null) {
+        res.status(400).json({ error: 'from and to must be integers' });
+        return;
+      }
+      if (!playlistManager.moveQueueItem(from, to)) {
+        res.status(404).json({ error: 'Queue position not found' });
+        return;
+      }
+      res.json(playlistManager.listQueue());
+    });
+
+    app.delete('/queue/:position', (req, res) => {
+      const position = parseInteger(req.params.position);
+      if (position === null || !playlistManager.removeFromQueue(position)) {
+        res.status(404).json({ error: 'Queue position not found' });
+        return;
+      }
+      res.json(playlistManager.listQueue());
+    });
+
+    app.delete('/queue', (_req, res) => {
+      playlistManager.clearQueue();
+      res.status(204).end();
+    });
+
+    /* Saved playlists and crates */
+    app.all(['/playlists', '/playlists/*path', '/rotation'], (_req, res, next) => {
+      if (!playlistStore) {
+        res.status(404).json({ error: 'Saved playlists not enabled' });
+        return;
+      }
+      next();
+    });
+
+    app.get('/playlists', (_req, res) => {
+      res.json(playlistStore.list());
+    });
+
+    app.post('/playlists', (req, res) => {
+      const body = req.body || {};
+      const name = normalizeName(body.name);
+      if (!name) {
+        res.status(400).json({ error: 'name must be a non-empty string of up to 100 characters' });
+        return;
+      }
+      const kind = body.kind === undefined ? 'playlist' : body.kind;
+      if (!PLAYLIST_KINDS.includes(kind)) {
+        res.status(400).json({ error: `kind must be one of: ${PLAYLIST_KINDS.join(', ')}` });
+        return;
+      }
+      const resolved = resolveTrackReferences(body.tracks === undefined ? [] : body.tracks);
+      if (!resolved) {
+        res.status(400).json({ error: 'tracks must be an array' });
+        return;
+      }
+      if (resolved.unknown.length > 0) {
+        res.status(400).json({ error: 'Unknown tracks', unknown: resolved.unknown });
+        return;
+      }
+      const playlist = playlistStore.create({ name, kind, tracks: resolved.paths });
+      res.status(201).json(describePlaylist(playlist));
+    });
+
+    /* Import an M3U/M3U8 playlist sent as the raw request body or as JSON `content` */
+    app.post(
+      '/playlists/import',
+      express.text({
+        type: [
+          'text/plain',
+          'audio/x-mpegurl',
+          'audio/mpegurl',
+          'application/x-mpegurl',
+          'application/vnd.apple.mpegurl',
+        ],
+        limit: '5mb',
+      }),
+      (req, res) => {
+        const body = typeof req.body === 'object' && req.body !== null ? req.body : {};
+        const content = typeof req.body === 'string' ? req.body : body.content;
+        const name = normalizeName(body.name !== undefined ? body.name : req.query.name);
+        const kind = body.kind !== undefined ? body.kind : req.query.kind || 'playlist';
+        if (typeof content !== 'string' || content.trim() === '') {
+          res.status(400).json({ error: 'Playlist content is required' });
+          return;
+        }
+        if (!name) {
+          res
+            .status(400)
+            .json({ error: 'name must be a non-empty string of up to 100 characters' });
+          return;
+        }
+        if (!PLAYLIST_KINDS.includes(kind)) {
+          res.status(400).json({ error: `kind must be one of: ${PLAYLIST_KINDS.join(', ')}` });
+          return;
+        }
+        const match = createLibraryMatcher(
+          playlistManager.playlist.map((track) => playlistStore.toRelativePath(track.fullPath))
+        );
+        const tracks = [];
+        const unmatched = [];
+        for (const entry of parseM3u(content)) {
+          const relativePath = match(entry.location);
+          if (relativePath) {
+            tracks.push(playlistStore.toFullPath(relativePath));
+          } else {
+            unmatched.push(entry.location);
+          }
+        }
+        const playlist = playlistStore.create({ name, kind, tracks });
+        log(`Imported "${name}": ${tracks.length} tracks matched, ${unmatched.length} unmatched`);
+        res.status(201).json({ playlist: describePlaylist(playlist), unmatched });
+      }
+    );
+
+    app.get('/playlists/:id', (req, res) => {
+      const playlist = playlistStore.get(req.params.id);
+      if (!playlist) {
+        res.status(404).json({ error: 'Playlist not found' });
+        return;
+      }
+      res.json(describePlaylist(playlist));
+    });
+
+    app.put('/playlists/:id', (req, res) => {
+      const body = req.body || {};
+      const update = {};
+      if (body.name !== undefined) {
+        update.name = normalizeName(body.name);
+        if (!update.name) {
+          res
+            .status(400)
+            .json({ error: 'name must be a non-empty string of up to 100 characters' });
+          return;
+        }
+      }
+      if (body.tracks !== undefined) {
+        const resolved = resolveTrackReferences(body.tracks);
+        if (!resolved) {
+          res.status(400).json({ error: 'tracks must be an array' });
+          return;
+        }
+        if (resolved.unknown.length > 0) {
+          res.status(400).json({ error: 'Unknown tracks', unknown: resolved.unknown });
+          return;
+        }
+        update.tracks = resolved.paths;
+      }
+      const playlist = playlistStore.update(req.params.id, update);
+      if (!playlist) {
+        res.status(404).json({ error: 'Playlist not found' });
+        return;
+      }
+      res.json(describePlaylist(playlist));
+    });
+
+    app.delete('/playlists/:id', (req, res) => {
+      if (!playlistStore.remove(req.params.id)) {
+        res.status(404).json({ error: 'Playlist not found' });
+        return;
+      }
+      res.status(204).end();
+    });
+
+    app.post('/playlists/:id/tracks', (req, res) => {
+      const body = req.body || {};
+      const resolved = resolveTrackReferences(body.tracks);
+      if (!resolved || resolved.paths.length + resolved.unknown.length === 0) {
+        res.status(400).json({ error: 'tracks must be a non-empty array' });
+        return;
+      }
+      if (resolved.unknown.length > 0) {
+        res.status(400).json({ error: 'Unknown tracks', unknown: resolved.unknown });
+        return;
+      }
+      const position = body.position !== undefined ? parseInteger(body.position) : undefined;
+      if (position === null) {
+        res.status(400).json({ error: 'position must be an integer' });
+        return;
+      }
+      const playlist = playlistStore.addTracks(req.params.id, resolved.paths, position);
+      if (!playlist) {
+        res.status(404).json({ error: 'Playlist not found' });
+        return;
+      }
+      res.json(describePlaylist(playlist));
+    });
+
+    app.delete('/playlists/:id/tracks/:position', (req, res) => {
+      const position = parseInteger(req.params.position);
+      const playlist =
+        position === null ? null : playlistStore.removeTrackAt(req.params.id, position);
+      if (!playlist) {
+        res.status(404).json({ error: 'Playlist or track position not found' });
+        return;
+      }
+      res.json(describePlaylist(playlist));
+    });
+
+    /* Export as M3U/M3U8; absolute paths by default so desktop players can open it */
+    app.get('/playlists/:id/export', (req, res) => {
+      const playlist = playlistStore.get(req.params.id);
+      if (!playlist) {
+        res.status(404).json({ error: 'Playlist not found' });
+        return;
+      }
+      const format = req.query.format === undefined ? 'm3u8' : req.query.format;
+      const paths = req.query.paths === undefined ? 'absolute' : req.query.paths;
+      if (format !== 'm3u' && format !== 'm3u8') {
+        res.status(400).json({ error: 'format must be one of: m3u, m3u8' });
+        return;
+      }
+      if (paths !== 'absolute' && paths !== 'relative') {
+        res.status(400).json({ error: 'paths must be one of: absolute, relative' });
+        return;
+      }
+      const details = describePlaylist(playlist).tracks;
+      const content = buildM3u(
+        details.map((track) => ({
+          location: paths === 'absolute' ? playlistStore.toFullPath(track.path) : track.path,
+          title: track.title || path.posix.basename(track.path),
+          artist: track.artist,
+          duration: track.duration,
+        }))
+      );
+      const filename = `${playlist.name.replace(/[^\w.-]+/g, '_')}.${format}`;
+      res.set(
+        'Content-Type',
+        format === 'm3u8'
+          ? 'application/vnd.apple.mpegurl; charset=utf-8'
+          : 'audio/x-mpegurl; charset=utf-8'
+      );
+      res.set('Content-Disposition', `attachment; filename="${filename}"`);
+      res.send(content);
+    });
+
+    /* Rotation source: a saved playlist/crate, or null for the whole library */
+    app.get('/rotation', (_req, res) => {
+      res.json(describeRotation());
+    });
+
+    app.put('/rotation', (req, res) => {
+      const body = req.body || {};
+      if (body.source !== null && typeof body.source !== 'string') {
+        res.status(400).json({ error: 'source must be a playlist id or null' });
+        return;
+      }
+      if (!playlistStore.setActive(body.source)) {
+        res.status(404).json({ error: 'Playlist not found' });
+        return;
+      }
+      res.json(describeRotation());
+    });
+
+    /* Artist/album separation and repeat rules for shuffle picks */
+    app.get('/rotation/rules', (_req, res) => {
+      res.json(playlistManager.getRotationRules());
+    });
+
+    app.put('/rotation/rules', (req, res) => {
+      const body = req.body || {};
+      const update = {};
+      for (const field of ['artistSeparation', 'albumSeparation']) {
+        if (body[field] !== undefined) {
+          const value = body[field];
+          if (!Number.isInteger(value) || value < 0 || value > MAX_SEPARATION) {
+            res
+              .status(400)
+              .json({ error: `${field} must be an integer between 0 and ${MAX_SEPARATION}` });
+            return;
+          }
+          update[field] = value;
+        }
+      }
+      if (body.trackRepeatHours !== undefined) {
+        const hours = body.trackRepeatHours;
+        if (typeof hours !== 'number' || !(hours >= 0 && hours <= MAX_REPEAT_HOURS)) {
+          res.status(400).json({
+            error: `trackRepeatHours must be a number between 0 and ${MAX_REPEAT_HOURS}`,
+          });
+          return;
+        }
+        update.trackRepeatHours = hours;
+      }
+      if (body.fallback !== undefined) {
+        if (!ROTATION_FALLBACKS.includes(body.fallback)) {
+          res
+            .status(400)
+            .json({ error: `fallback must be one of: ${ROTATION_FALLBACKS.join(', ')}` });
+          return;
+        }
+        update.fallback = body.fallback;
+      }
+      if (body.bpmTolerance !== undefined) {
+        const tolerance = body.bpmTolerance;
+        if (typeof tolerance !== 'number' || !(tolerance >= 0 && tolerance <= MAX_BPM_TOLERANCE)) {
+          res.status(400).json({
+            error: `bpmTolerance must be a number between 0 and ${MAX_BPM_TOLERANCE}`,
+          });
+          return;
+        }
+        update.bpmTolerance = tolerance;
+      }
+      const rules = playlistManager.setRotationRules(update);
+      if (playerSettings) {
+        playerSettings.set('rotationRules', rules);
+      }
+      res.json(rules);
+    });
+
+    /* Search, filter, sort and page through the library */
+    app.get('/library', (req, res) => {
+      const parsed = parseLibraryQuery(req.query);
+      if ('error' in parsed) {
+        res.status(400).json({ error: parsed.error });
+        return;
+      }
+      res.json(queryLibrary(playlistManager.listPlaylist(), parsed.query));
+    });
+
+    /* Library index endpoints - served from the persisted index, no rescan */
+    app.get('/library/stats', (_req, res) => {
+      if (!libraryIndex) {
+        res.status(404).json({ error: 'Library index not enabled' });
+        return;
+      }
+      res.json(libraryIndex.getStats());
+    });
+
+    app.get('/library/index', (_req, res) => {
+      if (!libraryIndex) {
+        res.status(404).json({ error: 'Library index not enabled' });
+        return;
+      }
+      res.json({ stats: libraryIndex.getStats(), tracks: libraryIndex.listEntries() });
+    });
+
+    /* Music folders scanned into the library, each with its own watcher and patterns */
+    app.all(['/roots', '/roots/*path'], (_req, res, next) => {
+      if (!libraryRoots) {
+        res.status(404).json({ error: 'Library roots not enabled' });
+        return;
+      }
+      next();
+    });
+
+    app.get('/roots', (_req, res) => {
+      res.json(describeRoots());
+    });
+
+    app.post('/roots', async (req, res) => {
+      const result = libraryRoots.add(req.body || {});
+      if ('error' in result) {
+        res.status(400).json({ error: result.error });
+        return;
+      }
+      await applyRootChange(res, 201, result.root);
+    });
+
+    app.put('/roots/:id', async (req, res) => {
+      const result = libraryRoots.update(req.params.id, req.body || {});
+      if (!result) {
+        res.status(404).json({ error: 'Root not found' });
+        return;
+      }
+      if ('error' in result) {
+        res.status(400).json({ error: result.error });
+        return;
+      }
+      await applyRootChange(res, 200, result.root);
+    });
+
+    app.delete('/roots/:id', async (req, res) => {
+      const result = libraryRoots.remove(req.params.id);
+      if (!result) {
+        res.status(404).json({ error: 'Root not found' });
+        return;
+      }
+      if ('error' in result) {
+        res.status(400).json({ error: result.error });
+        return;
+      }
+      await applyRootChange(res, 204, null);
+    });
+
+    /* HTTP streams (internet radio) played as playlist entries */
+    app.get('/streams', (_req, res) => {
+      res.json(describeStreams());
+    });
+
+    app.post('/streams', (req, res) => {
+      const parsed = normalizeStream(req.body);
+      if ('error' in parsed) {
+        res.status(400).json({ error: parsed.error });
+        return;
+      }
+      if (playlistManager.listStreams().length >= MAX_STREAMS) {
+        res.status(400).json({ error: `At most ${MAX_STREAMS} streams can be added` });
+        return;
+      }
+      const track = playlistManager.addStream(parsed.stream);
+      if (!track) {
+        res.status(409).json({ error: 'Stream is already in the playlist' });
+        return;
+      }
+      persistStreams();
+      res.status(201).json(describeStreams().find((stream) => stream.url === track.fullPath));
+    });
+
+    app.delete('/streams/:index', (req, res) => {
+      const found = findTrackParam(req.params.index);
+      if (!found || !found.track.isStream) {
+        res.status(404).json({ error: 'Stream not found' });
+        return;
+      }
+      playlistManager.removeStream(found.track.fullPath);
+      persistStreams();
+      res.status(204).end();
+    });
+
+    /* Per-track cue points; changes apply from the track's next decoder start */
+    app.get('/tracks/:index/cues', (req, res) => {
+      const found = findTrackParam(req.params.index);
+      if (!found) {
+        res.status(404).json({ error: 'Track not found' });
+        return;
+      }
+      res.json(describeCues(found.index, found.track));
+    });
+
+    app.put('/tracks/:index/cues', (req, res) => {
+      const found = findTrackParam(req.params.index);
+      if (!found) {
+        res.status(404).json({ error: 'Track not found' });
+        return;
+      }
+      if (found.track.isStream) {
+        res.status(400).json({ error: 'Streams have no cue points' });
+        return;
+      }
+      const parsed = normalizeCuePoints(req.body, found.track.duration);
+      if ('error' in parsed) {
+        res.status(400).json({ error: parsed.error });
+        return;
+      }
+      playlistManager.setTrackCues(found.track.fullPath, parsed.cues);
+      log(`Cue points set for ${found.track.filename}`);
+      res.json(describeCues(found.index, found.track));
+    });
+
+    app.delete('/tracks/:index/cues', (req, res) => {
+      const found = findTrackParam(req.params.index);
+      if (!found) {
+        res.status(404).json({ error: 'Track not found' });
+        return;
+      }
+      playlistManager.setTrackCues(found.track.fullPath, null);
+      log(`Cue points cleared for ${found.track.filename}`);
+      res.status(204).end();
+    });
+
+    /* Synced lyrics from a sidecar .lrc file or the track's tags */
+    app.get('/tracks/:index/lyrics', async (req, res) => {
+      const found = findTrackParam(req.params.index);
+      if (!found) {
+        res.status(404).json({ error: 'Track not found' });
+        return;
+      }
+      await sendLyrics(res, found.index, found.track, null);
+    });
+
+    app.get('/lyrics/current', async (_req, res) => {
+      const track = playlistManager.currentTrack;
+      if (!track) {
+        res.status(404).json({ error: 'No track playing' });
+        return;
+      }
+      const index = playlistManager.currentIndex;
+      const positionSeconds = Number(playbackController.getCurrentPositionSeconds().toFixed(2));
+      await sendLyrics(res, index === -1 ? null : index, track, positionSeconds);
+    });
+
+    /* Embedded cover art; the id-addressed route can be cached forever */
+    app.get('/tracks/:index/cover', (req, res) => {
+      const found = findTrackParam(req.params.index);
+      if (!found) {
+        res.status(404).json({ error: 'Track not found' });
+        return;
+      }
+      sendCover(res, found.track.cover || null, req.query.size, 'no-cache');
+    });
+
+    app.get('/covers/:id', (req, res) => {
+      if (!COVER_ID_PATTERN.test(req.params.id)) {
+        res.status(400).json({ error: 'Invalid cover id' });
+        return;
+      }
+      sendCover(res, req.params.id, req.query.size, 'public, max-age=31536000, immutable');
+    });
+
+    /* Persistent play log, newest first; from/to select plays overlapping that range */
+    app.get('/history', (req, res) => {
+      if (!playHistory) {
+        res.status(404).json({ error: 'Play history not enabled' });
+        return;
+      }
+      const parsed = parseHistoryQuery(req.query);
+      if ('error' in parsed) {
+        res.status(400).json({ error: parsed.error });
+        return;
+      }
+      res.json(playHistory.query(parsed.query));
+    });
+
+    /* Per-track play counts for licensing reports, as JSON or a CSV download */
+    app.get('/history/report', (req, res) => {
+      if (!playHistory) {
+        res.status(404).json({ error: 'Play history not enabled' });
+        return;
+      }
+      const parsed = parseReportQuery(req.query);
+      if ('error' in parsed) {
+        res.status(400).json({ error: parsed.error });
+        return;
+      }
+      const { query } = parsed;
+      const report = buildPlayReport(playHistory.listStartedBetween(query), query);
+      const period = [report.from, report.to].map((time) => (time ? time.slice(0, 10) : 'all'));
+      const filename = `play-report-${period.join('_')}.${query.format}`;
+      res.set('Content-Disposition', `attachment; filename="${filename}"`);
+      if (query.format === 'csv') {
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.send(formatReportCsv(report));
+        return;
+      }
+      res.json(report);
+    });
+
+    /* Weekly programming clock: slots override the rotation source while they run */
+    app.all(['/schedule', '/schedule/*path'], (_req, res, next) => {
+      if (!scheduleStore) {
+        res.status(404).json({ error: 'Schedule not enabled' });
+        return;
+      }
+      next();
+    });
+
+    app.get('/schedule', (_req, res) => {
+      res.json(describeSchedule());
+    });
+
+    app.put('/schedule', (req, res) => {
+      const body = req.body || {};
+      const result = scheduleStore.replace({
+        timezone: body.timezone,
+        fadeSeconds: body.fadeSeconds,
+        slots: body.slots,
+      });
+      if ('error' in result) {
+        res.status(400).json({ error: result.error });
+        return;
+      }
+      res.json(describeSchedule());
+    });
+
+    app.post('/schedule/slots', (req, res) => {
+      const result = scheduleStore.addSlot(req.body || {});
+      if ('error' in result) {
+        res.status(400).json({ error: result.error });
+        return;
+      }
+      res.status(201).json(result.slot);
+    });
+
+    app.delete('/schedule/slots/:id', (req, res) => {
+      if (!scheduleStore.removeSlot(req.params.id)) {
+        res.status(404).json({ error: 'Slot not found' });
+        return;
+      }
+      res.status(204).end();
+    });
+
+    /* Jingles inserted between tracks */
+    app.all(['/jingles', '/jingles/*path'], (_req, res, next) => {
+      if (!jingleRotation) {
+        res.status(404).json({ error: 'Jingles not enabled' });
+        return;
+      }
+      next();
+    });
+
+    app.get('/jingles', (_req, res) => {
+      res.json(jingleRotation.getStatus());
+    });
+
+    app.put('/jingles', (req, res) => {
+      const parsed = normalizeJingleRule(req.body);
+      if ('error' in parsed) {
+        res.status(400).json({ error: parsed.error.replace(/^jingles\./, '') });
+        return;
+      }
+      const rule = jingleRotation.setRule(parsed.rule);
+      if (playerSettings) {
+        playerSettings.set('jingleRule', rule);
+      }
+      res.json(jingleRotation.getStatus());
+    });
+
+    app.post('/jingles/rescan', async (_req, res) => {
+      try {
+        await jingleRotation.load();
+        res.json(jingleRotation.getStatus());
+      } catch (err) {
+        error('Jingle rescan failed:', err.message);
+        res.status(500).json({ error: 'Jingle rescan failed' });
+      }
+    });
   }
 
   /**
@@ -12,10 +12,49 @@ const { createPlaylistManager } = require('./playlist-manager');
 const { createPlaybackController } = require('./playback-controller');
 const { createAudioSocket } = require('./audio-socket');
 const { createHttpApi } = require('./http-api');
+const { createLibraryIndex } = require('./library-index');
+const { createLibraryRoots } = require('./library-roots');
+const { createPcmQueue, mixCrossfade } = require('./pcm-mixer');
+const { createLoudnessAnalyzer } = require('./loudness');
+const { createPlayerSettings } = require('./player-settings');
+const { createPlaylistStore } = require('./playlist-store');
+const { parseM3u, buildM3u } = require('./m3u');
+const { createPlayHistory } = require('./play-history');
+const { createScheduleStore } = require('./schedule-store');
+const { createScheduler } = require('./scheduler');
+const { createJingleRotation } = require('./jingles');
+const { createSilenceAnalyzer } = require('./cue-points');
+const { createPlaybackStateStore } = require('./playback-state');
+const { createCoverArtCache } = require('./cover-art');
+const { parseLrc, loadLyrics } = require('./lyrics');
+const { createTempoKeyAnalyzer } = require('./tempo-key');
+const { openStream } = require('./streams');
+const { createMasterVolume } = require('./master-volume');
 
 module.exports = {
   createPlaylistManager,
   createPlaybackController,
   createAudioSocket,
   createHttpApi,
+  createLibraryIndex,
+  createLibraryRoots,
+  createPcmQueue,
+  mixCrossfade,
+  createLoudnessAnalyzer,
+  createPlayerSettings,
+  createPlaylistStore,
+  parseM3u,
+  buildM3u,
+  createPlayHistory,
+  createScheduleStore,
+  createScheduler,
+  createJingleRotation,
+  createSilenceAnalyzer,
+  createPlaybackStateStore,
+  createCoverArtCache,
+  parseLrc,
+  loadLyrics,
+  createTempoKeyAnalyzer,
+  openStream,
+  createMasterVolume,
 };
@@ -0,0 +1,279 @@
+'use strict';
+
+/**
+ * Jingles Module
+ *
+ * Keeps the clips in the jingles folder (station IDs, sweepers, liners) and
+ * decides when one is due between two music tracks: every N tracks or every
+ * N minutes. The default insertion rule can be overridden per schedule slot.
+ * Jingles are never part of the library, the rotation or the play history.
+ *
+ * @module player/jingles
+ */
+
+const fs = require('fs');
+const path = require('path');
+const mm = require('music-metadata');
+const { createLogger } = require('../lib/utils/logger');
+const { readReplayGain } = require('./loudness');
+
+const { log, warn } = createLogger('jingles');
+
+/**
+ * Insertion modes: off, every N music tracks, or every N minutes
+ */
+const JINGLE_MODES = ['off', 'tracks', 'minutes'];
+
+/**
+ * Upper bound of `every` per mode
+ */
+const MAX_JINGLE_EVERY = { tracks: 100, minutes: 240 };
+
+const DEFAULT_JINGLE_RULE = Object.freeze({ mode: 'off', every: 4 });
+
+/**
+ * @typedef {Object} JingleRule
+ * @property {string} mode - One of JINGLE_MODES
+ * @property {number} every - Tracks or minutes between jingles
+ */
+
+/**
+ * Validates a jingle insertion rule
+ * @param {any} input - Candidate rule
+ * @returns {{rule: JingleRule}|{error: string}} Normalized rule or a validation error
+ */
+function normalizeJingleRule(input) {
+  if (!input || typeof input !== 'object' || !JINGLE_MODES.includes(input.mode)) {
+    return { error: `jingles.mode must be one of: ${JINGLE_MODES.join(', ')}` };
+  }
+  if (input.mode === 'off') {
+    return { rule: { mode: 'off', every: DEFAULT_JINGLE_RULE.every } };
+  }
+  const max = MAX_JINGLE_EVERY[input.mode];
+  if (!Number.isInteger(input.every) || input.every < 1 || input.every > max) {
+    return { error: `jingles.every must be an integer between 1 and ${max} for ${input.mode}` };
+  }
+  return { rule: { mode: input.mode, every: input.every } };
+}
+
+/**
+ * Creates a new JingleRotation instance
+ * @param {Object} options - Configuration options
+ * @param {string|null} options.dir - Folder holding the jingle clips (null disables jingles)
+ * @param {string[]} options.audioExtensions - Extensions treated as audio, with leading dot
+ * @param {JingleRule} [options.rule] - Default insertion rule
+ * @param {Function} [options.getOverride] - Returns the rule of the active schedule slot, or null
+ * @returns {Object} JingleRotation instance
+ */
+function createJingleRotation(options) {
+  const { dir, audioExtensions, getOverride = () => null } = options;
+  const extensionSet = new Set(audioExtensions.map((ext) => ext.toLowerCase()));
+
+  /** @type {JingleRule} */
+  let defaultRule = { ...(options.rule || DEFAULT_JINGLE_RULE) };
+  /** @type {Object[]} */
+  let jingles = [];
+  let tracksSinceJingle = 0;
+  let lastJingleAt = Date.now();
+  let lastJinglePath = null;
+  /** @type {Object|null} Jingle picked for the next insertion, kept until it plays */
+  let nextJingle = null;
+
+  /**
+   * Recursively lists audio files below a folder
+   * @param {string} folder - Folder to walk
+   * @returns {Promise<string[]>} Absolute file paths
+   */
+  async function listAudioFiles(folder) {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(folder, { withFileTypes: true });
+    } catch (err) {
+      warn(`Skipping unreadable jingles folder ${folder}: ${err.message}`);
+      return [];
+    }
+    const files = [];
+    for (const entry of entries) {
+      const fullPath = path.join(folder, entry.name);
+      if (entry.isDirectory()) {
+        files.push(...(await listAudioFiles(fullPath)));
+      } else if (extensionSet.has(path.extname(entry.name).toLowerCase())) {
+        files.push(fullPath);
+      }
+    }
+    return files;
+  }
+
+  /**
+   * Reads a clip's duration and gain tags. Clips that cannot be parsed are
+   * kept without a duration; FFmpeg may still decode them.
+   * @param {string} fullPath - Clip path
+   * @returns {Promise<Object>} Jingle track
+   */
+  async function readJingle(fullPath) {
+    const track = {
+      fullPath,
+      filename: path.basename(fullPath),
+      title: path.basename(fullPath, path.extname(fullPath)),
+      artist: null,
+      album: null,
+      duration: null,
+      replayGain: null,
+      isJingle: true,
+    };
+    try {
+      const metadata = await mm.parseFile(fullPath, { duration: true });
+      const format = metadata.format || {};
+      track.title = (metadata.common && metadata.common.title) || track.title;
+      track.duration = typeof format.duration === 'number' ? format.duration : null;
+      track.replayGain = readReplayGain(metadata);
+    } catch (err) {
+      warn(`Failed to read jingle ${track.filename}: ${err.message}`);
+    }
+    return track;
+  }
+
+  /**
+   * Scans the jingles folder, replacing the known clips
+   * @returns {Promise<number>} Number of clips found
+   */
+  async function load() {
+    if (!dir) {
+      return 0;
+    }
+    const files = (await listAudioFiles(dir)).sort();
+    const loaded = [];
+    for (const file of files) {
+      loaded.push(await readJingle(file));
+    }
+    jingles = loaded;
+    if (nextJingle && !jingles.some((jingle) => jingle.fullPath === nextJingle.fullPath)) {
+      nextJingle = null;
+    }
+    log(`Loaded ${jingles.length} jingles from ${dir}`);
+    return jingles.length;
+  }
+
+  /**
+   * Returns the rule in effect: the active slot's, else the default
+   * @returns {JingleRule} Rule
+   */
+  function getActiveRule() {
+    return getOverride() || defaultRule;
+  }
+
+  /**
+   * Picks a random clip, avoiding the one that played last when possible
+   * @returns {Object} Jingle track
+   */
+  function pickJingle() {
+    const candidates =
+      jingles.length > 1 ? jingles.filter((jingle) => jingle.fullPath !== lastJinglePath) : jingles;
+    return candidates[Math.floor(Math.random() * candidates.length)];
+  }
+
+  /**
+   * Returns the jingle to play before the next music track, if one is due.
+   * The same clip is returned until it plays, so it can be preloaded.
+   * @returns {Object|null} Jingle track, or null if none is due
+   */
+  function peekDue() {
+    const rule = getActiveRule();
+    if (rule.mode === 'off' || jingles.length === 0) {
+      return null;
+    }
+    const due =
+      rule.mode === 'tracks'
+        ? tracksSinceJingle >= rule.every
+        : Date.now() - lastJingleAt >= rule.every * 60000;
+    if (!due) {
+      return null;
+    }
+    if (!nextJingle) {
+      nextJingle = pickJingle();
+    }
+    return nextJingle;
+  }
+
+  /**
+   * Records that a jingle started, restarting both counters
+   * @param {Object} jingle - Jingle track
+   */
+  function markPlayed(jingle) {
+    tracksSinceJingle = 0;
+    lastJingleAt = Date.now();
+    lastJinglePath = jingle.fullPath;
+    nextJingle = null;
+  }
+
+  /**
+   * Counts a music track towards the next jingle
+   */
+  function noteTrackStarted() {
+    tracksSinceJingle += 1;
+  }
+
+  /**
+   * Returns the default insertion rule
+   * @returns {JingleRule} Rule
+   */
+  function getRule() {
+    return { ...defaultRule };
+  }
+
+  /**
+   * Replaces the default insertion rule
+   * @param {JingleRule} rule - Normalized rule
+   * @returns {JingleRule} Updated rule
+   */
+  function setRule(rule) {
+    defaultRule = { ...rule };
+    log(`Jingle rule updated: ${rule.mode === 'off' ? 'off' : `every ${rule.every} ${rule.mode}`}`);
+    return getRule();
+  }
+
+  /**
+   * Describes the clips and the rule in effect
+   * @returns {Object} Status
+   */
+  function getStatus() {
+    const override = getOverride();
+    return {
+      enabled: Boolean(dir),
+      rule: getRule(),
+      activeRule: { ...getActiveRule() },
+      scheduled: Boolean(override),
+      tracksSinceJingle,
+      lastJingleAt: new Date(lastJingleAt).toISOString(),
+      jingles: jingles.map((jingle) => ({
+        filename: jingle.filename,
+        path: path.relative(dir, jingle.fullPath).split(path.sep).join('/'),
+        title: jingle.title,
+        duration: jingle.duration,
+      })),
+    };
+  }
+
+  return {
+    /* Library */
+    load,
+
+    /* Insertion */
+    peekDue,
+    markPlayed,
+    noteTrackStarted,
+
+    /* Settings */
+    getRule,
+    setRule,
+    getStatus,
+  };
+}
+
+module.exports = {
+  createJingleRotation,
+  normalizeJingleRule,
+  JINGLE_MODES,
+  MAX_JINGLE_EVERY,
+  DEFAULT_JINGLE_RULE,
+};
@@ -0,0 +1,323 @@
+'use strict';
+
+/**
+ * Library Index Module
+ *
+ * Persists parsed track metadata under data/ keyed by file path, size and
+ * modification time so the player only re-reads files that changed since the
+ * last scan. Entries for files that no longer exist are pruned after a scan.
+ *
+ * @module player/library-index
+ */
+
+const fs = require('fs');
+const { createLogger } = require('../lib/utils/logger');
+const { ignoreErrors } = require('../lib/utils/errors');
+const { writeJsonAtomic } = require('../lib/utils/json-file');
+
+const { log, warn } = createLogger('library-index');
+
+/**
+ * Schema version of the persisted index. Bump when the cached metadata shape
+ * changes so stale entries are re-read instead of served incomplete.
+ */
+const INDEX_VERSION = 6;
+
+/**
+ * Delay before a scheduled save is flushed to disk
+ */
+const SAVE_DEBOUNCE_MS = 2000;
+
+/**
+ * @typedef {Object} IndexEntry
+ * @property {number} size - File size in bytes at the time of parsing
+ * @property {number} mtimeMs - File modification time at the time of parsing
+ * @property {Object} metadata - Cached track metadata (without path fields)
+ */
+
+/**
+ * @typedef {Object} LibraryStats
+ * @property {number} trackCount - Number of indexed tracks
+ * @property {number} totalDurationSeconds - Sum of known track durations
+ * @property {number} artistCount - Number of distinct artists
+ * @property {number} albumCount - Number of distinct albums
+ * @property {Object<string, number>} formats - Track count per format
+ * @property {string|null} updatedAt - ISO timestamp of the last change
+ */
+
+/**
+ * Creates a new LibraryIndex instance
+ * @param {Object} options - Configuration options
+ * @param {string} options.filePath - Path of the JSON index file
+ * @returns {Object} LibraryIndex instance
+ */
+function createLibraryIndex(options) {
+  const { filePath } = options;
+
+  /** @type {Map<string, IndexEntry>} */
+  const entries = new Map();
+  /** @type {Map<string, IndexEntry>} Entries of an older schema, kept for peek() until the rescan is done */
+  const outdated = new Map();
+  let updatedAt = null;
+  let saveTimer = null;
+  let savePromise = null;
+  let dirty = false;
+
+  /**
+   * Loads the index from disk, discarding it if the schema version differs
+   * @returns {Promise<void>}
+   */
+  async function load() {
+    let raw;
+    try {
+      raw = await fs.promises.readFile(filePath, 'utf8');
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        warn(`Unable to read library index ${filePath}: ${err.message}`);
+      }
+      return;
+    }
+    try {
+      const parsed = JSON.parse(raw);
+      if (!parsed || typeof parsed.tracks !== 'object' || parsed.tracks === null) {
+        log('Library index format changed; performing full rescan');
+        return;
+      }
+      if (parsed.version !== INDEX_VERSION) {
+        /* Fields that do not come from the file (e.g. cue points) are carried over via peek() */
+        for (const [trackPath, entry] of Object.entries(parsed.tracks)) {
+          if (entry && entry.metadata) {
+            outdated.set(trackPath, entry);
+          }
+        }
+        log('Library index format changed; performing full rescan');
+        return;
+      }
+      for (const [trackPath, entry] of Object.entries(parsed.tracks)) {
+        if (entry && Number.isFinite(entry.size) && Number.isFinite(entry.mtimeMs)) {
+          entries.set(trackPath, entry);
+        }
+      }
+      updatedAt = typeof parsed.updatedAt === 'string' ? parsed.updatedAt : null;
+      log(`Loaded library index with ${entries.size} entries`);
+    } catch (err) {
+      warn(`Library index is corrupt, ignoring it: ${err.message}`);
+    }
+  }
+
+  /**
+   * Marks the index as changed
+   */
+  function touch() {
+    dirty = true;
+    updatedAt = new Date().toISOString();
+  }
+
+  /**
+   * Returns cached metadata when the file is unchanged since it was indexed
+   * @param {string} trackPath - Absolute file path
+   * @param {fs.Stats} stat - Current file stats
+   * @returns {Object|null} Cached metadata, or null on miss
+   */
+  function lookup(trackPath, stat) {
+    const entry = entries.get(trackPath);
+    if (!entry || entry.size !== stat.size || entry.mtimeMs !== stat.mtimeMs) {
+      return null;
+    }
+    return { ...entry.metadata };
+  }
+
+  /**
+   * Returns the cached metadata of a file even if it changed since it was
+   * indexed, e.g. to carry over fields that do not come from the file
+   * @param {string} trackPath - Absolute file path
+   * @returns {Object|null} Cached metadata, or null if the file is not indexed
+   */
+  function peek(trackPath) {
+    const entry = entries.get(trackPath) || outdated.get(trackPath);
+    return entry ? { ...entry.metadata } : null;
+  }
+
+  /**
+   * Stores freshly parsed metadata for a file
+   * @param {string} trackPath - Absolute file path
+   * @param {fs.Stats} stat - File stats at parse time
+   * @param {Object} track - Parsed track metadata
+   */
+  function update(trackPath, stat, track) {
+    const metadata = { ...track };
+    delete metadata.fullPath;
+    delete metadata.filename;
+    entries.set(trackPath, { size: stat.size, mtimeMs: stat.mtimeMs, metadata });
+    touch();
+  }
+
+  /**
+   * Merges extra fields into the cached metadata of an indexed file without
+   * changing its size and mtime, e.g. results of a background analysis
+   * @param {string} trackPath - Absolute file path
+   * @param {Object} fields - Metadata fields to set
+   * @returns {boolean} True if the file was indexed
+   */
+  function patch(trackPath, fields) {
+    const entry = entries.get(trackPath);
+    if (!entry) {
+      return false;
+    }
+    entry.metadata = { ...entry.metadata, ...fields };
+    touch();
+    return true;
+  }
+
+  /**
+   * Removes a file from the index
+   * @param {string} trackPath - Absolute file path
+   * @returns {boolean} True if an entry was removed
+   */
+  function remove(trackPath) {
+    const removed = entries.delete(trackPath);
+    if (removed) {
+      touch();
+    }
+    return removed;
+  }
+
+  /**
+   * Drops every entry whose path was not seen during a full scan
+   * @param {Set<string>} seenPaths - Paths found on disk
+   * @param {(trackPath: string) => boolean} [keep] - Keeps unseen entries it returns true for,
+   *   e.g. files in folders the scan skipped
+   * @returns {number} Number of pruned entries
+   */
+  function prune(seenPaths, keep = () => false) {
+    outdated.clear();
+    let pruned = 0;
+    for (const trackPath of entries.keys()) {
+      if (!seenPaths.has(trackPath) && !keep(trackPath)) {
+        entries.delete(trackPath);
+        pruned += 1;
+      }
+    }
+    if (pruned > 0) {
+      touch();
+    }
+    return pruned;
+  }
+
+  /**
+   * Writes the index to disk atomically if it has changed. Concurrent calls
+   * wait for the in-flight write before checking for further changes.
+   * @returns {Promise<void>}
+   */
+  async function save() {
+    if (saveTimer) {
+      clearTimeout(saveTimer);
+      saveTimer = null;
+    }
+    while (savePromise) {
+      await savePromise;
+    }
+    if (!dirty) {
+      return;
+    }
+    savePromise = writeIndex();
+    try {
+      await savePromise;
+    } finally {
+      savePromise = null;
+    }
+  }
+
+  /**
+   * Serializes the current entries to the index file. The index is large
+   * and never edited by hand, so it is written without indentation.
+   * @returns {Promise<void>}
+   */
+  async function writeIndex() {
+    dirty = false;
+    const payload = {
+      version: INDEX_VERSION,
+      updatedAt,
+      tracks: Object.fromEntries(entries),
+    };
+    try {
+      await writeJsonAtomic(filePath, payload, { pretty: false });
+    } catch (err) {
+      dirty = true;
+      throw err;
+    }
+  }
+
+  /**
+   * Schedules a debounced save, used for incremental watcher updates
+   */
+  function scheduleSave() {
+    if (saveTimer) {
+      return;
+    }
+    saveTimer = setTimeout(() => {
+      saveTimer = null;
+      ignoreErrors(save(), warn, 'Failed to save library index');
+    }, SAVE_DEBOUNCE_MS);
+    saveTimer.unref();
+  }
+
+  /**
+   * Summarizes the indexed library
+   * @returns {LibraryStats} Library statistics
+   */
+  function getStats() {
+    const artists = new Set();
+    const albums = new Set();
+    const formats = {};
+    let totalDurationSeconds = 0;
+    for (const { metadata } of entries.values()) {
+      artists.add(metadata.artist);
+      albums.add(`${metadata.artist}\u0000${metadata.album}`);
+      formats[metadata.format] = (formats[metadata.format] || 0) + 1;
+      if (Number.isFinite(metadata.duration)) {
+        totalDurationSeconds += metadata.duration;
+      }
+    }
+    return {
+      trackCount: entries.size,
+      totalDurationSeconds,
+      artistCount: artists.size,
+      albumCount: albums.size,
+      formats,
+      updatedAt,
+    };
+  }
+
+  /**
+   * Lists every indexed entry
+   * @returns {Array<Object>} Entries with their path, size, mtime and metadata
+   */
+  function listEntries() {
+    return Array.from(entries, ([trackPath, entry]) => ({ path: trackPath, ...entry }));
+  }
+
+  return {
+    /* Persistence */
+    load,
+    save,
+    scheduleSave,
+
+    /* Entries */
+    lookup,
+    peek,
+    update,
+    patch,
+    remove,
+    prune,
+
+    /* Queries */
+    getStats,
+    listEntries,
+    get size() {
+      return entries.size;
+    },
+  };
+}
+
+module.exports = { createLibraryIndex, INDEX_VERSION };
@@ -0,0 +1,238 @@
+'use strict';
+
+/**
+ * Library Query Module
+ *
+ * Parses `GET /library` query strings and applies text search, field
+ * filters, sorting and pagination to the track list, so clients can browse
+ * large libraries one page at a time.
+ *
+ * @module player/library-query
+ */
+
+/**
+ * Fields results can be sorted by. `index` is library order.
+ */
+const SORT_FIELDS = ['index', 'title', 'artist', 'album', 'genre', 'year', 'duration', 'bpm'];
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+/**
+ * @typedef {Object} LibraryQuery
+ * @property {string[]} terms - Search terms that must all match title, artist, album or file name
+ * @property {string|null} artist - Artist filter
+ * @property {string|null} album - Album filter
+ * @property {string|null} genre - Genre filter
+ * @property {string|null} root - Library root id filter
+ * @property {{from: number, to: number}|null} year - Inclusive year range
+ * @property {number|null} minDuration - Minimum duration in seconds
+ * @property {number|null} maxDuration - Maximum duration in seconds
+ * @property {string} sort - One of SORT_FIELDS
+ * @property {string} order - 'asc' or 'desc'
+ * @property {number} limit - Page size
+ * @property {number} offset - Number of results to skip
+ */
+
+/**
+ * Lowercases text and strips diacritics so "Beyonce" finds "Beyoncé"
+ * @param {any} value - Text to fold
+ * @returns {string} Folded text
+ */
+function fold(value) {
+  return String(value || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+}
+
+/**
+ * Checks a multi-value field ("A, B") against a filter value
+ * @param {string|null} value - Track field
+ * @param {string} wanted - Folded filter value
+ * @returns {boolean} True if the whole field or one of its parts matches
+ */
+function matchesField(value, wanted) {
+  const folded = fold(value);
+  return folded === wanted || folded.split(/\s*[,;]\s*/).includes(wanted);
+}
+
+/**
+ * Reads a single string parameter, ignoring repeated or empty values
+ * @param {any} value - Raw query value
+ * @returns {string|null} Trimmed value, or null
+ */
+function readString(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const trimmed = value.trim();
+  return trimmed === '' ? null : trimmed;
+}
+
+/**
+ * Parses a non-negative number parameter
+ * @param {string|null} value - Raw value
+ * @param {boolean} integer - Whether only integers are accepted
+ * @returns {number|null|undefined} Parsed number, null when absent, undefined when invalid
+ */
+function readNumber(value, integer) {
+  if (value === null) {
+    return null;
+  }
+  const pattern = integer ? /^\d+$/ : /^\d+(?:\.\d+)?$/;
+  return pattern.test(value) ? Number(value) : undefined;
+}
+
+/**
+ * Validates and normalizes `GET /library` query parameters
+ * @param {Object<string, any>} raw - Parsed query string
+ * @returns {{query: LibraryQuery}|{error: string}} Normalized query or a validation error
+ */
+function parseLibraryQuery(raw) {
+  const params = raw || {};
+  const q = readString(params.q);
+
+  let year = null;
+  const yearValue = readString(params.year);
+  if (yearValue !== null) {
+    const match = /^(\d{4})(?:-(\d{4}))?$/.exec(yearValue);
+    if (!match) {
+      return { error: 'year must be a year (1999) or a range (1990-1999)' };
+    }
+    const from = Number(match[1]);
+    const to = match[2] ? Number(match[2]) : from;
+    year = { from: Math.min(from, to), to: Math.max(from, to) };
+  }
+
+  const minDuration = readNumber(readString(params.minDuration), false);
+  const maxDuration = readNumber(readString(params.maxDuration), false);
+  if (minDuration === undefined || maxDuration === undefined) {
+    return { error: 'minDuration and maxDuration must be non-negative numbers of seconds' };
+  }
+
+  const sort = readString(params.sort) || 'index';
+  if (!SORT_FIELDS.includes(sort)) {
+    return { error: `sort must be one of: ${SORT_FIELDS.join(', ')}` };
+  }
+  const order = readString(params.order) || 'asc';
+  if (order !== 'asc' && order !== 'desc') {
+    return { error: 'order must be asc or desc' };
+  }
+
+  const limit = readNumber(readString(params.limit), true);
+  if (limit === undefined || limit === 0 || limit > MAX_LIMIT) {
+    return { error: `limit must be an integer between 1 and ${MAX_LIMIT}` };
+  }
+  const offset = readNumber(readString(params.offset), true);
+  if (offset === undefined) {
+    return { error: 'offset must be a non-negative integer' };
+  }
+
+  return {
+    query: {
+      terms: q ? fold(q).split(/\s+/) : [],
+      artist: readString(params.artist) && fold(readString(params.artist)),
+      album: readString(params.album) && fold(readString(params.album)),
+      genre: readString(params.genre) && fold(readString(params.genre)),
+      root: readString(params.root),
+      year,
+      minDuration,
+      maxDuration,
+      sort,
+      order,
+      limit: limit === null ? DEFAULT_LIMIT : limit,
+      offset: offset === null ? 0 : offset,
+    },
+  };
+}
+
+/**
+ * Checks whether a track passes the query's search terms and filters
+ * @param {Object} track - Library entry
+ * @param {LibraryQuery} query - Normalized query
+ * @returns {boolean} True if the track matches
+ */
+function matchesQuery(track, query) {
+  if (query.terms.length > 0) {
+    const haystack = fold([track.title, track.artist, track.album, track.filename].join('\n'));
+    if (!query.terms.every((term) => haystack.includes(term))) {
+      return false;
+    }
+  }
+  if (query.artist && !matchesField(track.artist, query.artist)) {
+    return false;
+  }
+  if (query.album && fold(track.album) !== query.album) {
+    return false;
+  }
+  if (query.genre && !matchesField(track.genre, query.genre)) {
+    return false;
+  }
+  if (query.root && track.root !== query.root) {
+    return false;
+  }
+  if (query.year && !(track.year >= query.year.from && track.year <= query.year.to)) {
+    return false;
+  }
+  if (query.minDuration !== null && !(track.duration >= query.minDuration)) {
+    return false;
+  }
+  if (query.maxDuration !== null && !(track.duration <= query.maxDuration)) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Checks whether a sort value is absent
+ * @param {any} value - Field value
+ * @returns {boolean} True for null, undefined and empty strings
+ */
+function isMissing(value) {
+  return value === null || value === undefined || value === '';
+}
+
+/**
+ * Compares two tracks by a field. Tracks without a value sort last in
+ * either direction; ties fall back to library order.
+ * @param {Object} a - Library entry
+ * @param {Object} b - Library entry
+ * @param {string} field - Sort field
+ * @param {number} direction - 1 for ascending, -1 for descending
+ * @returns {number} Sort order
+ */
+function compareTracks(a, b, field, direction) {
+  const left = a[field];
+  const right = b[field];
+  let result;
+  if (isMissing(left) || isMissing(right)) {
+    result = Number(isMissing(left)) - Number(isMissing(right));
+  } else if (typeof left === 'number' && typeof right === 'number') {
+    result = (left - right) * direction;
+  } else {
+    result =
+      String(left).localeCompare(String(right), undefined, { sensitivity: 'base' }) * direction;
+  }
+  return result || a.index - b.index;
+}
+
+/**
+ * Filters, sorts and paginates library entries
+ * @param {Object[]} tracks - Library entries (as returned by listPlaylist)
+ * @param {LibraryQuery} query - Normalized query
+ * @returns {{total: number, offset: number, limit: number, items: Object[]}} One page of results
+ */
+function queryLibrary(tracks, query) {
+  const direction = query.order === 'desc' ? -1 : 1;
+  const matches = tracks.filter((track) => matchesQuery(track, query));
+  matches.sort((a, b) => compareTracks(a, b, query.sort, direction));
+  return {
+    total: matches.length,
+    offset: query.offset,
+    limit: query.limit,
+    items: matches.slice(query.offset, query.offset + query.limit),
+  };
+}
+
+module.exports = { parseLibraryQuery, queryLibrary, matchesQuery, SORT_FIELDS, MAX_LIMIT };
@@ -0,0 +1,546 @@
+'use strict';
+
+/**
+ * Library Roots Module
+ *
+ * The folders the library is scanned from. The `main` root is MUSIC_DIR;
+ * further roots (e.g. other disks) are added at runtime and persisted to a
+ * JSON file under data/. Each root can be disabled and narrowed with include
+ * and exclude glob patterns matched against paths relative to the root.
+ *
+ * Tracks are referred to by library paths: relative to the main root as
+ * before ('Artist/song.mp3'), or prefixed with the root id for other roots
+ * ('archive:Artist/song.mp3'), so saved playlists, history and schedules
+ * written before roots existed keep working. Stream URLs are their own
+ * library path.
+ *
+ * @module player/library-roots
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('../lib/utils/logger');
+const { writeJsonAtomicSync } = require('../lib/utils/json-file');
+const { isStreamUrl } = require('./streams');
+
+const { log, warn } = createLogger('library-roots');
+
+/**
+ * Id of the root that MUSIC_DIR points at. Its path cannot be changed at
+ * runtime and it cannot be removed.
+ */
+const MAIN_ROOT_ID = 'main';
+
+const ROOT_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,31}$/;
+const MAX_PATTERNS = 50;
+const MAX_PATTERN_LENGTH = 200;
+const STORE_VERSION = 1;
+
+/**
+ * @typedef {Object} LibraryRoot
+ * @property {string} id - Identifier, used as the library path prefix
+ * @property {string} path - Absolute folder path
+ * @property {boolean} enabled - Whether the root is scanned and watched
+ * @property {string[]} include - Glob patterns; when any are set, only matching files are used
+ * @property {string[]} exclude - Glob patterns of files to leave out
+ */
+
+/**
+ * Translates a glob pattern into a regular expression source. Supports `*`,
+ * `?`, `**` (any number of folders), `[...]` classes and `{a,b}` alternatives.
+ * @param {string} pattern - Glob pattern using forward slashes
+ * @returns {string} Regular expression source without anchors
+ */
+function translateGlob(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*') {
+      if (pattern[i + 1] === '*') {
+        i += 1;
+        if (pattern[i + 1] === '/') {
+          i += 1;
+          source += '(?:.*/)?';
+        } else {
+          source += '.*';
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[' && pattern.indexOf(']', i + 2) !== -1) {
+      const end = pattern.indexOf(']', i + 2);
+      const body = pattern.slice(i + 1, end).replace(/\\/g, '\\\\');
+      source += body.startsWith('!') ? `[^${body.slice(1)}]` : `[${body}]`;
+      i = end;
+    } else if (char === '{' && pattern.indexOf('}', i) !== -1) {
+      const end = pattern.indexOf('}', i);
+      const alternatives = pattern
+        .slice(i + 1, end)
+        .split(',')
+        .map(translateGlob);
+      source += `(?:${alternatives.join('|')})`;
+      i = end;
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return source;
+}
+
+/**
+ * Compiles a glob pattern. Matching ignores case, since roots may live on
+ * case-insensitive disks.
+ * @param {string} pattern - Glob pattern
+ * @returns {RegExp} Anchored regular expression
+ */
+function compileGlob(pattern) {
+  return new RegExp(`^${translateGlob(pattern)}$`, 'i');
+}
+
+/**
+ * Checks a relative path against compiled patterns. Like .gitignore, a
+ * pattern matching a folder also matches everything inside it, and a pattern
+ * without a slash matches a file or folder name at any depth.
+ * @param {Array<{regex: RegExp, anywhere: boolean}>} matchers - Compiled patterns
+ * @param {string} relativePath - Path relative to the root, forward slashes
+ * @returns {boolean} True if any pattern matches
+ */
+function matchesGlobs(matchers, relativePath) {
+  const segments = relativePath.split('/');
+  for (let depth = 1; depth <= segments.length; depth++) {
+    const prefix = segments.slice(0, depth).join('/');
+    const name = segments[depth - 1];
+    if (matchers.some(({ regex, anywhere }) => regex.test(anywhere ? name : prefix))) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Compiles a root's patterns
+ * @param {string[]} patterns - Glob patterns
+ * @returns {Array<{regex: RegExp, anywhere: boolean}>} Compiled patterns
+ */
+function compilePatterns(patterns) {
+  return patterns.map((pattern) => ({
+    regex: compileGlob(pattern),
+    anywhere: !pattern.includes('/'),
+  }));
+}
+
+/**
+ * Validates a list of glob patterns, including that each one compiles
+ * @param {any} value - Candidate list
+ * @param {string} field - Field name for error messages
+ * @returns {{patterns: string[]}|{error: string}} Normalized patterns or a validation error
+ */
+function normalizePatterns(value, field) {
+  if (
+    !Array.isArray(value) ||
+    value.length > MAX_PATTERNS ||
+    !value.every(
+      (pattern) =>
+        typeof pattern === 'string' &&
+        pattern.trim() !== '' &&
+        pattern.trim().length <= MAX_PATTERN_LENGTH
+    )
+  ) {
+    return {
+      error: `${field} must be an array of up to ${MAX_PATTERNS} glob patterns (1-${MAX_PATTERN_LENGTH} characters)`,
+    };
+  }
+  const patterns = value.map((pattern) =>
+    pattern
+      .trim()
+      .replace(/\\/g, '/')
+      .replace(/^(?:\.?\/)+/, '')
+  );
+  const unique = [...new Set(patterns.filter(Boolean))];
+  for (const pattern of unique) {
+    try {
+      compileGlob(pattern);
+    } catch (err) {
+      return { error: `${field} pattern ${pattern} is invalid: ${err.message}` };
+    }
+  }
+  return { patterns: unique };
+}
+
+/**
+ * Checks whether a path is a folder or a file inside another folder
+ * @param {string} child - Absolute path
+ * @param {string} parent - Absolute folder path
+ * @returns {boolean} True if child is parent or lies inside it
+ */
+function isInside(child, parent) {
+  const relative = path.relative(parent, child);
+  return relative === '' || (relative.split(path.sep)[0] !== '..' && !path.isAbsolute(relative));
+}
+
+/**
+ * Creates a new LibraryRoots instance
+ * @param {Object} options - Configuration options
+ * @param {string} options.musicDir - Folder of the main root (MUSIC_DIR)
+ * @param {string} [options.filePath] - JSON file roots are persisted to; kept in memory without one
+ * @returns {Object} LibraryRoots instance
+ */
+function createLibraryRoots(options) {
+  const { musicDir, filePath = null } = options;
+
+  /** @type {LibraryRoot[]} */
+  let roots = [{ id: MAIN_ROOT_ID, path: musicDir, enabled: true, include: [], exclude: [] }];
+
+  /** @type {Map<string, {include: Array<{regex: RegExp, anywhere: boolean}>, exclude: Array<{regex: RegExp, anywhere: boolean}>}>} */
+  let matchers = compile(roots);
+
+  /**
+   * Compiles the patterns of every root
+   * @param {LibraryRoot[]} list - Roots to compile
+   * @returns {Map<string, {include: Array<{regex: RegExp, anywhere: boolean}>, exclude: Array<{regex: RegExp, anywhere: boolean}>}>} Compiled patterns by root id
+   */
+  function compile(list) {
+    const compiled = new Map();
+    for (const root of list) {
+      compiled.set(root.id, {
+        include: compilePatterns(root.include),
+        exclude: compilePatterns(root.exclude),
+      });
+    }
+    return compiled;
+  }
+
+  /**
+   * Switches to a new set of roots once all their patterns have compiled, so
+   * a bad pattern never leaves the roots and matchers out of step
+   * @param {LibraryRoot[]} next - New roots
+   */
+  function setRoots(next) {
+    const compiled = compile(next);
+    roots = next;
+    matchers = compiled;
+  }
+
+  /**
+   * Loads saved roots. The main root always points at MUSIC_DIR; saved
+   * entries only restore its settings.
+   */
+  function load() {
+    if (!filePath) {
+      return;
+    }
+    try {
+      if (!fs.existsSync(filePath)) {
+        return;
+      }
+      const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      if (!parsed || !Array.isArray(parsed.roots)) {
+        return;
+      }
+      const loaded = [];
+      for (const entry of parsed.roots) {
+        if (
+          !entry ||
+          typeof entry.id !== 'string' ||
+          !ROOT_ID_PATTERN.test(entry.id) ||
+          loaded.some((root) => root.id === entry.id)
+        ) {
+          continue;
+        }
+        const include = normalizePatterns(entry.include || [], 'include');
+        const exclude = normalizePatterns(entry.exclude || [], 'exclude');
+        const rootPath = entry.id === MAIN_ROOT_ID ? musicDir : entry.path;
+        if (typeof rootPath !== 'string' || !path.isAbsolute(rootPath)) {
+          continue;
+        }
+        loaded.push({
+          id: entry.id,
+          path: rootPath,
+          enabled: entry.enabled !== false,
+          include: 'patterns' in include ? include.patterns : [],
+          exclude: 'patterns' in exclude ? exclude.patterns : [],
+        });
+      }
+      if (!loaded.some((root) => root.id === MAIN_ROOT_ID)) {
+        loaded.unshift(roots[0]);
+      }
+      setRoots(loaded);
+      log(`Loaded ${roots.length} library roots from ${filePath}`);
+    } catch (err) {
+      warn(`Failed to read library roots, using MUSIC_DIR only: ${err.message}`);
+    }
+  }
+
+  /**
+   * Saves the roots file. The change is already live by the time this
+   * runs, so a failed write leaves the roots in effect until the next
+   * restart and is only warned about.
+   * @returns {boolean} True if the change was written to disk
+   */
+  function persist() {
+    if (!filePath) {
+      return true;
+    }
+    try {
+      writeJsonAtomicSync(filePath, {
+        version: STORE_VERSION,
+        updatedAt: new Date().toISOString(),
+        roots,
+      });
+      return true;
+    } catch (err) {
+      warn(`Failed to persist library roots: ${err.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Validates the settings of a new or changed root
+   * @param {Object} input - Candidate fields: `path`, `enabled`, `include`, `exclude`
+   * @param {LibraryRoot} base - Current root, or defaults for a new one
+   * @returns {{root: LibraryRoot}|{error: string}} Updated root or a validation error
+   */
+  function normalizeRoot(input, base) {
+    const root = { ...base };
+    if (input.path !== undefined) {
+      if (base.id === MAIN_ROOT_ID) {
+        return { error: 'The main root is MUSIC_DIR; change it in the environment' };
+      }
+      if (typeof input.path !== 'string' || !path.isAbsolute(input.path)) {
+        return { error: 'path must be an absolute folder path' };
+      }
+      root.path = path.resolve(input.path);
+      try {
+        if (!fs.statSync(root.path).isDirectory()) {
+          return { error: 'path must be an existing folder' };
+        }
+      } catch {
+        return { error: 'path must be an existing folder' };
+      }
+      const overlapping = roots.find(
+        (other) =>
+          other.id !== base.id &&
+          (isInside(root.path, other.path) || isInside(other.path, root.path))
+      );
+      if (overlapping) {
+        return { error: `path overlaps root ${overlapping.id}` };
+      }
+    }
+    if (input.enabled !== undefined) {
+      if (typeof input.enabled !== 'boolean') {
+        return { error: 'enabled must be a boolean' };
+      }
+      root.enabled = input.enabled;
+    }
+    for (const field of /** @type {const} */ (['include', 'exclude'])) {
+      if (input[field] !== undefined) {
+        const normalized = normalizePatterns(input[field], field);
+        if ('error' in normalized) {
+          return normalized;
+        }
+        root[field] = normalized.patterns;
+      }
+    }
+    return { root };
+  }
+
+  /**
+   * Lists all roots
+   * @returns {LibraryRoot[]} Copies of the roots, main root first
+   */
+  function list() {
+    return roots.map((root) => ({
+      ...root,
+      include: [...root.include],
+      exclude: [...root.exclude],
+    }));
+  }
+
+  /**
+   * Gets a root by id
+   * @param {string} id - Root id
+   * @returns {LibraryRoot|null} Copy of the root, or null
+   */
+  function get(id) {
+    return list().find((root) => root.id === id) || null;
+  }
+
+  /**
+   * Adds a root
+   * @param {Object} input - `id` and `path`, optionally `enabled`, `include`, `exclude`
+   * @returns {{root: LibraryRoot}|{error: string}} Added root or a validation error
+   */
+  function add(input) {
+    if (typeof input.id !== 'string' || !ROOT_ID_PATTERN.test(input.id)) {
+      return {
+        error:
+          'id must be 1-32 lowercase letters, digits or dashes, starting with a letter or digit',
+      };
+    }
+    if (roots.some((root) => root.id === input.id)) {
+      return { error: `Root ${input.id} already exists` };
+    }
+    if (input.path === undefined) {
+      return { error: 'path must be an absolute folder path' };
+    }
+    const result = normalizeRoot(input, {
+      id: input.id,
+      path: '',
+      enabled: true,
+      include: [],
+      exclude: [],
+    });
+    if ('error' in result) {
+      return result;
+    }
+    setRoots([...roots, result.root]);
+    persist();
+    log(`Added library root ${result.root.id}: ${result.root.path}`);
+    return { root: get(result.root.id) };
+  }
+
+  /**
+   * Changes a root's settings
+   * @param {string} id - Root id
+   * @param {Object} input - Fields to change: `path`, `enabled`, `include`, `exclude`
+   * @returns {{root: LibraryRoot}|{error: string}|null} Updated root, a validation error, or null if not found
+   */
+  function update(id, input) {
+    const index = roots.findIndex((root) => root.id === id);
+    if (index === -1) {
+      return null;
+    }
+    const result = normalizeRoot(input, roots[index]);
+    if ('error' in result) {
+      return result;
+    }
+    setRoots(roots.map((root, i) => (i === index ? result.root : root)));
+    persist();
+    log(`Updated library root ${id}`);
+    return { root: get(id) };
+  }
+
+  /**
+   * Removes a root
+   * @param {string} id - Root id
+   * @returns {{removed: true}|{error: string}|null} Result, an error for the main root, or null if not found
+   */
+  function remove(id) {
+    if (id === MAIN_ROOT_ID) {
+      return { error: 'The main root cannot be removed; disable it instead' };
+    }
+    const index = roots.findIndex((root) => root.id === id);
+    if (index === -1) {
+      return null;
+    }
+    setRoots(roots.filter((_, i) => i !== index));
+    persist();
+    log(`Removed library root ${id}`);
+    return { removed: true };
+  }
+
+  /**
+   * Finds the root a path lies in, enabled or not
+   * @param {string} fullPath - Absolute path
+   * @returns {LibraryRoot|null} Root (not a copy), or null if the path is outside every root
+   */
+  function findRoot(fullPath) {
+    return roots.find((root) => isInside(fullPath, root.path)) || null;
+  }
+
+  /**
+   * Converts an absolute path to its path relative to a root
+   * @param {LibraryRoot} root - Root containing the path
+   * @param {string} fullPath - Absolute path
+   * @returns {string} Relative path with forward slashes
+   */
+  function relativeTo(root, fullPath) {
+    return path.relative(root.path, fullPath).split(path.sep).join('/');
+  }
+
+  /**
+   * Checks whether a file belongs in the library: inside an enabled root and
+   * allowed by that root's include and exclude patterns
+   * @param {string} fullPath - Absolute file path
+   * @returns {boolean} True if the file should be scanned
+   */
+  function accepts(fullPath) {
+    const root = findRoot(fullPath);
+    if (!root || !root.enabled) {
+      return false;
+    }
+    const relativePath = relativeTo(root, fullPath);
+    const compiled = matchers.get(root.id);
+    if (compiled.include.length > 0 && !matchesGlobs(compiled.include, relativePath)) {
+      return false;
+    }
+    return !matchesGlobs(compiled.exclude, relativePath);
+  }
+
+  /**
+   * Gets the id of the root a track lies in
+   * @param {string} fullPath - Absolute file path
+   * @returns {string|null} Root id, or null if the path is outside every root
+   */
+  function getRootId(fullPath) {
+    const root = findRoot(fullPath);
+    return root ? root.id : null;
+  }
+
+  /**
+   * Converts an absolute track path to its library path
+   * @param {string} fullPath - Absolute track path or stream URL
+   * @returns {string} Library path ('Artist/song.mp3' or 'archive:Artist/song.mp3')
+   */
+  function toLibraryPath(fullPath) {
+    if (isStreamUrl(fullPath)) {
+      return fullPath;
+    }
+    const root = findRoot(fullPath);
+    if (!root || root.id === MAIN_ROOT_ID) {
+      return path.relative(musicDir, fullPath).split(path.sep).join('/');
+    }
+    return `${root.id}:${relativeTo(root, fullPath)}`;
+  }
+
+  /**
+   * Converts a library path back to an absolute path. Paths without a known
+   * root prefix are relative to the main root.
+   * @param {string} libraryPath - Library path
+   * @returns {string} Absolute path, or the stream URL
+   */
+  function toFullPath(libraryPath) {
+    if (isStreamUrl(libraryPath)) {
+      return libraryPath;
+    }
+    const match = /^([a-z0-9][a-z0-9-]*):(.*)$/.exec(libraryPath);
+    const root = match && match[1] !== MAIN_ROOT_ID && roots.find((item) => item.id === match[1]);
+    if (root) {
+      return path.join(root.path, ...match[2].split('/'));
+    }
+    return path.join(musicDir, ...libraryPath.split('/'));
+  }
+
+  return {
+    /* Persistence */
+    load,
+
+    /* Management */
+    list,
+    get,
+    add,
+    update,
+    remove,
+
+    /* Path lookup */
+    findRoot,
+    accepts,
+    getRootId,
+    toLibraryPath,
+    toFullPath,
+  };
+}
+
+module.exports = { createLibraryRoots, MAIN_ROOT_ID };
@@ -0,0 +1,326 @@
+'use strict';
+
+/**
+ * Loudness Module
+ *
+ * Normalizes playback loudness using ReplayGain data. Gain values come from
+ * ReplayGain tags, Opus R128 tags, or an EBU R128 analysis pass with FFmpeg's
+ * ebur128 filter for untagged files. All sources are stored in one shape:
+ * ReplayGain 2.0 gains in dB relative to a -18 LUFS reference, plus peaks as
+ * linear ratios.
+ *
+ * @module player/loudness
+ */
+
+const { spawn } = require('child_process');
+const { createLogger } = require('../lib/utils/logger');
+
+const { log, warn } = createLogger('loudness');
+
+/**
+ * Loudness the ReplayGain 2.0 gain values are relative to
+ */
+const REPLAYGAIN_REFERENCE_LUFS = -18;
+
+/**
+ * Loudness Opus R128_*_GAIN tags are relative to (EBU R128 reference)
+ */
+const R128_REFERENCE_LUFS = -23;
+
+/**
+ * Normalization modes: off, per-track gain, or per-album gain
+ */
+const LOUDNESS_MODES = ['off', 'track', 'album'];
+
+/**
+ * Accepted target loudness range
+ */
+const MIN_TARGET_LUFS = -30;
+const MAX_TARGET_LUFS = -5;
+
+/**
+ * Upper bound for applied gain so near-silent tracks are not blown up
+ */
+const MAX_GAIN_DB = 12;
+
+/**
+ * @typedef {Object} ReplayGainInfo
+ * @property {number|null} trackGain - Track gain in dB (ReplayGain 2.0 reference)
+ * @property {number|null} trackPeak - Track peak as a linear ratio
+ * @property {number|null} albumGain - Album gain in dB (ReplayGain 2.0 reference)
+ * @property {number|null} albumPeak - Album peak as a linear ratio
+ * @property {string} source - Where the values came from (tags, r128, analysis)
+ */
+
+/**
+ * @typedef {Object} LoudnessSettings
+ * @property {string} mode - One of LOUDNESS_MODES
+ * @property {number} targetLufs - Target integrated loudness in LUFS
+ */
+
+/**
+ * Returns a finite number or null
+ * @param {any} value - Candidate value
+ * @returns {number|null} The number, or null
+ */
+function finiteOrNull(value) {
+  return typeof value === 'number' && Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Reads the first value of a native tag across all tag formats
+ * @param {Object} native - music-metadata `native` tags keyed by format
+ * @param {string} id - Tag identifier (case-insensitive)
+ * @returns {string|null} Tag value, or null when absent
+ */
+function findNativeTag(native, id) {
+  const wanted = id.toUpperCase();
+  for (const tags of Object.values(native || {})) {
+    const tag = tags.find((candidate) => String(candidate.id).toUpperCase() === wanted);
+    if (tag) {
+      return String(tag.value);
+    }
+  }
+  return null;
+}
+
+/**
+ * Converts an Opus R128 gain tag (Q7.8 fixed point, relative to -23 LUFS)
+ * into a ReplayGain 2.0 gain
+ * @param {string|null} value - Raw tag value
+ * @returns {number|null} Gain in dB, or null when absent or invalid
+ */
+function r128TagToReplayGain(value) {
+  if (value === null || !/^-?\d+$/.test(value.trim())) {
+    return null;
+  }
+  const gainDb = Number.parseInt(value, 10) / 256;
+  return gainDb + R128_REFERENCE_LUFS - REPLAYGAIN_REFERENCE_LUFS;
+}
+
+/**
+ * Extracts ReplayGain data from parsed file metadata
+ * @param {Object} metadata - Result of music-metadata `parseFile`
+ * @returns {ReplayGainInfo|null} Gain data, or null if the file carries none
+ */
+function readReplayGain(metadata) {
+  const common = metadata.common || {};
+  const trackGain = finiteOrNull(common.replaygain_track_gain && common.replaygain_track_gain.dB);
+  const albumGain = finiteOrNull(common.replaygain_album_gain && common.replaygain_album_gain.dB);
+  if (trackGain !== null || albumGain !== null) {
+    return {
+      trackGain,
+      trackPeak: finiteOrNull(common.replaygain_track_peak && common.replaygain_track_peak.ratio),
+      albumGain,
+      albumPeak: finiteOrNull(common.replaygain_album_peak && common.replaygain_album_peak.ratio),
+      source: 'tags',
+    };
+  }
+
+  const r128Track = r128TagToReplayGain(findNativeTag(metadata.native, 'R128_TRACK_GAIN'));
+  const r128Album = r128TagToReplayGain(findNativeTag(metadata.native, 'R128_ALBUM_GAIN'));
+  if (r128Track !== null || r128Album !== null) {
+    return {
+      trackGain: r128Track,
+      trackPeak: null,
+      albumGain: r128Album,
+      albumPeak: null,
+      source: 'r128',
+    };
+  }
+  return null;
+}
+
+/**
+ * Computes the gain to apply for a track, limited so the known peak does not clip
+ * @param {ReplayGainInfo|null|undefined} replayGain - Track gain data
+ * @param {LoudnessSettings} settings - Normalization settings
+ * @returns {number} Gain in dB (0 when disabled or unknown)
+ */
+function computeGainDb(replayGain, settings) {
+  if (!replayGain || settings.mode === 'off') {
+    return 0;
+  }
+  const useAlbum = settings.mode === 'album' && replayGain.albumGain !== null;
+  const gain = useAlbum ? replayGain.albumGain : replayGain.trackGain;
+  const peak = useAlbum ? replayGain.albumPeak : replayGain.trackPeak;
+  if (gain === null) {
+    return 0;
+  }
+  let applied = gain + settings.targetLufs - REPLAYGAIN_REFERENCE_LUFS;
+  if (peak !== null && peak > 0) {
+    applied = Math.min(applied, -20 * Math.log10(peak));
+  }
+  return Math.min(applied, MAX_GAIN_DB);
+}
+
+/**
+ * Parses the summary printed by FFmpeg's ebur128 filter
+ * @param {string} output - FFmpeg stderr output
+ * @returns {{integratedLufs: number, truePeakDbfs: number|null}|null} Measurements, or null
+ */
+function parseLoudnessSummary(output) {
+  const summaryStart = output.lastIndexOf('Summary:');
+  if (summaryStart === -1) {
+    return null;
+  }
+  const summary = output.slice(summaryStart);
+  const integrated = /I:\s+(-?\d+(?:\.\d+)?) LUFS/.exec(summary);
+  if (!integrated) {
+    return null;
+  }
+  const peak = /Peak:\s+(-?\d+(?:\.\d+)?) dBFS/.exec(summary);
+  return {
+    integratedLufs: Number.parseFloat(integrated[1]),
+    truePeakDbfs: peak ? Number.parseFloat(peak[1]) : null,
+  };
+}
+
+/**
+ * Creates a background analyzer that measures untagged tracks one at a time
+ * @param {Object} options - Configuration options
+ * @param {Function} options.onResult - Called with (fullPath, ReplayGainInfo) after each analysis
+ * @returns {Object} LoudnessAnalyzer instance
+ */
+function createLoudnessAnalyzer(options) {
+  const { onResult } = options;
+
+  /** @type {string[]} */
+  const queue = [];
+  const queued = new Set();
+  const failed = new Set();
+  let current = null;
+  let activeProcess = null;
+  let stopped = false;
+
+  /**
+   * Queues a file for analysis unless it is already queued or failed before
+   * @param {string} fullPath - Absolute file path
+   */
+  function enqueue(fullPath) {
+    if (stopped || queued.has(fullPath) || failed.has(fullPath)) {
+      return;
+    }
+    queued.add(fullPath);
+    queue.push(fullPath);
+    processQueue();
+  }
+
+  /**
+   * Starts the next analysis if none is running
+   */
+  function processQueue() {
+    if (current || stopped || queue.length === 0) {
+      return;
+    }
+    const fullPath = queue.shift();
+    current = analyzeFile(fullPath)
+      .then((replayGain) => {
+        if (replayGain) {
+          onResult(fullPath, replayGain);
+        } else {
+          failed.add(fullPath);
+        }
+      })
+      .catch((err) => warn(`Failed to store loudness for ${fullPath}: ${err.message}`))
+      .finally(() => {
+        queued.delete(fullPath);
+        current = null;
+        if (queue.length === 0 && !stopped) {
+          log('Loudness analysis queue finished');
+        }
+        processQueue();
+      });
+  }
+
+  /**
+   * Measures a file with FFmpeg's ebur128 filter
+   * @param {string} fullPath - Absolute file path
+   * @returns {Promise<ReplayGainInfo|null>} Gain data, or null on failure
+   */
+  function analyzeFile(fullPath) {
+    return new Promise((resolve) => {
+      const args = [
+        '-hide_banner',
+        '-nostats',
+        '-i',
+        fullPath,
+        '-map',
+        '0:a:0',
+        '-af',
+        'ebur128=peak=true',
+        '-f',
+        'null',
+        '-',
+      ];
+      let output = '';
+      let ffmpeg;
+      try {
+        ffmpeg = spawn('ffmpeg', args, { stdio: ['ignore', 'ignore', 'pipe'] });
+      } catch (err) {
+        warn(`Failed to start loudness analysis: ${err.message}`);
+        resolve(null);
+        return;
+      }
+      activeProcess = ffmpeg;
+      ffmpeg.stderr.setEncoding('utf8');
+      ffmpeg.stderr.on('data', (chunk) => {
+        /* Only the trailing summary is needed; keep memory bounded */
+        output = (output + chunk).slice(-8192);
+      });
+      ffmpeg.on('error', (err) => {
+        warn(`Loudness analysis failed for ${fullPath}: ${err.message}`);
+      });
+      ffmpeg.on('close', (code) => {
+        activeProcess = null;
+        const measured = code === 0 ? parseLoudnessSummary(output) : null;
+        if (!measured) {
+          if (!stopped) {
+            warn(`Loudness analysis failed for ${fullPath} (code=${code})`);
+          }
+          resolve(null);
+          return;
+        }
+        resolve({
+          trackGain: REPLAYGAIN_REFERENCE_LUFS - measured.integratedLufs,
+          trackPeak:
+            measured.truePeakDbfs === null ? null : Math.pow(10, measured.truePeakDbfs / 20),
+          albumGain: null,
+          albumPeak: null,
+          source: 'analysis',
+        });
+      });
+    });
+  }
+
+  /**
+   * Stops analysis and drops queued files
+   */
+  function stop() {
+    stopped = true;
+    queue.length = 0;
+    queued.clear();
+    if (activeProcess) {
+      activeProcess.kill('SIGTERM');
+    }
+  }
+
+  return {
+    enqueue,
+    stop,
+    get pending() {
+      return queue.length + (current ? 1 : 0);
+    },
+  };
+}
+
+module.exports = {
+  createLoudnessAnalyzer,
+  readReplayGain,
+  computeGainDb,
+  parseLoudnessSummary,
+  LOUDNESS_MODES,
+  MIN_TARGET_LUFS,
+  MAX_TARGET_LUFS,
+  REPLAYGAIN_REFERENCE_LUFS,
+};
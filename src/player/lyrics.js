@@ -0,0 +1,170 @@
+'use strict';
+
+/**
+ * Lyrics Module
+ *
+ * Finds synchronized lyrics for a track: a sidecar `.lrc` file next to the
+ * audio file, or synced lyrics embedded in its tags (ID3 SYLT, or LRC text in
+ * a lyrics tag). Lyrics are read when asked for rather than during the scan,
+ * so they are neither kept in memory nor in the library index.
+ *
+ * @module player/lyrics
+ */
+
+const fs = require('fs');
+const path = require('path');
+const mm = require('music-metadata');
+
+/**
+ * music-metadata timestamp format of synced lyrics in milliseconds
+ */
+const TIMESTAMP_MILLISECONDS = 2;
+
+/**
+ * Longest sidecar file read, in bytes
+ */
+const MAX_LRC_BYTES = 256 * 1024;
+
+/**
+ * @typedef {Object} LyricLine
+ * @property {number} time - Start of the line in seconds
+ * @property {string} text - Line text (empty for an instrumental gap)
+ */
+
+/**
+ * @typedef {Object} TrackLyrics
+ * @property {'lrc'|'embedded'|null} source - Where the lyrics came from, null if none were found
+ * @property {LyricLine[]} lines - Timed lines in playback order
+ */
+
+/**
+ * Parses LRC text. Lines may carry several timestamps (`[00:12.00][01:40.50]`),
+ * and an `[offset:+/-ms]` tag shifts every line (positive values show lines
+ * earlier). Lines without a timestamp, such as unsynced lyrics, are skipped.
+ * @param {string} text - LRC file contents
+ * @returns {LyricLine[]} Timed lines sorted by time
+ */
+function parseLrc(text) {
+  const stamped = [];
+  let offsetMs = 0;
+  for (const rawLine of String(text).split(/\r?\n/)) {
+    const offsetMatch = /^\s*\[offset:\s*([+-]?\d+)\s*\]/i.exec(rawLine);
+    if (offsetMatch) {
+      offsetMs = Number(offsetMatch[1]);
+      continue;
+    }
+    const times = [];
+    let rest = rawLine.trim();
+    let match;
+    while ((match = /^\[(\d{1,3}):(\d{1,2})(?:[.:](\d{1,3}))?\]/.exec(rest))) {
+      const fraction = match[3] ? Number(`0.${match[3]}`) : 0;
+      times.push(Number(match[1]) * 60 + Number(match[2]) + fraction);
+      rest = rest.slice(match[0].length);
+    }
+    /* Enhanced LRC word timings (<mm:ss.xx>) are dropped; lines are shown whole */
+    const lineText = rest.replace(/<\d{1,3}:\d{1,2}(?:[.:]\d{1,3})?>/g, '').trim();
+    for (const time of times) {
+      stamped.push({ time, text: lineText });
+    }
+  }
+  return stamped
+    .map((line) => ({
+      time: Math.max(0, Math.round((line.time - offsetMs / 1000) * 1000) / 1000),
+      text: line.text,
+    }))
+    .sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Extracts synced lyrics from parsed tags
+ * @param {Object} metadata - music-metadata result
+ * @returns {LyricLine[]} Timed lines, empty if the tags have none
+ */
+function readEmbeddedLyrics(metadata) {
+  const tags = metadata && metadata.common && metadata.common.lyrics;
+  if (!Array.isArray(tags)) {
+    return [];
+  }
+  for (const tag of tags) {
+    if (
+      tag &&
+      tag.timeStampFormat === TIMESTAMP_MILLISECONDS &&
+      Array.isArray(tag.syncText) &&
+      tag.syncText.length > 0
+    ) {
+      return tag.syncText
+        .filter((entry) => Number.isFinite(entry.timestamp))
+        .map((entry) => ({ time: entry.timestamp / 1000, text: String(entry.text || '').trim() }))
+        .sort((a, b) => a.time - b.time);
+    }
+    if (tag && typeof tag.text === 'string') {
+      const lines = parseLrc(tag.text);
+      if (lines.length > 0) {
+        return lines;
+      }
+    }
+  }
+  return [];
+}
+
+/**
+ * Finds the sidecar `.lrc` file of a track (same name, `.lrc` or `.LRC`)
+ * @param {string} fullPath - Audio file
+ * @returns {Promise<string|null>} Sidecar path, or null if there is none
+ */
+async function findLyricsFile(fullPath) {
+  const base = fullPath.slice(0, fullPath.length - path.extname(fullPath).length);
+  for (const candidate of [`${base}.lrc`, `${base}.LRC`]) {
+    try {
+      const stat = await fs.promises.stat(candidate);
+      if (stat.isFile() && stat.size <= MAX_LRC_BYTES) {
+        return candidate;
+      }
+    } catch {
+      /* Not there, try the next spelling */
+    }
+  }
+  return null;
+}
+
+/**
+ * Loads the lyrics of a track, preferring a sidecar file over tags
+ * @param {string} fullPath - Audio file
+ * @returns {Promise<TrackLyrics>} Lyrics, with `source` null if none were found
+ */
+async function loadLyrics(fullPath) {
+  const lrcPath = await findLyricsFile(fullPath);
+  if (lrcPath) {
+    const lines = parseLrc(await fs.promises.readFile(lrcPath, 'utf8'));
+    if (lines.length > 0) {
+      return { source: 'lrc', lines };
+    }
+  }
+  const metadata = await mm.parseFile(fullPath, { skipCovers: true });
+  const lines = readEmbeddedLyrics(metadata);
+  return lines.length > 0 ? { source: 'embedded', lines } : { source: null, lines: [] };
+}
+
+/**
+ * Finds the line being sung at a playback position
+ * @param {LyricLine[]} lines - Timed lines sorted by time
+ * @param {number} positionSeconds - Playback position
+ * @returns {number} Index of the line, -1 before the first one
+ */
+function findLyricIndex(lines, positionSeconds) {
+  let low = 0;
+  let high = lines.length - 1;
+  let found = -1;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (lines[mid].time <= positionSeconds) {
+      found = mid;
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return found;
+}
+
+module.exports = { parseLrc, readEmbeddedLyrics, findLyricsFile, loadLyrics, findLyricIndex };
@@ -0,0 +1,132 @@
+'use strict';
+
+/**
+ * M3U Module
+ *
+ * Reads and writes M3U/M3U8 playlists. Imported entries are matched to
+ * library files by the longest trailing path that agrees, so playlists
+ * exported from a desktop player with its own absolute paths still resolve.
+ *
+ * @module player/m3u
+ */
+
+const path = require('path');
+const { fileURLToPath } = require('url');
+
+/**
+ * @typedef {Object} M3uEntry
+ * @property {string} location - Path or URL as written in the playlist
+ * @property {string|null} title - Title from the #EXTINF line, if any
+ * @property {number|null} duration - Duration from the #EXTINF line, if any
+ */
+
+/**
+ * Parses M3U/M3U8 text into entries, ignoring comments and blank lines
+ * @param {string} content - Playlist text
+ * @returns {M3uEntry[]} Entries in playlist order
+ */
+function parseM3u(content) {
+  const entries = [];
+  let pendingInfo = null;
+  const lines = String(content)
+    .replace(/^\uFEFF/, '')
+    .split(/\r?\n/);
+  for (const rawLine of lines) {
+    const line = rawLine.trim();
+    if (!line) {
+      continue;
+    }
+    if (line.startsWith('#')) {
+      const info = /^#EXTINF:\s*(-?\d+(?:\.\d+)?)[^,]*,(.*)$/i.exec(line);
+      if (info) {
+        const duration = Number.parseFloat(info[1]);
+        pendingInfo = { duration: duration >= 0 ? duration : null, title: info[2].trim() || null };
+      }
+      continue;
+    }
+    entries.push({
+      location: line,
+      title: pendingInfo ? pendingInfo.title : null,
+      duration: pendingInfo ? pendingInfo.duration : null,
+    });
+    pendingInfo = null;
+  }
+  return entries;
+}
+
+/**
+ * Normalizes a playlist location into forward-slash path segments
+ * @param {string} location - Path or file:// URL
+ * @returns {string[]|null} Path segments, or null for non-file URLs
+ */
+function toSegments(location) {
+  let value = location;
+  if (/^file:\/\//i.test(value)) {
+    try {
+      value = fileURLToPath(value);
+    } catch {
+      return null;
+    }
+  } else if (/^[a-z][a-z0-9+.-]*:\/\//i.test(value)) {
+    return null;
+  }
+  return value
+    .replace(/\\/g, '/')
+    .split('/')
+    .filter((segment) => segment && segment !== '.');
+}
+
+/**
+ * Builds a matcher that resolves playlist locations to library paths. The
+ * root prefix of a library path ('archive:') is not part of what is matched.
+ * @param {string[]} libraryPaths - Library paths (see library-roots)
+ * @returns {Function} Matcher taking a location and returning a library path or null
+ */
+function createLibraryMatcher(libraryPaths) {
+  /** @type {Map<string, string>} Lowercased relative path suffixes to library paths */
+  const suffixes = new Map();
+  for (const libraryPath of libraryPaths) {
+    const segments = libraryPath
+      .replace(/^[a-z0-9][a-z0-9-]*:/, '')
+      .replace(/\\/g, '/')
+      .split('/');
+    for (let start = 0; start < segments.length; start += 1) {
+      const key = segments.slice(start).join('/').toLowerCase();
+      if (!suffixes.has(key)) {
+        suffixes.set(key, libraryPath);
+      }
+    }
+  }
+
+  return function match(location) {
+    const segments = toSegments(location);
+    if (!segments || segments.length === 0) {
+      return null;
+    }
+    for (let start = 0; start < segments.length; start += 1) {
+      const found = suffixes.get(segments.slice(start).join('/').toLowerCase());
+      if (found) {
+        return found;
+      }
+    }
+    return null;
+  };
+}
+
+/**
+ * Serializes tracks as an extended M3U playlist
+ * @param {Array<{location: string, title?: string, artist?: string, duration?: number|null}>} tracks - Tracks to write
+ * @returns {string} Playlist text
+ */
+function buildM3u(tracks) {
+  const lines = ['#EXTM3U'];
+  for (const track of tracks) {
+    const duration = Number.isFinite(track.duration) ? Math.round(track.duration) : -1;
+    const label = [track.artist, track.title].filter(Boolean).join(' - ');
+    lines.push(`#EXTINF:${duration},${label || path.basename(track.location)}`);
+    lines.push(track.location);
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = { parseM3u, buildM3u, createLibraryMatcher };
@@ -0,0 +1,240 @@
+'use strict';
+
+/**
+ * Master Volume Module
+ *
+ * Applies the player's master gain to mixed PCM before it is written to the
+ * audio socket. The level is a linear factor between 0 and 1 (also accepted
+ * in dB); mute and level changes ramp briefly to avoid clicks, and timed
+ * fades move the level over a number of seconds. Progress is counted in
+ * rendered frames, so a fade holds while playback is paused.
+ *
+ * @module player/master-volume
+ */
+
+const { SAMPLE_RATE, BYTES_PER_FRAME } = require('./pcm-mixer');
+
+/**
+ * Quietest level accepted in dB; anything below is silence
+ */
+const MIN_VOLUME_DB = -60;
+
+/**
+ * Longest accepted timed fade
+ */
+const MAX_FADE_SECONDS = 600;
+
+/**
+ * Ramp length for level changes and mute so they do not click
+ */
+const DECLICK_SECONDS = 0.03;
+
+/**
+ * @typedef {Object} VolumeSettings
+ * @property {number} level - Linear master level between 0 and 1
+ * @property {boolean} muted - Whether output is muted (the level is kept)
+ */
+
+const DEFAULT_VOLUME_SETTINGS = Object.freeze({ level: 1, muted: false });
+
+/**
+ * Converts decibels to a linear level; MIN_VOLUME_DB and below are silence
+ * @param {number} db - Level in dB
+ * @returns {number} Linear level
+ */
+function dbToLevel(db) {
+  return db <= MIN_VOLUME_DB ? 0 : Math.pow(10, db / 20);
+}
+
+/**
+ * Converts a linear level to decibels
+ * @param {number} level - Linear level
+ * @returns {number|null} Level in dB rounded to 0.1, or null for silence
+ */
+function levelToDb(level) {
+  return level > 0 ? Math.round(200 * Math.log10(level)) / 10 : null;
+}
+
+/**
+ * Reads a target level given either as `level` (0–1) or `db` (MIN_VOLUME_DB–0)
+ * @param {any} input - Object with `level` or `db`
+ * @returns {{level: number}|{error: string}} Linear level, or an error message
+ */
+function parseLevel(input) {
+  if (input.level !== undefined && input.db !== undefined) {
+    return { error: 'Give either level or db, not both' };
+  }
+  if (input.db !== undefined) {
+    const db = input.db;
+    if (typeof db !== 'number' || !(db >= MIN_VOLUME_DB && db <= 0)) {
+      return { error: `db must be a number between ${MIN_VOLUME_DB} and 0` };
+    }
+    return { level: dbToLevel(db) };
+  }
+  const level = input.level;
+  if (typeof level !== 'number' || !(level >= 0 && level <= 1)) {
+    return { error: 'level must be a number between 0 and 1' };
+  }
+  return { level };
+}
+
+/**
+ * Validates persisted volume settings, falling back to defaults per field
+ * @param {any} input - Stored settings
+ * @returns {VolumeSettings} Usable settings
+ */
+function normalizeVolumeSettings(input) {
+  const settings = { ...DEFAULT_VOLUME_SETTINGS };
+  if (!input || typeof input !== 'object') {
+    return settings;
+  }
+  if (typeof input.level === 'number' && input.level >= 0 && input.level <= 1) {
+    settings.level = input.level;
+  }
+  if (typeof input.muted === 'boolean') {
+    settings.muted = input.muted;
+  }
+  return settings;
+}
+
+/**
+ * Creates a master volume stage
+ * @param {Partial<VolumeSettings>} [initial] - Starting level and mute state
+ * @returns {Object} MasterVolume instance
+ */
+function createMasterVolume(initial = {}) {
+  const settings = normalizeVolumeSettings(initial);
+
+  /** Gain applied to the last rendered frame */
+  let gain = settings.muted ? 0 : settings.level;
+  /** Level a timed fade is heading for, or null */
+  let fadeTarget = null;
+  /** Frames left until the gain reaches the effective level */
+  let rampFrames = 0;
+
+  /**
+   * Returns the gain the output should settle at
+   * @returns {number} Linear gain
+   */
+  function effectiveGain() {
+    return settings.muted ? 0 : settings.level;
+  }
+
+  /**
+   * Starts a linear ramp from the current gain to the effective level
+   * @param {number} seconds - Ramp length
+   */
+  function rampTo(seconds) {
+    rampFrames = Math.max(1, Math.round(seconds * SAMPLE_RATE));
+  }
+
+  /**
+   * Returns the current volume state
+   * @returns {{level: number, db: number|null, muted: boolean,
+   *   fade: {target: number, remainingSeconds: number}|null}} Volume state
+   */
+  function getState() {
+    return {
+      level: settings.level,
+      db: levelToDb(settings.level),
+      muted: settings.muted,
+      fade:
+        fadeTarget === null
+          ? null
+          : {
+              target: fadeTarget,
+              remainingSeconds: Math.round((rampFrames / SAMPLE_RATE) * 10) / 10,
+            },
+    };
+  }
+
+  /**
+   * Returns the settings worth persisting. During a fade the level is the
+   * fade target, so a restart lands where the fade was going.
+   * @returns {VolumeSettings} Level and mute state
+   */
+  function getSettings() {
+    return { ...settings };
+  }
+
+  /**
+   * Changes the level and/or mute state. A running fade is cancelled even
+   * when only mute changes: the level jumps to the fade's target, so muting
+   * takes effect at once and unmuting lands where the fade was going.
+   * @param {Partial<VolumeSettings>} update - Fields to change
+   */
+  function set(update) {
+    if (update.level !== undefined) {
+      settings.level = update.level;
+    }
+    if (update.muted !== undefined) {
+      settings.muted = update.muted;
+    }
+    fadeTarget = null;
+    rampTo(DECLICK_SECONDS);
+  }
+
+  /**
+   * Fades the level to a target over a number of seconds
+   * @param {number} level - Target linear level
+   * @param {number} seconds - Fade length; 0 behaves like set
+   */
+  function fadeTo(level, seconds) {
+    settings.level = level;
+    fadeTarget = seconds > 0 ? level : null;
+    rampTo(Math.max(seconds, DECLICK_SECONDS));
+  }
+
+  /**
+   * Applies the master gain to a chunk of PCM, advancing any ramp
+   * @param {Buffer} chunk - Mixed s16le stereo PCM
+   * @returns {Buffer} PCM with the gain applied (the input itself at unity)
+   */
+  function apply(chunk) {
+    if (!chunk || chunk.length === 0) {
+      return chunk;
+    }
+    const target = effectiveGain();
+    if (rampFrames === 0 && gain === 1) {
+      return chunk;
+    }
+    const output = Buffer.alloc(chunk.length);
+    for (let offset = 0; offset < chunk.length; offset += BYTES_PER_FRAME) {
+      if (rampFrames > 0) {
+        gain += (target - gain) / rampFrames;
+        rampFrames -= 1;
+        if (rampFrames === 0) {
+          gain = target;
+          fadeTarget = null;
+        }
+      }
+      if (gain === 0) {
+        continue;
+      }
+      for (let sample = offset; sample < offset + BYTES_PER_FRAME; sample += 2) {
+        const scaled = Math.round(chunk.readInt16LE(sample) * gain);
+        output.writeInt16LE(Math.max(-32768, Math.min(32767, scaled)), sample);
+      }
+    }
+    return output;
+  }
+
+  return {
+    getState,
+    getSettings,
+    set,
+    fadeTo,
+    apply,
+  };
+}
+
+module.exports = {
+  createMasterVolume,
+  parseLevel,
+  normalizeVolumeSettings,
+  dbToLevel,
+  levelToDb,
+  DEFAULT_VOLUME_SETTINGS,
+  MIN_VOLUME_DB,
+  MAX_FADE_SECONDS,
+};
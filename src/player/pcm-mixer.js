@@ -0,0 +1,132 @@
+'use strict';
+
+/**
+ * PCM Mixer Module
+ *
+ * Buffers decoded s16le stereo PCM per decoder and blends two streams with an
+ * equal-power crossfade. The playback controller uses these helpers to
+ * overlap the end of one track with the start of the next before writing to
+ * the audio socket.
+ *
+ * @module player/pcm-mixer
+ */
+
+/**
+ * Audio format shared with the server's TCP input
+ */
+const SAMPLE_RATE = 44100;
+const CHANNELS = 2;
+const BYTES_PER_SAMPLE = 2;
+const BYTES_PER_FRAME = CHANNELS * BYTES_PER_SAMPLE;
+const BYTES_PER_SECOND = SAMPLE_RATE * BYTES_PER_FRAME;
+
+const EMPTY = Buffer.alloc(0);
+
+/**
+ * Creates a FIFO of PCM chunks that is read back in whole frames
+ * @returns {Object} PcmQueue instance
+ */
+function createPcmQueue() {
+  /** @type {Buffer[]} */
+  let chunks = [];
+  let length = 0;
+
+  /**
+   * Appends a chunk of decoded audio
+   * @param {Buffer} chunk - Raw PCM bytes
+   */
+  function push(chunk) {
+    if (!chunk || chunk.length === 0) {
+      return;
+    }
+    chunks.push(chunk);
+    length += chunk.length;
+  }
+
+  /**
+   * Removes up to `maxFrames` whole frames from the front of the queue.
+   * Trailing bytes of an incomplete frame stay queued until the rest arrives.
+   * @param {number} maxFrames - Maximum number of frames to read
+   * @returns {Buffer} PCM bytes, possibly empty
+   */
+  function read(maxFrames) {
+    const available = length - (length % BYTES_PER_FRAME);
+    const wanted = Math.min(maxFrames * BYTES_PER_FRAME, available);
+    if (wanted <= 0) {
+      return EMPTY;
+    }
+    const parts = [];
+    let collected = 0;
+    while (collected < wanted) {
+      const head = chunks[0];
+      const take = Math.min(head.length, wanted - collected);
+      if (take === head.length) {
+        parts.push(head);
+        chunks.shift();
+      } else {
+        parts.push(head.subarray(0, take));
+        chunks[0] = head.subarray(take);
+      }
+      collected += take;
+    }
+    length -= collected;
+    return parts.length === 1 ? parts[0] : Buffer.concat(parts, collected);
+  }
+
+  /**
+   * Drops all queued audio
+   */
+  function clear() {
+    chunks = [];
+    length = 0;
+  }
+
+  return {
+    push,
+    read,
+    clear,
+    get length() {
+      return length;
+    },
+    get frames() {
+      return Math.floor(length / BYTES_PER_FRAME);
+    },
+  };
+}
+
+/**
+ * Mixes the tail of an outgoing track into the head of an incoming one with
+ * an equal-power curve. Missing frames on either side are treated as silence.
+ * @param {Buffer} outgoing - PCM from the track fading out
+ * @param {Buffer} incoming - PCM from the track fading in
+ * @param {number} progressFrames - Frames of the crossfade already rendered
+ * @param {number} lengthFrames - Total crossfade length in frames
+ * @returns {Buffer} Mixed PCM
+ */
+function mixCrossfade(outgoing, incoming, progressFrames, lengthFrames) {
+  const byteLength = Math.max(outgoing.length, incoming.length);
+  const output = Buffer.alloc(byteLength);
+  for (let offset = 0; offset < byteLength; offset += BYTES_PER_FRAME) {
+    const frame = progressFrames + offset / BYTES_PER_FRAME;
+    const progress = lengthFrames > 0 ? Math.min(frame / lengthFrames, 1) : 1;
+    const outGain = Math.cos((progress * Math.PI) / 2);
+    const inGain = Math.sin((progress * Math.PI) / 2);
+    for (let sample = 0; sample < BYTES_PER_FRAME; sample += BYTES_PER_SAMPLE) {
+      const position = offset + sample;
+      const a = position < outgoing.length ? outgoing.readInt16LE(position) : 0;
+      const b = position < incoming.length ? incoming.readInt16LE(position) : 0;
+      const mixed = Math.round(a * outGain + b * inGain);
+      output.writeInt16LE(Math.max(-32768, Math.min(32767, mixed)), position);
+    }
+  }
+  return output;
+}
+
+module.exports = {
+  createPcmQueue,
+  mixCrossfade,
+  SAMPLE_RATE,
+  CHANNELS,
+  BYTES_PER_FRAME,
+  BYTES_PER_SECOND,
+};
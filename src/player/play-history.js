@@ -0,0 +1,322 @@
+'use strict';
+
+/**
+ * Play History Module
+ *
+ * Records every play (track, start and end time, seconds actually played and
+ * why it ended) in an append-only JSON Lines file under data/, and answers
+ * time-range queries over it for setlist recall. Unlike the playlist
+ * manager's in-memory history, which only backs "previous", this log
+ * survives restarts.
+ *
+ * @module player/play-history
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('../lib/utils/logger');
+const { createLibraryRoots } = require('./library-roots');
+
+const { log, warn } = createLogger('history');
+
+/**
+ * Why a play ended. `stopped` covers manual stops and player shutdown.
+ */
+const END_REASONS = ['finished', 'skipped', 'error', 'stopped'];
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+/**
+ * @typedef {Object} PlayRecord
+ * @property {number} id - Sequential play number
+ * @property {string} path - Library path of the track (see library-roots)
+ * @property {string} filename - File name
+ * @property {string|null} title - Title tag
+ * @property {string|null} artist - Artist tag
+ * @property {string|null} album - Album tag
+ * @property {string|null} isrc - ISRC tag
+ * @property {string|null} label - Record label tag
+ * @property {number|null} duration - Track length in seconds
+ * @property {string} startedAt - ISO timestamp when the track started
+ * @property {string} endedAt - ISO timestamp when the track ended
+ * @property {number} playedSeconds - Audio actually played, excluding pauses and seeked-over parts
+ * @property {string} endReason - One of END_REASONS
+ */
+
+/**
+ * @typedef {Object} HistoryQuery
+ * @property {number|null} from - Only plays still running at or after this time (ms)
+ * @property {number|null} to - Only plays started at or before this time (ms)
+ * @property {string|null} reason - Only plays that ended for this reason
+ * @property {number} limit - Page size
+ * @property {number} offset - Number of results to skip
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parses a timestamp parameter given as ISO 8601 or epoch milliseconds
+ * @param {any} value - Raw query value
+ * @param {boolean} endOfDay - Whether a bare date (2026-01-31) means the end of that UTC day
+ * @returns {number|null|undefined} Milliseconds, null when absent, undefined when invalid
+ */
+function readTime(value, endOfDay) {
+  if (typeof value !== 'string' || value.trim() === '') {
+    return null;
+  }
+  const trimmed = value.trim();
+  const time = /^\d+$/.test(trimmed) ? Number(trimmed) : Date.parse(trimmed);
+  if (!Number.isFinite(time)) {
+    return undefined;
+  }
+  return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(trimmed) ? time + DAY_MS - 1 : time;
+}
+
+/**
+ * Validates the `from`/`to` parameters shared by history queries and reports.
+ * A bare date for `to` includes that whole day.
+ * @param {Object<string, any>} params - Parsed query string
+ * @returns {{from: number|null, to: number|null}|{error: string}} Range in milliseconds or a validation error
+ */
+function parseTimeRange(params) {
+  const from = readTime(params.from, false);
+  const to = readTime(params.to, true);
+  if (from === undefined || to === undefined) {
+    return { error: 'from and to must be ISO 8601 timestamps or epoch milliseconds' };
+  }
+  if (from !== null && to !== null && from > to) {
+    return { error: 'from must not be after to' };
+  }
+  return { from, to };
+}
+
+/**
+ * Parses a non-negative integer parameter
+ * @param {any} value - Raw query value
+ * @returns {number|null|undefined} Parsed number, null when absent, undefined when invalid
+ */
+function readInteger(value) {
+  if (typeof value !== 'string' || value.trim() === '') {
+    return null;
+  }
+  return /^\d+$/.test(value.trim()) ? Number(value) : undefined;
+}
+
+/**
+ * Validates and normalizes `GET /history` query parameters
+ * @param {Object<string, any>} raw - Parsed query string
+ * @returns {{query: HistoryQuery}|{error: string}} Normalized query or a validation error
+ */
+function parseHistoryQuery(raw) {
+  const params = raw || {};
+  const range = parseTimeRange(params);
+  if ('error' in range) {
+    return range;
+  }
+
+  const reason = typeof params.reason === 'string' && params.reason ? params.reason : null;
+  if (reason !== null && !END_REASONS.includes(reason)) {
+    return { error: `reason must be one of: ${END_REASONS.join(', ')}` };
+  }
+
+  const limit = readInteger(params.limit);
+  if (limit === undefined || limit === 0 || limit > MAX_LIMIT) {
+    return { error: `limit must be an integer between 1 and ${MAX_LIMIT}` };
+  }
+  const offset = readInteger(params.offset);
+  if (offset === undefined) {
+    return { error: 'offset must be a non-negative integer' };
+  }
+
+  return {
+    query: {
+      from: range.from,
+      to: range.to,
+      reason,
+      limit: limit === null ? DEFAULT_LIMIT : limit,
+      offset: offset === null ? 0 : offset,
+    },
+  };
+}
+
+/**
+ * Creates a new PlayHistory instance
+ * @param {Object} options - Configuration options
+ * @param {string} options.filePath - Path of the JSON Lines log
+ * @param {string} options.musicDir - Music directory (the main library root)
+ * @param {Object} [options.libraryRoots] - LibraryRoots instance; defaults to musicDir alone
+ * @returns {Object} PlayHistory instance
+ */
+function createPlayHistory(options) {
+  const { filePath, musicDir, libraryRoots = createLibraryRoots({ musicDir }) } = options;
+
+  /** @type {Array<{record: PlayRecord, startMs: number, endMs: number}>} Plays in log order */
+  let plays = [];
+  let nextId = 1;
+  /* Set when the log ends mid-line (e.g. after a crash) so the next append starts a fresh line */
+  let needsNewline = false;
+
+  /**
+   * Adds a record to the in-memory index
+   * @param {PlayRecord} record - Play record
+   */
+  function index(record) {
+    plays.push({
+      record,
+      startMs: Date.parse(record.startedAt),
+      endMs: Date.parse(record.endedAt),
+    });
+    nextId = Math.max(nextId, record.id + 1);
+  }
+
+  /**
+   * Loads the log, skipping lines that are truncated or malformed
+   */
+  function load() {
+    plays = [];
+    nextId = 1;
+    needsNewline = false;
+    let content;
+    try {
+      if (!fs.existsSync(filePath)) {
+        return;
+      }
+      content = fs.readFileSync(filePath, 'utf8');
+      needsNewline = content.length > 0 && !content.endsWith('\n');
+    } catch (err) {
+      warn(`Failed to read play history, starting empty: ${err.message}`);
+      return;
+    }
+    let skipped = 0;
+    for (const line of content.split('\n')) {
+      if (!line.trim()) {
+        continue;
+      }
+      try {
+        const record = JSON.parse(line);
+        if (
+          !record ||
+          !Number.isInteger(record.id) ||
+          !Number.isFinite(Date.parse(record.startedAt)) ||
+          !Number.isFinite(Date.parse(record.endedAt))
+        ) {
+          throw new Error('invalid record');
+        }
+        index(record);
+      } catch {
+        skipped += 1;
+      }
+    }
+    if (skipped > 0) {
+      warn(`Skipped ${skipped} unreadable play history lines`);
+    }
+    log(`Loaded ${plays.length} plays from ${filePath}`);
+  }
+
+  /**
+   * Appends a finished play to the log. Errors are logged so a read-only
+   * data directory does not stop playback.
+   * @param {Object} play - Play to record
+   * @param {Object} play.track - Track metadata from the playlist manager
+   * @param {number} play.startedAt - Start timestamp in milliseconds
+   * @param {number} play.endedAt - End timestamp in milliseconds
+   * @param {number} play.playedSeconds - Seconds of audio played
+   * @param {string} play.endReason - One of END_REASONS
+   * @returns {PlayRecord} Stored record
+   */
+  function record(play) {
+    const { track } = play;
+    /** @type {PlayRecord} */
+    const entry = {
+      id: nextId,
+      path: libraryRoots.toLibraryPath(track.fullPath),
+      filename: track.filename,
+      title: track.title || null,
+      artist: track.artist || null,
+      album: track.album || null,
+      isrc: track.isrc || null,
+      label: track.label || null,
+      duration: Number.isFinite(track.duration) ? track.duration : null,
+      startedAt: new Date(play.startedAt).toISOString(),
+      endedAt: new Date(play.endedAt).toISOString(),
+      playedSeconds: Math.round(Math.max(play.playedSeconds, 0) * 10) / 10,
+      endReason: END_REASONS.includes(play.endReason) ? play.endReason : 'finished',
+    };
+    index(entry);
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.appendFileSync(filePath, `${needsNewline ? '\n' : ''}${JSON.stringify(entry)}\n`, 'utf8');
+      needsNewline = false;
+    } catch (err) {
+      warn(`Failed to write play history: ${err.message}`);
+    }
+    return entry;
+  }
+
+  /**
+   * Finds plays overlapping a time range, newest first
+   * @param {HistoryQuery} criteria - Normalized query
+   * @returns {{total: number, offset: number, limit: number, items: PlayRecord[]}} One page of plays
+   */
+  function query(criteria) {
+    const matches = plays.filter(
+      (play) =>
+        (criteria.from === null || play.endMs >= criteria.from) &&
+        (criteria.to === null || play.startMs <= criteria.to) &&
+        (criteria.reason === null || play.record.endReason === criteria.reason)
+    );
+    matches.sort((a, b) => b.startMs - a.startMs || b.record.id - a.record.id);
+    return {
+      total: matches.length,
+      offset: criteria.offset,
+      limit: criteria.limit,
+      items: matches
+        .slice(criteria.offset, criteria.offset + criteria.limit)
+        .map((play) => play.record),
+    };
+  }
+
+  /**
+   * Lists plays that started within a time range, oldest first
+   * @param {{from: number|null, to: number|null}} range - Range in milliseconds (null for open-ended)
+   * @returns {PlayRecord[]} Matching plays
+   */
+  function listStartedBetween(range) {
+    return plays
+      .filter(
+        (play) =>
+          (range.from === null || play.startMs >= range.from) &&
+          (range.to === null || play.startMs <= range.to)
+      )
+      .sort((a, b) => a.startMs - b.startMs || a.record.id - b.record.id)
+      .map((play) => play.record);
+  }
+
+  /**
+   * Number of recorded plays
+   * @returns {number} Play count
+   */
+  function size() {
+    return plays.length;
+  }
+
+  return {
+    /* Persistence */
+    load,
+    record,
+
+    /* Queries */
+    query,
+    listStartedBetween,
+    size,
+  };
+}
+
+module.exports = {
+  createPlayHistory,
+  parseHistoryQuery,
+  parseTimeRange,
+  END_REASONS,
+  MAX_LIMIT,
+};
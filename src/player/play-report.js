@@ -0,0 +1,164 @@
+'use strict';
+
+/**
+ * Play Report Module
+ *
+ * Aggregates the play history into per-track performance reports for music
+ * licensing (title, artist, album, ISRC, label, play count and seconds
+ * played over a date range) and serializes them as JSON or CSV.
+ *
+ * @module player/play-report
+ */
+
+const { parseTimeRange } = require('./play-history');
+
+const REPORT_FORMATS = ['json', 'csv'];
+
+/**
+ * Report columns in CSV order
+ */
+const CSV_COLUMNS = [
+  ['title', 'Title'],
+  ['artist', 'Artist'],
+  ['album', 'Album'],
+  ['isrc', 'ISRC'],
+  ['label', 'Label'],
+  ['plays', 'Plays'],
+  ['secondsPlayed', 'Seconds Played'],
+  ['path', 'Path'],
+];
+
+/**
+ * @typedef {Object} ReportQuery
+ * @property {number|null} from - Only plays started at or after this time (ms)
+ * @property {number|null} to - Only plays started at or before this time (ms)
+ * @property {number} minSeconds - Plays shorter than this are not counted
+ * @property {string} format - One of REPORT_FORMATS
+ */
+
+/**
+ * @typedef {Object} ReportRow
+ * @property {string} path - Library path of the track (see library-roots)
+ * @property {string|null} title - Title tag
+ * @property {string|null} artist - Artist tag
+ * @property {string|null} album - Album tag
+ * @property {string|null} isrc - ISRC tag
+ * @property {string|null} label - Record label tag
+ * @property {number} plays - Number of counted plays
+ * @property {number} secondsPlayed - Total seconds played
+ */
+
+/**
+ * Validates and normalizes `GET /history/report` query parameters
+ * @param {Object<string, any>} raw - Parsed query string
+ * @returns {{query: ReportQuery}|{error: string}} Normalized query or a validation error
+ */
+function parseReportQuery(raw) {
+  const params = raw || {};
+  const range = parseTimeRange(params);
+  if ('error' in range) {
+    return range;
+  }
+  const format = typeof params.format === 'string' && params.format ? params.format : 'json';
+  if (!REPORT_FORMATS.includes(format)) {
+    return { error: `format must be one of: ${REPORT_FORMATS.join(', ')}` };
+  }
+  let minSeconds = 0;
+  if (typeof params.minSeconds === 'string' && params.minSeconds !== '') {
+    if (!/^\d+(?:\.\d+)?$/.test(params.minSeconds)) {
+      return { error: 'minSeconds must be a non-negative number' };
+    }
+    minSeconds = Number(params.minSeconds);
+  }
+  return { query: { from: range.from, to: range.to, minSeconds, format } };
+}
+
+/**
+ * Groups plays by track. Tags come from the most recent play, so fixes to
+ * a file's tags show up in later reports.
+ * @param {import('./play-history').PlayRecord[]} plays - Plays in start order
+ * @param {ReportQuery} query - Normalized query
+ * @returns {{from: string|null, to: string|null, generatedAt: string, totalPlays: number, totalSeconds: number, tracks: ReportRow[]}} Report
+ */
+function buildPlayReport(plays, query) {
+  /** @type {Map<string, ReportRow>} */
+  const rows = new Map();
+  let totalPlays = 0;
+  let totalSeconds = 0;
+  for (const play of plays) {
+    /* A play that aired nothing (e.g. a file that failed to decode) is not a performance */
+    if (!(play.playedSeconds > 0) || play.playedSeconds < query.minSeconds) {
+      continue;
+    }
+    const row = rows.get(play.path) || { path: play.path, plays: 0, secondsPlayed: 0 };
+    row.title = play.title;
+    row.artist = play.artist;
+    row.album = play.album;
+    row.isrc = play.isrc || null;
+    row.label = play.label || null;
+    row.plays += 1;
+    row.secondsPlayed += play.playedSeconds;
+    rows.set(play.path, row);
+    totalPlays += 1;
+    totalSeconds += play.playedSeconds;
+  }
+
+  const tracks = [...rows.values()].map((row) => ({
+    title: row.title,
+    artist: row.artist,
+    album: row.album,
+    isrc: row.isrc,
+    label: row.label,
+    plays: row.plays,
+    secondsPlayed: Math.round(row.secondsPlayed),
+    path: row.path,
+  }));
+  tracks.sort(
+    (a, b) =>
+      b.plays - a.plays ||
+      b.secondsPlayed - a.secondsPlayed ||
+      String(a.artist).localeCompare(String(b.artist)) ||
+      String(a.title).localeCompare(String(b.title))
+  );
+
+  return {
+    from: query.from === null ? null : new Date(query.from).toISOString(),
+    to: query.to === null ? null : new Date(query.to).toISOString(),
+    generatedAt: new Date().toISOString(),
+    totalPlays,
+    totalSeconds: Math.round(totalSeconds),
+    tracks,
+  };
+}
+
+/**
+ * Quotes a CSV field when needed. Text that a spreadsheet would evaluate
+ * as a formula is prefixed with an apostrophe.
+ * @param {any} value - Field value
+ * @returns {string} CSV-safe field
+ */
+function csvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serializes a report's tracks as CSV with a header row
+ * @param {{tracks: ReportRow[]}} report - Report from buildPlayReport
+ * @returns {string} CSV text (CRLF line endings)
+ */
+function formatReportCsv(report) {
+  const lines = [CSV_COLUMNS.map(([, header]) => header).join(',')];
+  for (const row of report.tracks) {
+    lines.push(CSV_COLUMNS.map(([key]) => csvField(row[key])).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = { parseReportQuery, buildPlayReport, formatReportCsv, REPORT_FORMATS };
@@ -3,39 +3,141 @@
 /**
  * Playback Controller Module
  *
- * Manages audio playback via FFmpeg, including play/pause/resume/skip
+ * Manages audio playback via FFmpeg, including play/pause/resume/skip/seek
  * functionality, position tracking, and metadata posting to the server.
+ * Decoded audio is mixed on a real-time clock so the next track can be
+ * preloaded for gapless playback or overlapped for a crossfade. HTTP
+ * streams are fed to their decoder from a reconnecting connection (see
+ * streams) and play until skipped or faded out. The master volume is applied
+ * to the mixed audio just before it is written to the socket.
  *
  * @module player/playback-controller
  */
 
+const fs = require('fs');
 const { spawn } = require('child_process');
 const { createLogger } = require('../lib/utils/logger');
 const { ignoreErrors } = require('../lib/utils/errors');
 const { HTTP_PORT } = require('../lib/config');
+const {
+  createPcmQueue,
+  mixCrossfade,
+  SAMPLE_RATE,
+  CHANNELS,
+  BYTES_PER_FRAME,
+  BYTES_PER_SECOND,
+} = require('./pcm-mixer');
+const { computeGainDb } = require('./loudness');
+const { buildCueArgs, getPlayableEnd, getPlayableLength } = require('./cue-points');
+const { openStream, splitStreamTitle } = require('./streams');
+const { createMasterVolume } = require('./master-volume');
 
 const { log, warn, error } = createLogger('playback');
 
 /**
- * Audio configuration constants
+ * Mixer timing. Decoders run as fast as their buffers allow; the mixer clock
+ * paces output to real time, like the server's silence generator.
+ */
+const MIX_INTERVAL_MS = 20;
+const MAX_TICK_MS = 100;
+
+/**
+ * Per-decoder buffer limits. FFmpeg stdout is paused above the high-water mark
+ * and resumed once the mixer has drained it below the low-water mark.
+ */
+const DECK_HIGH_WATER_BYTES = BYTES_PER_SECOND * 4;
+const DECK_LOW_WATER_BYTES = BYTES_PER_SECOND * 2;
+
+/**
+ * How long before it is needed the next track's decoder is started
+ */
+const PRELOAD_LEAD_SECONDS = 3;
+
+/**
+ * Upper bound for the crossfade length accepted at runtime
+ */
+const MAX_CROSSFADE_SECONDS = 12;
+
+/**
+ * A saved position this close to the end of a track is not resumed; the
+ * next track starts instead
+ */
+const RESUME_MIN_REMAINING_SECONDS = 5;
+
+/**
+ * Clamps a crossfade length to the supported range
+ * @param {number} seconds - Requested crossfade length
+ * @returns {number} Crossfade length in seconds
+ */
+function clampCrossfade(seconds) {
+  if (!Number.isFinite(seconds) || seconds <= 0) {
+    return 0;
+  }
+  return Math.min(seconds, MAX_CROSSFADE_SECONDS);
+}
+
+/**
+ * Clamps a seek target to the track, stopping a second short of its end so
+ * the seek still plays something before the track finishes
+ * @param {Object} track - Track metadata
+ * @param {number} positionSeconds - Requested position in seconds
+ * @returns {number} Position to seek to
+ */
+function clampSeekPosition(track, positionSeconds) {
+  const end = getPlayableEnd(track);
+  const maxPosition = end !== null ? Math.max(end - 1, 0) : Infinity;
+  return Math.min(Math.max(positionSeconds, 0), maxPosition);
+}
+
+/**
+ * @typedef {Object} Deck
+ * @property {Object} track - Track metadata being decoded
+ * @property {import('child_process').ChildProcess} process - FFmpeg decoder process
+ * @property {Object} buffer - Decoded PCM waiting to be mixed
+ * @property {number} offset - Start position within the track in seconds (at or after cue-in)
+ * @property {number} framesPlayed - Frames handed to the mixer so far
+ * @property {number} startedAt - Timestamp when the decoder was spawned
+ * @property {number} gainDb - Loudness normalization gain applied by the decoder
+ * @property {boolean} ended - Whether the decoder process has exited
+ * @property {boolean} killed - Whether the decoder was stopped on purpose
+ * @property {boolean} failed - Whether the decoder exited with an error
+ * @property {Play|null} play - Play history entry this deck is playing out
+ * @property {import('./streams').StreamConnection|null} source - Connection feeding a stream's decoder
+ */
+
+/**
+ * @typedef {Object} Play
+ * @property {Object} track - Track metadata
+ * @property {number} startedAt - Timestamp when the track started
+ * @property {number} playedFrames - Frames played by earlier decks (before a seek or pause)
  */
-const SAMPLE_RATE = 44100;
-const CHANNELS = 2;
 
 /**
  * @typedef {Object} PlaybackState
- * @property {import('child_process').ChildProcess|null} process - Current FFmpeg process
- * @property {number|null} startTime - Timestamp when playback started
+ * @property {Deck|null} deck - Deck of the current track
+ * @property {Deck|null} outgoing - Deck fading out during a crossfade
+ * @property {Deck|null} nextDeck - Preloaded deck for the upcoming track
+ * @property {{framesDone: number, lengthFrames: number, cut: boolean}|null} transition - Active
+ *   crossfade; `cut` when the outgoing track is faded out early rather than at its end
+ * @property {number|null} pendingFade - Fade length requested by fadeToNext, until the fade starts
  * @property {number} offset - Playback offset in seconds
  * @property {boolean} isPaused - Whether playback is paused
- * @property {string|null} stopIntent - Reason for stopping (manual, pause, auto)
+ * @property {string|null} stopIntent - Reason for stopping (manual, skip, pause, seek)
+ * @property {Play|null} suspendedPlay - Play interrupted by a pause or seek, continued on restart
+ * @property {Object|null} pausedJingle - Jingle that was playing when playback was paused
  * @property {boolean} shuttingDown - Whether application is shutting down
  */
 
 /**
  * @typedef {Object} PlayOptions
  * @property {number} [offset] - Start position in seconds
- * @property {string} [intent] - Playback intent ('auto', 'manual', etc.)
+ * @property {string} [intent] - Playback intent ('auto', 'manual', 'seek', 'resume')
+ */
+
+/**
+ * @typedef {Object} TransitionSettings
+ * @property {number} crossfadeSeconds - Overlap between tracks in seconds (0 disables)
+ * @property {boolean} gapless - Preload the next track so it starts without a gap
  */
 
 /**
@@ -43,23 +145,75 @@ const CHANNELS = 2;
  * @param {Object} options - Configuration options
  * @param {Object} options.playlistManager - PlaylistManager instance
  * @param {Object} options.audioSocket - AudioSocket instance
+ * @param {number} [options.crossfadeSeconds=0] - Initial crossfade length in seconds
+ * @param {boolean} [options.gapless=true] - Whether to preload the next track
+ * @param {import('./loudness').LoudnessSettings} [options.loudness] - Initial loudness normalization settings
+ * @param {Object} [options.playHistory] - PlayHistory instance that finished plays are recorded in
+ * @param {Object} [options.jingles] - JingleRotation instance that inserts jingles between tracks
+ * @param {import('./master-volume').VolumeSettings} [options.volume] - Initial master volume
  * @returns {Object} PlaybackController instance
  */
 function createPlaybackController(options) {
-  const { playlistManager, audioSocket } = options;
+  const {
+    playlistManager,
+    audioSocket,
+    crossfadeSeconds = 0,
+    gapless = true,
+    loudness: loudnessOptions = { mode: 'off', targetLufs: -14 },
+    playHistory = null,
+    jingles = null,
+    volume,
+  } = options;
 
   /** @type {PlaybackState} */
   const state = {
-    process: null,
-    startTime: null,
+    deck: null,
+    outgoing: null,
+    nextDeck: null,
+    transition: null,
     offset: 0,
     isPaused: false,
     stopIntent: null,
+    suspendedPlay: null,
+    pausedJingle: null,
+    pendingFade: null,
     shuttingDown: false,
   };
 
+  /** @type {TransitionSettings} */
+  const transitions = {
+    crossfadeSeconds: clampCrossfade(crossfadeSeconds),
+    gapless: Boolean(gapless),
+  };
+
+  /** @type {import('./loudness').LoudnessSettings} */
+  const loudness = { ...loudnessOptions };
+
+  const masterVolume = createMasterVolume(volume);
+
+  let mixTimer = null;
+  let lastTickTime = 0;
+  let frameRemainder = 0;
   let lastAudioDataLogTime = 0;
 
+  /**
+   * Returns the title, artist and album to show for a track. A stream shows
+   * the title it announced, with the station name as the album.
+   * @param {Object} track - Track metadata
+   * @returns {{title: string, artist: string, album: string}} Overlay fields
+   */
+  function describeOnAir(track) {
+    if (!track.isStream) {
+      return { title: track.title, artist: track.artist, album: track.album };
+    }
+    const live = track.streamTitle ? splitStreamTitle(track.streamTitle) : null;
+    return {
+      title: live ? live.title : track.title,
+      artist: (live && live.artist) || '',
+      album: track.title,
+    };
+  }
+
   /**
    * Posts track metadata to the server via HTTP
    * @param {Object} track - Track metadata to post
@@ -67,11 +221,10 @@ function createPlaybackController(options) {
    */
   async function postTrackMetadata(track) {
     const payload = {
-      title: track.title,
-      artist: track.artist,
-      album: track.album,
+      ...describeOnAir(track),
       duration: track.duration,
       filename: track.filename,
+      cover: track.cover || null,
     };
     const controller = new AbortController();
     const timeout = setTimeout(() => controller.abort(), 3000);
@@ -90,32 +243,38 @@ function createPlaybackController(options) {
   }
 
   /**
-   * Builds FFmpeg command line arguments for audio decoding
-   * @param {string} trackPath - Path to audio file
-   * @param {number} offsetSeconds - Start position in seconds
+   * Builds FFmpeg command line arguments for audio decoding. Output is not
+   * rate-limited; the mixer clock paces playback. The track's cue-out point
+   * limits the decoded duration and its fades are applied as filters. Streams
+   * are read from stdin and cannot seek.
+   * @param {Object} track - Track metadata
+   * @param {number} offsetSeconds - Start position in seconds (at or after cue-in)
+   * @param {number} [gainDb=0] - Loudness normalization gain in dB
    * @returns {string[]} Array of FFmpeg arguments
    */
-  function buildFfmpegArgs(trackPath, offsetSeconds) {
-    const args = ['-hide_banner', '-loglevel', 'error', '-re'];
-    if (offsetSeconds > 0) {
-      args.push('-ss', offsetSeconds.toFixed(3));
-    }
-    args.push(
-      '-i',
-      trackPath,
-      '-f',
-      's16le',
-      '-ac',
-      String(CHANNELS),
-      '-ar',
-      String(SAMPLE_RATE),
-      'pipe:1'
-    );
+  function buildFfmpegArgs(track, offsetSeconds, gainDb = 0) {
+    const args = ['-hide_banner', '-loglevel', 'error'];
+    let cueFilters = [];
+    if (track.isStream) {
+      args.push('-i', 'pipe:0');
+    } else {
+      if (offsetSeconds > 0) {
+        args.push('-ss', offsetSeconds.toFixed(3));
+      }
+      const cue = buildCueArgs(track.cues, offsetSeconds, track.duration);
+      args.push(...cue.inputArgs, '-i', track.fullPath);
+      cueFilters = cue.filters;
+    }
+    const filters = gainDb !== 0 ? [`volume=${gainDb.toFixed(2)}dB`, ...cueFilters] : cueFilters;
+    if (filters.length > 0) {
+      args.push('-af', filters.join(','));
+    }
+    args.push('-f', 's16le', '-ac', String(CHANNELS), '-ar', String(SAMPLE_RATE), 'pipe:1');
     return args;
   }
 
   /**
-   * Handles audio data chunks from FFmpeg, writing to server socket
+   * Writes mixed audio to the server socket
    * @param {Buffer} chunk - Audio data chunk
    */
   function handleAudioData(chunk) {
@@ -133,82 +292,71 @@ function createPlaybackController(options) {
       }
       return;
     }
-    if (!audioSocket.isWritable()) {
-      const now = Date.now();
-      if (now - lastAudioDataLogTime > 5000) {
-        warn(`[DEBUG] ${new Date().toISOString()} Socket not writable, pausing FFmpeg stdout`);
-        lastAudioDataLogTime = now;
-      }
-      if (state.process) {
-        state.process.stdout.pause();
-      }
-      return;
-    }
     const ok = socket.write(chunk);
     if (!ok) {
       warn(
         `[DEBUG] ${new Date().toISOString()} Socket write returned false (backpressure), pausing`
       );
       audioSocket.setWritable(false);
-      if (state.process) {
-        state.process.stdout.pause();
-      }
     }
   }
 
   /**
-   * Starts playback of a track at the specified playlist index
-   * @param {number} index - Playlist index to play
-   * @param {PlayOptions} [options={}] - Playback options
-   * @returns {Promise<void>}
+   * Spawns an FFmpeg decoder for a track and buffers its output
+   * @param {Object} track - Track metadata
+   * @param {number} offsetSeconds - Start position in seconds; earlier positions start at cue-in
+   * @returns {Deck|null} New deck, or null if FFmpeg could not be started
    */
-  async function playTrackAtIndex(index, options = {}) {
-    const track = playlistManager.getTrackAtIndex(index);
-    if (!track) {
-      return;
-    }
-
-    /* Update playlist state */
-    playlistManager.setCurrentIndex(index);
-
-    /* Update playback state */
-    state.offset = options.offset || 0;
-    state.isPaused = false;
-
-    /* Spawn FFmpeg process to decode audio */
-    const args = buildFfmpegArgs(track.fullPath, state.offset);
+  function spawnDeck(track, offsetSeconds) {
+    const gainDb = computeGainDb(track.replayGain, loudness);
+    const startSeconds = track.cues ? Math.max(offsetSeconds, track.cues.in) : offsetSeconds;
+    const args = buildFfmpegArgs(track, startSeconds, gainDb);
 
     let ffmpeg;
     try {
-      ffmpeg = spawn('ffmpeg', args, { stdio: ['ignore', 'pipe', 'pipe'] });
+      ffmpeg = spawn('ffmpeg', args, {
+        stdio: [track.isStream ? 'pipe' : 'ignore', 'pipe', 'pipe'],
+      });
     } catch (err) {
       error(`Failed to spawn FFmpeg process: ${err.message}`);
       error('Please ensure FFmpeg is installed and available in your system PATH');
-      playlistManager.setCurrentIndex(-1);
-      return;
+      return null;
     }
 
     /* Verify spawn succeeded by checking for PID */
     if (!ffmpeg || !ffmpeg.pid) {
       error('FFmpeg process failed to start - no PID assigned');
       error('Please ensure FFmpeg is installed and available in your system PATH');
-      playlistManager.setCurrentIndex(-1);
-      return;
+      return null;
     }
 
-    state.process = ffmpeg;
-    state.startTime = Date.now();
-    state.stopIntent = null;
+    /** @type {Deck} */
+    const deck = {
+      track,
+      process: ffmpeg,
+      buffer: createPcmQueue(),
+      offset: startSeconds,
+      framesPlayed: 0,
+      startedAt: Date.now(),
+      gainDb,
+      ended: false,
+      killed: false,
+      failed: false,
+      play: null,
+      source: null,
+    };
 
-    log(`[DEBUG] ${new Date().toISOString()} Starting track: ${track.title} (${track.filename})`);
-    log(`[DEBUG] FFmpeg PID: ${ffmpeg.pid}, offset: ${state.offset.toFixed(2)}s`);
-    log(
-      `[DEBUG] Socket state: connected=${audioSocket.isConnected()}, writable=${audioSocket.isWritable()}`
-    );
-    ignoreErrors(postTrackMetadata(track), warn, 'Failed to post track metadata');
+    if (track.isStream) {
+      connectStream(deck);
+    }
 
-    /* Pipe audio data to server */
-    ffmpeg.stdout.on('data', handleAudioData);
+    /* Buffer decoded audio, pausing the decoder once enough is queued */
+    ffmpeg.stdout.on('data', (chunk) => {
+      deck.buffer.push(chunk);
+      if (deck.buffer.length >= DECK_HIGH_WATER_BYTES) {
+        ffmpeg.stdout.pause();
+      }
+    });
 
     /* Log FFmpeg errors */
     ffmpeg.stderr.setEncoding('utf8');
@@ -219,52 +367,589 @@ function createPlaybackController(options) {
       }
     });
 
-    /* Handle track completion and auto-play next */
+    /* The mixer plays out whatever is buffered before treating the track as ended */
     ffmpeg.on('close', (code, signal) => {
-      const timestamp = new Date().toISOString();
-      const elapsedTime = state.startTime ? (Date.now() - state.startTime) / 1000 : 0;
-      state.process = null;
-
-      log(`[DEBUG] ${timestamp} FFmpeg process closed`);
+      const elapsedTime = (Date.now() - deck.startedAt) / 1000;
+      deck.ended = true;
+      if (deck.source) {
+        deck.source.close();
+      }
+      deck.failed = deck.failed || (!deck.killed && code !== 0);
+      log(`[DEBUG] ${new Date().toISOString()} FFmpeg process closed`);
       log(`[DEBUG] Track: ${track.filename}, code=${code}, signal=${signal}`);
       log(`[DEBUG] Elapsed time: ${elapsedTime.toFixed(2)}s, stopIntent=${state.stopIntent}`);
-      log(
-        `[DEBUG] Socket state: connected=${audioSocket.isConnected()}, destroyed=${audioSocket.getSocket() ? audioSocket.getSocket().destroyed : 'N/A'}`
-      );
+    });
 
-      /* Don't auto-play if stopped intentionally */
-      if (state.stopIntent) {
-        log(`[DEBUG] Skipping auto-play due to stopIntent: ${state.stopIntent}`);
-        return;
+    ffmpeg.on('error', (err) => {
+      deck.failed = true;
+      const elapsedTime = (Date.now() - deck.startedAt) / 1000;
+      error(`[DEBUG] ${new Date().toISOString()} ffmpeg error: ${err.message}`);
+      error(`[DEBUG] Elapsed time: ${elapsedTime.toFixed(2)}s`);
+      error(`[DEBUG] Track: ${track.filename}`);
+    });
+
+    return deck;
+  }
+
+  /**
+   * Connects a stream deck's decoder to the stream. The connection pauses
+   * while the decoder is not reading, and a stream that gives up ends the
+   * deck like a failed decoder.
+   * @param {Deck} deck - Deck of a stream
+   */
+  function connectStream(deck) {
+    const { track } = deck;
+    const stdin = deck.process.stdin;
+    let waitingForDrain = false;
+    /* The decoder exiting first (killed, or unable to decode) breaks the pipe */
+    stdin.on('error', () => {});
+    track.streamTitle = null;
+    deck.source = openStream({
+      url: track.fullPath,
+      onData: (chunk) => {
+        if (!stdin.write(chunk) && !waitingForDrain) {
+          waitingForDrain = true;
+          deck.source.pause();
+          stdin.once('drain', () => {
+            waitingForDrain = false;
+            deck.source.resume();
+          });
+        }
+      },
+      onTitle: (title) => {
+        track.streamTitle = title;
+        if (state.deck === deck) {
+          log(`Stream title: ${title}`);
+          ignoreErrors(postTrackMetadata(track), warn, 'Failed to post stream title');
+        }
+      },
+      onEnd: (err) => {
+        if (err) {
+          deck.failed = true;
+        }
+        stdin.end();
+      },
+    });
+  }
+
+  /**
+   * Checks whether a track can be decoded: files must still exist, streams
+   * are tried and reconnect on their own
+   * @param {Object} track - Track metadata
+   * @returns {boolean} True if the track can be started
+   */
+  function isAvailable(track) {
+    return Boolean(track.isStream) || fs.existsSync(track.fullPath);
+  }
+
+  /**
+   * Reads frames from a deck, resuming its decoder when the buffer runs low
+   * @param {Deck} deck - Deck to read from
+   * @param {number} frames - Maximum number of frames
+   * @returns {Buffer} PCM bytes, possibly fewer than requested
+   */
+  function readDeck(deck, frames) {
+    const chunk = deck.buffer.read(frames);
+    deck.framesPlayed += chunk.length / BYTES_PER_FRAME;
+    if (!deck.ended && deck.buffer.length < DECK_LOW_WATER_BYTES) {
+      deck.process.stdout.resume();
+    }
+    return chunk;
+  }
+
+  /**
+   * Checks whether a deck has exited and everything it decoded was played
+   * @param {Deck} deck - Deck to check
+   * @returns {boolean} True if the deck has nothing left to play
+   */
+  function isDrained(deck) {
+    return deck.ended && deck.buffer.frames === 0;
+  }
+
+  /**
+   * Terminates a deck's decoder and drops its buffered audio
+   * @param {Deck} deck - Deck to stop
+   * @returns {Promise<void>} Resolves when the decoder has exited
+   */
+  function killDeck(deck) {
+    deck.killed = true;
+    deck.buffer.clear();
+    if (deck.ended) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => {
+      deck.process.once('close', () => resolve());
+      deck.process.kill('SIGTERM');
+    });
+  }
+
+  /**
+   * Current position of a deck within its track
+   * @param {Deck} deck - Deck to measure
+   * @returns {number} Position in seconds
+   */
+  function deckPosition(deck) {
+    return deck.offset + deck.framesPlayed / SAMPLE_RATE;
+  }
+
+  /**
+   * Writes a play to the history log
+   * @param {Play} play - Play that ended
+   * @param {number} frames - Total frames played
+   * @param {string} endReason - One of play-history END_REASONS
+   */
+  function recordPlay(play, frames, endReason) {
+    if (!playHistory) {
+      return;
+    }
+    playHistory.record({
+      track: play.track,
+      startedAt: play.startedAt,
+      endedAt: Date.now(),
+      playedSeconds: frames / SAMPLE_RATE,
+      endReason,
+    });
+  }
+
+  /**
+   * Records the end of the play a deck was playing out
+   * @param {Deck} deck - Deck whose track ended
+   * @param {string} endReason - One of play-history END_REASONS
+   */
+  function endPlay(deck, endReason) {
+    const { play } = deck;
+    if (!play) {
+      return;
+    }
+    deck.play = null;
+    recordPlay(play, play.playedFrames + deck.framesPlayed, endReason);
+  }
+
+  /**
+   * Takes the play interrupted by a pause or seek so a restarted decoder can
+   * continue it. A play for a different track is recorded as skipped.
+   * @param {Object} track - Track about to be decoded
+   * @param {string} [intent] - Playback intent
+   * @returns {Play|null} Play to continue, or null to start a new one
+   */
+  function takeSuspendedPlay(track, intent) {
+    const play = state.suspendedPlay;
+    state.suspendedPlay = null;
+    if (!play) {
+      return null;
+    }
+    if ((intent === 'seek' || intent === 'resume') && play.track.fullPath === track.fullPath) {
+      return play;
+    }
+    recordPlay(play, play.playedFrames, 'skipped');
+    return null;
+  }
+
+  /**
+   * Logs a track start and publishes its metadata to the server. Jingles are
+   * not published, so the overlay keeps showing the surrounding track.
+   * @param {Deck} deck - Deck that just became current
+   */
+  function announceDeck(deck) {
+    const { track } = deck;
+    if (track.isJingle) {
+      log(`Playing jingle: ${track.filename}`);
+      return;
+    }
+    log(`[DEBUG] ${new Date().toISOString()} Starting track: ${track.title} (${track.filename})`);
+    log(
+      `[DEBUG] FFmpeg PID: ${deck.process.pid}, offset: ${deck.offset.toFixed(2)}s, gain: ${deck.gainDb.toFixed(2)}dB`
+    );
+    log(
+      `[DEBUG] Socket state: connected=${audioSocket.isConnected()}, writable=${audioSocket.isWritable()}`
+    );
+    ignoreErrors(postTrackMetadata(track), warn, 'Failed to post track metadata');
+  }
+
+  /**
+   * Returns the jingle due before the next music track
+   * @returns {Object|null} Jingle track, or null if none is due
+   */
+  function upcomingJingle() {
+    return jingles ? jingles.peekDue() : null;
+  }
+
+  /**
+   * Checks whether a preloaded deck still holds the track that would play
+   * next, which changes when the queue or playback mode is edited. A music
+   * track preloaded before a timed jingle fell due still plays first.
+   * @param {Deck} deck - Preloaded deck
+   * @returns {boolean} True if the deck matches the upcoming track
+   */
+  function isUpcomingTrack(deck) {
+    if (deck.track.isJingle) {
+      return upcomingJingle() === deck.track;
+    }
+    const upcoming = playlistManager.getTrackAtIndex(playlistManager.peekNextIndex());
+    return Boolean(upcoming) && upcoming.fullPath === deck.track.fullPath;
+  }
+
+  /**
+   * Stops the preloaded deck, if any
+   */
+  function discardNextDeck() {
+    if (state.nextDeck) {
+      ignoreErrors(killDeck(state.nextDeck), warn, 'Failed to stop preloaded track');
+      state.nextDeck = null;
+    }
+  }
+
+  /**
+   * Starts the mixer clock if it is not already running
+   */
+  function startMixer() {
+    if (mixTimer) {
+      return;
+    }
+    lastTickTime = Date.now();
+    frameRemainder = 0;
+    mixTimer = setInterval(mixTick, MIX_INTERVAL_MS);
+  }
+
+  /**
+   * Stops the mixer clock
+   */
+  function stopMixer() {
+    if (mixTimer) {
+      clearInterval(mixTimer);
+      mixTimer = null;
+    }
+  }
+
+  /**
+   * Mixer clock tick: renders the audio due since the last tick and writes it.
+   * Waits while the socket applies backpressure instead of queueing a burst.
+   */
+  function mixTick() {
+    const now = Date.now();
+    const elapsedMs = Math.min(now - lastTickTime, MAX_TICK_MS);
+    lastTickTime = now;
+
+    if (!state.deck) {
+      stopMixer();
+      return;
+    }
+    if (audioSocket.isConnected() && !audioSocket.isWritable()) {
+      return;
+    }
+
+    frameRemainder += (elapsedMs * SAMPLE_RATE) / 1000;
+    const frames = Math.floor(frameRemainder);
+    frameRemainder -= frames;
+    if (frames > 0) {
+      handleAudioData(masterVolume.apply(renderFrames(frames)));
+    }
+    preloadNextDeck();
+  }
+
+  /**
+   * Renders up to `frames` frames from the current deck, crossfading or
+   * switching to the next deck as tracks end
+   * @param {number} frames - Number of frames due
+   * @returns {Buffer} Rendered PCM (shorter than requested on decoder underrun)
+   */
+  function renderFrames(frames) {
+    const parts = [];
+    let remaining = frames;
+    while (remaining > 0 && state.deck) {
+      maybeStartCrossfade();
+      const chunk = state.transition ? renderCrossfade(remaining) : readDeck(state.deck, remaining);
+      if (chunk.length > 0) {
+        parts.push(chunk);
+        remaining -= chunk.length / BYTES_PER_FRAME;
+        continue;
+      }
+      /* Nothing buffered: either the decoder is behind or the track is over */
+      if (!isDrained(state.deck) || !advanceDeck()) {
+        break;
+      }
+    }
+    return parts.length === 1 ? parts[0] : Buffer.concat(parts);
+  }
+
+  /**
+   * Renders crossfade frames from the outgoing and current decks
+   * @param {number} frames - Maximum number of frames
+   * @returns {Buffer} Mixed PCM
+   */
+  function renderCrossfade(frames) {
+    const transition = state.transition;
+    const incoming = readDeck(state.deck, frames);
+    const outgoing = state.outgoing ? readDeck(state.outgoing, frames) : Buffer.alloc(0);
+    const mixed = mixCrossfade(outgoing, incoming, transition.framesDone, transition.lengthFrames);
+    transition.framesDone += mixed.length / BYTES_PER_FRAME;
+
+    if (state.outgoing && isDrained(state.outgoing)) {
+      endPlay(state.outgoing, state.outgoing.failed ? 'error' : 'finished');
+      state.outgoing = null;
+    }
+    if (transition.framesDone >= transition.lengthFrames) {
+      if (state.outgoing) {
+        endPlay(state.outgoing, transition.cut ? 'skipped' : 'finished');
+        ignoreErrors(killDeck(state.outgoing), warn, 'Failed to stop outgoing track');
+        state.outgoing = null;
       }
+      state.transition = null;
+      log('Crossfade complete');
+    }
+    return mixed;
+  }
 
-      /* Don't auto-play if shutting down */
-      if (state.shuttingDown) {
-        log(`[DEBUG] Skipping auto-play due to shutdown`);
+  /**
+   * Begins a crossfade once the current track reaches its fade-out point (or
+   * right away after fadeToNext) and the next track has audio ready
+   */
+  function maybeStartCrossfade() {
+    const next = state.nextDeck;
+    if (state.transition || !next || next.buffer.frames === 0) {
+      return;
+    }
+    const end = getPlayableEnd(state.deck.track);
+    const remaining = end !== null ? end - deckPosition(state.deck) : Infinity;
+    let length;
+    if (state.pendingFade !== null) {
+      length = Math.min(state.pendingFade, remaining);
+    } else {
+      if (transitions.crossfadeSeconds <= 0 || remaining === Infinity) {
+        return;
+      }
+      const currentLength = getPlayableLength(state.deck.track);
+      const nextLength = getPlayableLength(next.track);
+      const fadeSeconds = Math.min(
+        transitions.crossfadeSeconds,
+        currentLength / 2,
+        nextLength === null ? Infinity : nextLength / 2
+      );
+      if (remaining > fadeSeconds) {
         return;
       }
+      length = remaining;
+    }
+    const outgoing = state.deck;
+    if (!activateDeck(next)) {
+      return;
+    }
+    const cut = state.pendingFade !== null;
+    state.pendingFade = null;
+    state.outgoing = outgoing;
+    state.transition = {
+      framesDone: 0,
+      lengthFrames: Math.max(Math.round(Math.max(length, 0) * SAMPLE_RATE), 1),
+      cut,
+    };
+    log(`Crossfading into ${next.track.filename} over ${Math.max(length, 0).toFixed(1)}s`);
+  }
 
-      log(`Track ended (${track.filename}) code=${code} signal=${signal}`);
+  /**
+   * Makes the preloaded deck current, committing it as the next pick and
+   * recording the previous track in history
+   * @param {Deck} deck - Preloaded deck
+   * @returns {boolean} True if the deck was still the upcoming track
+   */
+  function activateDeck(deck) {
+    if (!isUpcomingTrack(deck)) {
+      log(`Up next changed, dropping preloaded track: ${deck.track.filename}`);
+      discardNextDeck();
+      return false;
+    }
+    state.nextDeck = null;
+    state.deck = deck;
+    state.offset = deck.offset;
+    if (deck.track.isJingle) {
+      jingles.markPlayed(deck.track);
+    } else {
       playlistManager.addToHistory();
+      playlistManager.setCurrentIndex(playlistManager.pickNextIndex());
+      deck.play = { track: deck.track, startedAt: Date.now(), playedFrames: 0 };
+      if (jingles) {
+        jingles.noteTrackStarted();
+      }
+    }
+    announceDeck(deck);
+    return true;
+  }
 
-      /* Pick and play next track */
+  /**
+   * Starts a jingle. The playlist position stays on the track before it, so
+   * status and skips refer to the music, and nothing is logged to the play
+   * history.
+   * @param {Object} jingle - Jingle track
+   * @param {number} [offset=0] - Start position in seconds (when resuming)
+   * @returns {boolean} True if the decoder started
+   */
+  function startJingle(jingle, offset = 0) {
+    const deck = spawnDeck(jingle, offset);
+    if (!deck) {
+      return false;
+    }
+    if (offset === 0) {
+      jingles.markPlayed(jingle);
+    }
+    state.offset = offset;
+    state.isPaused = false;
+    state.pausedJingle = null;
+    state.deck = deck;
+    state.stopIntent = null;
+    announceDeck(deck);
+    startMixer();
+    return true;
+  }
+
+  /**
+   * Handles the end of the current track: switches to the preloaded deck
+   * without a gap, or starts the next track's decoder
+   * @returns {boolean} True if a new deck is ready to render in this tick
+   */
+  function advanceDeck() {
+    const finished = state.deck;
+    log(`Track ended (${finished.track.filename})`);
+    endPlay(finished, finished.failed ? 'error' : 'finished');
+    state.deck = null;
+    state.transition = null;
+    state.pendingFade = null;
+    if (state.outgoing) {
+      endPlay(state.outgoing, 'finished');
+      ignoreErrors(killDeck(state.outgoing), warn, 'Failed to stop outgoing track');
+      state.outgoing = null;
+    }
+
+    /* Don't auto-play if shutting down */
+    if (state.shuttingDown) {
+      log(`[DEBUG] Skipping auto-play due to shutdown`);
+      return false;
+    }
+
+    if (state.nextDeck && activateDeck(state.nextDeck)) {
+      return true;
+    }
+
+    const jingle = upcomingJingle();
+    if (jingle && fs.existsSync(jingle.fullPath) && startJingle(jingle)) {
+      return true;
+    }
+
+    const nextIndex = playlistManager.pickNextIndex();
+    if (nextIndex === -1) {
+      if (playlistManager.isEmpty) {
+        warn('No tracks available for continuation.');
+        playlistManager.setCurrentIndex(-1);
+      } else {
+        log('Nothing left to play, playback stopped');
+      }
+      return false;
+    }
+    playlistManager.addToHistory();
+    ignoreErrors(playTrackAtIndex(nextIndex), error, 'Failed to start next track');
+    return false;
+  }
+
+  /**
+   * Checks whether the current track is close enough to its end to start
+   * decoding the next one
+   * @param {Deck} deck - Current deck
+   * @returns {boolean} True if gapless or crossfade needs the next track now
+   */
+  function isPreloadDue(deck) {
+    if (!transitions.gapless && transitions.crossfadeSeconds <= 0) {
+      return false;
+    }
+    const end = getPlayableEnd(deck.track);
+    if (end === null) {
+      return false;
+    }
+    const remaining = end - deckPosition(deck);
+    return remaining <= transitions.crossfadeSeconds + PRELOAD_LEAD_SECONDS;
+  }
+
+  /**
+   * Starts decoding the upcoming track shortly before it is needed, so it can
+   * follow the current one without a gap or overlap it for a crossfade
+   */
+  function preloadNextDeck() {
+    const deck = state.deck;
+    if (state.nextDeck && !isUpcomingTrack(state.nextDeck)) {
+      log(`Up next changed, dropping preloaded track: ${state.nextDeck.track.filename}`);
+      discardNextDeck();
+    }
+    if (!deck || state.nextDeck || state.outgoing || state.shuttingDown) {
+      return;
+    }
+    if (state.pendingFade === null && !isPreloadDue(deck)) {
+      return;
+    }
+    const track =
+      upcomingJingle() || playlistManager.getTrackAtIndex(playlistManager.peekNextIndex());
+    if (!track || !isAvailable(track)) {
+      if (state.pendingFade !== null) {
+        log('Nothing to fade into, letting the current track finish');
+        state.pendingFade = null;
+      }
+      return;
+    }
+    const next = spawnDeck(track, 0);
+    if (next) {
+      state.nextDeck = next;
+      log(`Preloading next track: ${track.filename}`);
+    }
+  }
+
+  /**
+   * Starts playback of a track at the specified playlist index
+   * @param {number} index - Playlist index to play
+   * @param {PlayOptions} [options={}] - Playback options
+   * @returns {Promise<void>}
+   */
+  async function playTrackAtIndex(index, options = {}) {
+    const track = playlistManager.getTrackAtIndex(index);
+    if (!track) {
+      return;
+    }
+
+    /* Guard against files deleted before the watcher noticed (sync to avoid racing skips) */
+    if (!isAvailable(track)) {
+      warn(`Track file missing, removing from playlist: ${track.fullPath}`);
+      playlistManager.removeTrack(track.fullPath);
       const nextIndex = playlistManager.pickNextIndex();
       if (nextIndex === -1) {
         warn('No tracks available for continuation.');
         playlistManager.setCurrentIndex(-1);
         return;
       }
-      ignoreErrors(playTrackAtIndex(nextIndex), error, 'Failed to start next track');
-    });
+      await playTrackAtIndex(nextIndex);
+      return;
+    }
 
-    ffmpeg.on('error', (err) => {
-      const timestamp = new Date().toISOString();
-      const elapsedTime = state.startTime ? (Date.now() - state.startTime) / 1000 : 0;
-      const currentTrack = playlistManager.currentTrack;
-      error(`[DEBUG] ${timestamp} ffmpeg error: ${err.message}`);
-      error(`[DEBUG] Elapsed time: ${elapsedTime.toFixed(2)}s`);
-      error(`[DEBUG] Track: ${currentTrack ? currentTrack.filename : 'none'}`);
-    });
+    /* Update playlist state */
+    playlistManager.setCurrentIndex(index);
+
+    /* Update playback state */
+    state.offset = options.offset || 0;
+    state.isPaused = false;
+    state.pausedJingle = null;
+
+    /* Spawn FFmpeg process to decode audio; seeks and resumes continue the same play */
+    const continued = takeSuspendedPlay(track, options.intent);
+    const play = continued || { track, startedAt: Date.now(), playedFrames: 0 };
+    const deck = spawnDeck(track, state.offset);
+    if (!deck) {
+      recordPlay(play, play.playedFrames, 'error');
+      playlistManager.setCurrentIndex(-1);
+      return;
+    }
+    if (!continued && jingles) {
+      jingles.noteTrackStarted();
+    }
+
+    deck.play = play;
+    state.deck = deck;
+    state.stopIntent = null;
+    announceDeck(deck);
+    startMixer();
   }
 
   /**
@@ -275,31 +960,50 @@ function createPlaybackController(options) {
     if (state.isPaused) {
       return state.offset;
     }
-    if (!state.startTime) {
+    if (!state.deck) {
       return 0;
     }
-    const elapsedMs = Date.now() - state.startTime;
-    return state.offset + elapsedMs / 1000;
+    return deckPosition(state.deck);
   }
 
   /**
-   * Stops current playback and terminates the FFmpeg process
-   * @param {string} [intent='manual'] - The reason for stopping (manual, pause, etc.)
+   * Stops current playback and terminates all decoders. A pause or seek keeps
+   * the current play open; other intents end it in the play history.
+   * @param {string} [intent='manual'] - The reason for stopping (manual, skip, pause, seek)
    * @returns {Promise<void>} Resolves when playback is stopped
    */
   async function stopPlayback(intent = 'manual') {
-    if (!state.process) {
+    const suspend = intent === 'pause' || intent === 'seek';
+    const endReason = intent === 'skip' ? 'skipped' : 'stopped';
+    if (state.deck && state.deck.play && suspend) {
+      const { play } = state.deck;
+      play.playedFrames += state.deck.framesPlayed;
+      state.deck.play = null;
+      state.suspendedPlay = play;
+    } else if (state.deck) {
+      endPlay(state.deck, endReason);
+    }
+    if (state.outgoing) {
+      endPlay(state.outgoing, 'finished');
+    }
+    if (state.suspendedPlay && !suspend) {
+      recordPlay(state.suspendedPlay, state.suspendedPlay.playedFrames, endReason);
+      state.suspendedPlay = null;
+    }
+
+    const decks = [state.deck, state.outgoing, state.nextDeck].filter(Boolean);
+    state.deck = null;
+    state.outgoing = null;
+    state.nextDeck = null;
+    state.transition = null;
+    state.pendingFade = null;
+    stopMixer();
+    if (decks.length === 0) {
       return;
     }
     state.stopIntent = intent;
-    const proc = state.process;
-    return new Promise((resolve) => {
-      proc.once('close', () => {
-        state.stopIntent = null;
-        resolve();
-      });
-      proc.kill('SIGTERM');
-    });
+    await Promise.all(decks.map(killDeck));
+    state.stopIntent = null;
   }
 
   /**
@@ -307,23 +1011,47 @@ function createPlaybackController(options) {
    * @returns {Promise<void>} Resolves when playback is paused
    */
   async function pausePlayback() {
-    if (!state.process || state.isPaused) {
+    if (!state.deck || state.isPaused) {
       return;
     }
     state.offset = getCurrentPositionSeconds();
+    const jingle = state.deck.track.isJingle ? state.deck.track : null;
     await stopPlayback('pause');
     state.isPaused = true;
+    state.pausedJingle = jingle;
     log('Playback paused');
   }
 
   /**
-   * Resumes playback from the saved position
+   * Resumes playback from the saved position, or starts the next track when
+   * playback stopped on its own (e.g. in stop-after-queue mode)
    * @returns {Promise<void>} Resolves when playback resumes
    */
   async function resumePlayback() {
+    if (state.isPaused && state.pausedJingle) {
+      log('Resuming jingle');
+      if (startJingle(state.pausedJingle, state.offset)) {
+        return;
+      }
+      state.pausedJingle = null;
+      state.isPaused = false;
+    }
     if (state.isPaused && playlistManager.currentIndex !== -1) {
       log('Resuming playback');
-      await playTrackAtIndex(playlistManager.currentIndex, { offset: state.offset });
+      await playTrackAtIndex(playlistManager.currentIndex, {
+        offset: state.offset,
+        intent: 'resume',
+      });
+      return;
+    }
+    if (!state.deck && !state.isPaused && !playlistManager.isEmpty) {
+      const nextIndex = playlistManager.pickNextIndex({ manual: true });
+      if (nextIndex === -1) {
+        return;
+      }
+      log('Restarting stopped playback');
+      playlistManager.addToHistory();
+      await playTrackAtIndex(nextIndex);
     }
   }
 
@@ -335,13 +1063,13 @@ function createPlaybackController(options) {
     if (playlistManager.isEmpty) {
       return;
     }
-    const nextIndex = playlistManager.pickNextIndex();
+    const nextIndex = playlistManager.pickNextIndex({ manual: true });
     if (nextIndex === -1) {
       warn('No next track available');
       return;
     }
     playlistManager.addToHistory();
-    await stopPlayback('manual');
+    await stopPlayback('skip');
     await playTrackAtIndex(nextIndex);
     log('Skipped to next track');
   }
@@ -356,33 +1084,234 @@ function createPlaybackController(options) {
       warn('No previous track in history');
       return;
     }
-    await stopPlayback('manual');
+    await stopPlayback('skip');
     await playTrackAtIndex(previousIndex);
     log('Rewound to previous track');
   }
 
   /**
-   * Starts the automatic playback loop
+   * Jumps directly to a playlist track, recording the current one in history
+   * @param {number} index - Playlist index to play
+   * @returns {Promise<boolean>} True if the track exists and playback started
+   */
+  async function playTrack(index) {
+    if (!playlistManager.getTrackAtIndex(index)) {
+      return false;
+    }
+    playlistManager.addToHistory();
+    await stopPlayback('skip');
+    await playTrackAtIndex(index);
+    log(`Jumped to track ${index}`);
+    return true;
+  }
+
+  /**
+   * Seeks within the current track by restarting the decoder at an offset.
+   * When paused, only the resume position is updated. Streams cannot seek.
+   * @param {number} positionSeconds - Target position in seconds
+   * @returns {Promise<boolean>} True if there was a track to seek in
+   */
+  async function seekTo(positionSeconds) {
+    const index = playlistManager.currentIndex;
+    const track = playlistManager.getTrackAtIndex(index);
+    if (index === -1 || !track || track.isStream || getCurrentJingle()) {
+      return false;
+    }
+    const target = clampSeekPosition(track, positionSeconds);
+    if (state.isPaused) {
+      state.offset = target;
+      log(`Seek while paused: resume position set to ${target.toFixed(2)}s`);
+      return true;
+    }
+    await stopPlayback('seek');
+    await playTrackAtIndex(index, { offset: target, intent: 'seek' });
+    log(`Seeked to ${target.toFixed(2)}s`);
+    return true;
+  }
+
+  /**
+   * Fades the current track out into the next pick now rather than at its
+   * end. The fade starts as soon as the next track has audio buffered.
+   * @param {number} seconds - Fade length (0 skips without a fade)
+   * @returns {Promise<void>} Resolves once the fade is scheduled or the skip is done
+   */
+  async function fadeToNext(seconds) {
+    if (!state.deck || state.isPaused) {
+      return;
+    }
+    const length = clampCrossfade(seconds);
+    if (length <= 0) {
+      await skipToNext();
+      return;
+    }
+    state.pendingFade = length;
+    log(`Fading out ${state.deck.track.filename} over ${length.toFixed(1)}s`);
+  }
+
+  /**
+   * Starts the automatic playback loop, optionally continuing a track from a
+   * position saved before a restart. Without a position (or too close to the
+   * end) the saved track counts as played and the next one starts.
+   * @param {{index: number, offset: number|null}|null} [resume=null] - Track and position to resume
    * @returns {Promise<void>} Resolves when playback starts
    */
-  async function startPlaybackLoop() {
+  async function startPlaybackLoop(resume = null) {
     if (playlistManager.isEmpty) {
       warn('No tracks available to start playback. Waiting for new files...');
       return;
     }
-    const index = playlistManager.pickNextIndex();
+    const resumeTrack = resume ? playlistManager.getTrackAtIndex(resume.index) : null;
+    if (resumeTrack) {
+      const end = getPlayableEnd(resumeTrack);
+      const start = resumeTrack.cues ? resumeTrack.cues.in : 0;
+      const offset = resume.offset;
+      if (offset !== null && (end === null || offset < end - RESUME_MIN_REMAINING_SECONDS)) {
+        const position = Math.max(offset, start);
+        log(`Resuming ${resumeTrack.filename} at ${position.toFixed(1)}s`);
+        await playTrackAtIndex(resume.index, { offset: position });
+        return;
+      }
+      playlistManager.addToHistory();
+    }
+    const index = playlistManager.pickNextIndex({ manual: true });
     const startIndex = index === -1 ? 0 : index;
     await playTrackAtIndex(startIndex);
   }
 
   /**
-   * Resumes FFmpeg stdout when socket drains
+   * Refills the socket as soon as it drains instead of waiting for the next tick
+   */
+  function handleSocketDrain() {
+    if (mixTimer && !state.isPaused) {
+      mixTick();
+    }
+  }
+
+  /**
+   * Returns the current track transition settings
+   * @returns {TransitionSettings} Crossfade length and gapless flag
+   */
+  function getTransitionSettings() {
+    return { ...transitions };
+  }
+
+  /**
+   * Updates track transition settings at runtime. Takes effect from the next
+   * transition; a crossfade already in progress finishes as planned.
+   * @param {Partial<TransitionSettings>} settings - Settings to change
+   * @returns {TransitionSettings} Updated settings
+   */
+  function setTransitionSettings(settings) {
+    if (settings.crossfadeSeconds !== undefined) {
+      transitions.crossfadeSeconds = clampCrossfade(settings.crossfadeSeconds);
+    }
+    if (settings.gapless !== undefined) {
+      transitions.gapless = Boolean(settings.gapless);
+    }
+    log(
+      `Transitions updated: crossfade=${transitions.crossfadeSeconds}s, gapless=${transitions.gapless}`
+    );
+    return getTransitionSettings();
+  }
+
+  /**
+   * Returns the current loudness normalization settings
+   * @returns {import('./loudness').LoudnessSettings} Mode and target loudness
+   */
+  function getLoudnessSettings() {
+    return { ...loudness };
+  }
+
+  /**
+   * Updates loudness normalization at runtime. The new gain applies from the
+   * next decoder start (next track, seek or resume).
+   * @param {Partial<import('./loudness').LoudnessSettings>} settings - Settings to change
+   * @returns {import('./loudness').LoudnessSettings} Updated settings
+   */
+  function setLoudnessSettings(settings) {
+    if (settings.mode !== undefined) {
+      loudness.mode = settings.mode;
+    }
+    if (settings.targetLufs !== undefined) {
+      loudness.targetLufs = settings.targetLufs;
+    }
+    log(`Loudness updated: mode=${loudness.mode}, target=${loudness.targetLufs} LUFS`);
+    return getLoudnessSettings();
+  }
+
+  /**
+   * Returns the gain applied to the current track
+   * @returns {number|null} Gain in dB, or null when nothing is playing
+   */
+  function getCurrentGainDb() {
+    return state.deck ? state.deck.gainDb : null;
+  }
+
+  /**
+   * Returns the master volume, mute state and any running fade
+   * @returns {Object} Volume state
    */
-  function resumeFfmpegStdout() {
-    if (state.process && !state.isPaused) {
-      state.process.stdout.resume();
-      log(`[DEBUG] FFmpeg stdout resumed`);
+  function getVolume() {
+    return masterVolume.getState();
+  }
+
+  /**
+   * Changes the master level and/or mute state. A level change cancels a
+   * running fade.
+   * @param {Partial<import('./master-volume').VolumeSettings>} update - Fields to change
+   * @returns {Object} Updated volume state
+   */
+  function setVolume(update) {
+    masterVolume.set(update);
+    const { level, muted } = masterVolume.getSettings();
+    log(`Master volume: level=${level.toFixed(3)}, muted=${muted}`);
+    return getVolume();
+  }
+
+  /**
+   * Fades the master level to a target over time
+   * @param {number} level - Target linear level
+   * @param {number} seconds - Fade length
+   * @returns {Object} Updated volume state
+   */
+  function fadeVolume(level, seconds) {
+    masterVolume.fadeTo(level, seconds);
+    log(`Master volume fading to ${level.toFixed(3)} over ${seconds}s`);
+    return getVolume();
+  }
+
+  /**
+   * Returns the master volume settings to persist
+   * @returns {import('./master-volume').VolumeSettings} Level and mute state
+   */
+  function getVolumeSettings() {
+    return masterVolume.getSettings();
+  }
+
+  /**
+   * Returns the jingle that is playing or paused
+   * @returns {Object|null} Jingle track, or null while music plays
+   */
+  function getCurrentJingle() {
+    if (state.deck) {
+      return state.deck.track.isJingle ? state.deck.track : null;
+    }
+    return state.pausedJingle;
+  }
+
+  /**
+   * Returns the position to resume the current track from after a restart
+   * @returns {number|null} Position in seconds, or null if no track is playing
+   *   or paused (or a jingle is playing)
+   */
+  function getResumePosition() {
+    if (getCurrentJingle() || playlistManager.currentIndex === -1) {
+      return null;
+    }
+    if (!state.deck && !state.isPaused) {
+      return null;
     }
+    return Math.round(getCurrentPositionSeconds() * 1000) / 1000;
   }
 
   /**
@@ -395,10 +1324,10 @@ function createPlaybackController(options) {
 
   /**
    * Checks if playback is active
-   * @returns {boolean} True if playback process is running
+   * @returns {boolean} True if a track is being decoded
    */
   function isPlaying() {
-    return Boolean(state.process);
+    return Boolean(state.deck);
   }
 
   /**
@@ -417,17 +1346,37 @@ function createPlaybackController(options) {
     resumePlayback,
     skipToNext,
     skipToPrevious,
+    playTrack,
+    seekTo,
+    fadeToNext,
     startPlaybackLoop,
 
+    /* Transitions */
+    getTransitionSettings,
+    setTransitionSettings,
+
+    /* Loudness */
+    getLoudnessSettings,
+    setLoudnessSettings,
+    getCurrentGainDb,
+
+    /* Master volume */
+    getVolume,
+    setVolume,
+    fadeVolume,
+    getVolumeSettings,
+
     /* State queries */
     getCurrentPositionSeconds,
+    getResumePosition,
     isPlaying,
     isPaused,
+    getCurrentJingle,
 
     /* Lifecycle */
     setShuttingDown,
-    resumeFfmpegStdout,
+    handleSocketDrain,
   };
 }
 
-module.exports = { createPlaybackController };
+module.exports = { createPlaybackController, clampSeekPosition, MAX_CROSSFADE_SECONDS };
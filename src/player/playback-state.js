@@ -0,0 +1,161 @@
+'use strict';
+
+/**
+ * Playback State Module
+ *
+ * Periodically saves where playback is (current track and position, history,
+ * up-next queue, shuffle order and rotation memory) to a JSON file under
+ * data/, so a restarted player continues where it stopped instead of
+ * starting a fresh shuffle. Tracks are stored by library path and the file
+ * is only rewritten when the state changed, so an idle or paused player
+ * does not touch the disk every interval.
+ *
+ * @module player/playback-state
+ */
+
+const fs = require('fs');
+const { createLogger } = require('../lib/utils/logger');
+const { writeJsonAtomic } = require('../lib/utils/json-file');
+
+const { log, warn } = createLogger('resume');
+
+/**
+ * How often the state is saved while the player runs
+ */
+const DEFAULT_SAVE_INTERVAL_MS = 10000;
+
+/**
+ * Previously played tracks kept in the saved state
+ */
+const MAX_SAVED_HISTORY = 100;
+
+/**
+ * @typedef {Object} PlaybackSnapshot
+ * @property {string|null} current - Library path of the current track
+ * @property {number|null} position - Position within the current track in seconds,
+ *   null when it should not be resumed (e.g. a jingle was playing)
+ * @property {string[]} history - Library paths of previously played tracks, oldest first
+ * @property {string[]} upNext - Library paths of the up-next queue in play order
+ * @property {string[]} shuffledQueue - Library paths of the remaining shuffle order
+ * @property {Array<{artist: string|null, album: string|null}>} recentPlays - Recent plays for separation rules
+ * @property {Array<[string, number]>} lastPlayedAt - Last play time (ms) per library path
+ *   within the repeat window
+ */
+
+/**
+ * Creates a new PlaybackStateStore instance
+ * @param {Object} options - Configuration options
+ * @param {string} options.filePath - Path of the JSON state file
+ * @param {() => PlaybackSnapshot} options.getSnapshot - Returns the state to save
+ * @param {number} [options.intervalMs=DEFAULT_SAVE_INTERVAL_MS] - Save interval
+ * @returns {Object} PlaybackStateStore instance
+ */
+function createPlaybackStateStore(options) {
+  const { filePath, getSnapshot, intervalMs = DEFAULT_SAVE_INTERVAL_MS } = options;
+
+  let timer = null;
+  /** Serialized state last written, to skip unchanged saves */
+  let lastSaved = null;
+  /** In-flight write, awaited before the next save */
+  let savePromise = null;
+
+  /**
+   * Reads the saved state
+   * @returns {(PlaybackSnapshot & {savedAt: string})|null} Saved state, or null if missing or corrupt
+   */
+  function load() {
+    try {
+      if (!fs.existsSync(filePath)) {
+        return null;
+      }
+      const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      if (!parsed || typeof parsed.state !== 'object' || parsed.state === null) {
+        return null;
+      }
+      log(`Loaded playback state saved at ${parsed.savedAt}`);
+      return { ...parsed.state, savedAt: parsed.savedAt };
+    } catch (err) {
+      warn(`Failed to read playback state, starting fresh: ${err.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Writes the current state to disk if it changed since the last write.
+   * Concurrent calls wait for the in-flight write, then save the state as it
+   * is by then.
+   * @returns {Promise<boolean>} False if the state could not be written
+   */
+  async function save() {
+    while (savePromise) {
+      await savePromise;
+    }
+    savePromise = writeState();
+    try {
+      return await savePromise;
+    } finally {
+      savePromise = null;
+    }
+  }
+
+  /**
+   * Serializes the snapshot and writes it unless it matches the last write
+   * @returns {Promise<boolean>} False if the write failed
+   */
+  async function writeState() {
+    try {
+      const state = getSnapshot();
+      const serialized = JSON.stringify(state);
+      if (serialized === lastSaved) {
+        return true;
+      }
+      await writeJsonAtomic(
+        filePath,
+        { savedAt: new Date().toISOString(), state },
+        { pretty: false }
+      );
+      lastSaved = serialized;
+      return true;
+    } catch (err) {
+      warn(`Failed to save playback state: ${err.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Starts saving periodically
+   */
+  function start() {
+    if (!timer) {
+      timer = setInterval(save, intervalMs);
+      timer.unref();
+    }
+  }
+
+  /**
+   * Stops the periodic save and writes the state one last time. Nothing is
+   * written if saving never started, so a player stopped during startup
+   * keeps the previous run's state.
+   * @returns {Promise<void>} Resolves once the final state is on disk
+   */
+  async function stop() {
+    if (!timer) {
+      return;
+    }
+    clearInterval(timer);
+    timer = null;
+    await save();
+  }
+
+  return {
+    /* Lifecycle */
+    start,
+    stop,
+
+    /* Persistence */
+    load,
+    save,
+  };
+}
+
+module.exports = { createPlaybackStateStore, DEFAULT_SAVE_INTERVAL_MS, MAX_SAVED_HISTORY };
@@ -0,0 +1,86 @@
+'use strict';
+
+/**
+ * Player Settings Module
+ *
+ * Persists player settings that can be changed at runtime (playback mode and
+ * the like) to a JSON file under data/, grouped into named sections. The
+ * whole file is rewritten on every change; sections are small and change
+ * only on API calls.
+ *
+ * @module player/player-settings
+ */
+
+const fs = require('fs');
+const { createLogger } = require('../lib/utils/logger');
+const { writeJsonAtomicSync } = require('../lib/utils/json-file');
+
+const { log, warn } = createLogger('settings');
+
+/**
+ * Creates a new PlayerSettings instance
+ * @param {Object} options - Configuration options
+ * @param {string} options.filePath - Path of the JSON settings file
+ * @returns {Object} PlayerSettings instance
+ */
+function createPlayerSettings(options) {
+  const { filePath } = options;
+
+  /** @type {Object<string, any>} */
+  let sections = {};
+
+  /**
+   * Loads persisted settings, keeping an empty store if the file is missing or corrupt
+   */
+  function load() {
+    try {
+      if (!fs.existsSync(filePath)) {
+        return;
+      }
+      const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      if (parsed && typeof parsed.sections === 'object' && parsed.sections !== null) {
+        sections = parsed.sections;
+        log(`Loaded player settings from ${filePath}`);
+      }
+    } catch (err) {
+      warn(`Failed to read player settings, using defaults: ${err.message}`);
+    }
+  }
+
+  /**
+   * Returns a copy of a section merged over its defaults
+   * @param {string} name - Section name
+   * @param {Object} [defaults={}] - Values used for missing keys
+   * @returns {Object} Section values
+   */
+  function get(name, defaults = {}) {
+    const stored = sections[name];
+    return { ...defaults, ...(stored && typeof stored === 'object' ? stored : {}) };
+  }
+
+  /**
+   * Replaces a section and saves the file. A failed save is logged and the
+   * new value stays in effect until the player restarts.
+   * @param {string} name - Section name
+   * @param {Object} values - New section values
+   * @returns {boolean} True if the change was written to disk
+   */
+  function set(name, values) {
+    sections = { ...sections, [name]: { ...values } };
+    try {
+      writeJsonAtomicSync(filePath, { updatedAt: new Date().toISOString(), sections });
+      return true;
+    } catch (err) {
+      warn(`Failed to persist player settings: ${err.message}`);
+      return false;
+    }
+  }
+
+  return {
+    load,
+    get,
+    set,
+  };
+}
+
+module.exports = { createPlayerSettings };
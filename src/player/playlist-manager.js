@@ -4,7 +4,12 @@
  * Playlist Manager Module
  *
  * Handles track loading, metadata parsing, playlist state management,
- * shuffle logic, and file system watching for new tracks.
+ * shuffle logic with artist/album separation and repeat rules, harmonic
+ * ordering by key and tempo, the user-managed up-next queue, the rotation
+ * source (the whole library or a saved playlist), and file system watching
+ * for added, changed, removed and renamed tracks in every enabled library
+ * root. Any audio format FFmpeg can decode is accepted; the set of scanned
+ * extensions is configurable. HTTP streams can be added as entries too.
  *
  * @module player/playlist-manager
  */
@@ -15,39 +20,233 @@ const chokidar = require('chokidar');
 const mm = require('music-metadata');
 const { createLogger } = require('../lib/utils/logger');
 const { ignoreErrors } = require('../lib/utils/errors');
+const { readReplayGain } = require('./loudness');
+const { selectPicture, getCoverId } = require('./cover-art');
+const { readTempoKey, isHarmonicMatch, MAX_BPM_TOLERANCE } = require('./tempo-key');
+const { createLibraryRoots } = require('./library-roots');
+const { createStreamTrack } = require('./streams');
+const { MAX_SAVED_HISTORY } = require('./playback-state');
 
 const { log, warn, error } = createLogger('playlist');
 
+/**
+ * Audio file extensions scanned by default. FFmpeg decodes all of these,
+ * and music-metadata can read their tags.
+ * @type {string[]}
+ */
+const DEFAULT_AUDIO_EXTENSIONS = [
+  '.mp3',
+  '.flac',
+  '.ogg',
+  '.oga',
+  '.opus',
+  '.m4a',
+  '.aac',
+  '.wav',
+  '.aiff',
+  '.aif',
+];
+
+/**
+ * Normalizes a list of extensions to lowercase with a leading dot
+ * @param {string[]} extensions - Extensions such as 'flac', '.MP3'
+ * @returns {Set<string>} Normalized extension set
+ */
+function normalizeExtensions(extensions) {
+  const normalized = new Set();
+  for (const ext of extensions) {
+    const trimmed = String(ext).trim().toLowerCase();
+    if (!trimmed) {
+      continue;
+    }
+    normalized.add(trimmed.startsWith('.') ? trimmed : `.${trimmed}`);
+  }
+  return normalized;
+}
+
+/**
+ * How long a removed file is kept around waiting for a matching add event,
+ * so renames and moves update the track in place instead of re-adding it
+ */
+const RENAME_GRACE_MS = 2000;
+
+/**
+ * Playback order and repeat modes. Harmonic order is shuffle that prefers
+ * tracks whose key and tempo mix well with the track on air. Repeat only
+ * governs what happens when a track ends on its own; manual skips always
+ * advance.
+ */
+const PLAYBACK_ORDERS = ['shuffle', 'harmonic', 'sequential'];
+const REPEAT_MODES = ['all', 'one', 'stop-after-queue'];
+
+/**
+ * Rotation rules for shuffle picks. Separation counts the tracks that must
+ * play between two tracks by the same artist or from the same album; the
+ * repeat window keeps a track from returning too soon. When no remaining
+ * track satisfies the rules, `relax` drops the album rule, then the artist
+ * rule, then picks the least recently played track; `ignore` takes the next
+ * track in shuffle order. In harmonic order, `bpmTolerance` is how far (in
+ * percent) the tempo of a pick may be from the track on air. Separation
+ * and the repeat window are off until configured.
+ */
+const ROTATION_FALLBACKS = ['relax', 'ignore'];
+const MAX_SEPARATION = 50;
+const MAX_REPEAT_HOURS = 168;
+const DEFAULT_ROTATION_RULES = {
+  artistSeparation: 0,
+  albumSeparation: 0,
+  trackRepeatHours: 0,
+  fallback: 'relax',
+  bpmTolerance: 6,
+};
+
+/**
+ * Fills in defaults for missing or invalid rotation rule values
+ * @param {Object} [values={}] - Candidate rules
+ * @returns {RotationRules} Complete rules
+ */
+function normalizeRotationRules(values = {}) {
+  const isSeparation = (value) => Number.isInteger(value) && value >= 0 && value <= MAX_SEPARATION;
+  return {
+    artistSeparation: isSeparation(values.artistSeparation)
+      ? values.artistSeparation
+      : DEFAULT_ROTATION_RULES.artistSeparation,
+    albumSeparation: isSeparation(values.albumSeparation)
+      ? values.albumSeparation
+      : DEFAULT_ROTATION_RULES.albumSeparation,
+    trackRepeatHours:
+      typeof values.trackRepeatHours === 'number' &&
+      values.trackRepeatHours >= 0 &&
+      values.trackRepeatHours <= MAX_REPEAT_HOURS
+        ? values.trackRepeatHours
+        : DEFAULT_ROTATION_RULES.trackRepeatHours,
+    fallback: ROTATION_FALLBACKS.includes(values.fallback)
+      ? values.fallback
+      : DEFAULT_ROTATION_RULES.fallback,
+    bpmTolerance:
+      typeof values.bpmTolerance === 'number' &&
+      values.bpmTolerance >= 0 &&
+      values.bpmTolerance <= MAX_BPM_TOLERANCE
+        ? values.bpmTolerance
+        : DEFAULT_ROTATION_RULES.bpmTolerance,
+  };
+}
+
+/**
+ * Builds the key used to compare artists or albums, ignoring placeholders
+ * for untagged files
+ * @param {string} value - Artist or album name
+ * @param {string} placeholder - Value used for untagged files
+ * @returns {string|null} Lowercase key, or null if the value is unknown
+ */
+function separationKey(value, placeholder) {
+  return value && value !== placeholder ? value.toLowerCase() : null;
+}
+
 /**
  * @typedef {Object} TrackMetadata
  * @property {string} title - Track title
  * @property {string} artist - Artist name
  * @property {string} album - Album name
+ * @property {string|null} genre - Genre(s), comma-separated
+ * @property {number|null} year - Release year
+ * @property {string|null} isrc - International Standard Recording Code
+ * @property {string|null} label - Record label(s), comma-separated
  * @property {number|null} duration - Duration in seconds
- * @property {string} filename - File name
- * @property {string} fullPath - Absolute file path
+ * @property {string} format - Lowercase file extension without the dot (e.g. 'flac')
+ * @property {import('./loudness').ReplayGainInfo|null} replayGain - Loudness data from tags or analysis
+ * @property {import('./cue-points').CuePoints|null} cues - Cue points set by hand or by silence trimming
+ * @property {string|null} cover - Id of the embedded cover art (see cover-art), null if none
+ * @property {number|null} bpm - Tempo from tags or analysis
+ * @property {string|null} key - Camelot key (see tempo-key) from tags or analysis
+ * @property {boolean} tempoKeyAnalyzed - Whether the analysis ran, so values it could not find are not retried
+ * @property {string|null} root - Id of the library root the file lies in
+ * @property {boolean} [isStream] - Whether the entry is an HTTP stream (see streams)
+ * @property {string|null} [streamTitle] - Title the stream last announced
+ * @property {string} filename - File name (the station name for streams)
+ * @property {string} fullPath - Absolute file path (the URL for streams)
  */
 
 /**
  * @typedef {Object} PlaylistState
  * @property {TrackMetadata[]} playlist - Array of all available tracks
  * @property {Map<string, TrackMetadata>} trackMap - Map of file path to track metadata
- * @property {number} currentIndex - Index of currently playing track
+ * @property {number} currentIndex - Index of currently playing track, -1 if none or removed
  * @property {TrackMetadata|null} currentTrack - Currently playing track metadata
+ * @property {number} removedCurrentSlot - Former index of the current track if it was removed
  * @property {number[]} history - History of played track indices
  * @property {number[]} shuffledQueue - Shuffled track indices when shuffle mode is enabled
+ * @property {number[]} upNext - User-queued track indices, played before shuffle/sequential picks
  * @property {boolean} shuffle - Whether shuffle mode is active
+ * @property {boolean} harmonic - Whether shuffle picks prefer harmonically compatible tracks
+ * @property {string} repeat - Repeat mode, one of REPEAT_MODES
+ * @property {string[]|null} rotation - Track paths automatic picks are limited to, null for all
+ * @property {RotationRules} rules - Shuffle separation and repeat rules
+ * @property {Array<{artist: string|null, album: string|null}>} recentPlays - Most recent last
+ * @property {Map<string, number>} lastPlayedAt - File path to last start time (ms)
+ */
+
+/**
+ * @typedef {Object} RotationRules
+ * @property {number} artistSeparation - Tracks between two plays of the same artist
+ * @property {number} albumSeparation - Tracks between two plays from the same album
+ * @property {number} trackRepeatHours - Hours before a track may play again
+ * @property {string} fallback - One of ROTATION_FALLBACKS
+ * @property {number} bpmTolerance - Harmonic tempo tolerance in percent, 0 to ignore tempo
+ */
+
+/**
+ * @typedef {Object} PlaybackMode
+ * @property {string} order - One of PLAYBACK_ORDERS
+ * @property {string} repeat - 'all', 'one' or 'stop-after-queue'
+ */
+
+/**
+ * @typedef {Object} NextPick
+ * @property {number} index - Playlist index, or -1 if playback stops
+ * @property {boolean} fromQueue - Taken from the head of the up-next queue
+ * @property {boolean} fromRepeat - Decided by repeat-one or stop-after-queue
+ * @property {number[]|null} shuffledQueue - Shuffle order the pick comes from
+ * @property {number} position - Position of the pick in shuffledQueue
  */
 
 /**
  * Creates a new PlaylistManager instance
  * @param {Object} options - Configuration options
- * @param {string} options.musicDir - Path to music directory
+ * @param {string} options.musicDir - Path to music directory (the main library root)
+ * @param {Object} [options.libraryRoots] - LibraryRoots instance; defaults to musicDir alone
  * @param {boolean} [options.shuffle=true] - Whether to enable shuffle mode
+ * @param {boolean} [options.harmonic=false] - Whether shuffle picks follow key and tempo
+ * @param {string} [options.repeat='all'] - Initial repeat mode
+ * @param {Partial<RotationRules>} [options.rotationRules] - Initial shuffle rotation rules
+ * @param {string[]} [options.audioExtensions] - File extensions to treat as audio tracks
+ * @param {Object} [options.libraryIndex] - LibraryIndex instance used to cache metadata
+ * @param {Object} [options.loudnessAnalyzer] - LoudnessAnalyzer for tracks without ReplayGain data
+ * @param {Object} [options.silenceAnalyzer] - SilenceAnalyzer that trims tracks without cue points
+ * @param {Object} [options.tempoKeyAnalyzer] - TempoKeyAnalyzer for tracks without BPM or key tags
+ * @param {Object} [options.coverArt] - CoverArtCache that renders thumbnails of embedded pictures
  * @returns {Object} PlaylistManager instance
  */
 function createPlaylistManager(options) {
-  const { musicDir, shuffle: shuffleDefault = true } = options;
+  const {
+    musicDir,
+    libraryRoots = createLibraryRoots({ musicDir }),
+    shuffle: shuffleDefault = true,
+    harmonic: harmonicDefault = false,
+    repeat: repeatDefault = 'all',
+    rotationRules = DEFAULT_ROTATION_RULES,
+    audioExtensions = DEFAULT_AUDIO_EXTENSIONS,
+    libraryIndex = null,
+    loudnessAnalyzer = null,
+    silenceAnalyzer = null,
+    tempoKeyAnalyzer = null,
+    coverArt = null,
+  } = options;
+
+  const extensionSet = normalizeExtensions(audioExtensions);
+  if (extensionSet.size === 0) {
+    throw new Error('At least one audio file extension must be configured');
+  }
 
   /** @type {PlaylistState} */
   const state = {
@@ -55,13 +254,32 @@ function createPlaylistManager(options) {
     trackMap: new Map(),
     currentIndex: -1,
     currentTrack: null,
+    removedCurrentSlot: -1,
     history: [],
     shuffledQueue: [],
+    upNext: [],
     shuffle: shuffleDefault,
+    harmonic: shuffleDefault && harmonicDefault,
+    repeat: REPEAT_MODES.includes(repeatDefault) ? repeatDefault : 'all',
+    rotation: null,
+    rules: normalizeRotationRules(rotationRules),
+    recentPlays: [],
+    lastPlayedAt: new Map(),
   };
 
-  let watcher = null;
+  /** @type {Map<string, import('chokidar').FSWatcher>} Watchers by root id */
+  const watchers = new Map();
+  let watching = false;
+  /** @type {NextPick|null} Cached result of peekNextIndex() */
+  let upcoming = null;
   let onTrackAddedCallback = null;
+  let onTrackRenamedCallback = null;
+
+  /** @type {Map<string, {size: number, mtimeMs: number}>} File identity used for rename detection */
+  const fileStats = new Map();
+
+  /** @type {Map<string, NodeJS.Timeout>} Removals waiting out the rename grace period */
+  const pendingRemovals = new Map();
 
   /**
    * Ensures the music directory exists, creating it if necessary
@@ -77,6 +295,24 @@ function createPlaylistManager(options) {
     }
   }
 
+  /**
+   * Checks whether a file path has one of the configured audio extensions
+   * @param {string} filePath - Path to check
+   * @returns {boolean} True if the file should be treated as a track
+   */
+  function isAudioFile(filePath) {
+    return extensionSet.has(path.extname(filePath).toLowerCase());
+  }
+
+  /**
+   * Derives the short format name for a track from its extension
+   * @param {string} filePath - Path to the audio file
+   * @returns {string} Lowercase extension without the leading dot
+   */
+  function getFormatName(filePath) {
+    return path.extname(filePath).slice(1).toLowerCase();
+  }
+
   /**
    * Reads and parses metadata from an audio file
    * @param {string} fullPath - Absolute path to audio file
@@ -93,12 +329,29 @@ function createPlaylistManager(options) {
           ? common.artists.join(', ')
           : common.artist || 'Unknown Artist';
       const album = common.album || 'Unknown Album';
+      const genre =
+        Array.isArray(common.genre) && common.genre.length > 0 ? common.genre.join(', ') : null;
+      const year = typeof common.year === 'number' ? common.year : null;
+      const isrc = Array.isArray(common.isrc) && common.isrc.length > 0 ? common.isrc[0] : null;
+      const label =
+        Array.isArray(common.label) && common.label.length > 0 ? common.label.join(', ') : null;
       const duration = typeof format.duration === 'number' ? Math.round(format.duration) : null;
+      const picture = selectPicture(common.picture);
       return {
         title,
         artist,
         album,
+        genre,
+        year,
+        isrc,
+        label,
         duration,
+        format: getFormatName(fullPath),
+        replayGain: readReplayGain(metadata),
+        cues: null,
+        cover: picture ? getCoverId(picture.data) : null,
+        ...readTempoKey(metadata),
+        tempoKeyAnalyzed: false,
         filename: path.basename(fullPath),
         fullPath,
       };
@@ -108,13 +361,130 @@ function createPlaylistManager(options) {
         title: path.basename(fullPath, path.extname(fullPath)),
         artist: 'Unknown Artist',
         album: 'Unknown Album',
+        genre: null,
+        year: null,
+        isrc: null,
+        label: null,
         duration: null,
+        format: getFormatName(fullPath),
+        replayGain: null,
+        cues: null,
+        cover: null,
+        bpm: null,
+        key: null,
+        tempoKeyAnalyzed: false,
         filename: path.basename(fullPath),
         fullPath,
       };
     }
   }
 
+  /**
+   * Loads track metadata, serving it from the library index when the file
+   * size and modification time are unchanged. Cue points set by hand survive
+   * a re-read (e.g. after retagging) and a rename.
+   * @param {string} fullPath - Absolute path to audio file
+   * @param {Object|null} [previous] - Earlier metadata of the file; defaults to its stale index entry
+   * @returns {Promise<{track: TrackMetadata, cached: boolean}>} Track and cache hit flag
+   */
+  async function loadTrack(fullPath, previous) {
+    const stat = await fs.promises.stat(fullPath);
+    fileStats.set(fullPath, { size: stat.size, mtimeMs: stat.mtimeMs });
+    const cachedMetadata = libraryIndex ? libraryIndex.lookup(fullPath, stat) : null;
+    const cached = Boolean(cachedMetadata);
+    const track = cached
+      ? { cues: null, ...cachedMetadata, filename: path.basename(fullPath), fullPath }
+      : await readTrackMetadata(fullPath);
+    if (!cached) {
+      const earlier =
+        previous !== undefined ? previous : libraryIndex && libraryIndex.peek(fullPath);
+      if (earlier && earlier.cues && earlier.cues.source === 'manual') {
+        track.cues = earlier.cues;
+      }
+      if (libraryIndex) {
+        libraryIndex.update(fullPath, stat, track);
+      }
+    }
+    if (loudnessAnalyzer && !track.replayGain) {
+      loudnessAnalyzer.enqueue(fullPath);
+    }
+    if (silenceAnalyzer && !track.cues) {
+      silenceAnalyzer.enqueue(fullPath);
+    }
+    /* Derived from the path like the file name, so it is not kept in the index */
+    track.root = libraryRoots.getRootId(fullPath);
+    if (tempoKeyAnalyzer && (!track.bpm || !track.key) && !track.tempoKeyAnalyzed) {
+      tempoKeyAnalyzer.enqueue(fullPath);
+    }
+    if (coverArt && track.cover && !coverArt.has(track.cover)) {
+      coverArt.enqueue(track.cover, fullPath);
+    }
+    return { track, cached };
+  }
+
+  /**
+   * Stores loudness data measured for a track after it was loaded
+   * @param {string} fullPath - Absolute file path
+   * @param {import('./loudness').ReplayGainInfo} replayGain - Measured gain data
+   */
+  function setTrackReplayGain(fullPath, replayGain) {
+    const track = state.trackMap.get(fullPath);
+    if (track) {
+      track.replayGain = replayGain;
+    }
+    if (libraryIndex && libraryIndex.patch(fullPath, { replayGain })) {
+      libraryIndex.scheduleSave();
+    }
+  }
+
+  /**
+   * Stores tempo and key estimated for a track. Values read from tags are
+   * kept; the estimates only fill in what the tags left out.
+   * @param {string} fullPath - Absolute file path
+   * @param {import('./tempo-key').TempoKey} result - Estimated tempo and key
+   */
+  function setTrackTempoKey(fullPath, result) {
+    const track = state.trackMap.get(fullPath);
+    const known = track || (libraryIndex && libraryIndex.peek(fullPath)) || {};
+    const values = {
+      bpm: known.bpm || result.bpm,
+      key: known.key || result.key,
+      tempoKeyAnalyzed: true,
+    };
+    if (track) {
+      Object.assign(track, values);
+      if (state.harmonic) {
+        invalidateUpcoming();
+      }
+    }
+    if (libraryIndex && libraryIndex.patch(fullPath, values)) {
+      libraryIndex.scheduleSave();
+    }
+  }
+
+  /**
+   * Stores cue points for a track. Detected cues never replace ones set by hand.
+   * @param {string} fullPath - Absolute file path
+   * @param {import('./cue-points').CuePoints|null} cues - Cue points, or null to clear them
+   * @returns {boolean} True if the cues were stored
+   */
+  function setTrackCues(fullPath, cues) {
+    const track = state.trackMap.get(fullPath);
+    if (cues && cues.source === 'auto' && track && track.cues && track.cues.source === 'manual') {
+      return false;
+    }
+    if (track) {
+      track.cues = cues;
+    }
+    if (libraryIndex && libraryIndex.patch(fullPath, { cues })) {
+      libraryIndex.scheduleSave();
+    }
+    if (!cues && silenceAnalyzer) {
+      silenceAnalyzer.enqueue(fullPath);
+    }
+    return Boolean(track);
+  }
+
   /**
    * Shuffles array in place using Fisher-Yates algorithm
    * @template T
@@ -130,38 +500,322 @@ function createPlaylistManager(options) {
   }
 
   /**
-   * Regenerates the shuffle queue excluding the current track
+   * Maps absolute file paths to playlist indices
+   * @param {string[]} fullPaths - Absolute file paths
+   * @returns {number[]} Playlist index for each path, -1 where the file is not in the library
+   */
+  function resolveTrackPaths(fullPaths) {
+    const positions = new Map(state.playlist.map((track, idx) => [track.fullPath, idx]));
+    return fullPaths.map((fullPath) => {
+      const idx = positions.get(fullPath);
+      return idx === undefined ? -1 : idx;
+    });
+  }
+
+  /**
+   * Returns the playlist indices of the rotation source in its order. Without
+   * a source, every file rotates but streams do not, as they never end; they
+   * play when a source names them, or when queued or jumped to.
+   * @returns {number[]|null} Indices, or null when the whole playlist rotates or none
+   *   of the source's tracks are available
+   */
+  function getRotationOrder() {
+    if (!state.rotation) {
+      if (!state.playlist.some((track) => track.isStream)) {
+        return null;
+      }
+      const files = [];
+      state.playlist.forEach((track, idx) => {
+        if (!track.isStream) {
+          files.push(idx);
+        }
+      });
+      return files.length > 0 ? files : null;
+    }
+    const order = resolveTrackPaths(state.rotation).filter((idx) => idx !== -1);
+    return order.length > 0 ? order : null;
+  }
+
+  /**
+   * Builds a new shuffle order from the rotation source
+   * @param {number} excludeIndex - Index to leave out (the current track)
+   * @returns {number[]} Shuffled playlist indices
+   */
+  function buildShuffleQueue(excludeIndex) {
+    const pool = getRotationOrder() || state.playlist.map((_, idx) => idx);
+    return shuffleArray(pool.filter((idx) => idx !== excludeIndex || pool.length === 1));
+  }
+
+  /**
+   * Regenerates the shuffle queue from the rotation source, excluding the current track
    * @param {number} [excludeIndex=-1] - Index to exclude from shuffle
    */
   function refreshShuffleQueue(excludeIndex = -1) {
-    const indices = state.playlist
-      .map((_, idx) => idx)
-      .filter((idx) => idx !== excludeIndex || state.playlist.length === 1);
-    state.shuffledQueue = shuffleArray(indices);
+    state.shuffledQueue = buildShuffleQueue(excludeIndex);
+    invalidateUpcoming();
+  }
+
+  /**
+   * Checks a track against the rotation rules
+   * @param {TrackMetadata} track - Candidate track
+   * @param {{album: boolean, artist: boolean}} checks - Separation rules to apply
+   * @param {number} now - Current time in ms
+   * @returns {boolean} True if the track may play next
+   */
+  function passesRotationRules(track, checks, now) {
+    const { rules } = state;
+    const lastPlayed = state.lastPlayedAt.get(track.fullPath);
+    if (lastPlayed !== undefined && now - lastPlayed < rules.trackRepeatHours * 3600000) {
+      return false;
+    }
+    const artist = separationKey(track.artist, 'Unknown Artist');
+    if (
+      checks.artist &&
+      artist &&
+      rules.artistSeparation > 0 &&
+      state.recentPlays.slice(-rules.artistSeparation).some((play) => play.artist === artist)
+    ) {
+      return false;
+    }
+    const album = separationKey(track.album, 'Unknown Album');
+    if (
+      checks.album &&
+      album &&
+      rules.albumSeparation > 0 &&
+      state.recentPlays.slice(-rules.albumSeparation).some((play) => play.album === album)
+    ) {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Chooses which entry of the shuffle queue plays next: the first one that
+   * satisfies the rotation rules, or the configured fallback. In harmonic
+   * order, a track that also mixes well with the track on air is preferred
+   * at every stage, so the rotation rules still outrank key and tempo.
+   * @param {number[]} queue - Shuffle order to choose from
+   * @returns {number} Position in the shuffle queue
+   */
+  function chooseShufflePosition(queue) {
+    const now = Date.now();
+    const candidates = queue.map((idx) => state.playlist[idx]);
+    const reference = state.harmonic ? state.currentTrack : null;
+    const stages =
+      state.rules.fallback === 'relax'
+        ? [
+            { artist: true, album: true },
+            { artist: true, album: false },
+            { artist: false, album: false },
+          ]
+        : [{ artist: true, album: true }];
+    for (const checks of stages) {
+      if (reference) {
+        const position = candidates.findIndex(
+          (track) =>
+            track &&
+            isHarmonicMatch(reference, track, state.rules.bpmTolerance) &&
+            passesRotationRules(track, checks, now)
+        );
+        if (position !== -1) {
+          return position;
+        }
+      }
+      const position = candidates.findIndex(
+        (track) => track && passesRotationRules(track, checks, now)
+      );
+      if (position !== -1) {
+        return position;
+      }
+    }
+    if (state.rules.fallback === 'ignore') {
+      return 0;
+    }
+    /* Nothing satisfies even the repeat window: play whatever rested longest */
+    let oldest = 0;
+    let oldestPlayedAt = Infinity;
+    candidates.forEach((track, position) => {
+      const playedAt = (track && state.lastPlayedAt.get(track.fullPath)) || 0;
+      if (playedAt < oldestPlayedAt) {
+        oldest = position;
+        oldestPlayedAt = playedAt;
+      }
+    });
+    return oldest;
   }
 
   /**
-   * Picks the next track index based on shuffle mode
-   * @returns {number} Next track index, or -1 if playlist is empty
+   * Works out the next pick from the queue, repeat mode and order without
+   * changing any state. A shuffle order that ran out is rebuilt into the
+   * result rather than the state, so only committing the pick keeps it.
+   * @param {boolean} manual - Whether this is a user skip, which ignores repeat rules
+   * @returns {NextPick} Planned pick
    */
-  function pickNextIndex() {
+  function planNextPick(manual) {
+    /** @type {NextPick} */
+    const pick = {
+      index: -1,
+      fromQueue: false,
+      fromRepeat: false,
+      shuffledQueue: null,
+      position: -1,
+    };
     if (state.playlist.length === 0) {
-      return -1;
+      return pick;
+    }
+    if (state.upNext.length > 0) {
+      return { ...pick, index: state.upNext[0], fromQueue: true };
+    }
+    if (!manual && state.repeat === 'one' && state.currentIndex !== -1) {
+      return { ...pick, index: state.currentIndex, fromRepeat: true };
+    }
+    if (!manual && state.repeat === 'stop-after-queue') {
+      return { ...pick, fromRepeat: true };
     }
     if (!state.shuffle) {
+      const order = getRotationOrder();
+      if (order) {
+        /* Tracks outside the source (e.g. just switched to it) continue at its start */
+        return { ...pick, index: order[(order.indexOf(state.currentIndex) + 1) % order.length] };
+      }
       if (state.currentIndex === -1) {
-        return 0;
+        /* Continue from the slot of a removed current track rather than restarting */
+        const index =
+          state.removedCurrentSlot === -1 ? 0 : state.removedCurrentSlot % state.playlist.length;
+        return { ...pick, index };
+      }
+      return { ...pick, index: (state.currentIndex + 1) % state.playlist.length };
+    }
+    const queue =
+      state.shuffledQueue.length > 0 ? state.shuffledQueue : buildShuffleQueue(state.currentIndex);
+    const position = chooseShufflePosition(queue);
+    const next = queue[position];
+    if (typeof next !== 'number') {
+      return pick;
+    }
+    return { ...pick, index: next, shuffledQueue: queue, position };
+  }
+
+  /**
+   * Drops the cached upcoming pick after a change that may alter it
+   */
+  function invalidateUpcoming() {
+    upcoming = null;
+  }
+
+  /**
+   * Picks the next track index. Queued tracks always take priority over the
+   * repeat mode and shuffle/sequential order. The pick peekNextIndex()
+   * announced is the one taken, so a preloaded track is what plays.
+   * @param {Object} [options={}] - Pick options
+   * @param {boolean} [options.manual=false] - User skip; ignores repeat-one and stop-after-queue
+   * @returns {number} Next track index, or -1 if playback should stop
+   */
+  function pickNextIndex(options = {}) {
+    const manual = Boolean(options.manual);
+    const pick = upcoming && !(manual && upcoming.fromRepeat) ? upcoming : planNextPick(manual);
+    if (pick.fromQueue) {
+      state.upNext.shift();
+    } else if (pick.shuffledQueue) {
+      state.shuffledQueue = pick.shuffledQueue;
+      state.shuffledQueue.splice(pick.position, 1);
+    }
+    invalidateUpcoming();
+    return pick.index;
+  }
+
+  /**
+   * Returns the index pickNextIndex() would return for an automatic
+   * advance, without consuming it. The mixer asks on every tick, so the
+   * pick is cached until the queue, playlist, mode or rotation changes.
+   * @returns {number} Next track index, or -1 if playback would stop
+   */
+  function peekNextIndex() {
+    if (!upcoming) {
+      upcoming = planNextPick(false);
+    }
+    return upcoming.index;
+  }
+
+  /**
+   * Returns the current playback order and repeat mode
+   * @returns {PlaybackMode} Playback mode
+   */
+  function getPlaybackMode() {
+    const order = state.harmonic ? 'harmonic' : state.shuffle ? 'shuffle' : 'sequential';
+    return { order, repeat: state.repeat };
+  }
+
+  /**
+   * Changes the playback order and/or repeat mode
+   * @param {Partial<PlaybackMode>} mode - Values to change (validated by the caller)
+   * @returns {PlaybackMode} Updated playback mode
+   */
+  function setPlaybackMode(mode) {
+    if (mode.order !== undefined) {
+      const shuffle = mode.order !== 'sequential';
+      if (shuffle && !state.shuffle) {
+        refreshShuffleQueue(state.currentIndex);
       }
-      return (state.currentIndex + 1) % state.playlist.length;
+      state.shuffle = shuffle;
+      state.harmonic = mode.order === 'harmonic';
     }
-    if (state.shuffledQueue.length === 0) {
+    if (mode.repeat !== undefined) {
+      state.repeat = mode.repeat;
+    }
+    invalidateUpcoming();
+    const updated = getPlaybackMode();
+    log(`Playback mode: ${updated.order}, repeat ${updated.repeat}`);
+    return updated;
+  }
+
+  /**
+   * Returns the shuffle rotation rules
+   * @returns {RotationRules} Current rules
+   */
+  function getRotationRules() {
+    return { ...state.rules };
+  }
+
+  /**
+   * Changes shuffle rotation rules
+   * @param {Partial<RotationRules>} rules - Values to change (validated by the caller)
+   * @returns {RotationRules} Updated rules
+   */
+  function setRotationRules(rules) {
+    state.rules = normalizeRotationRules({ ...state.rules, ...rules });
+    invalidateUpcoming();
+    const { artistSeparation, albumSeparation, trackRepeatHours, fallback, bpmTolerance } =
+      state.rules;
+    log(
+      `Rotation rules: artist ${artistSeparation}, album ${albumSeparation}, repeat ${trackRepeatHours}h, fallback ${fallback}, BPM tolerance ${bpmTolerance}%`
+    );
+    return getRotationRules();
+  }
+
+  /**
+   * Limits automatic picks to a set of tracks, or returns to the whole library.
+   * Queued tracks and manual jumps are not restricted.
+   * @param {string[]|null} fullPaths - Absolute track paths in play order, or null for all
+   */
+  function setRotationSource(fullPaths) {
+    state.rotation = fullPaths ? [...fullPaths] : null;
+    invalidateUpcoming();
+    if (state.shuffle) {
       refreshShuffleQueue(state.currentIndex);
     }
-    const next = state.shuffledQueue.shift();
-    if (typeof next !== 'number') {
-      return -1;
+    if (state.rotation && !getRotationOrder()) {
+      warn('None of the rotation source tracks are in the library; rotating the whole library');
     }
-    return next;
+  }
+
+  /**
+   * Counts the tracks automatic picks currently choose from
+   * @returns {number} Available rotation tracks
+   */
+  function getRotationSize() {
+    const order = getRotationOrder();
+    return order ? order.length : state.playlist.length;
   }
 
   /**
@@ -188,33 +842,59 @@ function createPlaylistManager(options) {
   }
 
   /**
-   * Loads all MP3 files from the music directory into the playlist
+   * Loads all audio files from the enabled library roots into the playlist.
+   * Tracks already in the playlist are kept, so this also picks up files
+   * after roots were added or their patterns widened.
    * @returns {Promise<void>} Resolves when all tracks are loaded
    */
   async function loadInitialPlaylist() {
     let successCount = 0;
+    let cachedCount = 0;
     let errorCount = 0;
-    for await (const fullPath of walkDirectory(musicDir)) {
-      if (!fullPath.toLowerCase().endsWith('.mp3')) {
-        continue;
+    const seenPaths = new Set();
+    for (const root of libraryRoots.list().filter((item) => item.enabled)) {
+      for await (const fullPath of walkDirectory(root.path)) {
+        if (!isAudioFile(fullPath) || !libraryRoots.accepts(fullPath)) {
+          continue;
+        }
+        seenPaths.add(fullPath);
+        if (state.trackMap.has(fullPath)) {
+          continue;
+        }
+        try {
+          const { track, cached } = await loadTrack(fullPath);
+          state.trackMap.set(fullPath, track);
+          state.playlist.push(track);
+          successCount += 1;
+          if (cached) {
+            cachedCount += 1;
+          }
+        } catch (err) {
+          errorCount += 1;
+          error(`Failed to load track ${fullPath}:`, err instanceof Error ? err.message : err);
+        }
       }
-      if (state.trackMap.has(fullPath)) {
-        continue;
+    }
+    invalidateUpcoming();
+    if (state.shuffle) {
+      refreshShuffleQueue(state.currentIndex);
+    }
+    if (libraryIndex) {
+      /* Entries of disabled roots and excluded files are kept for when they return */
+      const pruned = libraryIndex.prune(
+        seenPaths,
+        (trackPath) => libraryRoots.findRoot(trackPath) !== null && !libraryRoots.accepts(trackPath)
+      );
+      if (pruned > 0) {
+        log(`Pruned ${pruned} removed tracks from the library index`);
       }
       try {
-        const track = await readTrackMetadata(fullPath);
-        state.trackMap.set(fullPath, track);
-        state.playlist.push(track);
-        successCount += 1;
+        await libraryIndex.save();
       } catch (err) {
-        errorCount += 1;
-        error(`Failed to load track ${fullPath}:`, err instanceof Error ? err.message : err);
+        warn('Failed to save library index:', err.message);
       }
     }
-    if (state.shuffle) {
-      refreshShuffleQueue();
-    }
-    log(`Loaded ${successCount} tracks (${errorCount} failed)`);
+    log(`Loaded ${successCount} tracks (${cachedCount} from cache, ${errorCount} failed)`);
     if (state.playlist.length === 0 && errorCount > 0) {
       warn('No tracks loaded successfully. Check file formats and permissions.');
     }
@@ -226,19 +906,33 @@ function createPlaylistManager(options) {
    * @returns {Promise<void>} Resolves when the track is added
    */
   async function handleNewTrack(fullPath) {
-    if (!fullPath.toLowerCase().endsWith('.mp3')) {
+    if (!isAudioFile(fullPath)) {
       return;
     }
     if (state.trackMap.has(fullPath)) {
+      /* Deleted and recreated at the same path (e.g. a tag editor saving a copy) */
+      if (pendingRemovals.has(fullPath)) {
+        cancelPendingRemoval(fullPath);
+        await handleChangedTrack(fullPath);
+      }
       return;
     }
     try {
-      const track = await readTrackMetadata(fullPath);
+      const renamedFrom = await findRenameSource(fullPath);
+      if (renamedFrom) {
+        await handleRenamedTrack(renamedFrom, fullPath);
+        return;
+      }
+      const { track } = await loadTrack(fullPath);
       state.trackMap.set(fullPath, track);
       state.playlist.push(track);
-      if (state.shuffle) {
+      invalidateUpcoming();
+      if (state.shuffle && (!state.rotation || state.rotation.includes(fullPath))) {
         refreshShuffleQueue(state.currentIndex);
       }
+      if (libraryIndex) {
+        libraryIndex.scheduleSave();
+      }
       log(`New track detected: ${track.filename}`);
       if (onTrackAddedCallback) {
         onTrackAddedCallback(track);
@@ -249,13 +943,198 @@ function createPlaylistManager(options) {
   }
 
   /**
-   * Watches the music directory for new MP3 files and adds them to the playlist
+   * Cancels a scheduled removal for a path
+   * @param {string} fullPath - Full path of the track
+   */
+  function cancelPendingRemoval(fullPath) {
+    const timer = pendingRemovals.get(fullPath);
+    if (timer) {
+      clearTimeout(timer);
+      pendingRemovals.delete(fullPath);
+    }
+  }
+
+  /**
+   * Finds a pending removal with the same size and mtime as a newly added file,
+   * which indicates the file was renamed or moved
+   * @param {string} fullPath - Full path of the added file
+   * @returns {Promise<string|null>} Previous path of the file, or null
+   */
+  async function findRenameSource(fullPath) {
+    if (pendingRemovals.size === 0) {
+      return null;
+    }
+    const stat = await fs.promises.stat(fullPath);
+    for (const oldPath of pendingRemovals.keys()) {
+      const previous = fileStats.get(oldPath);
+      if (previous && previous.size === stat.size && previous.mtimeMs === stat.mtimeMs) {
+        return oldPath;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Replaces the track stored for a path, keeping its playlist position
+   * @param {string} oldPath - Path the track is currently stored under
+   * @param {TrackMetadata} track - Replacement track
+   */
+  function replaceTrack(oldPath, track) {
+    const previous = state.trackMap.get(oldPath);
+    const index = state.playlist.indexOf(previous);
+    if (index === -1) {
+      return;
+    }
+    state.playlist[index] = track;
+    state.trackMap.delete(oldPath);
+    state.trackMap.set(track.fullPath, track);
+    invalidateUpcoming();
+    if (state.currentTrack === previous) {
+      state.currentTrack = track;
+    }
+  }
+
+  /**
+   * Updates a renamed or moved track in place
+   * @param {string} oldPath - Previous full path
+   * @param {string} newPath - New full path
+   * @returns {Promise<void>}
+   */
+  async function handleRenamedTrack(oldPath, newPath) {
+    cancelPendingRemoval(oldPath);
+    fileStats.delete(oldPath);
+    if (libraryIndex) {
+      libraryIndex.remove(oldPath);
+    }
+    const { track } = await loadTrack(newPath, state.trackMap.get(oldPath) || null);
+    replaceTrack(oldPath, track);
+    if (state.rotation) {
+      state.rotation = state.rotation.map((fullPath) =>
+        fullPath === oldPath ? newPath : fullPath
+      );
+    }
+    if (state.lastPlayedAt.has(oldPath)) {
+      state.lastPlayedAt.set(newPath, state.lastPlayedAt.get(oldPath));
+      state.lastPlayedAt.delete(oldPath);
+    }
+    if (libraryIndex) {
+      libraryIndex.scheduleSave();
+    }
+    log(`Track renamed: ${path.basename(oldPath)} -> ${track.filename}`);
+    if (onTrackRenamedCallback) {
+      onTrackRenamedCallback(oldPath, newPath);
+    }
+  }
+
+  /**
+   * Re-reads metadata for a track whose file contents changed
+   * @param {string} fullPath - Full path of the changed file
+   * @returns {Promise<void>}
+   */
+  async function handleChangedTrack(fullPath) {
+    if (!state.trackMap.has(fullPath)) {
+      await handleNewTrack(fullPath);
+      return;
+    }
+    try {
+      const { track, cached } = await loadTrack(fullPath);
+      if (cached) {
+        return;
+      }
+      replaceTrack(fullPath, track);
+      if (libraryIndex) {
+        libraryIndex.scheduleSave();
+      }
+      log(`Track updated: ${track.filename}`);
+    } catch (err) {
+      error(`Failed to update track ${fullPath}:`, err instanceof Error ? err.message : err);
+    }
+  }
+
+  /**
+   * Removes a track from the playlist and remaps every stored index so the
+   * current position, history and shuffle queue keep pointing at the same tracks
+   * @param {string} fullPath - Full path of the removed file
+   * @param {Object} [options={}] - Removal options
+   * @param {boolean} [options.keepIndexEntry=false] - Keep the library index entry (file still exists)
+   * @returns {boolean} True if a track was removed
+   */
+  function removeTrack(fullPath, options = {}) {
+    cancelPendingRemoval(fullPath);
+    fileStats.delete(fullPath);
+    const track = state.trackMap.get(fullPath);
+    if (!track) {
+      return false;
+    }
+    const removedIndex = state.playlist.indexOf(track);
+    state.trackMap.delete(fullPath);
+    if (libraryIndex && !options.keepIndexEntry) {
+      libraryIndex.remove(fullPath);
+      libraryIndex.scheduleSave();
+    }
+    if (removedIndex === -1) {
+      return false;
+    }
+    state.playlist.splice(removedIndex, 1);
+
+    const remap = (idx) => (idx > removedIndex ? idx - 1 : idx);
+    state.history = state.history.filter((idx) => idx !== removedIndex).map(remap);
+    state.shuffledQueue = state.shuffledQueue.filter((idx) => idx !== removedIndex).map(remap);
+    state.upNext = state.upNext.filter((idx) => idx !== removedIndex).map(remap);
+    invalidateUpcoming();
+
+    if (state.currentIndex === removedIndex) {
+      /* Keep currentTrack so status still reflects the audio until the next track starts */
+      state.currentIndex = -1;
+      state.removedCurrentSlot = removedIndex;
+    } else if (state.currentIndex !== -1) {
+      state.currentIndex = remap(state.currentIndex);
+    } else if (state.removedCurrentSlot > removedIndex) {
+      state.removedCurrentSlot -= 1;
+    }
+
+    log(`Track removed: ${track.filename}`);
+    return true;
+  }
+
+  /**
+   * Schedules removal of a deleted file, giving a rename the chance to claim it
+   * @param {string} fullPath - Full path of the deleted file
+   */
+  function handleRemovedFile(fullPath) {
+    if (!state.trackMap.has(fullPath) || pendingRemovals.has(fullPath)) {
+      return;
+    }
+    const timer = setTimeout(() => {
+      pendingRemovals.delete(fullPath);
+      removeTrack(fullPath);
+    }, RENAME_GRACE_MS);
+    timer.unref();
+    pendingRemovals.set(fullPath, timer);
+  }
+
+  /**
+   * Watches every enabled library root for added, changed, removed and
+   * renamed audio files
    */
   function watchMusicDirectory() {
-    watcher = chokidar.watch('**/*.mp3', {
-      cwd: musicDir,
+    watching = true;
+    for (const root of libraryRoots.list().filter((item) => item.enabled)) {
+      watchRoot(root);
+    }
+  }
+
+  /**
+   * Watches one library root. Files its patterns leave out are ignored.
+   * @param {import('./library-roots').LibraryRoot} root - Root to watch
+   */
+  function watchRoot(root) {
+    const watcher = chokidar.watch('.', {
+      cwd: root.path,
       persistent: true,
       ignoreInitial: true,
+      /* chokidar 4 has no glob support, so filter files by extension instead */
+      ignored: (filePath, stats) => Boolean(stats && stats.isFile() && !isAudioFile(filePath)),
       awaitWriteFinish: {
         stabilityThreshold: 1000,
         pollInterval: 100,
@@ -263,40 +1142,239 @@ function createPlaylistManager(options) {
     });
 
     watcher.on('add', (relativePath) => {
-      const fullPath = path.join(musicDir, relativePath);
-      ignoreErrors(handleNewTrack(fullPath), error, 'Failed to add new track');
+      const fullPath = path.join(root.path, relativePath);
+      if (libraryRoots.accepts(fullPath)) {
+        ignoreErrors(handleNewTrack(fullPath), error, 'Failed to add new track');
+      }
+    });
+
+    watcher.on('change', (relativePath) => {
+      const fullPath = path.join(root.path, relativePath);
+      if (libraryRoots.accepts(fullPath)) {
+        ignoreErrors(handleChangedTrack(fullPath), error, 'Failed to update track');
+      }
+    });
+
+    watcher.on('unlink', (relativePath) => {
+      handleRemovedFile(path.join(root.path, relativePath));
     });
 
     watcher.on('error', (err) => {
-      error('Watcher error:', err.message);
+      error(`Watcher error in root ${root.id}:`, err.message);
     });
+
+    watchers.set(root.id, watcher);
+  }
+
+  /**
+   * Applies changed library roots: drops tracks that are no longer part of
+   * the library, scans for newly included ones and restarts the watchers.
+   * Index entries of dropped tracks are kept in case they are included again.
+   * @returns {Promise<{added: number, removed: number}>} Track count changes
+   */
+  async function reloadRoots() {
+    const restartWatchers = watching;
+    stopWatcher();
+    let removed = 0;
+    for (const track of [...state.playlist]) {
+      if (!track.isStream && !libraryRoots.accepts(track.fullPath)) {
+        removeTrack(track.fullPath, { keepIndexEntry: true });
+        removed += 1;
+      }
+    }
+    const before = state.playlist.length;
+    await loadInitialPlaylist();
+    if (restartWatchers) {
+      watchMusicDirectory();
+    }
+    return { added: state.playlist.length - before, removed };
+  }
+
+  /**
+   * Adds an HTTP stream to the playlist
+   * @param {import('./streams').StreamEntry} stream - Validated stream entry
+   * @returns {TrackMetadata|null} New entry, or null if the URL is already in the playlist
+   */
+  function addStream(stream) {
+    if (state.trackMap.has(stream.url)) {
+      return null;
+    }
+    const track = createStreamTrack(stream);
+    state.trackMap.set(track.fullPath, track);
+    state.playlist.push(track);
+    invalidateUpcoming();
+    if (state.shuffle && state.rotation && state.rotation.includes(track.fullPath)) {
+      refreshShuffleQueue(state.currentIndex);
+    }
+    log(`Stream added: ${track.title} (${track.fullPath})`);
+    return track;
+  }
+
+  /**
+   * Removes an HTTP stream from the playlist
+   * @param {string} url - Stream URL
+   * @returns {boolean} True if a stream was removed
+   */
+  function removeStream(url) {
+    const track = state.trackMap.get(url);
+    if (!track || !track.isStream) {
+      return false;
+    }
+    return removeTrack(url, { keepIndexEntry: true });
+  }
+
+  /**
+   * Lists the HTTP streams in the playlist
+   * @returns {TrackMetadata[]} Stream entries in playlist order
+   */
+  function listStreams() {
+    return state.playlist.filter((track) => track.isStream);
   }
 
   /**
    * Returns the playlist with track details
-   * @returns {Array<{index: number, title: string, artist: string, album: string, duration: number, filename: string}>} Playlist array
+   * @returns {Array<{index: number, title: string, artist: string, album: string, genre: string|null, year: number|null, duration: number, format: string, filename: string, queuePosition: number|null}>} Playlist array
    */
   function listPlaylist() {
+    const queuePositions = new Map();
+    state.upNext.forEach((trackIndex, position) => {
+      if (!queuePositions.has(trackIndex)) {
+        queuePositions.set(trackIndex, position);
+      }
+    });
     return state.playlist.map((track, idx) => ({
       index: idx,
       title: track.title,
       artist: track.artist,
       album: track.album,
+      genre: track.genre,
+      year: track.year,
       duration: track.duration,
+      format: track.format,
       filename: track.filename,
+      cues: track.cues,
+      cover: track.cover,
+      root: track.root,
+      bpm: track.bpm,
+      key: track.key,
+      queuePosition: queuePositions.has(idx) ? queuePositions.get(idx) : null,
     }));
   }
 
+  /**
+   * Finds the playlist index of a track by file name or library path
+   * @param {string} name - File name (e.g. 'song.flac') or library path (e.g. 'Artist/song.flac'
+   *   or 'archive:Artist/song.flac')
+   * @returns {number} Playlist index, or -1 if not found
+   */
+  function findTrackIndex(name) {
+    if (typeof name !== 'string' || name.length === 0) {
+      return -1;
+    }
+    const byPath = state.trackMap.get(libraryRoots.toFullPath(name));
+    if (byPath) {
+      return state.playlist.indexOf(byPath);
+    }
+    return state.playlist.findIndex((track) => track.filename === name);
+  }
+
+  /**
+   * Returns the up-next queue with track details
+   * @returns {Array<{position: number, index: number, title: string, artist: string, album: string, duration: number, filename: string}>} Queue entries in play order
+   */
+  function listQueue() {
+    return state.upNext.map((trackIndex, position) => {
+      const track = state.playlist[trackIndex];
+      return {
+        position,
+        index: trackIndex,
+        title: track.title,
+        artist: track.artist,
+        album: track.album,
+        duration: track.duration,
+        filename: track.filename,
+      };
+    });
+  }
+
+  /**
+   * Adds a track to the up-next queue
+   * @param {number} index - Playlist index of the track
+   * @param {number} [position] - Queue position to insert at (defaults to the end)
+   * @returns {boolean} True if the track was queued
+   */
+  function enqueue(index, position = state.upNext.length) {
+    if (!Number.isInteger(index) || !state.playlist[index]) {
+      return false;
+    }
+    const insertAt = Number.isInteger(position)
+      ? Math.min(Math.max(position, 0), state.upNext.length)
+      : state.upNext.length;
+    state.upNext.splice(insertAt, 0, index);
+    invalidateUpcoming();
+    return true;
+  }
+
+  /**
+   * Moves a queued entry to another position
+   * @param {number} from - Current queue position
+   * @param {number} to - Target queue position
+   * @returns {boolean} True if the entry was moved
+   */
+  function moveQueueItem(from, to) {
+    if (!isQueuePosition(from) || !Number.isInteger(to)) {
+      return false;
+    }
+    const [trackIndex] = state.upNext.splice(from, 1);
+    const target = Math.min(Math.max(to, 0), state.upNext.length);
+    state.upNext.splice(target, 0, trackIndex);
+    invalidateUpcoming();
+    return true;
+  }
+
+  /**
+   * Removes an entry from the up-next queue
+   * @param {number} position - Queue position to remove
+   * @returns {boolean} True if an entry was removed
+   */
+  function removeFromQueue(position) {
+    if (!isQueuePosition(position)) {
+      return false;
+    }
+    state.upNext.splice(position, 1);
+    invalidateUpcoming();
+    return true;
+  }
+
+  /**
+   * Empties the up-next queue
+   */
+  function clearQueue() {
+    state.upNext = [];
+    invalidateUpcoming();
+  }
+
+  /**
+   * Checks whether a value is a valid position in the up-next queue
+   * @param {number} position - Queue position
+   * @returns {boolean} True if valid
+   */
+  function isQueuePosition(position) {
+    return Number.isInteger(position) && position >= 0 && position < state.upNext.length;
+  }
+
   /**
    * Gets information about the currently playing track
    * @returns {Object|null} Track info, or null if no track
    */
   function getCurrentTrackInfo() {
-    if (state.currentIndex === -1 || !state.playlist[state.currentIndex]) {
+    if (!state.currentTrack) {
       return null;
     }
-    const { title, artist, album, duration, filename } = state.playlist[state.currentIndex];
-    return { title, artist, album, duration, filename };
+    const { title, artist, album, duration, format, filename, cover, bpm, key } =
+      state.currentTrack;
+    const streamTitle = state.currentTrack.streamTitle || null;
+    return { title, artist, album, duration, format, filename, cover, bpm, key, streamTitle };
   }
 
   /**
@@ -313,8 +1391,24 @@ function createPlaylistManager(options) {
    * @param {number} index - New current index
    */
   function setCurrentIndex(index) {
+    const track = state.playlist[index] || null;
+    /* Seeks and resumes re-set the same index; only a change of track is a new play */
+    if (track && index !== state.currentIndex) {
+      state.lastPlayedAt.set(track.fullPath, Date.now());
+      state.recentPlays.push({
+        artist: separationKey(track.artist, 'Unknown Artist'),
+        album: separationKey(track.album, 'Unknown Album'),
+      });
+      if (state.recentPlays.length > MAX_SEPARATION) {
+        state.recentPlays.shift();
+      }
+    }
+    if (index !== state.currentIndex) {
+      invalidateUpcoming();
+    }
     state.currentIndex = index;
-    state.currentTrack = state.playlist[index] || null;
+    state.currentTrack = track;
+    state.removedCurrentSlot = -1;
   }
 
   /**
@@ -341,6 +1435,78 @@ function createPlaylistManager(options) {
     return previousIndex;
   }
 
+  /**
+   * Describes the navigation state by library path, for saving across restarts.
+   * Paths are used because playlist indices change when the library is rescanned.
+   * @returns {Omit<import('./playback-state').PlaybackSnapshot, 'position'>} Navigation state
+   */
+  function getResumeState() {
+    const toPaths = (indices) =>
+      indices
+        .filter((idx) => state.playlist[idx])
+        .map((idx) => libraryRoots.toLibraryPath(state.playlist[idx].fullPath));
+    const repeatWindowStart = Date.now() - state.rules.trackRepeatHours * 3600000;
+    return {
+      current: state.currentIndex !== -1 ? toPaths([state.currentIndex])[0] : null,
+      history: toPaths(state.history.slice(-MAX_SAVED_HISTORY)),
+      upNext: toPaths(state.upNext),
+      shuffledQueue: toPaths(state.shuffledQueue),
+      recentPlays: state.recentPlays.slice(),
+      lastPlayedAt: [...state.lastPlayedAt]
+        .filter(([, playedAt]) => playedAt >= repeatWindowStart)
+        .map(([fullPath, playedAt]) => [libraryRoots.toLibraryPath(fullPath), playedAt]),
+    };
+  }
+
+  /**
+   * Restores navigation state saved by getResumeState(). Tracks no longer in
+   * the library are dropped, and the shuffle order is limited to the current
+   * rotation source. The current track is set without counting as a new play.
+   * Absolute paths, as written before library paths were saved, still resolve.
+   * @param {Partial<import('./playback-state').PlaybackSnapshot>} saved - Saved state
+   * @returns {number} Playlist index of the restored current track, or -1
+   */
+  function restoreResumeState(saved) {
+    const toFullPath = (item) => (path.isAbsolute(item) ? item : libraryRoots.toFullPath(item));
+    const toIndices = (paths) =>
+      Array.isArray(paths)
+        ? resolveTrackPaths(
+            paths.filter((item) => typeof item === 'string').map(toFullPath)
+          ).filter((idx) => idx !== -1)
+        : [];
+    invalidateUpcoming();
+    state.history = toIndices(saved.history);
+    state.upNext = toIndices(saved.upNext);
+    if (state.shuffle) {
+      const pool = new Set(getRotationOrder() || state.playlist.map((_, idx) => idx));
+      const restored = toIndices(saved.shuffledQueue).filter((idx) => pool.has(idx));
+      if (restored.length > 0) {
+        state.shuffledQueue = restored;
+      }
+    }
+    if (Array.isArray(saved.recentPlays)) {
+      state.recentPlays = saved.recentPlays.slice(-MAX_SEPARATION);
+    }
+    if (Array.isArray(saved.lastPlayedAt)) {
+      for (const entry of saved.lastPlayedAt) {
+        if (!Array.isArray(entry) || typeof entry[0] !== 'string' || !Number.isFinite(entry[1])) {
+          continue;
+        }
+        const fullPath = toFullPath(entry[0]);
+        if (state.trackMap.has(fullPath)) {
+          state.lastPlayedAt.set(fullPath, entry[1]);
+        }
+      }
+    }
+    const [currentIndex] = typeof saved.current === 'string' ? toIndices([saved.current]) : [];
+    if (currentIndex === undefined) {
+      return -1;
+    }
+    state.currentIndex = currentIndex;
+    state.currentTrack = state.playlist[currentIndex];
+    return currentIndex;
+  }
+
   /**
    * Sets a callback to be called when a new track is added
    * @param {Function} callback - Callback function
@@ -350,13 +1516,26 @@ function createPlaylistManager(options) {
   }
 
   /**
-   * Stops the file watcher
+   * Sets a callback to be called when a track file is renamed or moved
+   * @param {Function} callback - Called with (oldPath, newPath)
+   */
+  function onTrackRenamed(callback) {
+    onTrackRenamedCallback = callback;
+  }
+
+  /**
+   * Stops the file watchers
    */
   function stopWatcher() {
-    if (watcher) {
+    for (const timer of pendingRemovals.values()) {
+      clearTimeout(timer);
+    }
+    pendingRemovals.clear();
+    for (const watcher of watchers.values()) {
       watcher.close();
-      watcher = null;
     }
+    watchers.clear();
+    watching = false;
   }
 
   return {
@@ -365,9 +1544,19 @@ function createPlaylistManager(options) {
     loadInitialPlaylist,
     watchMusicDirectory,
     stopWatcher,
+    reloadRoots,
+
+    /* Streams */
+    addStream,
+    removeStream,
+    listStreams,
 
     /* Playlist queries */
+    isAudioFile,
     listPlaylist,
+    findTrackIndex,
+    resolveTrackPaths,
+    getRotationSize,
     getCurrentTrackInfo,
     getTrackAtIndex,
     get playlist() {
@@ -383,15 +1572,50 @@ function createPlaylistManager(options) {
       return state.playlist.length === 0;
     },
 
+    /* Playlist mutation */
+    removeTrack,
+    handleNewTrack,
+    handleRemovedFile,
+    setTrackReplayGain,
+    setTrackCues,
+    setTrackTempoKey,
+
+    /* Up-next queue */
+    listQueue,
+    enqueue,
+    moveQueueItem,
+    removeFromQueue,
+    clearQueue,
+
     /* Playlist navigation */
     pickNextIndex,
+    peekNextIndex,
+    getPlaybackMode,
+    setPlaybackMode,
+    getRotationRules,
+    setRotationRules,
+    setRotationSource,
     setCurrentIndex,
     addToHistory,
     popFromHistory,
 
+    /* Restart persistence */
+    getResumeState,
+    restoreResumeState,
+
     /* Events */
     onTrackAdded,
+    onTrackRenamed,
   };
 }
 
-module.exports = { createPlaylistManager };
+module.exports = {
+  createPlaylistManager,
+  DEFAULT_AUDIO_EXTENSIONS,
+  PLAYBACK_ORDERS,
+  REPEAT_MODES,
+  ROTATION_FALLBACKS,
+  MAX_SEPARATION,
+  MAX_REPEAT_HOURS,
+  DEFAULT_ROTATION_RULES,
+};
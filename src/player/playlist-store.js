@@ -0,0 +1,449 @@
+'use strict';
+
+/**
+ * Playlist Store Module
+ *
+ * Persists named playlists (ordered track lists) and crates (unordered track
+ * collections) to a JSON file under data/, along with which one is the active
+ * rotation source. Tracks are stored as library paths (relative to their
+ * library root) so the file survives moving the library. Every edit
+ * rewrites the file before the API call returns.
+ *
+ * @module player/playlist-store
+ */
+
+const fs = require('fs');
+const { createLogger } = require('../lib/utils/logger');
+const { writeJsonAtomicSync } = require('../lib/utils/json-file');
+const { createLibraryRoots } = require('./library-roots');
+
+const { log, warn } = createLogger('playlists');
+
+/**
+ * Kinds of saved track lists. Playlists keep their order; crates are kept
+ * sorted by path and have no order of their own.
+ */
+const PLAYLIST_KINDS = ['playlist', 'crate'];
+
+const MAX_NAME_LENGTH = 100;
+const STORE_VERSION = 1;
+
+/**
+ * @typedef {Object} SavedPlaylist
+ * @property {string} id - URL-safe identifier derived from the name
+ * @property {string} name - Display name
+ * @property {string} kind - One of PLAYLIST_KINDS
+ * @property {string[]} tracks - Library paths of the tracks (see library-roots)
+ * @property {string} createdAt - ISO timestamp
+ * @property {string} updatedAt - ISO timestamp
+ */
+
+/**
+ * Turns a display name into an identifier
+ * @param {string} name - Playlist name
+ * @returns {string} Lowercase slug, 'playlist' if nothing usable remains
+ */
+function slugify(name) {
+  const slug = name
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 48);
+  return slug || 'playlist';
+}
+
+/**
+ * Validates a playlist name
+ * @param {any} name - Candidate name
+ * @returns {string|null} Trimmed name, or null if invalid
+ */
+function normalizeName(name) {
+  if (typeof name !== 'string') {
+    return null;
+  }
+  const trimmed = name.trim();
+  return trimmed.length > 0 && trimmed.length <= MAX_NAME_LENGTH ? trimmed : null;
+}
+
+/**
+ * Creates a new PlaylistStore instance
+ * @param {Object} options - Configuration options
+ * @param {string} options.filePath - Path of the JSON file
+ * @param {string} options.musicDir - Music directory (the main library root)
+ * @param {Object} [options.libraryRoots] - LibraryRoots instance; defaults to musicDir alone
+ * @param {Function} [options.onActiveChange] - Called with the active source's absolute
+ *   track paths (or null for the whole library) whenever the rotation source changes
+ * @returns {Object} PlaylistStore instance
+ */
+function createPlaylistStore(options) {
+  const {
+    filePath,
+    musicDir,
+    libraryRoots = createLibraryRoots({ musicDir }),
+    onActiveChange = null,
+  } = options;
+
+  /** @type {SavedPlaylist[]} */
+  let playlists = [];
+  let activeId = null;
+
+  /**
+   * Loads saved playlists, keeping an empty store if the file is missing or corrupt
+   */
+  function load() {
+    try {
+      if (!fs.existsSync(filePath)) {
+        return;
+      }
+      const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      if (!parsed || !Array.isArray(parsed.playlists)) {
+        return;
+      }
+      playlists = parsed.playlists.filter(
+        (entry) =>
+          entry &&
+          typeof entry.id === 'string' &&
+          typeof entry.name === 'string' &&
+          PLAYLIST_KINDS.includes(entry.kind) &&
+          Array.isArray(entry.tracks)
+      );
+      activeId = playlists.some((entry) => entry.id === parsed.activeId) ? parsed.activeId : null;
+      log(`Loaded ${playlists.length} playlists and crates from ${filePath}`);
+    } catch (err) {
+      warn(`Failed to read playlists, starting empty: ${err.message}`);
+    }
+  }
+
+  /**
+   * Saves playlists and the active source. A failed save is logged; the
+   * edit still applies until the player restarts.
+   * @returns {boolean} True if the change was written to disk
+   */
+  function persist() {
+    try {
+      writeJsonAtomicSync(filePath, {
+        version: STORE_VERSION,
+        updatedAt: new Date().toISOString(),
+        activeId,
+        playlists,
+      });
+      return true;
+    } catch (err) {
+      warn(`Failed to persist playlists: ${err.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Converts an absolute track path to the stored relative form
+   * @param {string} fullPath - Absolute track path
+   * @returns {string} Library path, with forward slashes
+   */
+  function toRelativePath(fullPath) {
+    return libraryRoots.toLibraryPath(fullPath);
+  }
+
+  /**
+   * Converts a stored relative path back to an absolute path
+   * @param {string} relativePath - Stored track path
+   * @returns {string} Absolute track path
+   */
+  function toFullPath(relativePath) {
+    return libraryRoots.toFullPath(relativePath);
+  }
+
+  /**
+   * Deduplicates track paths, sorting them for crates
+   * @param {string} kind - Playlist kind
+   * @param {string[]} tracks - Relative track paths
+   * @returns {string[]} Normalized track paths
+   */
+  function normalizeTracks(kind, tracks) {
+    const unique = [...new Set(tracks)];
+    return kind === 'crate' ? unique.sort((a, b) => a.localeCompare(b)) : unique;
+  }
+
+  /**
+   * Picks an identifier for a new playlist that is not taken yet
+   * @param {string} name - Playlist name
+   * @returns {string} Unique identifier
+   */
+  function uniqueId(name) {
+    const base = slugify(name);
+    let candidate = base;
+    for (let suffix = 2; playlists.some((entry) => entry.id === candidate); suffix += 1) {
+      candidate = `${base}-${suffix}`;
+    }
+    return candidate;
+  }
+
+  /**
+   * Finds a stored playlist by identifier
+   * @param {string} id - Playlist identifier
+   * @returns {SavedPlaylist|undefined} Stored playlist
+   */
+  function find(id) {
+    return playlists.find((entry) => entry.id === id);
+  }
+
+  /**
+   * Returns a copy of a stored playlist
+   * @param {SavedPlaylist} entry - Stored playlist
+   * @returns {SavedPlaylist & {active: boolean}} Copy safe to hand out
+   */
+  function snapshot(entry) {
+    return { ...entry, tracks: [...entry.tracks], active: entry.id === activeId };
+  }
+
+  /**
+   * Notifies the listener when a change affects the rotation source
+   * @param {string|null} id - Identifier of the changed playlist, or null for any
+   */
+  function notifyIfActive(id) {
+    if (onActiveChange && (id === null || id === activeId)) {
+      onActiveChange(getActiveTrackPaths());
+    }
+  }
+
+  /**
+   * Replaces a stored playlist's tracks and bumps its timestamp
+   * @param {SavedPlaylist} entry - Stored playlist
+   * @param {string[]} tracks - New relative track paths
+   */
+  function setTracks(entry, tracks) {
+    entry.tracks = normalizeTracks(entry.kind, tracks);
+    entry.updatedAt = new Date().toISOString();
+  }
+
+  /**
+   * Lists saved playlists and crates without their tracks
+   * @returns {Array<{id: string, name: string, kind: string, trackCount: number, active: boolean, createdAt: string, updatedAt: string}>} Summaries
+   */
+  function list() {
+    return playlists.map((entry) => ({
+      id: entry.id,
+      name: entry.name,
+      kind: entry.kind,
+      trackCount: entry.tracks.length,
+      active: entry.id === activeId,
+      createdAt: entry.createdAt,
+      updatedAt: entry.updatedAt,
+    }));
+  }
+
+  /**
+   * Returns a saved playlist with its tracks
+   * @param {string} id - Playlist identifier
+   * @returns {(SavedPlaylist & {active: boolean})|null} Playlist, or null if not found
+   */
+  function get(id) {
+    const entry = find(id);
+    return entry ? snapshot(entry) : null;
+  }
+
+  /**
+   * Creates a playlist or crate
+   * @param {Object} values - Playlist values (validated by the caller)
+   * @param {string} values.name - Display name
+   * @param {string} [values.kind='playlist'] - One of PLAYLIST_KINDS
+   * @param {string[]} [values.tracks=[]] - Absolute track paths
+   * @returns {SavedPlaylist & {active: boolean}} Created playlist
+   */
+  function create(values) {
+    const now = new Date().toISOString();
+    const kind = values.kind || 'playlist';
+    const entry = {
+      id: uniqueId(values.name),
+      name: values.name,
+      kind,
+      tracks: normalizeTracks(kind, (values.tracks || []).map(toRelativePath)),
+      createdAt: now,
+      updatedAt: now,
+    };
+    playlists.push(entry);
+    persist();
+    log(`Created ${kind} "${entry.name}" with ${entry.tracks.length} tracks`);
+    return snapshot(entry);
+  }
+
+  /**
+   * Renames a playlist and/or replaces its tracks
+   * @param {string} id - Playlist identifier
+   * @param {Object} values - Values to change (validated by the caller)
+   * @param {string} [values.name] - New display name
+   * @param {string[]} [values.tracks] - New absolute track paths
+   * @returns {(SavedPlaylist & {active: boolean})|null} Updated playlist, or null if not found
+   */
+  function update(id, values) {
+    const entry = find(id);
+    if (!entry) {
+      return null;
+    }
+    if (values.name !== undefined) {
+      entry.name = values.name;
+      entry.updatedAt = new Date().toISOString();
+    }
+    if (values.tracks !== undefined) {
+      setTracks(entry, values.tracks.map(toRelativePath));
+      notifyIfActive(id);
+    }
+    persist();
+    return snapshot(entry);
+  }
+
+  /**
+   * Inserts tracks into a playlist. Tracks already present are moved for
+   * playlists and ignored for crates.
+   * @param {string} id - Playlist identifier
+   * @param {string[]} tracks - Absolute track paths
+   * @param {number} [position] - Insert position for playlists (defaults to the end)
+   * @returns {(SavedPlaylist & {active: boolean})|null} Updated playlist, or null if not found
+   */
+  function addTracks(id, tracks, position) {
+    const entry = find(id);
+    if (!entry) {
+      return null;
+    }
+    const added = tracks.map(toRelativePath);
+    const remaining = entry.tracks.filter((track) => !added.includes(track));
+    const insertAt = Number.isInteger(position)
+      ? Math.min(Math.max(position, 0), remaining.length)
+      : remaining.length;
+    remaining.splice(insertAt, 0, ...added);
+    setTracks(entry, remaining);
+    persist();
+    notifyIfActive(id);
+    return snapshot(entry);
+  }
+
+  /**
+   * Removes the track at a position from a playlist
+   * @param {string} id - Playlist identifier
+   * @param {number} position - Track position
+   * @returns {(SavedPlaylist & {active: boolean})|null} Updated playlist, or null if the
+   *   playlist or position was not found
+   */
+  function removeTrackAt(id, position) {
+    const entry = find(id);
+    if (!entry || !Number.isInteger(position) || position < 0 || position >= entry.tracks.length) {
+      return null;
+    }
+    setTracks(
+      entry,
+      entry.tracks.filter((_, idx) => idx !== position)
+    );
+    persist();
+    notifyIfActive(id);
+    return snapshot(entry);
+  }
+
+  /**
+   * Deletes a playlist. Deleting the rotation source returns rotation to the whole library.
+   * @param {string} id - Playlist identifier
+   * @returns {boolean} True if a playlist was deleted
+   */
+  function remove(id) {
+    const entry = find(id);
+    if (!entry) {
+      return false;
+    }
+    playlists = playlists.filter((candidate) => candidate !== entry);
+    const wasActive = activeId === id;
+    if (wasActive) {
+      activeId = null;
+    }
+    persist();
+    if (wasActive) {
+      notifyIfActive(null);
+    }
+    log(`Deleted ${entry.kind} "${entry.name}"`);
+    return true;
+  }
+
+  /**
+   * Makes a playlist the rotation source, or returns rotation to the whole library
+   * @param {string|null} id - Playlist identifier, or null for the whole library
+   * @returns {boolean} True if the source was changed
+   */
+  function setActive(id) {
+    if (id !== null && !find(id)) {
+      return false;
+    }
+    activeId = id;
+    persist();
+    notifyIfActive(null);
+    const entry = id === null ? null : find(id);
+    log(entry ? `Rotation source: ${entry.kind} "${entry.name}"` : 'Rotation source: library');
+    return true;
+  }
+
+  /**
+   * Returns the rotation source
+   * @returns {(SavedPlaylist & {active: boolean})|null} Active playlist, or null for the whole library
+   */
+  function getActive() {
+    const entry = activeId === null ? null : find(activeId);
+    return entry ? snapshot(entry) : null;
+  }
+
+  /**
+   * Returns the absolute track paths of the rotation source
+   * @returns {string[]|null} Track paths, or null when the whole library rotates
+   */
+  function getActiveTrackPaths() {
+    const entry = activeId === null ? null : find(activeId);
+    return entry ? entry.tracks.map(toFullPath) : null;
+  }
+
+  /**
+   * Follows a renamed or moved file in every saved playlist
+   * @param {string} oldPath - Previous absolute path
+   * @param {string} newPath - New absolute path
+   */
+  function renameTrack(oldPath, newPath) {
+    const from = toRelativePath(oldPath);
+    const to = toRelativePath(newPath);
+    let changed = false;
+    for (const entry of playlists) {
+      if (entry.tracks.includes(from)) {
+        setTracks(
+          entry,
+          entry.tracks.map((track) => (track === from ? to : track))
+        );
+        changed = true;
+      }
+    }
+    if (changed) {
+      persist();
+    }
+  }
+
+  return {
+    /* Persistence */
+    load,
+
+    /* Queries */
+    list,
+    get,
+    getActive,
+    getActiveTrackPaths,
+    toRelativePath,
+    toFullPath,
+    get activeId() {
+      return activeId;
+    },
+
+    /* Mutation */
+    create,
+    update,
+    addTracks,
+    removeTrackAt,
+    remove,
+    setActive,
+    renameTrack,
+  };
+}
+
+module.exports = { createPlaylistStore, normalizeName, PLAYLIST_KINDS };
@@ -0,0 +1,556 @@
+'use strict';
+
+/**
+ * Schedule Store Module
+ *
+ * Persists the weekly programming clock to a JSON file under data/: time
+ * slots on given weekdays, each mapped to a source (a saved playlist, a
+ * folder in a library root, or a tag filter). Slot times are wall clock
+ * times in the schedule's timezone, so a slot at 21:00 stays at 21:00 across
+ * daylight saving changes. The file is rewritten whenever a slot, the
+ * timezone or the fade length changes.
+ *
+ * @module player/schedule-store
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('../lib/utils/logger');
+const { writeJsonAtomicSync } = require('../lib/utils/json-file');
+const { parseLibraryQuery } = require('./library-query');
+const { normalizeJingleRule } = require('./jingles');
+
+const { log, warn } = createLogger('schedule');
+
+/**
+ * Weekday keys, Monday first
+ */
+const WEEKDAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+
+/**
+ * How playback moves into a slot: after the current track, or by fading it out
+ */
+const SLOT_TRANSITIONS = ['track', 'fade'];
+
+const SOURCE_TYPES = ['playlist', 'folder', 'tags'];
+
+/**
+ * Library filter fields accepted in tag sources (see GET /library)
+ */
+const TAG_FILTER_FIELDS = [
+  'q',
+  'artist',
+  'album',
+  'genre',
+  'year',
+  'minDuration',
+  'maxDuration',
+  'root',
+];
+
+const MINUTES_PER_DAY = 24 * 60;
+const MINUTES_PER_WEEK = 7 * MINUTES_PER_DAY;
+const MAX_NAME_LENGTH = 100;
+const MAX_FADE_SECONDS = 12;
+const DEFAULT_FADE_SECONDS = 4;
+const STORE_VERSION = 1;
+
+/**
+ * @typedef {Object} ScheduleSource
+ * @property {string} type - One of SOURCE_TYPES
+ * @property {string} [id] - Saved playlist id (playlist sources)
+ * @property {string} [path] - Library path of a folder (folder sources)
+ * @property {Object<string, string>} [filter] - Library filter (tag sources)
+ */
+
+/**
+ * @typedef {Object} ScheduleSlot
+ * @property {string} id - Identifier
+ * @property {string|null} name - Display name
+ * @property {string[]} days - Weekdays the slot starts on (WEEKDAYS keys)
+ * @property {string} start - Start time, HH:MM
+ * @property {string} end - End time, HH:MM (24:00 for midnight); earlier than start runs past midnight
+ * @property {ScheduleSource} source - What plays during the slot
+ * @property {string} transition - One of SLOT_TRANSITIONS
+ * @property {import('./jingles').JingleRule|null} jingles - Jingle rule during the slot
+ *   (null uses the default rule)
+ */
+
+/**
+ * Checks whether a string names a timezone the runtime knows
+ * @param {any} timezone - IANA timezone name
+ * @returns {boolean} True if usable with Intl
+ */
+function isValidTimezone(timezone) {
+  if (typeof timezone !== 'string' || timezone === '') {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Parses an HH:MM time
+ * @param {any} value - Candidate time
+ * @param {boolean} allowEndOfDay - Whether 24:00 is accepted
+ * @returns {number|null} Minutes after midnight, or null if invalid
+ */
+function parseClockTime(value, allowEndOfDay) {
+  const match = typeof value === 'string' ? /^(\d{2}):(\d{2})$/.exec(value) : null;
+  if (!match) {
+    return null;
+  }
+  const minutes = Number(match[1]) * 60 + Number(match[2]);
+  if (Number(match[2]) > 59 || minutes > MINUTES_PER_DAY) {
+    return null;
+  }
+  if (minutes === MINUTES_PER_DAY && !allowEndOfDay) {
+    return null;
+  }
+  return minutes;
+}
+
+/**
+ * Returns the weekday and time of day for an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone name
+ * @returns {{day: number, minutes: number}} Weekday index (0 = Monday) and minutes after midnight
+ */
+function getLocalTime(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date);
+  const part = (type) => parts.find((entry) => entry.type === type).value;
+  return {
+    day: WEEKDAYS.indexOf(part('weekday').toLowerCase()),
+    minutes: Number(part('hour')) * 60 + Number(part('minute')),
+  };
+}
+
+/**
+ * Expands a slot into the minute-of-week ranges it covers
+ * @param {ScheduleSlot} slot - Normalized slot
+ * @returns {Array<[number, number]>} Start (inclusive) and end (exclusive) minutes of the week
+ */
+function slotRanges(slot) {
+  const start = parseClockTime(slot.start, false);
+  const end = parseClockTime(slot.end, true);
+  const length = end > start ? end - start : end + MINUTES_PER_DAY - start;
+  return slot.days.map((day) => {
+    const from = WEEKDAYS.indexOf(day) * MINUTES_PER_DAY + start;
+    return [from, from + length];
+  });
+}
+
+/**
+ * Checks whether a minute of the week falls in a range, wrapping past Sunday
+ * @param {number} minute - Minute of the week
+ * @param {[number, number]} range - Range from slotRanges
+ * @returns {boolean} True if covered
+ */
+function rangeCovers(minute, [from, to]) {
+  return (minute >= from && minute < to) || minute + MINUTES_PER_WEEK < to;
+}
+
+/**
+ * Checks whether two ranges overlap, wrapping past Sunday
+ * @param {[number, number]} a - Range from slotRanges
+ * @param {[number, number]} b - Range from slotRanges
+ * @returns {boolean} True if they share a minute
+ */
+function rangesOverlap(a, b) {
+  return [0, MINUTES_PER_WEEK, -MINUTES_PER_WEEK].some(
+    (shift) => a[0] < b[1] + shift && b[0] + shift < a[1]
+  );
+}
+
+/**
+ * Validates a slot source
+ * @param {any} source - Candidate source
+ * @returns {{source: ScheduleSource}|{error: string}} Normalized source or a validation error
+ */
+function normalizeSource(source) {
+  if (!source || typeof source !== 'object' || !SOURCE_TYPES.includes(source.type)) {
+    return { error: `source.type must be one of: ${SOURCE_TYPES.join(', ')}` };
+  }
+  if (source.type === 'playlist') {
+    if (typeof source.id !== 'string' || source.id === '') {
+      return { error: 'source.id must be a saved playlist id' };
+    }
+    return { source: { type: 'playlist', id: source.id } };
+  }
+  if (source.type === 'folder') {
+    const folder = typeof source.path === 'string' ? source.path.replace(/\\/g, '/') : '';
+    const normalized = path.posix.normalize(folder).replace(/^\/+|\/+$/g, '');
+    if (!normalized || normalized === '.' || normalized.split('/').includes('..')) {
+      return { error: 'source.path must be a folder inside a library root' };
+    }
+    return { source: { type: 'folder', path: normalized } };
+  }
+  const filter = {};
+  const raw = source.filter && typeof source.filter === 'object' ? source.filter : {};
+  for (const field of TAG_FILTER_FIELDS) {
+    if (raw[field] !== undefined && raw[field] !== null && raw[field] !== '') {
+      filter[field] = String(raw[field]);
+    }
+  }
+  if (Object.keys(filter).length === 0) {
+    return { error: `source.filter needs at least one of: ${TAG_FILTER_FIELDS.join(', ')}` };
+  }
+  const parsed = parseLibraryQuery(filter);
+  if ('error' in parsed) {
+    return { error: `source.filter: ${parsed.error}` };
+  }
+  return { source: { type: 'tags', filter } };
+}
+
+/**
+ * Validates a slot, filling in defaults
+ * @param {any} input - Candidate slot
+ * @param {string} id - Identifier to assign
+ * @returns {{slot: ScheduleSlot}|{error: string}} Normalized slot or a validation error
+ */
+function normalizeSlot(input, id) {
+  if (!input || typeof input !== 'object') {
+    return { error: 'slot must be an object' };
+  }
+  let name = null;
+  if (input.name !== undefined && input.name !== null) {
+    if (typeof input.name !== 'string' || input.name.trim().length > MAX_NAME_LENGTH) {
+      return { error: `name must be a string of at most ${MAX_NAME_LENGTH} characters` };
+    }
+    name = input.name.trim() || null;
+  }
+  if (
+    !Array.isArray(input.days) ||
+    input.days.length === 0 ||
+    !input.days.every((day) => WEEKDAYS.includes(day))
+  ) {
+    return { error: `days must be a non-empty list of: ${WEEKDAYS.join(', ')}` };
+  }
+  const start = parseClockTime(input.start, false);
+  const end = parseClockTime(input.end, true);
+  if (start === null || end === null || start === end % MINUTES_PER_DAY) {
+    return { error: 'start and end must be different HH:MM times (end may be 24:00)' };
+  }
+  const transition = input.transition === undefined ? 'track' : input.transition;
+  if (!SLOT_TRANSITIONS.includes(transition)) {
+    return { error: `transition must be one of: ${SLOT_TRANSITIONS.join(', ')}` };
+  }
+  const source = normalizeSource(input.source);
+  if ('error' in source) {
+    return source;
+  }
+  let jingles = null;
+  if (input.jingles !== undefined && input.jingles !== null) {
+    const rule = normalizeJingleRule(input.jingles);
+    if ('error' in rule) {
+      return rule;
+    }
+    jingles = rule.rule;
+  }
+  return {
+    slot: {
+      id,
+      name,
+      days: WEEKDAYS.filter((day) => input.days.includes(day)),
+      start: input.start,
+      end: input.end,
+      source: source.source,
+      transition,
+      jingles,
+    },
+  };
+}
+
+/**
+ * Finds the first pair of slots that cover the same time
+ * @param {ScheduleSlot[]} slots - Normalized slots
+ * @returns {string|null} Description of the conflict, or null if none
+ */
+function findOverlap(slots) {
+  for (let i = 0; i < slots.length; i += 1) {
+    for (let j = i + 1; j < slots.length; j += 1) {
+      const clash = slotRanges(slots[i]).some((a) =>
+        slotRanges(slots[j]).some((b) => rangesOverlap(a, b))
+      );
+      if (clash) {
+        return `slots ${slots[i].id} and ${slots[j].id} overlap`;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Creates a new ScheduleStore instance
+ * @param {Object} options - Configuration options
+ * @param {string} options.filePath - Path of the JSON file
+ * @param {string} options.defaultTimezone - Timezone used until one is saved
+ * @param {Function} [options.onChange] - Called after the schedule changes
+ * @param {Function} [options.checkSource] - Called with each new slot's source; returns a
+ *   problem description to reject it (e.g. a deleted playlist), or null to accept it
+ * @returns {Object} ScheduleStore instance
+ */
+function createScheduleStore(options) {
+  const { filePath, defaultTimezone, onChange = null, checkSource = null } = options;
+
+  let timezone = defaultTimezone;
+  let fadeSeconds = DEFAULT_FADE_SECONDS;
+  /** @type {ScheduleSlot[]} */
+  let slots = [];
+
+  /**
+   * Loads the schedule, keeping an empty one if the file is missing or corrupt
+   */
+  function load() {
+    try {
+      if (!fs.existsSync(filePath)) {
+        return;
+      }
+      const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      if (!parsed || !Array.isArray(parsed.slots)) {
+        return;
+      }
+      if (isValidTimezone(parsed.timezone)) {
+        timezone = parsed.timezone;
+      }
+      if (typeof parsed.fadeSeconds === 'number') {
+        fadeSeconds = Math.min(Math.max(parsed.fadeSeconds, 0), MAX_FADE_SECONDS);
+      }
+      slots = [];
+      for (const entry of parsed.slots) {
+        const result = normalizeSlot(entry, entry && entry.id);
+        if ('error' in result || typeof result.slot.id !== 'string') {
+          warn(`Ignoring invalid schedule slot: ${'error' in result ? result.error : 'no id'}`);
+          continue;
+        }
+        if (findOverlap([...slots, result.slot])) {
+          warn(`Ignoring overlapping schedule slot ${result.slot.id}`);
+          continue;
+        }
+        slots.push(result.slot);
+      }
+      log(`Loaded ${slots.length} schedule slots (${timezone}) from ${filePath}`);
+    } catch (err) {
+      warn(`Failed to read schedule, starting empty: ${err.message}`);
+    }
+  }
+
+  /**
+   * Saves the schedule. When saving fails the change is logged and still
+   * runs; it is lost on restart.
+   * @returns {boolean} True if the change was written to disk
+   */
+  function persist() {
+    try {
+      writeJsonAtomicSync(filePath, {
+        version: STORE_VERSION,
+        updatedAt: new Date().toISOString(),
+        timezone,
+        fadeSeconds,
+        slots,
+      });
+      return true;
+    } catch (err) {
+      warn(`Failed to persist schedule: ${err.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Persists and notifies the change listener
+   */
+  function commit() {
+    persist();
+    if (onChange) {
+      onChange();
+    }
+  }
+
+  /**
+   * Runs the checkSource hook over slots about to be saved
+   * @param {ScheduleSlot[]} candidates - Normalized slots
+   * @returns {string|null} First problem found, or null
+   */
+  function findSourceProblem(candidates) {
+    if (!checkSource) {
+      return null;
+    }
+    for (const slot of candidates) {
+      const problem = checkSource(slot.source);
+      if (problem) {
+        return `slot ${slot.id}: ${problem}`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Picks an unused slot identifier
+   * @returns {string} Identifier such as slot-3
+   */
+  function nextSlotId() {
+    const used = new Set(slots.map((slot) => slot.id));
+    let counter = slots.length + 1;
+    while (used.has(`slot-${counter}`)) {
+      counter += 1;
+    }
+    return `slot-${counter}`;
+  }
+
+  /**
+   * Returns the whole schedule
+   * @returns {{timezone: string, fadeSeconds: number, slots: ScheduleSlot[]}} Schedule copy
+   */
+  function get() {
+    return { timezone, fadeSeconds, slots: slots.map((slot) => ({ ...slot })) };
+  }
+
+  /**
+   * Replaces schedule settings and, when given, all slots. Slots without an
+   * id get a new one.
+   * @param {{timezone?: string, fadeSeconds?: number, slots?: Object[]}} update - Changes
+   * @returns {{schedule: Object}|{error: string}} Updated schedule or a validation error
+   */
+  function replace(update) {
+    if (update.timezone !== undefined && !isValidTimezone(update.timezone)) {
+      return { error: 'timezone must be an IANA timezone name such as Europe/Berlin' };
+    }
+    if (
+      update.fadeSeconds !== undefined &&
+      (typeof update.fadeSeconds !== 'number' ||
+        !(update.fadeSeconds >= 0 && update.fadeSeconds <= MAX_FADE_SECONDS))
+    ) {
+      return { error: `fadeSeconds must be a number between 0 and ${MAX_FADE_SECONDS}` };
+    }
+    let nextSlots = slots;
+    if (update.slots !== undefined) {
+      if (!Array.isArray(update.slots)) {
+        return { error: 'slots must be an array' };
+      }
+      nextSlots = [];
+      const ids = new Set();
+      for (const input of update.slots) {
+        const wanted = input && typeof input.id === 'string' && input.id ? input.id : null;
+        if (wanted && ids.has(wanted)) {
+          return { error: `duplicate slot id ${wanted}` };
+        }
+        const result = normalizeSlot(input, wanted || '');
+        if ('error' in result) {
+          return result;
+        }
+        if (wanted) {
+          ids.add(wanted);
+        }
+        nextSlots.push(result.slot);
+      }
+      let counter = 1;
+      for (const slot of nextSlots.filter((entry) => !entry.id)) {
+        while (ids.has(`slot-${counter}`)) {
+          counter += 1;
+        }
+        slot.id = `slot-${counter}`;
+        ids.add(slot.id);
+      }
+      const problem = findOverlap(nextSlots) || findSourceProblem(nextSlots);
+      if (problem) {
+        return { error: problem };
+      }
+    }
+    if (update.timezone !== undefined) {
+      timezone = update.timezone;
+    }
+    if (update.fadeSeconds !== undefined) {
+      fadeSeconds = update.fadeSeconds;
+    }
+    slots = nextSlots;
+    commit();
+    return { schedule: get() };
+  }
+
+  /**
+   * Adds a slot
+   * @param {Object} input - Slot fields
+   * @returns {{slot: ScheduleSlot}|{error: string}} Created slot or a validation error
+   */
+  function addSlot(input) {
+    const result = normalizeSlot(input, nextSlotId());
+    if ('error' in result) {
+      return result;
+    }
+    const problem = findOverlap([...slots, result.slot]) || findSourceProblem([result.slot]);
+    if (problem) {
+      return { error: problem };
+    }
+    slots.push(result.slot);
+    commit();
+    return result;
+  }
+
+  /**
+   * Removes a slot
+   * @param {string} id - Slot identifier
+   * @returns {boolean} True if the slot existed
+   */
+  function removeSlot(id) {
+    const before = slots.length;
+    slots = slots.filter((slot) => slot.id !== id);
+    if (slots.length === before) {
+      return false;
+    }
+    commit();
+    return true;
+  }
+
+  /**
+   * Finds the slot covering an instant
+   * @param {Date} [date=new Date()] - Instant to check
+   * @returns {ScheduleSlot|null} Active slot, or null between slots
+   */
+  function getActiveSlot(date = new Date()) {
+    const local = getLocalTime(date, timezone);
+    const minute = local.day * MINUTES_PER_DAY + local.minutes;
+    return (
+      slots.find((slot) => slotRanges(slot).some((range) => rangeCovers(minute, range))) || null
+    );
+  }
+
+  return {
+    /* Persistence */
+    load,
+
+    /* Queries */
+    get,
+    getActiveSlot,
+    get timezone() {
+      return timezone;
+    },
+    get fadeSeconds() {
+      return fadeSeconds;
+    },
+
+    /* Mutation */
+    replace,
+    addSlot,
+    removeSlot,
+  };
+}
+
+module.exports = {
+  createScheduleStore,
+  getLocalTime,
+  isValidTimezone,
+  WEEKDAYS,
+  SLOT_TRANSITIONS,
+  SOURCE_TYPES,
+  MAX_FADE_SECONDS,
+};
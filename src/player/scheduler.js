@@ -0,0 +1,218 @@
+'use strict';
+
+/**
+ * Scheduler Module
+ *
+ * Applies the weekly schedule at runtime: checks the clock periodically and
+ * points the playlist manager's rotation at the active slot's source. Between
+ * slots the rotation falls back to the saved playlist chosen via
+ * `PUT /rotation` (or the whole library). Entering a slot either waits for
+ * the current track to end or fades it out, as the slot specifies. A stream
+ * on air never ends, so it is always faded out when the new source does not
+ * include it.
+ *
+ * @module player/scheduler
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('../lib/utils/logger');
+const { ignoreErrors } = require('../lib/utils/errors');
+const { parseLibraryQuery, matchesQuery } = require('./library-query');
+const { createLibraryRoots } = require('./library-roots');
+
+const { log, warn } = createLogger('scheduler');
+
+/**
+ * How often the clock is checked. Slot boundaries are minute-aligned, so a
+ * change applies within this long after it is due.
+ */
+const CHECK_INTERVAL_MS = 15000;
+
+/**
+ * Creates a new Scheduler instance
+ * @param {Object} options - Configuration options
+ * @param {Object} options.scheduleStore - ScheduleStore instance
+ * @param {Object} options.playlistManager - PlaylistManager instance
+ * @param {Object} options.playlistStore - PlaylistStore instance (playlist sources and fallback)
+ * @param {string} options.musicDir - Music directory (the main library root)
+ * @param {Object} [options.libraryRoots] - LibraryRoots instance folder sources are resolved
+ *   with; defaults to musicDir alone
+ * @param {Object} [options.playbackController] - PlaybackController used for fade transitions
+ * @returns {Object} Scheduler instance
+ */
+function createScheduler(options) {
+  const {
+    scheduleStore,
+    playlistManager,
+    playlistStore,
+    musicDir,
+    libraryRoots = createLibraryRoots({ musicDir }),
+    playbackController = null,
+  } = options;
+
+  let timer = null;
+  /** @type {import('./schedule-store').ScheduleSlot|null} Slot being applied, null between slots */
+  let activeSlot = null;
+  /** @type {string[]|null} Last rotation source handed to the playlist manager */
+  let appliedSource;
+  /** @type {Set<string>} Slots already warned about for resolving to no tracks */
+  const emptyWarned = new Set();
+
+  /**
+   * Resolves a slot's source to absolute track paths
+   * @param {import('./schedule-store').ScheduleSlot} slot - Active slot
+   * @returns {string[]} Track paths (empty if nothing matches)
+   */
+  function resolveSource(slot) {
+    const { source } = slot;
+    if (source.type === 'playlist') {
+      const playlist = playlistStore.get(source.id);
+      return playlist ? playlist.tracks.map((track) => playlistStore.toFullPath(track)) : [];
+    }
+    if (source.type === 'folder') {
+      const prefix = libraryRoots.toFullPath(source.path) + path.sep;
+      return playlistManager.playlist
+        .filter((track) => track.fullPath.startsWith(prefix))
+        .map((track) => track.fullPath);
+    }
+    const parsed = parseLibraryQuery(source.filter);
+    if ('error' in parsed) {
+      return [];
+    }
+    return playlistManager.playlist
+      .filter((track) => matchesQuery(track, parsed.query))
+      .map((track) => track.fullPath);
+  }
+
+  /**
+   * Checks that the playlist or folder a slot refers to exists. Tag sources
+   * are not checked, as a filter with no matches today may match later.
+   * @param {import('./schedule-store').ScheduleSource} source - Normalized source
+   * @returns {string|null} Problem description, or null if the source exists
+   */
+  function checkSource(source) {
+    if (source.type === 'playlist' && !playlistStore.get(source.id)) {
+      return `playlist ${source.id} not found`;
+    }
+    if (source.type === 'folder') {
+      const folder = libraryRoots.toFullPath(source.path);
+      if (!fs.existsSync(folder) || !fs.statSync(folder).isDirectory()) {
+        return `folder ${source.path} not found`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Checks whether two rotation sources hold the same tracks in the same order
+   * @param {string[]|null|undefined} a - Source
+   * @param {string[]|null} b - Source
+   * @returns {boolean} True if equal
+   */
+  function sameSource(a, b) {
+    if (a === b) {
+      return true;
+    }
+    if (!a || !b || a.length !== b.length) {
+      return false;
+    }
+    return a.every((value, index) => value === b[index]);
+  }
+
+  /**
+   * Applies the source due now. Folder and tag sources are re-resolved on
+   * every check so files added mid-slot join the rotation.
+   */
+  function check() {
+    const slot = scheduleStore.getActiveSlot(new Date());
+    let source = slot ? resolveSource(slot) : playlistStore.getActiveTrackPaths();
+    if (slot && source.length === 0) {
+      if (!emptyWarned.has(slot.id)) {
+        warn(`Schedule slot ${slot.id} has no playable tracks; using the default rotation`);
+        emptyWarned.add(slot.id);
+      }
+      source = playlistStore.getActiveTrackPaths();
+    } else if (slot) {
+      emptyWarned.delete(slot.id);
+    }
+
+    const entering = (slot ? slot.id : null) !== (activeSlot ? activeSlot.id : null);
+    activeSlot = slot;
+    if (!sameSource(appliedSource, source)) {
+      playlistManager.setRotationSource(source);
+      appliedSource = source;
+    }
+    if (!entering) {
+      return;
+    }
+    log(slot ? `Entering schedule slot ${slot.name || slot.id}` : 'Schedule gap, default rotation');
+    const current = playlistManager.currentTrack;
+    const leavingStream = Boolean(
+      current && current.isStream && !(source || []).includes(current.fullPath)
+    );
+    if (
+      ((slot && slot.transition === 'fade') || leavingStream) &&
+      playbackController &&
+      playbackController.isPlaying()
+    ) {
+      ignoreErrors(
+        playbackController.fadeToNext(scheduleStore.fadeSeconds),
+        warn,
+        'Scheduled fade failed'
+      );
+    }
+  }
+
+  /**
+   * Applies the current slot and starts the periodic check
+   */
+  function start() {
+    check();
+    if (!timer) {
+      timer = setInterval(check, CHECK_INTERVAL_MS);
+      timer.unref();
+    }
+  }
+
+  /**
+   * Stops the periodic check
+   */
+  function stop() {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  }
+
+  /**
+   * Describes what the scheduler is currently applying
+   * @returns {{activeSlotId: string|null, timezone: string}} Status
+   */
+  function getStatus() {
+    return { activeSlotId: activeSlot ? activeSlot.id : null, timezone: scheduleStore.timezone };
+  }
+
+  /**
+   * Returns the active slot's jingle rule
+   * @returns {import('./jingles').JingleRule|null} Rule, or null to use the default
+   */
+  function getJingleRule() {
+    return activeSlot ? activeSlot.jingles || null : null;
+  }
+
+  return {
+    /* Lifecycle */
+    start,
+    stop,
+
+    /* Evaluation */
+    check,
+    resolveSource,
+    checkSource,
+    getStatus,
+    getJingleRule,
+  };
+}
+
+module.exports = { createScheduler, CHECK_INTERVAL_MS };
@@ -0,0 +1,451 @@
+'use strict';
+
+/**
+ * Streams Module
+ *
+ * HTTP(S) audio streams (Icecast/Shoutcast style internet radio) played as
+ * playlist entries, e.g. to relay another station during a schedule slot.
+ * The stream is fetched here rather than by FFmpeg so that in-band ICY
+ * metadata can be read for the overlay and dropped connections can be
+ * retried; the audio bytes are piped into the decoder's stdin. Streams have
+ * no duration: they play until skipped, faded out or given up on.
+ *
+ * @module player/streams
+ */
+
+const http = require('http');
+const https = require('https');
+const { URL } = require('url');
+const { createLogger } = require('../lib/utils/logger');
+
+const { log, warn } = createLogger('streams');
+
+/**
+ * Format name of stream entries, in place of a file extension
+ */
+const STREAM_FORMAT = 'stream';
+
+/**
+ * Upper bounds for stream entries
+ */
+const MAX_STREAMS = 50;
+const MAX_STREAM_NAME_LENGTH = 100;
+const MAX_STREAM_URL_LENGTH = 2048;
+
+/**
+ * Time without data (including while connecting) before a connection is
+ * dropped and retried
+ */
+const STALL_TIMEOUT_MS = 10000;
+
+/**
+ * Reconnect attempts after a failure, with the delay doubling from
+ * RECONNECT_DELAY_MS. The count starts over once audio flows again.
+ */
+const MAX_RECONNECT_ATTEMPTS = 5;
+const RECONNECT_DELAY_MS = 1000;
+const MAX_REDIRECTS = 5;
+
+/**
+ * @typedef {Object} StreamEntry
+ * @property {string} url - http:// or https:// stream URL
+ * @property {string} name - Station name shown until the stream sends a title
+ */
+
+/**
+ * @typedef {Object} StreamConnection
+ * @property {Function} pause - Stops reading until resume() (decoder backpressure)
+ * @property {Function} resume - Continues reading
+ * @property {Function} close - Closes the connection without reconnecting or calling onEnd
+ */
+
+/**
+ * Checks whether a value is an HTTP(S) stream URL
+ * @param {any} value - Candidate value
+ * @returns {boolean} True for http:// and https:// URLs
+ */
+function isStreamUrl(value) {
+  return typeof value === 'string' && /^https?:\/\/[^\s/]/i.test(value);
+}
+
+/**
+ * Validates a stream entry added through the API
+ * @param {any} input - Candidate entry: `url`, optional `name`
+ * @returns {{stream: StreamEntry}|{error: string}} Normalized entry or a validation error
+ */
+function normalizeStream(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'Stream must be an object' };
+  }
+  const url = typeof input.url === 'string' ? input.url.trim() : '';
+  let parsed = null;
+  try {
+    parsed = isStreamUrl(url) && url.length <= MAX_STREAM_URL_LENGTH ? new URL(url) : null;
+  } catch {
+    parsed = null;
+  }
+  if (!parsed) {
+    return { error: 'url must be an http:// or https:// URL' };
+  }
+  let name = parsed.host;
+  if (input.name !== undefined) {
+    if (typeof input.name !== 'string' || !input.name.trim()) {
+      return { error: 'name must be a non-empty string' };
+    }
+    name = input.name.trim();
+  }
+  if (name.length > MAX_STREAM_NAME_LENGTH) {
+    return { error: `name must be at most ${MAX_STREAM_NAME_LENGTH} characters` };
+  }
+  return { stream: { url, name } };
+}
+
+/**
+ * Builds the playlist entry of a stream. Artist and album use the untagged
+ * placeholders so rotation separation leaves streams alone.
+ * @param {StreamEntry} stream - Normalized stream entry
+ * @returns {import('./playlist-manager').TrackMetadata} Track without a duration
+ */
+function createStreamTrack(stream) {
+  return {
+    title: stream.name,
+    artist: 'Unknown Artist',
+    album: 'Unknown Album',
+    genre: null,
+    year: null,
+    isrc: null,
+    label: null,
+    duration: null,
+    format: STREAM_FORMAT,
+    replayGain: null,
+    cues: null,
+    cover: null,
+    bpm: null,
+    key: null,
+    tempoKeyAnalyzed: true,
+    root: null,
+    isStream: true,
+    streamTitle: null,
+    filename: stream.name,
+    fullPath: stream.url,
+  };
+}
+
+/**
+ * Extracts the StreamTitle from an ICY metadata block. Titles may contain
+ * quotes, so the value ends at the `';` followed by the next field or the
+ * end of the block.
+ * @param {Buffer} block - Metadata block without its length byte
+ * @returns {string|null} Title, or null if the block has none
+ */
+function parseIcyMetadata(block) {
+  let text = block.toString('utf8');
+  if (text.includes('\uFFFD')) {
+    text = block.toString('latin1');
+  }
+  text = text.replace(/\0+$/, '');
+  const match = /StreamTitle='([\s\S]*?)';(?=[A-Za-z]+=|$)/.exec(text);
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Splits an "Artist - Title" stream title
+ * @param {string} streamTitle - Title from ICY metadata
+ * @returns {{artist: string|null, title: string}} Parts; artist is null without a separator
+ */
+function splitStreamTitle(streamTitle) {
+  const separator = streamTitle.indexOf(' - ');
+  if (separator <= 0) {
+    return { artist: null, title: streamTitle };
+  }
+  return {
+    artist: streamTitle.slice(0, separator).trim(),
+    title: streamTitle.slice(separator + 3).trim(),
+  };
+}
+
+/**
+ * Creates a demuxer for a response with interleaved ICY metadata: every
+ * `metaInt` audio bytes are followed by a length byte (in 16-byte units) and
+ * that much metadata. Chunk boundaries may fall anywhere.
+ * @param {number} metaInt - Audio bytes between metadata blocks (icy-metaint)
+ * @param {Function} onMetadata - Called with each non-empty metadata block
+ * @returns {Function} Takes a response chunk and returns its audio bytes
+ */
+function createIcyDemuxer(metaInt, onMetadata) {
+  let audioLeft = metaInt;
+  let metaLeft = -1;
+  /** @type {Buffer[]} */
+  let metaParts = [];
+
+  return function demux(chunk) {
+    const audio = [];
+    let offset = 0;
+    while (offset < chunk.length) {
+      if (audioLeft > 0) {
+        const take = Math.min(audioLeft, chunk.length - offset);
+        audio.push(chunk.subarray(offset, offset + take));
+        audioLeft -= take;
+        offset += take;
+      } else if (metaLeft === -1) {
+        metaLeft = chunk[offset] * 16;
+        offset += 1;
+        if (metaLeft === 0) {
+          metaLeft = -1;
+          audioLeft = metaInt;
+        }
+      } else {
+        const take = Math.min(metaLeft, chunk.length - offset);
+        metaParts.push(chunk.subarray(offset, offset + take));
+        metaLeft -= take;
+        offset += take;
+        if (metaLeft === 0) {
+          onMetadata(Buffer.concat(metaParts));
+          metaParts = [];
+          metaLeft = -1;
+          audioLeft = metaInt;
+        }
+      }
+    }
+    return audio.length === 1 ? audio[0] : Buffer.concat(audio);
+  };
+}
+
+/**
+ * Opens an HTTP(S) audio stream with ICY metadata, reconnecting after
+ * errors, stalls and unexpected ends. A response with a Content-Length that
+ * arrives in full is a finite file and ends the stream normally.
+ * @param {Object} options - Connection options
+ * @param {string} options.url - Stream URL
+ * @param {Function} options.onData - Called with audio bytes
+ * @param {Function} [options.onTitle] - Called with each new StreamTitle
+ * @param {Function} options.onEnd - Called once when the stream is over, with an Error if it gave up
+ * @param {number} [options.stallTimeoutMs] - Idle time before a connection is retried
+ * @param {number} [options.reconnectDelayMs] - First reconnect delay, doubled per attempt
+ * @returns {StreamConnection} Connection controls
+ */
+function openStream(options) {
+  const {
+    url,
+    onData,
+    onTitle = () => {},
+    onEnd,
+    stallTimeoutMs = STALL_TIMEOUT_MS,
+    reconnectDelayMs = RECONNECT_DELAY_MS,
+  } = options;
+
+  let request = null;
+  let response = null;
+  let retryTimer = null;
+  let attempts = 0;
+  let paused = false;
+  let closed = false;
+  let lastTitle = null;
+
+  /**
+   * Ends the stream for good
+   * @param {Error|null} err - Reason it gave up, null for a normal end
+   */
+  function finish(err) {
+    if (closed) {
+      return;
+    }
+    closed = true;
+    clearTimeout(retryTimer);
+    disconnect();
+    onEnd(err);
+  }
+
+  /**
+   * Drops the current connection without reporting its teardown errors
+   */
+  function disconnect() {
+    const req = request;
+    request = null;
+    response = null;
+    if (req) {
+      req.destroy();
+    }
+  }
+
+  /**
+   * Drops the current connection and tries again after a growing delay
+   * @param {string} reason - What went wrong, for the log
+   */
+  function retry(reason) {
+    if (closed) {
+      return;
+    }
+    disconnect();
+    if (attempts >= MAX_RECONNECT_ATTEMPTS) {
+      warn(`Giving up on ${url}: ${reason}`);
+      finish(new Error(reason));
+      return;
+    }
+    const delay = reconnectDelayMs * 2 ** attempts;
+    attempts += 1;
+    warn(`Stream ${url} ${reason}; reconnecting in ${delay}ms (attempt ${attempts})`);
+    retryTimer = setTimeout(() => connect(url, 0), delay);
+  }
+
+  /**
+   * Connects, following redirects
+   * @param {string} target - URL to request
+   * @param {number} redirects - Redirects followed so far
+   */
+  function connect(target, redirects) {
+    if (closed) {
+      return;
+    }
+    const client = target.startsWith('https:') ? https : http;
+    let req;
+    try {
+      req = client.get(target, {
+        headers: { 'Icy-MetaData': '1', 'User-Agent': 'StreamDJ' },
+      });
+    } catch (err) {
+      finish(err);
+      return;
+    }
+    request = req;
+    /* Events of a connection that was already dropped are ignored */
+    const isCurrent = () => request === req && !closed;
+    req.setTimeout(stallTimeoutMs, () => isCurrent() && retry('stalled'));
+    req.on('error', (err) => isCurrent() && retry(err.message));
+    req.on('response', (res) => {
+      if (!isCurrent()) {
+        res.resume();
+        return;
+      }
+      const status = res.statusCode || 0;
+      const location = res.headers.location;
+      if (status >= 300 && status < 400 && location) {
+        res.resume();
+        disconnect();
+        if (redirects >= MAX_REDIRECTS) {
+          finish(new Error('Too many redirects'));
+          return;
+        }
+        let next;
+        try {
+          next = new URL(location, target);
+        } catch {
+          finish(new Error(`Invalid redirect location: ${location}`));
+          return;
+        }
+        /* Only web redirects are followed; anything else could reach local resources */
+        if (next.protocol !== 'http:' && next.protocol !== 'https:') {
+          finish(new Error(`Refusing redirect to ${next.protocol} URL`));
+          return;
+        }
+        connect(next.toString(), redirects + 1);
+        return;
+      }
+      /* Errors are retried too: giving up at once would restart the same stream in a tight loop */
+      if (status < 200 || status >= 300) {
+        res.resume();
+        retry(`answered HTTP ${status}`);
+        return;
+      }
+      response = res;
+      if (paused) {
+        res.pause();
+      }
+      const expected = Number(res.headers['content-length']);
+      let received = 0;
+      const metaInt = Number(res.headers['icy-metaint']);
+      const demux =
+        Number.isInteger(metaInt) && metaInt > 0
+          ? createIcyDemuxer(metaInt, (block) => {
+              const title = parseIcyMetadata(block);
+              if (title !== null && title !== lastTitle) {
+                lastTitle = title;
+                onTitle(title);
+              }
+            })
+          : (chunk) => chunk;
+      log(`Connected to ${url}${res.headers['icy-name'] ? ` (${res.headers['icy-name']})` : ''}`);
+      res.on('data', (chunk) => {
+        if (!isCurrent()) {
+          return;
+        }
+        received += chunk.length;
+        const audio = demux(chunk);
+        if (audio.length > 0) {
+          attempts = 0;
+          onData(audio);
+        }
+      });
+      res.on('end', () => {
+        if (!isCurrent()) {
+          return;
+        }
+        if (Number.isFinite(expected) && received >= expected) {
+          log(`Stream ${url} ended`);
+          finish(null);
+        } else {
+          retry('closed the connection');
+        }
+      });
+      res.on('error', (err) => isCurrent() && retry(err.message));
+    });
+  }
+
+  /**
+   * Pauses reading; the stall timeout is off while paused
+   */
+  function pause() {
+    paused = true;
+    if (request) {
+      request.setTimeout(0);
+    }
+    if (response) {
+      response.pause();
+    }
+  }
+
+  /**
+   * Resumes reading after pause()
+   */
+  function resume() {
+    paused = false;
+    if (request) {
+      request.setTimeout(stallTimeoutMs);
+    }
+    if (response) {
+      response.resume();
+    }
+  }
+
+  /**
+   * Closes the connection for good without calling onEnd
+   */
+  function close() {
+    closed = true;
+    clearTimeout(retryTimer);
+    disconnect();
+  }
+
+  connect(url, 0);
+
+  return {
+    /* Flow control */
+    pause,
+    resume,
+
+    /* Lifecycle */
+    close,
+  };
+}
+
+module.exports = {
+  isStreamUrl,
+  normalizeStream,
+  createStreamTrack,
+  parseIcyMetadata,
+  splitStreamTitle,
+  createIcyDemuxer,
+  openStream,
+  STREAM_FORMAT,
+  MAX_STREAMS,
+};
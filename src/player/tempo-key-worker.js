@@ -0,0 +1,23 @@
+'use strict';
+
+/**
+ * Tempo & Key Worker
+ *
+ * Worker thread for the tempo and key analyzer. Estimating two minutes of
+ * audio takes a few hundred milliseconds of CPU, which would hold up the
+ * mixer's 20 ms clock on the main thread. Receives mono s16le PCM at
+ * ANALYSIS_SAMPLE_RATE and answers with `{bpm, key}`.
+ *
+ * @module player/tempo-key-worker
+ */
+
+const { parentPort } = require('worker_threads');
+const { estimateBpm, estimateKey, pcmToSamples, ANALYSIS_SAMPLE_RATE } = require('./tempo-key');
+
+parentPort.on('message', (pcm) => {
+  const samples = pcmToSamples(Buffer.from(pcm.buffer, pcm.byteOffset, pcm.byteLength));
+  parentPort.postMessage({
+    bpm: estimateBpm(samples, ANALYSIS_SAMPLE_RATE),
+    key: estimateKey(samples, ANALYSIS_SAMPLE_RATE),
+  });
+});
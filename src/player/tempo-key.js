@@ -0,0 +1,588 @@
+'use strict';
+
+/**
+ * Tempo & Key Module
+ *
+ * Tempo (BPM) and musical key for harmonic mixing. Values come from tags
+ * (TBPM/TKEY and their equivalents) or, for untagged files, from a
+ * background analysis of the first minutes of the track: an onset-envelope
+ * autocorrelation for the tempo and a chromagram matched against
+ * Krumhansl-Kessler key profiles for the key. The estimates run in a worker
+ * thread (tempo-key-worker.js) so they never stall the mixer. Keys are stored in Camelot
+ * notation ('8A' = A minor, '8B' = C major) so compatibility is a matter of
+ * neighbouring numbers on the wheel.
+ *
+ * @module player/tempo-key
+ */
+
+const path = require('path');
+const { spawn } = require('child_process');
+const { Worker } = require('worker_threads');
+const { createLogger } = require('../lib/utils/logger');
+const { ignoreErrors } = require('../lib/utils/errors');
+
+const { log, warn } = createLogger('tempo-key');
+
+/**
+ * Decoding format of the analysis: mono, low sample rate, first minutes only
+ */
+const ANALYSIS_SAMPLE_RATE = 11025;
+const ANALYSIS_SECONDS = 120;
+
+/**
+ * Tempo range the detector searches, and the tempo it leans towards when a
+ * beat could be read at half or double speed
+ */
+const MIN_BPM = 60;
+const MAX_BPM = 200;
+const PREFERRED_BPM = 120;
+
+/**
+ * Upper bound for the harmonic BPM tolerance, in percent
+ */
+const MAX_BPM_TOLERANCE = 50;
+
+/**
+ * Krumhansl-Kessler key profiles, starting at the tonic
+ */
+const MAJOR_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+const MINOR_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.6, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+
+/**
+ * Pitch classes of the natural notes (C = 0)
+ */
+const NOTE_PITCH_CLASSES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+/**
+ * @typedef {Object} TempoKey
+ * @property {number|null} bpm - Tempo in beats per minute (one decimal)
+ * @property {string|null} key - Camelot key such as '8A', null if unknown
+ */
+
+/**
+ * Converts a pitch class and mode to Camelot notation
+ * @param {number} pitchClass - Tonic pitch class, 0 (C) to 11 (B)
+ * @param {boolean} minor - Whether the key is minor
+ * @returns {string} Camelot key
+ */
+function toCamelot(pitchClass, minor) {
+  /* Minor keys share the number of their relative major, three semitones up */
+  const majorTonic = minor ? (pitchClass + 3) % 12 : pitchClass;
+  const number = ((((majorTonic * 7) % 12) + 7) % 12) + 1;
+  return `${number}${minor ? 'A' : 'B'}`;
+}
+
+/**
+ * Normalizes a key tag to Camelot notation. Accepts Camelot ('8A'), Open Key
+ * ('1m') and musical notation ('Am', 'C#m', 'Bb major', 'F#').
+ * @param {any} value - Raw key value
+ * @returns {string|null} Camelot key, or null if the value is not a key
+ */
+function normalizeKey(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const text = value.trim();
+  const camelot = /^0?([1-9]|1[0-2])\s*([AB])$/i.exec(text);
+  if (camelot) {
+    return `${Number(camelot[1])}${camelot[2].toUpperCase()}`;
+  }
+  const openKey = /^0?([1-9]|1[0-2])\s*([dm])$/i.exec(text);
+  if (openKey) {
+    const number = ((Number(openKey[1]) + 6) % 12) + 1;
+    return `${number}${openKey[2].toLowerCase() === 'm' ? 'A' : 'B'}`;
+  }
+  const musical = /^([A-Ga-g])([#♯b♭]?)\s*(m|min|minor|maj|major)?$/i.exec(text);
+  if (!musical) {
+    return null;
+  }
+  /* A capital M alone is ambiguous (major in some tools); only lowercase m means minor */
+  if (musical[3] === 'M') {
+    return null;
+  }
+  const accidental = musical[2] === '#' || musical[2] === '♯' ? 1 : musical[2] ? -1 : 0;
+  const pitchClass = (NOTE_PITCH_CLASSES[musical[1].toUpperCase()] + accidental + 12) % 12;
+  const minor = Boolean(musical[3]) && /^m(in(or)?)?$/i.test(musical[3]);
+  return toCamelot(pitchClass, minor);
+}
+
+/**
+ * Normalizes a BPM value to one decimal within a plausible range
+ * @param {any} value - Raw BPM value
+ * @returns {number|null} BPM, or null if the value is not a usable tempo
+ */
+function normalizeBpm(value) {
+  const bpm = typeof value === 'string' ? Number(value.trim()) : value;
+  if (typeof bpm !== 'number' || !Number.isFinite(bpm) || bpm < 20 || bpm > 400) {
+    return null;
+  }
+  return Math.round(bpm * 10) / 10;
+}
+
+/**
+ * Reads tempo and key from parsed tags
+ * @param {Object} metadata - music-metadata result
+ * @returns {TempoKey} Tag values, null where absent
+ */
+function readTempoKey(metadata) {
+  const common = (metadata && metadata.common) || {};
+  return { bpm: normalizeBpm(common.bpm), key: normalizeKey(common.key) };
+}
+
+/**
+ * Splits a Camelot key into number and letter
+ * @param {string} key - Camelot key
+ * @returns {{number: number, letter: string}|null} Parts, or null if malformed
+ */
+function parseCamelot(key) {
+  const match = /^([1-9]|1[0-2])([AB])$/.exec(String(key));
+  return match ? { number: Number(match[1]), letter: match[2] } : null;
+}
+
+/**
+ * Checks whether two keys mix harmonically: the same key, a neighbour on the
+ * wheel (one fifth up or down), or the relative major/minor
+ * @param {string} a - Camelot key
+ * @param {string} b - Camelot key
+ * @returns {boolean} True if compatible
+ */
+function isKeyCompatible(a, b) {
+  const left = parseCamelot(a);
+  const right = parseCamelot(b);
+  if (!left || !right) {
+    return false;
+  }
+  if (left.number === right.number) {
+    return true;
+  }
+  const distance = Math.abs(left.number - right.number);
+  return left.letter === right.letter && (distance === 1 || distance === 11);
+}
+
+/**
+ * Checks whether two tempos are within a tolerance of each other, also
+ * accepting half and double time
+ * @param {number} a - Candidate BPM
+ * @param {number} b - Reference BPM
+ * @param {number} tolerancePercent - Allowed deviation in percent of the reference
+ * @returns {boolean} True if compatible
+ */
+function isTempoCompatible(a, b, tolerancePercent) {
+  return [1, 2, 0.5].some(
+    (factor) => Math.abs(a - b * factor) <= (b * factor * tolerancePercent) / 100
+  );
+}
+
+/**
+ * Checks a candidate against the track on air. Only what is known about the
+ * reference is compared; a candidate missing a value the reference has does
+ * not match.
+ * @param {{bpm: number|null, key: string|null}} reference - Track on air
+ * @param {{bpm: number|null, key: string|null}} candidate - Possible next track
+ * @param {number} bpmTolerance - Tempo tolerance in percent, 0 to ignore tempo
+ * @returns {boolean} True if the candidate mixes well after the reference
+ */
+function isHarmonicMatch(reference, candidate, bpmTolerance) {
+  if (reference.key && !(candidate.key && isKeyCompatible(candidate.key, reference.key))) {
+    return false;
+  }
+  if (
+    bpmTolerance > 0 &&
+    reference.bpm &&
+    !(candidate.bpm && isTempoCompatible(candidate.bpm, reference.bpm, bpmTolerance))
+  ) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Estimates the tempo of a mono signal from the autocorrelation of its onset
+ * envelope, weighted towards PREFERRED_BPM to settle half/double-time doubt
+ * @param {Float32Array} samples - Mono samples in [-1, 1]
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {number|null} BPM (one decimal), or null for signals without a beat
+ */
+function estimateBpm(samples, sampleRate) {
+  const hop = Math.round(sampleRate / 86);
+  /* Windows span four hops so steady tones do not ripple the energy */
+  const span = hop * 4;
+  const frames = Math.floor((samples.length - span) / hop);
+  const framesPerSecond = sampleRate / hop;
+  const minLag = Math.floor((60 * framesPerSecond) / MAX_BPM);
+  const maxLag = Math.ceil((60 * framesPerSecond) / MIN_BPM);
+  if (frames < maxLag * 4) {
+    return null;
+  }
+
+  /* Positive changes in log energy mark note onsets */
+  const onsets = new Float32Array(frames);
+  let previous = 0;
+  let sum = 0;
+  for (let frame = 0; frame < frames; frame++) {
+    let energy = 0;
+    for (let i = frame * hop; i < frame * hop + span; i++) {
+      energy += samples[i] * samples[i];
+    }
+    const level = Math.log1p((1000 * energy) / span);
+    onsets[frame] = Math.max(0, level - previous);
+    previous = level;
+    sum += onsets[frame];
+  }
+  const mean = sum / frames;
+  for (let frame = 0; frame < frames; frame++) {
+    onsets[frame] -= mean;
+  }
+
+  const scores = new Float64Array(maxLag + 2);
+  let bestLag = -1;
+  let bestScore = 0;
+  for (let lag = minLag; lag <= maxLag + 1; lag++) {
+    let correlation = 0;
+    for (let frame = lag; frame < frames; frame++) {
+      correlation += onsets[frame] * onsets[frame - lag];
+    }
+    const bpm = (60 * framesPerSecond) / lag;
+    const octaves = Math.log2(bpm / PREFERRED_BPM);
+    scores[lag] = (correlation / (frames - lag)) * Math.exp(-0.5 * octaves * octaves);
+    if (lag <= maxLag && scores[lag] > bestScore) {
+      bestScore = scores[lag];
+      bestLag = lag;
+    }
+  }
+  if (bestLag === -1) {
+    return null;
+  }
+
+  /* Parabolic interpolation between neighbouring lags for sub-frame precision */
+  let lag = bestLag;
+  if (bestLag > minLag) {
+    const left = scores[bestLag - 1];
+    const right = scores[bestLag + 1];
+    const curvature = left - 2 * bestScore + right;
+    if (curvature < 0) {
+      lag += (0.5 * (left - right)) / curvature;
+    }
+  }
+  return normalizeBpm((60 * framesPerSecond) / lag);
+}
+
+/**
+ * Estimates the key of a mono signal: pitch energy from Goertzel filters on
+ * every semitone from C2 to B5 is folded into a chromagram and correlated
+ * with the major and minor profiles in all twelve transpositions
+ * @param {Float32Array} samples - Mono samples in [-1, 1]
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {string|null} Camelot key, or null for signals without pitch content
+ */
+function estimateKey(samples, sampleRate) {
+  const size = 4096;
+  const window = new Float32Array(size);
+  for (let i = 0; i < size; i++) {
+    window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (size - 1));
+  }
+  const notes = [];
+  for (let midi = 36; midi < 84; midi++) {
+    const frequency = 440 * Math.pow(2, (midi - 69) / 12);
+    notes.push({
+      pitchClass: midi % 12,
+      coeff: 2 * Math.cos((2 * Math.PI * frequency) / sampleRate),
+    });
+  }
+
+  const chroma = new Float64Array(12);
+  const frame = new Float32Array(size);
+  for (let start = 0; start + size <= samples.length; start += size) {
+    for (let i = 0; i < size; i++) {
+      frame[i] = samples[start + i] * window[i];
+    }
+    for (const note of notes) {
+      let s1 = 0;
+      let s2 = 0;
+      for (let i = 0; i < size; i++) {
+        const s0 = frame[i] + note.coeff * s1 - s2;
+        s2 = s1;
+        s1 = s0;
+      }
+      const power = s1 * s1 + s2 * s2 - note.coeff * s1 * s2;
+      chroma[note.pitchClass] += Math.sqrt(Math.max(0, power));
+    }
+  }
+  if (!chroma.some((value) => value > 1e-6)) {
+    return null;
+  }
+
+  let best = null;
+  let bestCorrelation = -Infinity;
+  for (let tonic = 0; tonic < 12; tonic++) {
+    for (const [profile, minor] of [
+      [MAJOR_PROFILE, false],
+      [MINOR_PROFILE, true],
+    ]) {
+      const correlation = correlate(
+        chroma,
+        (pitchClass) => profile[(pitchClass - tonic + 12) % 12]
+      );
+      if (correlation > bestCorrelation) {
+        bestCorrelation = correlation;
+        best = toCamelot(tonic, minor);
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * Pearson correlation of a chromagram with a key profile
+ * @param {Float64Array} chroma - Energy per pitch class
+ * @param {(pitchClass: number) => number} profile - Profile weight per pitch class
+ * @returns {number} Correlation in [-1, 1]
+ */
+function correlate(chroma, profile) {
+  let chromaMean = 0;
+  let profileMean = 0;
+  for (let pc = 0; pc < 12; pc++) {
+    chromaMean += chroma[pc] / 12;
+    profileMean += profile(pc) / 12;
+  }
+  let product = 0;
+  let chromaSquares = 0;
+  let profileSquares = 0;
+  for (let pc = 0; pc < 12; pc++) {
+    const x = chroma[pc] - chromaMean;
+    const y = profile(pc) - profileMean;
+    product += x * y;
+    chromaSquares += x * x;
+    profileSquares += y * y;
+  }
+  const denominator = Math.sqrt(chromaSquares * profileSquares);
+  return denominator > 0 ? product / denominator : 0;
+}
+
+/**
+ * Converts mono s16le PCM to samples in [-1, 1]
+ * @param {Buffer} pcm - Raw PCM
+ * @returns {Float32Array} Samples
+ */
+function pcmToSamples(pcm) {
+  const samples = new Float32Array(Math.floor(pcm.length / 2));
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = pcm.readInt16LE(i * 2) / 32768;
+  }
+  return samples;
+}
+
+/**
+ * Creates an analyzer that estimates tempo and key of untagged files in the
+ * background, one file at a time
+ * @param {Object} options - Analyzer options
+ * @param {(fullPath: string, result: TempoKey) => void} options.onResult - Called with the estimates
+ * @returns {Object} TempoKeyAnalyzer instance
+ */
+function createTempoKeyAnalyzer(options) {
+  const { onResult } = options;
+
+  /** @type {string[]} */
+  const queue = [];
+  const queued = new Set();
+  const failed = new Set();
+  let current = null;
+  let activeProcess = null;
+  let stopped = false;
+  /** @type {Worker|null} */
+  let worker = null;
+  /** @type {{resolve: (result: TempoKey) => void, reject: (err: Error) => void}|null} */
+  let pendingEstimate = null;
+
+  /**
+   * Queues a file for analysis unless it is already queued or failed before
+   * @param {string} fullPath - Absolute file path
+   */
+  function enqueue(fullPath) {
+    if (stopped || queued.has(fullPath) || failed.has(fullPath)) {
+      return;
+    }
+    queued.add(fullPath);
+    queue.push(fullPath);
+    processQueue();
+  }
+
+  /**
+   * Starts the next analysis if none is running
+   */
+  function processQueue() {
+    if (current || stopped || queue.length === 0) {
+      return;
+    }
+    const fullPath = queue.shift();
+    current = decodeFile(fullPath)
+      .then(async (pcm) => {
+        if (!pcm) {
+          failed.add(fullPath);
+          return;
+        }
+        const result = await estimate(pcm);
+        if (!stopped) {
+          onResult(fullPath, result);
+        }
+      })
+      .catch((err) => {
+        if (!stopped) {
+          warn(`Failed to estimate tempo and key for ${fullPath}: ${err.message}`);
+        }
+      })
+      .finally(() => {
+        queued.delete(fullPath);
+        current = null;
+        if (queue.length === 0 && !stopped) {
+          log('Tempo and key analysis queue finished');
+        }
+        processQueue();
+      });
+  }
+
+  /**
+   * Starts the worker thread on first use. It is unref'd so it never keeps
+   * the player alive, and replaced after a crash.
+   * @returns {Worker} Worker thread
+   */
+  function getWorker() {
+    if (worker) {
+      return worker;
+    }
+    const thread = new Worker(path.join(__dirname, 'tempo-key-worker.js'));
+    thread.unref();
+    thread.on('message', (result) => {
+      const job = pendingEstimate;
+      pendingEstimate = null;
+      if (job) {
+        job.resolve(result);
+      }
+    });
+    thread.on('error', (err) => {
+      const job = pendingEstimate;
+      pendingEstimate = null;
+      if (job) {
+        job.reject(err);
+      }
+    });
+    thread.on('exit', () => {
+      if (worker === thread) {
+        worker = null;
+      }
+      const job = pendingEstimate;
+      pendingEstimate = null;
+      if (job) {
+        job.reject(new Error('Analysis worker stopped'));
+      }
+    });
+    worker = thread;
+    return thread;
+  }
+
+  /**
+   * Estimates tempo and key of decoded PCM in the worker thread
+   * @param {Buffer} pcm - Mono s16le PCM at ANALYSIS_SAMPLE_RATE
+   * @returns {Promise<TempoKey>} Estimates
+   */
+  function estimate(pcm) {
+    return new Promise((resolve, reject) => {
+      pendingEstimate = { resolve, reject };
+      getWorker().postMessage(pcm);
+    });
+  }
+
+  /**
+   * Decodes the start of a file to mono PCM with FFmpeg
+   * @param {string} fullPath - Absolute file path
+   * @returns {Promise<Buffer|null>} Mono s16le PCM, or null on failure
+   */
+  function decodeFile(fullPath) {
+    return new Promise((resolve) => {
+      const args = [
+        '-hide_banner',
+        '-nostats',
+        '-loglevel',
+        'error',
+        '-i',
+        fullPath,
+        '-map',
+        '0:a:0',
+        '-t',
+        String(ANALYSIS_SECONDS),
+        '-ac',
+        '1',
+        '-ar',
+        String(ANALYSIS_SAMPLE_RATE),
+        '-f',
+        's16le',
+        'pipe:1',
+      ];
+      /** @type {Buffer[]} */
+      const chunks = [];
+      let ffmpeg;
+      try {
+        ffmpeg = spawn('ffmpeg', args, { stdio: ['ignore', 'pipe', 'ignore'] });
+      } catch (err) {
+        warn(`Failed to start tempo and key analysis: ${err.message}`);
+        resolve(null);
+        return;
+      }
+      activeProcess = ffmpeg;
+      ffmpeg.stdout.on('data', (chunk) => chunks.push(chunk));
+      ffmpeg.on('error', (err) => {
+        warn(`Tempo and key analysis failed for ${fullPath}: ${err.message}`);
+      });
+      ffmpeg.on('close', (code) => {
+        activeProcess = null;
+        if (code !== 0) {
+          if (!stopped) {
+            warn(`Tempo and key analysis failed for ${fullPath} (code=${code})`);
+          }
+          resolve(null);
+          return;
+        }
+        resolve(Buffer.concat(chunks));
+      });
+    });
+  }
+
+  /**
+   * Stops analysis and drops queued files
+   */
+  function stop() {
+    stopped = true;
+    queue.length = 0;
+    queued.clear();
+    if (activeProcess) {
+      activeProcess.kill('SIGTERM');
+    }
+    if (worker) {
+      ignoreErrors(worker.terminate(), warn, 'Failed to stop tempo and key worker');
+      worker = null;
+    }
+  }
+
+  return {
+    enqueue,
+    stop,
+    get pending() {
+      return queue.length + (current ? 1 : 0);
+    },
+  };
+}
+
+module.exports = {
+  createTempoKeyAnalyzer,
+  readTempoKey,
+  normalizeKey,
+  normalizeBpm,
+  isKeyCompatible,
+  isTempoCompatible,
+  isHarmonicMatch,
+  estimateBpm,
+  estimateKey,
+  pcmToSamples,
+  ANALYSIS_SAMPLE_RATE,
+  MAX_BPM_TOLERANCE,
+};
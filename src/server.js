@@ -23,7 +23,7 @@ const helmet = require('helmet');
 const http = require('http');
 const dotenv = require('dotenv');
 const { requireEnv, requireUrlEnv, optionalEnv } = require('./lib/utils/env');
-const { TCP_PORT, HTTP_PORT, HTTP_HOST, PLAYER_API_PORT } = require('./lib/config');
+const { TCP_PORT, VOICE_TCP_PORT, HTTP_PORT, HTTP_HOST, PLAYER_API_PORT } = require('./lib/config');
 const { createLogger, setDiagnosticsRecorder } = require('./lib/utils/logger');
 const { validateFfmpegAvailable, logFfmpegInstallHelp } = require('./lib/services/ffmpeg');
 const { createAuthMiddleware, isAuthEnabled } = require('./lib/utils/auth');
@@ -40,9 +40,13 @@ const diagnostics = require('./lib/services/diagnostics');
 const {
   constants,
   createOverlayRenderer,
+  createCoverArtSource,
+  createLyricsSource,
   createBackgroundManager,
   createSilenceGenerator,
   createTcpServer,
+  createTalkoverMixer,
+  createAudioProcessing,
   createFfmpegManager,
   createHttpRoutes,
 } = require('./server/index');
@@ -67,6 +71,8 @@ const PROJECT_ROOT = path.resolve(__dirname, '..');
 const UPLOAD_DIR = path.join(PROJECT_ROOT, 'media', 'stream-backgrounds');
 const DEFAULT_BACKGROUND = path.join(UPLOAD_DIR, 'streamdj-default.png');
 const BACKGROUND_PERSISTENCE_FILE = path.join(PROJECT_ROOT, 'data', 'background.json');
+const TALKOVER_PERSISTENCE_FILE = path.join(PROJECT_ROOT, 'data', 'talkover.json');
+const AUDIO_PROCESSING_PERSISTENCE_FILE = path.join(PROJECT_ROOT, 'data', 'audio-processing.json');
 const BACKGROUND_IMAGE = path.resolve(optionalEnv('OVERLAY_BACKGROUND', DEFAULT_BACKGROUND));
 
 /* Allowed directories for background images */
@@ -109,6 +115,7 @@ let positionUpdateInterval = null;
 
 /* Server instances */
 let tcpServer = null;
+let voiceServer = null;
 let httpServer = null;
 
 /**
@@ -275,6 +282,17 @@ const overlayRenderer = createOverlayRenderer({
   ffmpegSupportsLetterSpacing,
 });
 
+/* Cover Art Source */
+const coverArtSource = createCoverArtSource({
+  log,
+  warn,
+  playerApiPort: PLAYER_API_PORT,
+  getSize: () => (currentOverlayStyle.cover ? currentOverlayStyle.cover.size : 240),
+});
+
+/* Lyrics Source */
+const lyricsSource = createLyricsSource({ log, warn, playerApiPort: PLAYER_API_PORT });
+
 /* Silence Generator (will be configured after ffmpegManager) */
 let silenceGenerator = null;
 
@@ -300,6 +318,7 @@ function startPositionUpdates() {
       if (data.positionSeconds !== undefined) {
         currentPositionSeconds = data.positionSeconds;
         overlayRenderer.syncOverlayFileImmediate(currentNormalizedMetadata());
+        syncLyricsLine();
       }
     } catch {
       /* ignore */
@@ -326,6 +345,14 @@ function syncOverlayFile() {
   overlayRenderer.syncOverlayFile(currentNormalizedMetadata());
 }
 
+/**
+ * Shows the lyric line for the current position, or nothing when lyrics are off
+ */
+function syncLyricsLine() {
+  const enabled = Boolean(currentOverlayStyle.lyrics && currentOverlayStyle.lyrics.enabled);
+  overlayRenderer.syncLyricsFile(enabled ? lyricsSource.getLine(currentPositionSeconds) : '');
+}
+
 /*
  * HTTP API - Express Application Setup
  */
@@ -389,9 +416,11 @@ function shutdown(reason = 'manual') {
 
   if (silenceGenerator) silenceGenerator.stop();
   if (tcpServer) tcpServer.stop();
+  if (voiceServer) voiceServer.stop();
   if (ffmpegManager) ffmpegManager.shutdown();
   stopPositionUpdates();
   overlayRenderer.cleanup().catch(() => {});
+  coverArtSource.cleanup().catch(() => {});
 
   if (httpServer) {
     httpServer.close(() => {
@@ -443,6 +472,24 @@ async function startServer() {
 
   /* Initialize overlay file */
   await overlayRenderer.ensureOverlayFile(createDefaultMetadata());
+  await coverArtSource.ensureFile();
+
+  /* Create Audio Processing (master EQ, compressor and limiter on the encode) */
+  const audioProcessing = createAudioProcessing({
+    log,
+    warn,
+    persistenceFile: AUDIO_PROCESSING_PERSISTENCE_FILE,
+    onChange: () => {
+      /* The filter graph is fixed when FFmpeg starts */
+      if (ffmpegManager && ffmpegManager.isRunning()) {
+        const reason = 'audio processing change';
+        if (tcpServer) tcpServer.pauseProducer(reason);
+        ffmpegManager.setPlannedPause(reason);
+        silenceGenerator.setBackpressure(true);
+        ffmpegManager.requestRestart(reason);
+      }
+    },
+  });
 
   /* Create FFmpeg Manager */
   ffmpegManager = createFfmpegManager({
@@ -455,6 +502,10 @@ async function startServer() {
     getOverlayStyle: () => currentOverlayStyle,
     getMetadata: () => desiredMetadata,
     buildDrawtextFilter: (style) => overlayRenderer.buildDrawtextFilter(style),
+    buildLyricsFilter: (style) => overlayRenderer.buildLyricsDrawtextFilter(style),
+    buildCoverOverlayFilter: (style) => overlayRenderer.buildCoverOverlayFilter(style),
+    getCoverFile: () => coverArtSource.getCoverFilePath(),
+    getAudioFilter: () => audioProcessing.getFilter(),
     diagnostics,
     onSpawn: (info) => {
       if (info.reason) {
@@ -471,10 +522,18 @@ async function startServer() {
     },
   });
 
+  /* Create Talk-over Mixer (voice over music and silence) */
+  const talkoverMixer = createTalkoverMixer({
+    log,
+    warn,
+    persistenceFile: TALKOVER_PERSISTENCE_FILE,
+  });
+
   /* Create Silence Generator */
   silenceGenerator = createSilenceGenerator({
     log,
     warn,
+    mixChunk: (chunk) => talkoverMixer.mix(chunk),
     getFfmpegStdin: () => ffmpegManager.getStdin(),
     isFfmpegWritable: () => ffmpegManager.isWritable(),
     setFfmpegWritable: (v) => ffmpegManager.setWritable(v),
@@ -503,7 +562,7 @@ async function startServer() {
       }
 
       try {
-        const ok = stdin.write(chunk);
+        const ok = stdin.write(talkoverMixer.mix(chunk));
         if (!ok) {
           ffmpegManager.setWritable(false);
           socketControl.pause();
@@ -527,6 +586,26 @@ async function startServer() {
     },
   });
 
+  /* Create Voice TCP Server (talk-over input) */
+  voiceServer = createTcpServer({
+    port: VOICE_TCP_PORT,
+    label: 'voice',
+    log,
+    warn,
+    error,
+    onData: (chunk) => {
+      talkoverMixer.pushVoice(chunk);
+      return { paused: false };
+    },
+    onProducerConnect: () => {
+      log('[orchestrator] Voice producer connected');
+      talkoverMixer.resetVoice();
+    },
+    onProducerDisconnect: () => {
+      talkoverMixer.resetVoice();
+    },
+  });
+
   /* Configure HTTP Routes */
   createHttpRoutes({
     app,
@@ -535,6 +614,9 @@ async function startServer() {
     backgroundManager,
     ffmpegManager,
     tcpServer,
+    voiceServer,
+    talkoverMixer,
+    audioProcessing,
     overlayRenderer,
     silenceGenerator,
     overlayStyleStore: {
@@ -545,6 +627,7 @@ async function startServer() {
     diagnostics,
     config: {
       tcpPort: TCP_PORT,
+      voiceTcpPort: VOICE_TCP_PORT,
       httpPort: HTTP_PORT,
       playerApiPort: PLAYER_API_PORT,
       rtmpUrl: RTMP_URL,
@@ -560,6 +643,11 @@ async function startServer() {
       };
       desiredMetadata = normalized;
       syncOverlayFile();
+      coverArtSource.update(body.cover || null);
+      lyricsSource
+        .update(typeof body.filename === 'string' ? body.filename : null)
+        .then(() => syncLyricsLine());
+      syncLyricsLine();
     },
     onBackgroundChange: (newBackground) => {
       const reason = newBackground
@@ -581,6 +669,8 @@ async function startServer() {
 
     /* Force overlay refresh */
     syncOverlayFile();
+    coverArtSource.refresh();
+    syncLyricsLine();
 
     /* Restart FFmpeg if style requires filter rebuild */
     if (ffmpegManager && ffmpegManager.isRunning()) {
@@ -602,6 +692,7 @@ async function startServer() {
   ffmpegManager.spawn();
   silenceGenerator.start();
   tcpServer.start();
+  voiceServer.start();
 
   log('Server bootstrap complete. Ready to stream.');
 }
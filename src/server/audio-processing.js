@@ -0,0 +1,505 @@
+'use strict';
+
+/**
+ * Audio Processing Module
+ *
+ * Master processing chain applied to the outgoing mix (music, silence and
+ * talk-over alike) as an FFmpeg audio filter graph on the encode: a
+ * parametric EQ, a compressor and a true-peak limiter. Settings are kept as
+ * a versioned snapshot like the overlay style, validated on every change,
+ * persisted so they survive restarts, and can be replaced by named presets.
+ *
+ * @module server/audio-processing
+ */
+
+const fs = require('fs');
+const { isDeepStrictEqual } = require('util');
+const { writeJsonAtomicSync } = require('../lib/utils/json-file');
+const { SAMPLE_RATE } = require('./constants');
+
+/**
+ * EQ band filter types and their FFmpeg filter names
+ */
+const EQ_BAND_FILTERS = {
+  peak: 'equalizer',
+  lowshelf: 'lowshelf',
+  highshelf: 'highshelf',
+  highpass: 'highpass',
+  lowpass: 'lowpass',
+};
+
+const MAX_EQ_BANDS = 8;
+
+/**
+ * The limiter runs at this multiple of the sample rate so inter-sample
+ * peaks are caught (true peak rather than sample peak)
+ */
+const LIMITER_OVERSAMPLING = 4;
+
+/**
+ * Allowed range of each numeric setting
+ */
+const EQ_BAND_LIMITS = {
+  frequency: [20, 20000],
+  gainDb: [-24, 24],
+  q: [0.1, 10],
+};
+
+const COMPRESSOR_LIMITS = {
+  thresholdDb: [-60, 0],
+  ratio: [1, 20],
+  attackMs: [0.01, 2000],
+  releaseMs: [0.01, 9000],
+  kneeDb: [0, 18],
+  makeupDb: [0, 36],
+};
+
+const LIMITER_LIMITS = {
+  ceilingDb: [-24, 0],
+  attackMs: [0.1, 80],
+  releaseMs: [1, 8000],
+};
+
+/**
+ * @typedef {Object} EqBand
+ * @property {string} type - One of the EQ_BAND_FILTERS keys
+ * @property {number} frequency - Centre or corner frequency in Hz
+ * @property {number} gainDb - Boost or cut (ignored by highpass and lowpass)
+ * @property {number} q - Bandwidth as a Q factor
+ */
+
+/**
+ * @typedef {Object} AudioProcessingSettings
+ * @property {boolean} enabled - Whether the chain is applied at all
+ * @property {string} preset - Preset the EQ, compressor and limiter match, or `custom`
+ * @property {{enabled: boolean, bands: EqBand[]}} eq - Parametric EQ
+ * @property {{enabled: boolean, thresholdDb: number, ratio: number, attackMs: number,
+ *   releaseMs: number, kneeDb: number, makeupDb: number}} compressor - Compressor
+ * @property {{enabled: boolean, ceilingDb: number, attackMs: number, releaseMs: number}} limiter -
+ *   True-peak limiter
+ */
+
+const FLAT_SETTINGS = {
+  enabled: true,
+  preset: 'flat',
+  eq: { enabled: false, bands: [] },
+  compressor: {
+    enabled: false,
+    thresholdDb: -18,
+    ratio: 2,
+    attackMs: 20,
+    releaseMs: 250,
+    kneeDb: 6,
+    makeupDb: 0,
+  },
+  limiter: { enabled: true, ceilingDb: -1, attackMs: 5, releaseMs: 50 },
+};
+
+/**
+ * Named presets. `flat` leaves the sound alone apart from a safety limiter.
+ */
+const AUDIO_PROCESSING_PRESETS = Object.freeze({
+  flat: FLAT_SETTINGS,
+  broadcast: {
+    enabled: true,
+    preset: 'broadcast',
+    eq: {
+      enabled: true,
+      bands: [
+        { type: 'highpass', frequency: 30, gainDb: 0, q: 0.71 },
+        { type: 'lowshelf', frequency: 100, gainDb: 2, q: 0.71 },
+        { type: 'peak', frequency: 300, gainDb: -1.5, q: 1 },
+        { type: 'highshelf', frequency: 10000, gainDb: 2, q: 0.71 },
+      ],
+    },
+    compressor: {
+      enabled: true,
+      thresholdDb: -18,
+      ratio: 3,
+      attackMs: 20,
+      releaseMs: 250,
+      kneeDb: 6,
+      makeupDb: 4,
+    },
+    limiter: { enabled: true, ceilingDb: -1, attackMs: 5, releaseMs: 50 },
+  },
+  speech: {
+    enabled: true,
+    preset: 'speech',
+    eq: {
+      enabled: true,
+      bands: [
+        { type: 'highpass', frequency: 80, gainDb: 0, q: 0.71 },
+        { type: 'peak', frequency: 3000, gainDb: 3, q: 1 },
+      ],
+    },
+    compressor: {
+      enabled: true,
+      thresholdDb: -20,
+      ratio: 4,
+      attackMs: 10,
+      releaseMs: 200,
+      kneeDb: 6,
+      makeupDb: 6,
+    },
+    limiter: { enabled: true, ceilingDb: -1, attackMs: 5, releaseMs: 50 },
+  },
+});
+
+/**
+ * Settings before anything is changed: the flat preset, switched off, so
+ * the encode is untouched until processing is enabled
+ */
+const DEFAULT_AUDIO_PROCESSING = Object.freeze({ ...FLAT_SETTINGS, enabled: false });
+
+/**
+ * Deep-copies plain settings
+ * @param {any} value - JSON-compatible value
+ * @returns {any} Copy
+ */
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Checks that a value is a plain object
+ * @param {any} value - Candidate value
+ * @returns {boolean} True for non-array objects
+ */
+function isObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Validates the fields of a section against their limits and merges them
+ * @param {any} patch - Fields to change
+ * @param {Object} current - Current section values
+ * @param {Object<string, number[]>} limits - Allowed range per numeric field
+ * @param {string} section - Section name for error messages
+ * @returns {Object} Merged section
+ * @throws {Error} If a field is unknown or out of range
+ */
+function mergeSection(patch, current, limits, section) {
+  if (!isObject(patch)) {
+    throw new Error(`${section} must be an object`);
+  }
+  const merged = { ...current };
+  for (const [key, value] of Object.entries(patch)) {
+    if (key === 'enabled') {
+      if (typeof value !== 'boolean') {
+        throw new Error(`${section}.enabled must be a boolean`);
+      }
+      merged.enabled = value;
+      continue;
+    }
+    const range = limits[key];
+    if (!range) {
+      throw new Error(`Unknown ${section} setting: ${key}`);
+    }
+    const [min, max] = range;
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+      throw new Error(`${section}.${key} must be a number between ${min} and ${max}`);
+    }
+    merged[key] = value;
+  }
+  return merged;
+}
+
+/**
+ * Validates one EQ band, filling in gain and Q defaults
+ * @param {any} band - Band from a request
+ * @param {number} index - Position in the band list, for error messages
+ * @returns {EqBand} Validated band
+ * @throws {Error} If the band is invalid
+ */
+function normalizeEqBand(band, index) {
+  const label = `eq.bands[${index}]`;
+  if (!isObject(band)) {
+    throw new Error(`${label} must be an object`);
+  }
+  if (!Object.hasOwn(EQ_BAND_FILTERS, band.type)) {
+    throw new Error(`${label}.type must be one of: ${Object.keys(EQ_BAND_FILTERS).join(', ')}`);
+  }
+  if (band.frequency === undefined) {
+    throw new Error(`${label}.frequency is required`);
+  }
+  const { type, ...fields } = band;
+  if ('enabled' in fields) {
+    throw new Error(`Unknown ${label} setting: enabled`);
+  }
+  const defaults = { frequency: 1000, gainDb: 0, q: type === 'peak' ? 1 : 0.71 };
+  return { type, ...mergeSection(fields, defaults, EQ_BAND_LIMITS, label) };
+}
+
+/**
+ * Names the preset whose EQ, compressor and limiter equal the given settings
+ * @param {AudioProcessingSettings} settings - Processing settings
+ * @returns {string} Preset name, or `custom`
+ */
+function matchPreset(settings) {
+  const sound = ({ eq, compressor, limiter }) => ({ eq, compressor, limiter });
+  const match = Object.entries(AUDIO_PROCESSING_PRESETS).find(([, preset]) =>
+    isDeepStrictEqual(sound(preset), sound(settings))
+  );
+  return match ? match[0] : 'custom';
+}
+
+/**
+ * Validates a partial settings update and merges it into the current values.
+ * A `bands` list replaces the current bands. `preset` is derived from the
+ * result; it is accepted but ignored so a GET response can be sent back.
+ * @param {any} patch - Fields to change
+ * @param {AudioProcessingSettings} current - Current settings
+ * @returns {AudioProcessingSettings} Merged settings
+ * @throws {Error} If a field is unknown or out of range
+ */
+function normalizeAudioProcessing(patch, current) {
+  if (!isObject(patch)) {
+    throw new Error('Audio processing settings must be an object');
+  }
+  const next = clone(current);
+  for (const [key, value] of Object.entries(patch)) {
+    if (key === 'enabled') {
+      if (typeof value !== 'boolean') {
+        throw new Error('enabled must be a boolean');
+      }
+      next.enabled = value;
+    } else if (key === 'preset') {
+      continue;
+    } else if (key === 'eq') {
+      if (!isObject(value)) {
+        throw new Error('eq must be an object');
+      }
+      const { bands, ...fields } = value;
+      next.eq = { ...next.eq, ...mergeSection(fields, { enabled: next.eq.enabled }, {}, 'eq') };
+      if (bands !== undefined) {
+        if (!Array.isArray(bands) || bands.length > MAX_EQ_BANDS) {
+          throw new Error(`eq.bands must be a list of at most ${MAX_EQ_BANDS} bands`);
+        }
+        next.eq.bands = bands.map(normalizeEqBand);
+      }
+    } else if (key === 'compressor') {
+      next.compressor = mergeSection(value, next.compressor, COMPRESSOR_LIMITS, 'compressor');
+    } else if (key === 'limiter') {
+      next.limiter = mergeSection(value, next.limiter, LIMITER_LIMITS, 'limiter');
+    } else {
+      throw new Error(`Unknown audio processing setting: ${key}`);
+    }
+  }
+  next.preset = matchPreset(next);
+  return next;
+}
+
+/**
+ * Checks whether a name is a known preset
+ * @param {any} name - Candidate name
+ * @returns {boolean} True for a preset name
+ */
+function isPresetName(name) {
+  return typeof name === 'string' && Object.hasOwn(AUDIO_PROCESSING_PRESETS, name);
+}
+
+/**
+ * Lists the preset names
+ * @returns {string[]} Preset names
+ */
+function listPresetNames() {
+  return Object.keys(AUDIO_PROCESSING_PRESETS);
+}
+
+/**
+ * Converts decibels to a linear factor, formatted for a filter argument
+ * @param {number} db - Level in dB
+ * @returns {string} Linear factor
+ */
+function dbToLinear(db) {
+  return Number(Math.pow(10, db / 20).toFixed(6)).toString();
+}
+
+/**
+ * Builds the FFmpeg filter for one EQ band
+ * @param {EqBand} band - EQ band
+ * @returns {string} Filter description
+ */
+function buildEqBandFilter(band) {
+  const filter = EQ_BAND_FILTERS[band.type];
+  const gain = band.type === 'highpass' || band.type === 'lowpass' ? '' : `:g=${band.gainDb}`;
+  return `${filter}=f=${band.frequency}:t=q:w=${band.q}${gain}`;
+}
+
+/**
+ * Builds the FFmpeg audio filter graph for a set of processing settings
+ * @param {AudioProcessingSettings} settings - Processing settings
+ * @returns {string|null} Filter graph for `-af`, or null when nothing is applied
+ */
+function buildAudioFilter(settings) {
+  if (!settings.enabled) {
+    return null;
+  }
+  const filters = [];
+  if (settings.eq.enabled) {
+    filters.push(...settings.eq.bands.map(buildEqBandFilter));
+  }
+  const { compressor, limiter } = settings;
+  if (compressor.enabled) {
+    filters.push(
+      `acompressor=threshold=${dbToLinear(compressor.thresholdDb)}:ratio=${compressor.ratio}` +
+        `:attack=${compressor.attackMs}:release=${compressor.releaseMs}` +
+        `:knee=${dbToLinear(compressor.kneeDb)}:makeup=${dbToLinear(compressor.makeupDb)}`
+    );
+  }
+  if (limiter.enabled) {
+    filters.push(
+      `aresample=${SAMPLE_RATE * LIMITER_OVERSAMPLING}`,
+      `alimiter=limit=${dbToLinear(limiter.ceilingDb)}:attack=${limiter.attackMs}` +
+        `:release=${limiter.releaseMs}:level=0`,
+      `aresample=${SAMPLE_RATE}`
+    );
+  }
+  return filters.length > 0 ? filters.join(',') : null;
+}
+
+/**
+ * Creates an audio processing settings store
+ * @param {Object} deps - Dependencies
+ * @param {Function} deps.log - Logger function
+ * @param {Function} deps.warn - Warning logger function
+ * @param {string|null} [deps.persistenceFile] - Path of the settings JSON (null keeps them in memory)
+ * @param {Function} [deps.onChange] - Called with the new snapshot after every change
+ * @returns {Object} Audio processing API
+ */
+function createAudioProcessing(deps) {
+  const { log, warn, persistenceFile = null, onChange = null } = deps;
+
+  let snapshot = loadSnapshot();
+
+  /**
+   * Loads the persisted snapshot, falling back to defaults
+   * @returns {{version: number, updatedAt: string, values: AudioProcessingSettings}} Snapshot
+   */
+  function loadSnapshot() {
+    if (persistenceFile) {
+      try {
+        if (fs.existsSync(persistenceFile)) {
+          const data = JSON.parse(fs.readFileSync(persistenceFile, 'utf8'));
+          return {
+            version: Number.isFinite(data.version) ? data.version : 1,
+            updatedAt:
+              typeof data.updatedAt === 'string' ? data.updatedAt : new Date().toISOString(),
+            values: normalizeAudioProcessing(data.values, DEFAULT_AUDIO_PROCESSING),
+          };
+        }
+      } catch (err) {
+        warn(`Failed to load audio processing settings: ${err.message}`);
+      }
+    }
+    return {
+      version: 1,
+      updatedAt: new Date().toISOString(),
+      values: clone(DEFAULT_AUDIO_PROCESSING),
+    };
+  }
+
+  /**
+   * Persists the snapshot, version included, so version numbers keep
+   * counting up across restarts
+   * @returns {void}
+   */
+  function saveSnapshot() {
+    if (!persistenceFile) {
+      return;
+    }
+    try {
+      writeJsonAtomicSync(persistenceFile, snapshot);
+    } catch (err) {
+      warn(`Failed to save audio processing settings: ${err.message}`);
+    }
+  }
+
+  /**
+   * Returns a copy of the current snapshot
+   * @returns {{version: number, updatedAt: string, values: AudioProcessingSettings}} Snapshot
+   */
+  function getSnapshot() {
+    return {
+      version: snapshot.version,
+      updatedAt: snapshot.updatedAt,
+      values: clone(snapshot.values),
+    };
+  }
+
+  /**
+   * Stores new values under the next version
+   * @param {AudioProcessingSettings} values - Validated settings
+   * @param {string} reason - What changed, for the log
+   * @returns {Object} New snapshot
+   */
+  function commit(values, reason) {
+    snapshot = { version: snapshot.version + 1, updatedAt: new Date().toISOString(), values };
+    saveSnapshot();
+    log(
+      `Audio processing ${reason} (version ${snapshot.version}): ${buildAudioFilter(values) || 'off'}`
+    );
+    if (onChange) {
+      onChange(getSnapshot());
+    }
+    return getSnapshot();
+  }
+
+  /**
+   * Applies a partial settings update
+   * @param {any} patch - Fields to change
+   * @returns {Object} New snapshot
+   * @throws {Error} If the update is invalid
+   */
+  function update(patch) {
+    return commit(normalizeAudioProcessing(patch, snapshot.values), 'updated');
+  }
+
+  /**
+   * Replaces the settings with a preset and enables processing
+   * @param {string} name - Preset name
+   * @returns {Object|null} New snapshot, or null for an unknown preset
+   */
+  function applyPreset(name) {
+    if (!isPresetName(name)) {
+      return null;
+    }
+    return commit(clone(AUDIO_PROCESSING_PRESETS[name]), `set to preset ${name}`);
+  }
+
+  /**
+   * Restores the default settings (processing off)
+   * @returns {Object} New snapshot
+   */
+  function reset() {
+    return commit(clone(DEFAULT_AUDIO_PROCESSING), 'reset');
+  }
+
+  /**
+   * Returns the filter graph for the current settings
+   * @returns {string|null} Filter graph for `-af`, or null when nothing is applied
+   */
+  function getFilter() {
+    return buildAudioFilter(snapshot.values);
+  }
+
+  return {
+    getSnapshot,
+    update,
+    applyPreset,
+    reset,
+    getFilter,
+  };
+}
+
+module.exports = {
+  createAudioProcessing,
+  normalizeAudioProcessing,
+  buildAudioFilter,
+  listPresetNames,
+  AUDIO_PROCESSING_PRESETS,
+  DEFAULT_AUDIO_PROCESSING,
+  EQ_BAND_FILTERS,
+  MAX_EQ_BANDS,
+};
@@ -19,6 +19,7 @@ const MAX_METADATA_TITLE_LENGTH = 200;
 const MAX_METADATA_ARTIST_LENGTH = 100;
 const MAX_METADATA_ALBUM_LENGTH = 100;
 const MAX_METADATA_COMMENT_LENGTH = 300;
+const COVER_ID_PATTERN = /^[0-9a-f]{16}$/;
 
 /*
  * Audio Configuration
@@ -38,6 +39,13 @@ const SILENCE_CHUNK_SIZE = Math.floor(BYTES_PER_SECOND * (SILENCE_CHUNK_DURATION
 const SILENCE_CHUNK = Buffer.alloc(SILENCE_CHUNK_SIZE, 0);
 const SILENCE_RESUME_DELAY_MS = 120;
 
+/*
+ * Talk-over
+ */
+
+const TALKOVER_MAX_BUFFER_MS = 1000;
+const TALKOVER_HOLD_MS = 250;
+
 /*
  * Monitoring and Intervals
  */
@@ -115,6 +123,7 @@ module.exports = {
   MAX_METADATA_ARTIST_LENGTH,
   MAX_METADATA_ALBUM_LENGTH,
   MAX_METADATA_COMMENT_LENGTH,
+  COVER_ID_PATTERN,
 
   /* Audio */
   SAMPLE_RATE,
@@ -128,6 +137,10 @@ module.exports = {
   SILENCE_CHUNK,
   SILENCE_RESUME_DELAY_MS,
 
+  /* Talk-over */
+  TALKOVER_MAX_BUFFER_MS,
+  TALKOVER_HOLD_MS,
+
   /* Monitoring */
   INGEST_LOG_INTERVAL_MS,
   INGEST_IDLE_WARN_MS,
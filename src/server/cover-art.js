@@ -0,0 +1,247 @@
+'use strict';
+
+/**
+ * Cover Art Source Module
+ *
+ * Keeps the cover of the track on air in a PNG file that FFmpeg overlays on
+ * the video. Covers are fetched from the player API by id and rendered as a
+ * square with transparent padding; tracks without a cover get a fully
+ * transparent square. The file is replaced atomically so the running encoder
+ * picks up the new picture without a restart.
+ *
+ * @module server/cover-art
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { getApiKey } = require('../lib/utils/auth');
+
+/**
+ * How often and how long to wait for a cover the player has not extracted yet
+ */
+const COVER_RETRY_DELAY_MS = 5000;
+const COVER_MAX_RETRIES = 3;
+
+/**
+ * Creates a cover art source instance
+ * @param {Object} deps - Dependencies
+ * @param {Function} deps.log - Logger function
+ * @param {Function} deps.warn - Warning logger function
+ * @param {number} deps.playerApiPort - Port of the player HTTP API
+ * @param {Function} deps.getSize - Function returning the cover edge length in pixels
+ * @returns {Object} Cover art source API
+ */
+function createCoverArtSource(deps) {
+  const { log, warn, playerApiPort, getSize } = deps;
+
+  /* File FFmpeg reads the cover from */
+  const COVER_FILE = path.join(os.tmpdir(), `streamdj-cover-${process.pid}.png`);
+
+  let currentId = null;
+  let renderedKey = null;
+  let renderQueue = Promise.resolve();
+  let retryTimer = null;
+  let retries = 0;
+
+  /**
+   * Fetches the large thumbnail of a cover from the player
+   * @param {string} id - Cover id
+   * @returns {Promise<Buffer|null>} JPEG bytes, or null if the player has none (yet)
+   */
+  async function fetchCover(id) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), 5000);
+    const apiKey = getApiKey();
+    try {
+      const response = await fetch(
+        `http://127.0.0.1:${playerApiPort}/covers/${encodeURIComponent(id)}?size=large`,
+        {
+          headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+          signal: controller.signal,
+        }
+      );
+      if (!response.ok) {
+        return null;
+      }
+      return Buffer.from(await response.arrayBuffer());
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+
+  /**
+   * Renders a picture (or the transparent placeholder) into the cover file
+   * @param {Buffer|null} picture - Image bytes, null for the placeholder
+   * @param {number} size - Edge length in pixels
+   * @returns {Promise<boolean>} True if the file was replaced
+   */
+  function renderFile(picture, size) {
+    const tmpFile = COVER_FILE.replace(/\.png$/, '.tmp.png');
+    const args = ['-hide_banner', '-loglevel', 'error'];
+    if (picture) {
+      args.push(
+        '-f',
+        'image2pipe',
+        '-i',
+        'pipe:0',
+        '-vf',
+        `scale=${size}:${size}:force_original_aspect_ratio=decrease,pad=${size}:${size}:(ow-iw)/2:(oh-ih)/2:color=black@0,format=rgba`
+      );
+    } else {
+      args.push('-f', 'lavfi', '-i', `color=c=black@0:s=${size}x${size},format=rgba`);
+    }
+    args.push('-frames:v', '1', '-y', tmpFile);
+
+    return new Promise((resolve) => {
+      let ffmpeg;
+      try {
+        ffmpeg = spawn('ffmpeg', args, { stdio: [picture ? 'pipe' : 'ignore', 'ignore', 'pipe'] });
+      } catch (err) {
+        warn(`[cover] Failed to start FFmpeg: ${err.message}`);
+        resolve(false);
+        return;
+      }
+      let stderr = '';
+      ffmpeg.stderr.on('data', (chunk) => {
+        stderr += chunk;
+      });
+      ffmpeg.on('error', (err) => {
+        warn(`[cover] FFmpeg failed: ${err.message}`);
+      });
+      if (picture) {
+        ffmpeg.stdin.on('error', () => {});
+        ffmpeg.stdin.end(picture);
+      }
+      ffmpeg.on('close', async (code) => {
+        if (code !== 0) {
+          warn(`[cover] Rendering failed (code=${code}): ${stderr.trim()}`);
+          await fs.promises.rm(tmpFile, { force: true });
+          resolve(false);
+          return;
+        }
+        try {
+          await fs.promises.rename(tmpFile, COVER_FILE);
+          resolve(true);
+        } catch (err) {
+          warn(`[cover] Failed to replace cover file: ${err.message}`);
+          resolve(false);
+        }
+      });
+    });
+  }
+
+  /**
+   * Renders the current cover at the current size unless the file already
+   * shows it. Renders run one at a time in request order.
+   * @returns {Promise<void>}
+   */
+  function refresh() {
+    renderQueue = renderQueue.then(async () => {
+      const id = currentId;
+      const size = getSize();
+      const key = `${id}:${size}`;
+      if (key === renderedKey) {
+        return;
+      }
+      let picture = null;
+      if (id) {
+        try {
+          picture = await fetchCover(id);
+        } catch (err) {
+          warn(`[cover] Failed to fetch cover ${id}: ${err.message}`);
+        }
+        if (!picture) {
+          scheduleRetry(id);
+        }
+      }
+      if (id !== currentId) {
+        return;
+      }
+      if (await renderFile(picture, size)) {
+        /* A missing cover is fetched again on retry or the next update */
+        renderedKey = picture || !id ? key : null;
+        log(`[cover] Showing ${picture ? `cover ${id}` : 'no cover'} at ${size}px`);
+      }
+    });
+    return renderQueue;
+  }
+
+  /**
+   * Tries again later when the player has not extracted a cover yet
+   * @param {string} id - Cover id
+   */
+  function scheduleRetry(id) {
+    if (retryTimer || retries >= COVER_MAX_RETRIES) {
+      return;
+    }
+    retries += 1;
+    retryTimer = setTimeout(() => {
+      retryTimer = null;
+      if (id === currentId) {
+        refresh();
+      }
+    }, COVER_RETRY_DELAY_MS);
+    retryTimer.unref();
+  }
+
+  /**
+   * Switches to the cover of a new track
+   * @param {string|null} id - Cover id, null if the track has none
+   * @returns {Promise<void>}
+   */
+  function update(id) {
+    if (id !== currentId) {
+      currentId = id;
+      retries = 0;
+      if (retryTimer) {
+        clearTimeout(retryTimer);
+        retryTimer = null;
+      }
+    }
+    return refresh();
+  }
+
+  /**
+   * Creates the cover file so FFmpeg can open it before the first track
+   * @returns {Promise<void>}
+   */
+  async function ensureFile() {
+    await refresh();
+    log(`[cover] Created cover file: ${COVER_FILE}`);
+  }
+
+  /**
+   * Removes the cover file on shutdown
+   * @returns {Promise<void>}
+   */
+  async function cleanup() {
+    if (retryTimer) {
+      clearTimeout(retryTimer);
+      retryTimer = null;
+    }
+    await fs.promises.rm(COVER_FILE, { force: true });
+  }
+
+  /**
+   * Gets the cover file path
+   * @returns {string} Path to the cover PNG
+   */
+  function getCoverFilePath() {
+    return COVER_FILE;
+  }
+
+  return {
+    /* File management */
+    ensureFile,
+    getCoverFilePath,
+    cleanup,
+
+    /* Cover state */
+    update,
+    refresh,
+  };
+}
+
+module.exports = { createCoverArtSource };
@@ -42,6 +42,10 @@ const {
  * @param {Function} deps.getOverlayStyle - Function to get overlay style
  * @param {Function} deps.getMetadata - Function to get current metadata
  * @param {Function} deps.buildDrawtextFilter - Function to build drawtext filter
+ * @param {Function} [deps.buildLyricsFilter] - Function to build the lyrics drawtext filter (null when off)
+ * @param {Function} [deps.buildCoverOverlayFilter] - Function to build the cover art overlay filter
+ * @param {Function} [deps.getCoverFile] - Function to get the cover art PNG path
+ * @param {Function} [deps.getAudioFilter] - Function to get the master processing filter graph (null when off)
  * @param {Object} deps.diagnostics - Diagnostics instance
  * @param {Function} deps.onSpawn - Callback when FFmpeg spawns
  * @param {Function} deps.onClose - Callback when FFmpeg closes
@@ -59,6 +63,10 @@ function createFfmpegManager(deps) {
     getOverlayStyle,
     getMetadata,
     buildDrawtextFilter,
+    buildLyricsFilter = null,
+    buildCoverOverlayFilter = null,
+    getCoverFile = null,
+    getAudioFilter = null,
     diagnostics,
     onSpawn,
     onClose,
@@ -315,10 +323,16 @@ function createFfmpegManager(deps) {
   function spawn_() {
     const target = buildRtmpTarget();
     const currentStyle = getOverlayStyle();
-    const drawTextFilter = buildDrawtextFilter(currentStyle);
+    const lyricsFilter = buildLyricsFilter ? buildLyricsFilter(currentStyle) : null;
+    const drawTextFilter = [buildDrawtextFilter(currentStyle), lyricsFilter]
+      .filter(Boolean)
+      .join(',');
     const currentBackground = getBackground();
     const bgPath = resolveBackgroundPath(currentBackground);
+    const coverPath =
+      currentStyle.cover && currentStyle.cover.enabled && getCoverFile ? getCoverFile() : null;
     const metadata = getMetadata();
+    const audioFilter = getAudioFilter ? getAudioFilter() : null;
 
     log(`[ffmpeg] Background source: ${bgPath || 'solid black'}`);
     log(`[ffmpeg] Audio input (pipe:0): ${SAMPLE_RATE}Hz ${CHANNELS}ch s16le`);
@@ -348,18 +362,38 @@ function createFfmpegManager(deps) {
     /* Audio input */
     args.push('-f', 's16le', '-ar', String(SAMPLE_RATE), '-ac', String(CHANNELS), '-i', 'pipe:0');
 
+    /* Cover art input; image2 re-reads the file, so cover changes need no restart */
+    if (coverPath) {
+      log(`[ffmpeg] Cover art input: ${coverPath}`);
+      args.push('-f', 'image2', '-loop', '1', '-framerate', '2', '-i', coverPath);
+    }
+
     /* Filter chain */
-    let filterChain = '';
+    let baseChain = '';
     if (bgPath) {
-      filterChain = `scale=w=iw*max(${VIDEO_WIDTH}/iw\\,${VIDEO_HEIGHT}/ih):h=ih*max(${VIDEO_WIDTH}/iw\\,${VIDEO_HEIGHT}/ih),crop=${VIDEO_WIDTH}:${VIDEO_HEIGHT},fps=${VIDEO_FPS},format=yuv420p,${drawTextFilter}`;
+      baseChain = `scale=w=iw*max(${VIDEO_WIDTH}/iw\\,${VIDEO_HEIGHT}/ih):h=ih*max(${VIDEO_WIDTH}/iw\\,${VIDEO_HEIGHT}/ih),crop=${VIDEO_WIDTH}:${VIDEO_HEIGHT},fps=${VIDEO_FPS},format=yuv420p`;
+    } else {
+      baseChain = 'format=yuv420p';
+    }
+    let videoMap = '0:v:0';
+    if (coverPath) {
+      args.push(
+        '-filter_complex',
+        `[0:v]${baseChain}[bg];[2:v]format=rgba[cover];[bg][cover]${buildCoverOverlayFilter(currentStyle)},format=yuv420p,${drawTextFilter}[vout]`
+      );
+      videoMap = '[vout]';
     } else {
-      filterChain = `format=yuv420p,${drawTextFilter}`;
+      args.push('-vf', `${baseChain},${drawTextFilter}`);
+    }
+
+    /* Master audio processing (EQ, compressor, limiter) */
+    if (audioFilter) {
+      log(`[ffmpeg] Audio processing: ${audioFilter}`);
+      args.push('-af', audioFilter);
     }
 
     /* Encoding */
     args.push(
-      '-vf',
-      filterChain,
       '-c:v',
       'libx264',
       '-preset',
@@ -379,7 +413,7 @@ function createFfmpegManager(deps) {
       '-b:a',
       '128k',
       '-map',
-      '0:v:0',
+      videoMap,
       '-map',
       '1:a:0',
       '-metadata',
@@ -4,7 +4,8 @@
  * HTTP Routes Module
  *
  * Defines all HTTP API endpoints for the server including
- * metadata, background, overlay style, status, and diagnostics.
+ * metadata, background, overlay style, talk-over, audio processing, status,
+ * and diagnostics.
  *
  * @module server/http-routes
  */
@@ -14,9 +15,15 @@ const {
   MAX_METADATA_ARTIST_LENGTH,
   MAX_METADATA_ALBUM_LENGTH,
   MAX_METADATA_COMMENT_LENGTH,
+  COVER_ID_PATTERN,
   MAX_UPLOAD_SIZE,
 } = require('./constants');
 const multer = require('multer');
+const {
+  buildAudioFilter,
+  listPresetNames,
+  AUDIO_PROCESSING_PRESETS,
+} = require('./audio-processing');
 
 /**
  * Validates that a value is a string within max length
@@ -45,6 +52,9 @@ function validateString(value, maxLength, fieldName) {
  * @param {Object} deps.backgroundManager - Background manager instance
  * @param {Object} deps.ffmpegManager - FFmpeg manager instance
  * @param {Object} deps.tcpServer - TCP server instance
+ * @param {Object} deps.voiceServer - Voice TCP server instance (talk-over input)
+ * @param {Object} deps.talkoverMixer - Talk-over mixer instance
+ * @param {Object} deps.audioProcessing - Audio processing settings store
  * @param {Object} deps.silenceGenerator - Silence generator instance
  * @param {Object} deps.overlayStyleStore - Overlay style store functions
  * @param {Object} deps.diagnostics - Diagnostics instance
@@ -61,6 +71,9 @@ function createHttpRoutes(deps) {
     backgroundManager,
     ffmpegManager,
     tcpServer,
+    voiceServer,
+    talkoverMixer,
+    audioProcessing,
     silenceGenerator,
     overlayStyleStore,
     diagnostics,
@@ -109,6 +122,14 @@ function createHttpRoutes(deps) {
       if (body.filename !== undefined) {
         validateString(body.filename, 255, 'filename');
       }
+      /* Cover id from the player's library, or null when the track has none */
+      if (
+        body.cover !== undefined &&
+        body.cover !== null &&
+        (typeof body.cover !== 'string' || !COVER_ID_PATTERN.test(body.cover))
+      ) {
+        throw new Error('cover must be a cover id or null');
+      }
 
       log('Metadata received:', body);
 
@@ -276,6 +297,26 @@ function createHttpRoutes(deps) {
     }
   });
 
+  /*
+   * PUT /overlay/lyrics - Turn the synced lyrics line on or off
+   */
+  app.put('/overlay/lyrics', (req, res) => {
+    const enabled = req.body ? req.body.enabled : undefined;
+    if (typeof enabled !== 'boolean') {
+      return res.status(400).json({ error: 'enabled must be a boolean' });
+    }
+    try {
+      const snapshot = overlayStyleStore.setOverlayStyle(
+        { lyrics: { enabled } },
+        { actor: `api:${req.ip || 'unknown'}` }
+      );
+      res.json(buildOverlayStyleResponse(snapshot));
+    } catch (err) {
+      warn('Lyrics toggle failed:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
   /*
    * POST /overlay/style/reset - Reset overlay style to defaults
    */
@@ -289,6 +330,112 @@ function createHttpRoutes(deps) {
     }
   });
 
+  /**
+   * Builds talk-over response with settings and live state
+   * @returns {Object} Response object
+   */
+  function buildTalkoverResponse() {
+    return {
+      voiceConnected: Boolean(voiceServer.getProducer()),
+      ...talkoverMixer.getStatus(),
+      settings: talkoverMixer.getSettings(),
+    };
+  }
+
+  /*
+   * GET /talkover - Get talk-over settings and voice input state
+   */
+  app.get('/talkover', (_req, res) => {
+    res.json(buildTalkoverResponse());
+  });
+
+  /*
+   * PUT /talkover - Update talk-over settings (partial updates allowed)
+   */
+  app.put('/talkover', (req, res) => {
+    try {
+      talkoverMixer.updateSettings(req.body);
+      res.json(buildTalkoverResponse());
+    } catch (err) {
+      warn('Talk-over update failed:', err.message);
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  /**
+   * Builds audio processing response with version info and the filter in use
+   * @param {Object} [snapshot] - Optional settings snapshot
+   * @returns {Object} Response object
+   */
+  function buildAudioProcessingResponse(snapshot) {
+    const snap = snapshot || audioProcessing.getSnapshot();
+    return {
+      version: snap.version,
+      updatedAt: snap.updatedAt,
+      values: snap.values,
+      presets: listPresetNames(),
+      filter: buildAudioFilter(snap.values),
+    };
+  }
+
+  /*
+   * GET /audio/processing - Get master processing settings
+   */
+  app.get('/audio/processing', (_req, res) => {
+    res.json(buildAudioProcessingResponse());
+  });
+
+  /*
+   * PUT /audio/processing - Update master processing settings (partial updates allowed)
+   */
+  app.put('/audio/processing', (req, res) => {
+    const body = req.body || {};
+    const payload = { ...(body.values && typeof body.values === 'object' ? body.values : body) };
+    delete payload.version;
+    delete payload.values;
+    const version = typeof body.version === 'number' ? body.version : undefined;
+
+    const currentSnapshot = audioProcessing.getSnapshot();
+    if (version !== undefined && version !== currentSnapshot.version) {
+      return res.status(409).json({
+        error: 'Audio processing version mismatch',
+        currentVersion: currentSnapshot.version,
+      });
+    }
+
+    try {
+      res.json(buildAudioProcessingResponse(audioProcessing.update(payload)));
+    } catch (err) {
+      warn('Audio processing update failed:', err.message);
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  /*
+   * GET /audio/processing/presets - List presets with their settings
+   */
+  app.get('/audio/processing/presets', (_req, res) => {
+    res.json(AUDIO_PROCESSING_PRESETS);
+  });
+
+  /*
+   * POST /audio/processing/presets/:name - Replace the settings with a preset
+   */
+  app.post('/audio/processing/presets/:name', (req, res) => {
+    const snapshot = audioProcessing.applyPreset(req.params.name);
+    if (!snapshot) {
+      return res.status(404).json({ error: 'Preset not found' });
+    }
+    res.json(buildAudioProcessingResponse(snapshot));
+  });
+
+  /*
+   * POST /audio/processing/reset - Restore the defaults (processing off)
+   */
+  app.post('/audio/processing/reset', (_req, res) => {
+    res.json(buildAudioProcessingResponse(audioProcessing.reset()));
+  });
+
   /*
    * GET /health - Health check endpoint
    */
@@ -321,10 +468,12 @@ function createHttpRoutes(deps) {
 
     res.json({
       tcpPort: config.tcpPort,
+      voiceTcpPort: config.voiceTcpPort,
       httpPort: config.httpPort,
       playerApiPort: config.playerApiPort,
       rtmpUrl: config.rtmpUrl,
       streamKeyPresent: Boolean(config.streamKey),
+      voiceConnected: Boolean(voiceServer.getProducer()),
       connected: status.connected,
       bitrateKbps: status.bitrateKbps,
       ffmpegRestarts: status.ffmpegRestarts,
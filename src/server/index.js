@@ -10,18 +10,26 @@
 
 const constants = require('./constants');
 const { createOverlayRenderer } = require('./overlay-renderer');
+const { createCoverArtSource } = require('./cover-art');
+const { createLyricsSource } = require('./lyrics-source');
 const { createBackgroundManager } = require('./background-manager');
 const { createSilenceGenerator } = require('./silence-generator');
 const { createTcpServer } = require('./tcp-server');
+const { createTalkoverMixer } = require('./talkover-mixer');
+const { createAudioProcessing } = require('./audio-processing');
 const { createFfmpegManager } = require('./ffmpeg-manager');
 const { createHttpRoutes } = require('./http-routes');
 
 module.exports = {
   constants,
   createOverlayRenderer,
+  createCoverArtSource,
+  createLyricsSource,
   createBackgroundManager,
   createSilenceGenerator,
   createTcpServer,
+  createTalkoverMixer,
+  createAudioProcessing,
   createFfmpegManager,
   createHttpRoutes,
 };
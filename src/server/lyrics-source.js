@@ -0,0 +1,125 @@
+'use strict';
+
+/**
+ * Lyrics Source Module
+ *
+ * Fetches the synced lyrics of the track on air from the player API when the
+ * track changes, and picks the line to show for the playback position the
+ * server polls.
+ *
+ * @module server/lyrics-source
+ */
+
+const { getApiKey } = require('../lib/utils/auth');
+
+/**
+ * Longest lyric line drawn; drawtext does not wrap
+ */
+const MAX_LYRIC_LENGTH = 120;
+
+/**
+ * Creates a lyrics source instance
+ * @param {Object} deps - Dependencies
+ * @param {Function} deps.log - Logger function
+ * @param {Function} deps.warn - Warning logger function
+ * @param {number} deps.playerApiPort - Port of the player HTTP API
+ * @returns {Object} Lyrics source API
+ */
+function createLyricsSource(deps) {
+  const { log, warn, playerApiPort } = deps;
+
+  /** @type {Array<{time: number, text: string}>} */
+  let lines = [];
+  let currentFilename = null;
+  let requestId = 0;
+
+  /**
+   * Cleans a line for drawtext: one line, no control characters, bounded length
+   * @param {string} text - Raw lyric text
+   * @returns {string} Drawable text
+   */
+  function sanitizeLine(text) {
+    const clean = [...String(text || '')]
+      .map((c) => (c.charCodeAt(0) < 0x20 || c.charCodeAt(0) === 0x7f ? ' ' : c))
+      .join('')
+      .replace(/\s+/g, ' ')
+      .trim();
+    return clean.length > MAX_LYRIC_LENGTH ? `${clean.slice(0, MAX_LYRIC_LENGTH - 1)}…` : clean;
+  }
+
+  /**
+   * Loads the lyrics of the track on air. Lyrics the player reports for a
+   * different file (the track changed again meanwhile) are ignored.
+   * @param {string|null} filename - File name of the new track
+   * @returns {Promise<void>}
+   */
+  async function update(filename) {
+    const id = ++requestId;
+    currentFilename = filename || null;
+    lines = [];
+    if (!currentFilename) {
+      return;
+    }
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), 5000);
+    const apiKey = getApiKey();
+    try {
+      const response = await fetch(`http://127.0.0.1:${playerApiPort}/lyrics/current`, {
+        headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+        signal: controller.signal,
+      });
+      if (!response.ok) {
+        return;
+      }
+      const data = await response.json();
+      if (id !== requestId || data.filename !== currentFilename || !Array.isArray(data.lines)) {
+        return;
+      }
+      lines = data.lines
+        .filter((line) => line && Number.isFinite(line.time))
+        .map((line) => ({ time: line.time, text: sanitizeLine(line.text) }));
+      if (lines.length > 0) {
+        log(`[lyrics] Loaded ${lines.length} lines (${data.source}) for ${currentFilename}`);
+      }
+    } catch (err) {
+      warn(`[lyrics] Failed to fetch lyrics: ${err.message}`);
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+
+  /**
+   * Returns the line to show at a playback position
+   * @param {number} positionSeconds - Playback position
+   * @returns {string} Lyric line, empty before the first line or without lyrics
+   */
+  function getLine(positionSeconds) {
+    let current = '';
+    for (const line of lines) {
+      if (line.time > positionSeconds) {
+        break;
+      }
+      current = line.text;
+    }
+    return current;
+  }
+
+  /**
+   * Checks whether the track on air has lyrics
+   * @returns {boolean} True if lines are loaded
+   */
+  function hasLyrics() {
+    return lines.length > 0;
+  }
+
+  return {
+    /* Track changes */
+    update,
+
+    /* Lookup */
+    getLine,
+    hasLyrics,
+  };
+}
+
+module.exports = { createLyricsSource };
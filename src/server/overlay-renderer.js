@@ -5,6 +5,7 @@
  *
  * Handles text overlay generation for FFmpeg drawtext filter.
  * Manages overlay file writes, position updates, and style-to-filter conversion.
+ * The current lyric line is drawn by a second drawtext reading its own file.
  *
  * @module server/overlay-renderer
  */
@@ -29,12 +30,15 @@ function createOverlayRenderer(deps) {
 
   /* Temporary file for overlay text */
   const OVERLAY_FILE = path.join(os.tmpdir(), `streamdj-overlay-${process.pid}.txt`);
+  const LYRICS_FILE = path.join(os.tmpdir(), `streamdj-overlay-${process.pid}-lyrics.txt`);
 
   /* State for write queue and deduplication */
   let overlayWriteQueue = Promise.resolve();
   let lastOverlaySignature = null;
   let lastOverlayWriteError = null;
   let lastOverlayWriteErrorTime = 0;
+  let lyricsWriteQueue = Promise.resolve();
+  let lastLyricsPayload = null;
 
   /**
    * Escapes a file path for use in FFmpeg filter strings
@@ -79,9 +83,11 @@ function createOverlayRenderer(deps) {
   /**
    * Computes X position expression for FFmpeg drawtext filter
    * @param {Object} layout - Layout configuration
+   * @param {string} [frameW='w'] - Variable holding the video width
+   * @param {string} [itemW='text_w'] - Variable holding the width of what is placed
    * @returns {string} FFmpeg expression for X position
    */
-  function computeOverlayX(layout) {
+  function computeOverlayX(layout, frameW = 'w', itemW = 'text_w') {
     const horizontal = (layout.horizontal || 'center').toLowerCase();
     const offset = Math.round(layout.offsetX || 0);
     if (horizontal === 'left') {
@@ -89,19 +95,21 @@ function createOverlayRenderer(deps) {
     }
     if (horizontal === 'right') {
       if (!offset) {
-        return 'w-text_w';
+        return `${frameW}-${itemW}`;
       }
-      return offset > 0 ? `w-text_w-${offset}` : `w-text_w+${Math.abs(offset)}`;
+      return offset > 0 ? `${frameW}-${itemW}-${offset}` : `${frameW}-${itemW}+${Math.abs(offset)}`;
     }
-    return `(w-text_w)/2${formatSigned(offset)}`;
+    return `(${frameW}-${itemW})/2${formatSigned(offset)}`;
   }
 
   /**
    * Computes Y position expression for FFmpeg drawtext filter
    * @param {Object} layout - Layout configuration
+   * @param {string} [frameH='h'] - Variable holding the video height
+   * @param {string} [itemH='text_h'] - Variable holding the height of what is placed
    * @returns {string} FFmpeg expression for Y position
    */
-  function computeOverlayY(layout) {
+  function computeOverlayY(layout, frameH = 'h', itemH = 'text_h') {
     const vertical = (layout.vertical || 'center').toLowerCase();
     const offset = Math.round(layout.offsetY || 0);
     if (vertical === 'top') {
@@ -109,11 +117,11 @@ function createOverlayRenderer(deps) {
     }
     if (vertical === 'bottom') {
       if (!offset) {
-        return 'h-text_h';
+        return `${frameH}-${itemH}`;
       }
-      return offset > 0 ? `h-text_h-${offset}` : `h-text_h+${Math.abs(offset)}`;
+      return offset > 0 ? `${frameH}-${itemH}-${offset}` : `${frameH}-${itemH}+${Math.abs(offset)}`;
     }
-    return `(h-text_h)/2${formatSigned(offset)}`;
+    return `(${frameH}-${itemH})/2${formatSigned(offset)}`;
   }
 
   /**
@@ -202,13 +210,48 @@ function createOverlayRenderer(deps) {
     return parts.join(':');
   }
 
+  /**
+   * Builds the FFmpeg drawtext filter for the current lyric line
+   * @param {Object} style - Overlay style configuration
+   * @returns {string|null} FFmpeg drawtext filter string, or null if lyrics are off
+   */
+  function buildLyricsDrawtextFilter(style) {
+    const lyrics = style.lyrics || {};
+    if (!lyrics.enabled) {
+      return null;
+    }
+    return [
+      `drawtext=fontfile=${ffmpegFilterPath(FONT_PATH_DEFAULT)}`,
+      `textfile=${ffmpegFilterPath(LYRICS_FILE)}`,
+      'reload=1',
+      `fontcolor=${formatFfmpegColor(lyrics.color, lyrics.opacity)}`,
+      `fontsize=${Math.round(lyrics.size ?? OVERLAY_FONT_SIZE)}`,
+      `box=${lyrics.box === false ? 0 : 1}`,
+      `boxcolor=${formatFfmpegColor(lyrics.boxColor, lyrics.boxOpacity)}`,
+      'boxborderw=12',
+      `x=${computeOverlayX(lyrics)}`,
+      `y=${computeOverlayY(lyrics)}`,
+    ].join(':');
+  }
+
+  /**
+   * Builds the FFmpeg overlay filter that places the cover art picture
+   * @param {Object} style - Overlay style configuration
+   * @returns {string} FFmpeg overlay filter string
+   */
+  function buildCoverOverlayFilter(style) {
+    const cover = style.cover || {};
+    return `overlay=x=${computeOverlayX(cover, 'W', 'w')}:y=${computeOverlayY(cover, 'H', 'h')}`;
+  }
+
   /**
    * Writes overlay content in-place (atomic update)
    * @param {string} payload - Text content to write
+   * @param {string} [filePath=OVERLAY_FILE] - File drawtext reads
    * @returns {Promise<void>}
    */
-  async function writeOverlayInPlace(payload) {
-    const fh = await fs.promises.open(OVERLAY_FILE, 'r+');
+  async function writeOverlayInPlace(payload, filePath = OVERLAY_FILE) {
+    const fh = await fs.promises.open(filePath, 'r+');
     try {
       const prevStat = await fh.stat();
       const buf = Buffer.from(payload, 'utf8');
@@ -239,6 +282,29 @@ function createOverlayRenderer(deps) {
     await fs.promises.writeFile(OVERLAY_FILE, initialContent, 'utf8');
     lastOverlaySignature = initialContent;
     log(`[overlay] Created overlay file: ${OVERLAY_FILE}`);
+    /* drawtext rejects an empty text file, so "no lyric" is a single space */
+    await fs.promises.writeFile(LYRICS_FILE, ' ', 'utf8');
+    lastLyricsPayload = ' ';
+  }
+
+  /**
+   * Queues an update of the lyric line file
+   * @param {string} line - Lyric line, empty to show nothing
+   * @returns {Promise} Write queue promise
+   */
+  function syncLyricsFile(line) {
+    const nextPayload = escapeDrawtextText(line) || ' ';
+    if (nextPayload === lastLyricsPayload) {
+      return lyricsWriteQueue;
+    }
+    lastLyricsPayload = nextPayload;
+    lyricsWriteQueue = lyricsWriteQueue
+      .then(() => writeOverlayInPlace(nextPayload, LYRICS_FILE))
+      .catch((err) => {
+        lastLyricsPayload = null;
+        warn(`[overlay] Lyrics write failed: ${err.message} (code: ${err.code})`);
+      });
+    return lyricsWriteQueue;
   }
 
   /**
@@ -310,6 +376,7 @@ function createOverlayRenderer(deps) {
     } catch {
       /* File may not exist, ignore */
     }
+    await fs.promises.rm(LYRICS_FILE, { force: true }).catch(() => {});
   }
 
   /**
@@ -329,10 +396,13 @@ function createOverlayRenderer(deps) {
     /* Text building */
     buildOverlayLines,
     buildDrawtextFilter,
+    buildLyricsDrawtextFilter,
+    buildCoverOverlayFilter,
 
     /* File writing */
     syncOverlayFile,
     syncOverlayFileImmediate,
+    syncLyricsFile,
 
     /* Utilities */
     ffmpegFilterPath,
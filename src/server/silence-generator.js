@@ -23,10 +23,11 @@ const {
  * @param {Function} deps.getFfmpegStdin - Function to get FFmpeg stdin stream
  * @param {Function} deps.isFfmpegWritable - Function to check if FFmpeg is writable
  * @param {Function} deps.setFfmpegWritable - Function to update FFmpeg writable state
+ * @param {Function} [deps.mixChunk] - Transforms each silence chunk before writing (e.g. talk-over)
  * @returns {Object} Silence generator API
  */
 function createSilenceGenerator(deps) {
-  const { log, warn, getFfmpegStdin, isFfmpegWritable, setFfmpegWritable } = deps;
+  const { log, warn, getFfmpegStdin, isFfmpegWritable, setFfmpegWritable, mixChunk } = deps;
 
   /* State */
   let silenceInterval = null;
@@ -55,7 +56,7 @@ function createSilenceGenerator(deps) {
     }
 
     try {
-      const ok = stdin.write(SILENCE_CHUNK);
+      const ok = stdin.write(mixChunk ? mixChunk(SILENCE_CHUNK) : SILENCE_CHUNK);
       if (!ok) {
         setFfmpegWritable(false);
         silenceBackpressure = true;
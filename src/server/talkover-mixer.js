@@ -0,0 +1,333 @@
+'use strict';
+
+/**
+ * Talk-over Mixer Module
+ *
+ * Mixes PCM from the voice input (a second TCP producer) over the music
+ * headed for FFmpeg. While the voice level is above a threshold the music
+ * is ducked by a configurable amount, following attack and release times.
+ * Settings are persisted so they survive restarts.
+ *
+ * @module server/talkover-mixer
+ */
+
+const fs = require('fs');
+const { writeJsonAtomicSync } = require('../lib/utils/json-file');
+const {
+  SAMPLE_RATE,
+  CHANNELS,
+  BYTES_PER_SAMPLE,
+  BYTES_PER_SECOND,
+  TALKOVER_MAX_BUFFER_MS,
+  TALKOVER_HOLD_MS,
+} = require('./constants');
+
+const BYTES_PER_FRAME = CHANNELS * BYTES_PER_SAMPLE;
+
+/**
+ * Voice presence is measured over blocks of this many frames (10 ms)
+ */
+const DETECT_BLOCK_FRAMES = Math.round(SAMPLE_RATE / 100);
+
+const EMPTY = Buffer.alloc(0);
+
+/**
+ * Allowed range of each setting
+ */
+const TALKOVER_LIMITS = {
+  duckDb: [0, 40],
+  attackMs: [1, 2000],
+  releaseMs: [10, 10000],
+  voiceGainDb: [-40, 12],
+  thresholdDb: [-80, 0],
+};
+
+const DEFAULT_TALKOVER_SETTINGS = Object.freeze({
+  duckDb: 12,
+  attackMs: 50,
+  releaseMs: 600,
+  voiceGainDb: 0,
+  thresholdDb: -45,
+});
+
+/**
+ * @typedef {Object} TalkoverSettings
+ * @property {number} duckDb - How far the music is lowered while voice is present
+ * @property {number} attackMs - Time constant of the duck
+ * @property {number} releaseMs - Time constant of the return to full level
+ * @property {number} voiceGainDb - Gain applied to the voice input
+ * @property {number} thresholdDb - Voice level (dBFS RMS) counted as presence
+ */
+
+/**
+ * Validates a partial settings update and merges it into the current values
+ * @param {any} patch - Fields to change
+ * @param {TalkoverSettings} current - Current settings
+ * @returns {TalkoverSettings} Merged settings
+ * @throws {Error} If a field is unknown or out of range
+ */
+function normalizeTalkoverSettings(patch, current) {
+  if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+    throw new Error('Talk-over settings must be an object');
+  }
+  const merged = { ...current };
+  for (const [key, value] of Object.entries(patch)) {
+    const limits = TALKOVER_LIMITS[key];
+    if (!limits) {
+      throw new Error(`Unknown talk-over setting: ${key}`);
+    }
+    const [min, max] = limits;
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+      throw new Error(`${key} must be a number between ${min} and ${max}`);
+    }
+    merged[key] = value;
+  }
+  return merged;
+}
+
+/**
+ * Converts decibels to a linear gain factor
+ * @param {number} db - Gain in dB
+ * @returns {number} Linear gain
+ */
+function dbToGain(db) {
+  return Math.pow(10, db / 20);
+}
+
+/**
+ * Returns the per-frame smoothing coefficient for a time constant
+ * @param {number} ms - Time constant in milliseconds
+ * @returns {number} Coefficient between 0 and 1
+ */
+function smoothingCoefficient(ms) {
+  return Math.exp(-1000 / (ms * SAMPLE_RATE));
+}
+
+/**
+ * Creates a talk-over mixer instance
+ * @param {Object} deps - Dependencies
+ * @param {Function} deps.log - Logger function
+ * @param {Function} deps.warn - Warning logger function
+ * @param {string|null} [deps.persistenceFile] - Path of the settings JSON (null keeps them in memory)
+ * @returns {Object} Talk-over mixer API
+ */
+function createTalkoverMixer(deps) {
+  const { log, warn, persistenceFile = null } = deps;
+
+  const maxBufferBytes =
+    Math.floor((BYTES_PER_SECOND * TALKOVER_MAX_BUFFER_MS) / 1000 / BYTES_PER_FRAME) *
+    BYTES_PER_FRAME;
+  const holdFrames = Math.round((SAMPLE_RATE * TALKOVER_HOLD_MS) / 1000);
+
+  /* State */
+  let settings = loadSettings();
+  let voiceBuffer = EMPTY;
+  /** Trailing bytes of an incomplete music frame, carried into the next chunk */
+  let musicRemainder = EMPTY;
+  /** Current music gain (linear), moving towards 1 or the duck level */
+  let envelope = 1;
+  /** Frames left before the duck is released after voice went quiet */
+  let holdRemaining = 0;
+
+  /* Derived from settings */
+  let duckGain = 1;
+  let voiceGain = 1;
+  let thresholdRms = 0;
+  let attackCoefficient = 0;
+  let releaseCoefficient = 0;
+  applySettings();
+
+  /**
+   * Loads persisted settings, falling back to defaults
+   * @returns {TalkoverSettings} Settings
+   */
+  function loadSettings() {
+    if (!persistenceFile) {
+      return { ...DEFAULT_TALKOVER_SETTINGS };
+    }
+    try {
+      if (fs.existsSync(persistenceFile)) {
+        const data = JSON.parse(fs.readFileSync(persistenceFile, 'utf8'));
+        return normalizeTalkoverSettings(data.settings, DEFAULT_TALKOVER_SETTINGS);
+      }
+    } catch (err) {
+      warn(`Failed to load talk-over settings: ${err.message}`);
+    }
+    return { ...DEFAULT_TALKOVER_SETTINGS };
+  }
+
+  /**
+   * Persists settings to disk. A failed write only costs the change on the
+   * next restart, so it is reported as a warning and mixing goes on.
+   * @returns {void}
+   */
+  function saveSettings() {
+    if (!persistenceFile) {
+      return;
+    }
+    try {
+      writeJsonAtomicSync(persistenceFile, { settings, updatedAt: new Date().toISOString() });
+    } catch (err) {
+      warn(`Failed to save talk-over settings: ${err.message}`);
+    }
+  }
+
+  /**
+   * Recomputes the gains and coefficients used per frame
+   * @returns {void}
+   */
+  function applySettings() {
+    duckGain = dbToGain(-settings.duckDb);
+    voiceGain = dbToGain(settings.voiceGainDb);
+    thresholdRms = 32768 * dbToGain(settings.thresholdDb);
+    attackCoefficient = smoothingCoefficient(settings.attackMs);
+    releaseCoefficient = smoothingCoefficient(settings.releaseMs);
+  }
+
+  /**
+   * Queues audio from the voice input. When the music side stops consuming
+   * it, the oldest audio is dropped to keep the talk-over delay bounded.
+   * @param {Buffer} chunk - Raw PCM bytes
+   * @returns {void}
+   */
+  function pushVoice(chunk) {
+    if (!chunk || chunk.length === 0) {
+      return;
+    }
+    voiceBuffer = voiceBuffer.length > 0 ? Buffer.concat([voiceBuffer, chunk]) : chunk;
+    if (voiceBuffer.length > maxBufferBytes) {
+      const excess = voiceBuffer.length - maxBufferBytes;
+      voiceBuffer = voiceBuffer.subarray(Math.ceil(excess / BYTES_PER_FRAME) * BYTES_PER_FRAME);
+    }
+  }
+
+  /**
+   * Drops queued voice audio, e.g. when the voice producer disconnects
+   * @returns {void}
+   */
+  function resetVoice() {
+    voiceBuffer = EMPTY;
+  }
+
+  /**
+   * Mixes queued voice into a chunk of music, ducking the music while voice
+   * is present. Output is frame-aligned; a split frame is completed by the
+   * next chunk, so the byte stream reaching FFmpeg is unchanged in length.
+   * @param {Buffer} chunk - Raw PCM bytes headed for FFmpeg
+   * @returns {Buffer} Mixed PCM (may be empty)
+   */
+  function mix(chunk) {
+    let input = musicRemainder.length > 0 ? Buffer.concat([musicRemainder, chunk]) : chunk;
+    const aligned = input.length - (input.length % BYTES_PER_FRAME);
+    musicRemainder = aligned < input.length ? Buffer.from(input.subarray(aligned)) : EMPTY;
+    input = input.subarray(0, aligned);
+
+    if (voiceBuffer.length === 0 && envelope === 1 && holdRemaining === 0) {
+      return input;
+    }
+
+    const frames = aligned / BYTES_PER_FRAME;
+    const voiceBytes = Math.min(
+      voiceBuffer.length - (voiceBuffer.length % BYTES_PER_FRAME),
+      aligned
+    );
+    const voice = voiceBuffer.subarray(0, voiceBytes);
+    voiceBuffer = voiceBytes < voiceBuffer.length ? voiceBuffer.subarray(voiceBytes) : EMPTY;
+
+    const output = Buffer.alloc(aligned);
+    for (let blockStart = 0; blockStart < frames; blockStart += DETECT_BLOCK_FRAMES) {
+      const blockEnd = Math.min(blockStart + DETECT_BLOCK_FRAMES, frames);
+      const blockStartByte = blockStart * BYTES_PER_FRAME;
+      const blockEndByte = blockEnd * BYTES_PER_FRAME;
+
+      let sumSquares = 0;
+      for (let position = blockStartByte; position < blockEndByte; position += BYTES_PER_SAMPLE) {
+        const sample = position < voice.length ? voice.readInt16LE(position) * voiceGain : 0;
+        sumSquares += sample * sample;
+      }
+      const rms = Math.sqrt(sumSquares / ((blockEnd - blockStart) * CHANNELS));
+      const blockFrames = blockEnd - blockStart;
+      if (rms >= thresholdRms && settings.duckDb > 0) {
+        holdRemaining = holdFrames + blockFrames;
+      }
+
+      for (let frame = blockStart; frame < blockEnd; frame += 1) {
+        const target = holdRemaining > 0 ? duckGain : 1;
+        if (holdRemaining > 0) {
+          holdRemaining -= 1;
+        }
+        const coefficient = target < envelope ? attackCoefficient : releaseCoefficient;
+        envelope = target + (envelope - target) * coefficient;
+        if (Math.abs(envelope - target) < 1e-4) {
+          envelope = target;
+        }
+        const offset = frame * BYTES_PER_FRAME;
+        for (let sample = 0; sample < BYTES_PER_FRAME; sample += BYTES_PER_SAMPLE) {
+          const position = offset + sample;
+          const music = input.readInt16LE(position) * envelope;
+          const talk = position < voice.length ? voice.readInt16LE(position) * voiceGain : 0;
+          const mixed = Math.round(music + talk);
+          output.writeInt16LE(Math.max(-32768, Math.min(32767, mixed)), position);
+        }
+      }
+    }
+    return output;
+  }
+
+  /**
+   * Returns the current settings
+   * @returns {TalkoverSettings} Settings
+   */
+  function getSettings() {
+    return { ...settings };
+  }
+
+  /**
+   * Applies a partial settings update and persists it
+   * @param {Object} patch - Fields to change
+   * @returns {TalkoverSettings} Updated settings
+   * @throws {Error} If the update is invalid
+   */
+  function updateSettings(patch) {
+    settings = normalizeTalkoverSettings(patch, settings);
+    applySettings();
+    saveSettings();
+    log(
+      `Talk-over settings updated: duck ${settings.duckDb} dB, attack ${settings.attackMs} ms, release ${settings.releaseMs} ms, voice ${settings.voiceGainDb} dB`
+    );
+    return getSettings();
+  }
+
+  /**
+   * Describes the mixer state
+   * @returns {{voiceActive: boolean, musicGainDb: number, bufferedMs: number}} Status
+   */
+  function getStatus() {
+    return {
+      voiceActive: holdRemaining > 0,
+      musicGainDb: Math.round(20 * Math.log10(envelope) * 10) / 10,
+      bufferedMs: Math.round((voiceBuffer.length / BYTES_PER_SECOND) * 1000),
+    };
+  }
+
+  return {
+    /* Audio */
+    pushVoice,
+    resetVoice,
+    mix,
+
+    /* Settings */
+    getSettings,
+    updateSettings,
+
+    /* State */
+    getStatus,
+  };
+}
+
+module.exports = {
+  createTalkoverMixer,
+  normalizeTalkoverSettings,
+  DEFAULT_TALKOVER_SETTINGS,
+  TALKOVER_LIMITS,
+};
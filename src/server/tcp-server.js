@@ -16,6 +16,7 @@ const { INGEST_LOG_INTERVAL_MS, INGEST_IDLE_WARN_MS } = require('./constants');
  * Creates a TCP server instance for audio ingestion
  * @param {Object} deps - Dependencies
  * @param {number} deps.port - TCP port to listen on
+ * @param {string} [deps.label='ingest'] - Name of the input, used as the log prefix
  * @param {Function} deps.log - Logger function
  * @param {Function} deps.warn - Warning logger function
  * @param {Function} deps.error - Error logger function
@@ -25,7 +26,17 @@ const { INGEST_LOG_INTERVAL_MS, INGEST_IDLE_WARN_MS } = require('./constants');
  * @returns {Object} TCP server API
  */
 function createTcpServer(deps) {
-  const { port, log, warn, error, onData, onProducerConnect, onProducerDisconnect } = deps;
+  const {
+    port,
+    label = 'ingest',
+    log,
+    warn,
+    error,
+    onData,
+    onProducerConnect,
+    onProducerDisconnect,
+  } = deps;
+  const prefix = `[${label}]`;
 
   /* State */
   let server = null;
@@ -84,7 +95,7 @@ function createTcpServer(deps) {
     const intervalDuration = now - ingestStats.lastLog;
     const kbps = computeKbps(ingestStats.bytesSinceLog, intervalDuration);
     log(
-      `[ingest] ${reason} ${formatBytes(ingestStats.bytesSinceLog)} in ${(intervalDuration / 1000).toFixed(2)}s (${kbps.toFixed(1)} kbps) | total ${formatBytes(ingestStats.bytesTotal)} across ${ingestStats.chunksTotal} chunks`
+      `${prefix} ${reason} ${formatBytes(ingestStats.bytesSinceLog)} in ${(intervalDuration / 1000).toFixed(2)}s (${kbps.toFixed(1)} kbps) | total ${formatBytes(ingestStats.bytesTotal)} across ${ingestStats.chunksTotal} chunks`
     );
     ingestStats.bytesSinceLog = 0;
     ingestStats.lastLog = now;
@@ -98,7 +109,7 @@ function createTcpServer(deps) {
       clearTimeout(ingestIdleTimer);
     }
     ingestIdleTimer = setTimeout(() => {
-      warn('[ingest] No audio data received from producer within expected window');
+      warn(`${prefix} No audio data received from producer within expected window`);
       ingestIdleTimer = null;
     }, INGEST_IDLE_WARN_MS);
   }
@@ -141,13 +152,13 @@ function createTcpServer(deps) {
 
   /**
    * Logs producer session summary
-   * @param {string} label - Log label
+   * @param {string} heading - Log heading
    */
-  function logProducerSessionSummary(label) {
+  function logProducerSessionSummary(heading) {
     const durationMs = Date.now() - ingestStats.start;
     const avgKbps = computeKbps(ingestStats.bytesTotal, durationMs);
     log(
-      `[ingest] ${label} ${formatBytes(ingestStats.bytesTotal)} over ${(durationMs / 1000).toFixed(2)}s (${avgKbps.toFixed(1)} kbps avg) across ${ingestStats.chunksTotal} chunks`
+      `${prefix} ${heading} ${formatBytes(ingestStats.bytesTotal)} over ${(durationMs / 1000).toFixed(2)}s (${avgKbps.toFixed(1)} kbps avg) across ${ingestStats.chunksTotal} chunks`
     );
   }
 
@@ -235,7 +246,7 @@ function createTcpServer(deps) {
 
     resetIngestCounters();
     scheduleIngestIdleWarning();
-    log('[ingest] Producer connection established; ingest counters reset');
+    log(`${prefix} Producer connection established; ingest counters reset`);
 
     if (onProducerConnect) {
       onProducerConnect(socket);
@@ -260,7 +271,7 @@ function createTcpServer(deps) {
     });
 
     server.listen(port, () => {
-      log(`TCP ingest listening on ${port}`);
+      log(`TCP ${label} listening on ${port}`);
 
       /* Periodic status logging */
       setInterval(() => {
@@ -268,10 +279,10 @@ function createTcpServer(deps) {
         if (currentProducer && !currentProducer.destroyed) {
           const duration = ingestStats.start ? (Date.now() - ingestStats.start) / 1000 : 0;
           log(
-            `[DEBUG] ${timestamp} Producer socket status: alive for ${duration.toFixed(1)}s, bytes=${ingestStats.bytesTotal}`
+            `[DEBUG] ${timestamp} ${prefix} Producer socket status: alive for ${duration.toFixed(1)}s, bytes=${ingestStats.bytesTotal}`
           );
         } else {
-          log(`[DEBUG] ${timestamp} No active producer connection`);
+          log(`[DEBUG] ${timestamp} ${prefix} No active producer connection`);
         }
       }, 30000);
     });
@@ -303,9 +314,9 @@ function createTcpServer(deps) {
       try {
         currentProducer.pause();
         pendingSocketResume = currentProducer;
-        log(`[ingest] Paused producer (${reason})`);
+        log(`${prefix} Paused producer (${reason})`);
       } catch (err) {
-        warn('[ingest] Failed to pause producer during planned restart:', err.message);
+        warn(`${prefix} Failed to pause producer during planned restart:`, err.message);
       }
     } else {
       pendingSocketResume = null;
@@ -321,9 +332,9 @@ function createTcpServer(deps) {
       try {
         pendingSocketResume.resume();
         const suffix = reason ? ` (${reason})` : '';
-        log(`[ingest] Resumed producer after planned restart${suffix}`);
+        log(`${prefix} Resumed producer after planned restart${suffix}`);
       } catch (err) {
-        warn('[ingest] Failed to resume producer after planned restart:', err.message);
+        warn(`${prefix} Failed to resume producer after planned restart:`, err.message);
       }
     }
     pendingSocketResume = null;
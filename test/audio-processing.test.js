@@ -0,0 +1,157 @@
+'use strict';
+
+/**
+ * StreamDJ Audio Processing Tests
+ *
+ * Verifies:
+ * 1. Settings updates are validated and merged, with the preset name derived
+ * 2. The FFmpeg filter graph follows the enabled stages
+ * 3. Presets replace the settings and snapshots are versioned and persisted
+ *
+ * Run with: npm test
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+
+const {
+  createAudioProcessing,
+  normalizeAudioProcessing,
+  buildAudioFilter,
+  DEFAULT_AUDIO_PROCESSING,
+} = require('../src/server/audio-processing');
+
+/**
+ * Creates a store with silent loggers
+ * @param {Object} [options] - Extra dependencies
+ * @returns {Object} Audio processing store
+ */
+function createStore(options = {}) {
+  return createAudioProcessing({ log: () => {}, warn: () => {}, ...options });
+}
+
+/* ==========================================================================
+ * Test Suite: Audio Processing
+ * ========================================================================== */
+
+describe('Audio Processing', () => {
+  let tmpDir;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'streamdj-processing-'));
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should validate updates and derive the preset name', () => {
+    const merged = normalizeAudioProcessing(
+      { enabled: true, compressor: { enabled: true, ratio: 4 } },
+      DEFAULT_AUDIO_PROCESSING
+    );
+    assert.strictEqual(merged.compressor.ratio, 4);
+    assert.strictEqual(merged.compressor.thresholdDb, -18, 'Other fields are kept');
+    assert.strictEqual(merged.preset, 'custom');
+
+    const bands = normalizeAudioProcessing(
+      { eq: { enabled: true, bands: [{ type: 'peak', frequency: 250, gainDb: -3 }] } },
+      merged
+    ).eq.bands;
+    assert.deepStrictEqual(bands, [{ type: 'peak', frequency: 250, gainDb: -3, q: 1 }]);
+
+    const reverted = normalizeAudioProcessing(
+      { preset: 'custom', compressor: { enabled: false, ratio: 2 } },
+      merged
+    );
+    assert.strictEqual(reverted.preset, 'flat', 'Matching a preset again names it');
+
+    const invalid = [
+      { compressor: { ratio: 40 } },
+      { limiter: { ceilingDb: 1 } },
+      { limiter: { lookahead: 5 } },
+      { eq: { bands: [{ type: 'notch', frequency: 100 }] } },
+      { eq: { bands: [{ type: 'peak' }] } },
+      { eq: { bands: new Array(9).fill({ type: 'peak', frequency: 100 }) } },
+      { eq: { enabled: 'yes' } },
+      { enabled: 1 },
+      { reverb: {} },
+    ];
+    for (const patch of invalid) {
+      assert.throws(() => normalizeAudioProcessing(patch, DEFAULT_AUDIO_PROCESSING), Error);
+    }
+  });
+
+  it('should build the filter graph from the enabled stages', () => {
+    assert.strictEqual(buildAudioFilter(DEFAULT_AUDIO_PROCESSING), null);
+
+    const settings = normalizeAudioProcessing(
+      {
+        enabled: true,
+        eq: {
+          enabled: true,
+          bands: [
+            { type: 'highpass', frequency: 40, gainDb: 6 },
+            { type: 'highshelf', frequency: 8000, gainDb: 2, q: 0.5 },
+          ],
+        },
+        compressor: { enabled: true, thresholdDb: -20, ratio: 3, kneeDb: 0, makeupDb: 6 },
+        limiter: { enabled: true, ceilingDb: -1 },
+      },
+      DEFAULT_AUDIO_PROCESSING
+    );
+    assert.strictEqual(
+      buildAudioFilter(settings),
+      [
+        'highpass=f=40:t=q:w=0.71',
+        'highshelf=f=8000:t=q:w=0.5:g=2',
+        'acompressor=threshold=0.1:ratio=3:attack=20:release=250:knee=1:makeup=1.995262',
+        'aresample=176400',
+        'alimiter=limit=0.891251:attack=5:release=50:level=0',
+        'aresample=44100',
+      ].join(',')
+    );
+
+    const limiterOnly = normalizeAudioProcessing(
+      { eq: { enabled: false }, compressor: { enabled: false } },
+      settings
+    );
+    assert.ok(buildAudioFilter(limiterOnly).startsWith('aresample='));
+    assert.strictEqual(
+      buildAudioFilter(normalizeAudioProcessing({ limiter: { enabled: false } }, limiterOnly)),
+      null
+    );
+  });
+
+  it('should apply presets and persist versioned snapshots', () => {
+    const persistenceFile = path.join(tmpDir, 'audio-processing.json');
+    const changes = [];
+    const store = createStore({ persistenceFile, onChange: (snap) => changes.push(snap) });
+    assert.strictEqual(store.getSnapshot().version, 1);
+    assert.strictEqual(store.getFilter(), null);
+
+    assert.strictEqual(store.applyPreset('nope'), null);
+    const broadcast = store.applyPreset('broadcast');
+    assert.strictEqual(broadcast.version, 2);
+    assert.strictEqual(broadcast.values.preset, 'broadcast');
+    assert.ok(store.getFilter().includes('acompressor='));
+
+    store.update({ limiter: { ceilingDb: -2 } });
+    assert.deepStrictEqual(
+      changes.map((snap) => snap.version),
+      [2, 3]
+    );
+
+    const reloaded = createStore({ persistenceFile });
+    assert.strictEqual(reloaded.getSnapshot().version, 3);
+    assert.strictEqual(reloaded.getSnapshot().values.preset, 'custom');
+    assert.strictEqual(reloaded.getSnapshot().values.limiter.ceilingDb, -2);
+
+    const reset = reloaded.reset();
+    assert.strictEqual(reset.version, 4);
+    assert.deepStrictEqual(reset.values, DEFAULT_AUDIO_PROCESSING);
+  });
+});
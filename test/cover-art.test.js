@@ -0,0 +1,77 @@
+'use strict';
+
+/**
+ * StreamDJ Cover Art Tests
+ *
+ * Verifies:
+ * 1. The front cover is preferred over other embedded pictures
+ * 2. Cover ids depend only on the picture bytes
+ * 3. Thumbnails from earlier runs are only served when every size exists
+ *
+ * Run with: npm test
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+
+const {
+  createCoverArtCache,
+  selectPicture,
+  getCoverId,
+  COVER_ID_PATTERN,
+} = require('../src/player/cover-art');
+
+/* ==========================================================================
+ * Test Suite: Cover Art
+ * ========================================================================== */
+
+describe('Cover Art', () => {
+  let tmpDir;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'streamdj-covers-'));
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should prefer the front cover and ignore empty pictures', () => {
+    const back = { type: 'Cover (back)', data: new Uint8Array([1, 2, 3]) };
+    const front = { type: 'Cover (front)', data: new Uint8Array([4, 5, 6]) };
+    assert.strictEqual(selectPicture([back, front]), front);
+    assert.strictEqual(selectPicture([back]), back);
+    assert.strictEqual(selectPicture([{ type: 'Cover (front)', data: new Uint8Array(0) }]), null);
+    assert.strictEqual(selectPicture(undefined), null);
+  });
+
+  it('should derive the same id from the same picture bytes', () => {
+    const id = getCoverId(new Uint8Array([4, 5, 6]));
+    assert.ok(COVER_ID_PATTERN.test(id));
+    assert.strictEqual(getCoverId(Buffer.from([4, 5, 6])), id);
+    assert.notStrictEqual(getCoverId(new Uint8Array([4, 5, 7])), id);
+  });
+
+  it('should only serve covers whose every size was rendered', async () => {
+    const complete = 'aaaaaaaaaaaaaaaa';
+    const partial = 'bbbbbbbbbbbbbbbb';
+    fs.writeFileSync(path.join(tmpDir, `${complete}-thumb.jpg`), '');
+    fs.writeFileSync(path.join(tmpDir, `${complete}-large.jpg`), '');
+    fs.writeFileSync(path.join(tmpDir, `${partial}-large.jpg`), '');
+
+    const cache = createCoverArtCache({ dir: tmpDir });
+    await cache.load();
+    assert.ok(cache.has(complete));
+    assert.strictEqual(
+      cache.getPath(complete, 'thumb'),
+      path.join(tmpDir, `${complete}-thumb.jpg`)
+    );
+    assert.strictEqual(cache.getPath(complete, 'huge'), null);
+    assert.ok(!cache.has(partial));
+    assert.strictEqual(cache.getPath(partial, 'large'), null);
+    cache.stop();
+  });
+});
@@ -0,0 +1,78 @@
+'use strict';
+
+/**
+ * StreamDJ Cue Points Tests
+ *
+ * Verifies:
+ * 1. Cue points from the API are validated against the track
+ * 2. FFmpeg arguments honor cue-out and fades from any start position
+ * 3. Silencedetect output is turned into leading/trailing trim points
+ *
+ * Run with: npm test
+ */
+
+const assert = require('assert');
+const { describe, it } = require('node:test');
+
+const {
+  normalizeCuePoints,
+  buildCueArgs,
+  parseSilenceDetect,
+  getPlayableLength,
+} = require('../src/player/cue-points');
+
+/* ==========================================================================
+ * Test Suite: Cue Points
+ * ========================================================================== */
+
+describe('Cue Points', () => {
+  it('should validate cue points against the track duration', () => {
+    const result = normalizeCuePoints({ in: 2.5, out: 180, fadeOut: 4 }, 200);
+    assert.ok('cues' in result);
+    const { cues } = result;
+    assert.deepStrictEqual(cues, { in: 2.5, out: 180, fadeIn: 0, fadeOut: 4, source: 'manual' });
+    assert.strictEqual(getPlayableLength({ duration: 200, cues }), 177.5);
+
+    assert.ok('error' in normalizeCuePoints({ in: 10, out: 5 }, 200));
+    assert.ok('error' in normalizeCuePoints({ in: 250 }, 200));
+    assert.ok('error' in normalizeCuePoints({ fadeIn: 31 }, 200));
+    assert.ok('error' in normalizeCuePoints({ in: 0, out: 10, fadeIn: 6, fadeOut: 6 }, 200));
+    assert.ok('error' in normalizeCuePoints({ in: '5' }, 200));
+  });
+
+  it('should limit decoding to cue-out and fade in only from cue-in', () => {
+    const cues = { in: 5, out: 65, fadeIn: 2, fadeOut: 10, source: 'manual' };
+    assert.deepStrictEqual(buildCueArgs(cues, 5, 100), {
+      inputArgs: ['-t', '60.000'],
+      filters: ['afade=t=in:st=0:d=2.000', 'afade=t=out:st=50.000:d=10.000'],
+    });
+
+    /* Resumed inside the fade-out */
+    assert.deepStrictEqual(buildCueArgs(cues, 60, 100), {
+      inputArgs: ['-t', '5.000'],
+      filters: ['afade=t=out:st=0.000:d=5.000'],
+    });
+
+    assert.deepStrictEqual(buildCueArgs(null, 0, 100), { inputArgs: [], filters: [] });
+  });
+
+  it('should trim only silence touching the start or end of the file', () => {
+    const output = [
+      '  Duration: 00:03:20.00, start: 0.000000, bitrate: 320 kb/s',
+      '[silencedetect @ 0x1] silence_start: 0',
+      '[silencedetect @ 0x1] silence_end: 1.25 | silence_duration: 1.25',
+      '[silencedetect @ 0x1] silence_start: 90',
+      '[silencedetect @ 0x1] silence_end: 91 | silence_duration: 1',
+      '[silencedetect @ 0x1] silence_start: 196.5',
+      '[silencedetect @ 0x1] silence_end: 200 | silence_duration: 3.5',
+    ].join('\n');
+    assert.deepStrictEqual(parseSilenceDetect(output), { in: 1.25, out: 196.5 });
+
+    const silent = '  Duration: 00:00:10.00,\nsilence_start: 0\n';
+    assert.deepStrictEqual(parseSilenceDetect(silent), { in: 0, out: null });
+    assert.deepStrictEqual(parseSilenceDetect('  Duration: 00:00:10.00,\n'), {
+      in: 0,
+      out: null,
+    });
+  });
+});
@@ -0,0 +1,253 @@
+'use strict';
+
+/**
+ * StreamDJ Player HTTP API Tests
+ *
+ * Verifies:
+ * 1. Tracks are queued by index or file name at a clamped position
+ * 2. Unknown tracks and invalid positions are rejected
+ * 3. Queue entries are reordered, removed and cleared
+ * 4. Jumps resolve the track by index or file name and reject unknown tracks
+ * 5. Seeks reject invalid positions and report when nothing can be seeked
+ * 6. Current lyrics are empty once the playing track left the playlist
+ *
+ * Run with: npm test
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after, beforeEach } = require('node:test');
+
+const { createHttpApi } = require('../src/player/http-api');
+const { createPlaylistManager } = require('../src/player/playlist-manager');
+
+const TRACK_NAMES = ['a.mp3', 'b.mp3', 'c.mp3', 'd.mp3', 'e.mp3'];
+
+/**
+ * Finds a free local TCP port
+ * @returns {Promise<number>} Port number
+ */
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.on('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/* ==========================================================================
+ * Test Suite: Player HTTP API
+ * ========================================================================== */
+
+describe('Player HTTP API', () => {
+  let musicDir;
+  let manager;
+  let api;
+  let baseUrl;
+  /** Calls received by the stub playback controller */
+  let calls = [];
+  /** Whether the stub controller has a seekable track */
+  let seekable = true;
+
+  /**
+   * Sends a request to the API
+   * @param {string} method - HTTP method
+   * @param {string} route - Route path
+   * @param {Object} [body] - JSON body
+   * @returns {Promise<{status: number, body: any}>} Status and parsed body
+   */
+  async function request(method, route, body) {
+    const res = await fetch(`${baseUrl}${route}`, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : {},
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const text = await res.text();
+    return { status: res.status, body: text ? JSON.parse(text) : null };
+  }
+
+  /**
+   * Returns the file names in the up-next queue
+   * @returns {string[]} File names
+   */
+  function queuedNames() {
+    return manager.listQueue().map((entry) => entry.filename);
+  }
+
+  before(async () => {
+    musicDir = fs.mkdtempSync(path.join(os.tmpdir(), 'streamdj-api-'));
+    for (const name of TRACK_NAMES) {
+      fs.writeFileSync(path.join(musicDir, name), '');
+    }
+    manager = createPlaylistManager({ musicDir, shuffle: false });
+    await manager.loadInitialPlaylist();
+
+    const port = await getFreePort();
+    baseUrl = `http://127.0.0.1:${port}`;
+    api = createHttpApi({
+      playlistManager: manager,
+      playbackController: {
+        playTrack: async (index) => {
+          calls.push(['play', index]);
+          return true;
+        },
+        seekTo: async (position) => {
+          calls.push(['seek', position]);
+          return seekable;
+        },
+        getCurrentPositionSeconds: () => 1.5,
+      },
+      audioSocket: {},
+      port,
+      host: '127.0.0.1',
+    });
+    await api.start();
+  });
+
+  after(async () => {
+    await api.stop();
+    fs.rmSync(musicDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    manager.clearQueue();
+    calls = [];
+    seekable = true;
+  });
+
+  describe('Up-next queue', () => {
+    it('should queue tracks by index or file name at a clamped position', async () => {
+      const added = await request('POST', '/queue', { index: manager.findTrackIndex('c.mp3') });
+      assert.strictEqual(added.status, 201);
+      assert.deepStrictEqual(
+        added.body.map((entry) => entry.filename),
+        ['c.mp3']
+      );
+
+      await request('POST', '/queue', { filename: 'a.mp3', position: 0 });
+      await request('POST', '/queue', { filename: 'b.mp3', position: 99 });
+      await request('POST', '/queue', { filename: 'd.mp3', position: -5 });
+      assert.deepStrictEqual(queuedNames(), ['d.mp3', 'a.mp3', 'c.mp3', 'b.mp3']);
+
+      const listed = await request('GET', '/queue');
+      assert.deepStrictEqual(
+        listed.body.map((entry) => entry.position),
+        [0, 1, 2, 3]
+      );
+    });
+
+    it('should reject unknown tracks and invalid positions', async () => {
+      assert.strictEqual((await request('POST', '/queue', { index: 99 })).status, 404);
+      assert.strictEqual((await request('POST', '/queue', { index: -1 })).status, 404);
+      assert.strictEqual((await request('POST', '/queue', { index: 1.5 })).status, 404);
+      assert.strictEqual((await request('POST', '/queue', { filename: 'nope.mp3' })).status, 404);
+      assert.strictEqual(
+        (await request('POST', '/queue', { index: 0, position: 'first' })).status,
+        400
+      );
+      assert.deepStrictEqual(queuedNames(), []);
+    });
+
+    it('should reorder, remove and clear queue entries', async () => {
+      for (const filename of ['a.mp3', 'b.mp3', 'c.mp3']) {
+        await request('POST', '/queue', { filename });
+      }
+
+      const moved = await request('POST', '/queue/move', { from: 0, to: 2 });
+      assert.strictEqual(moved.status, 200);
+      assert.deepStrictEqual(
+        moved.body.map((entry) => entry.filename),
+        ['b.mp3', 'c.mp3', 'a.mp3']
+      );
+      await request('POST', '/queue/move', { from: 2, to: -1 });
+      assert.deepStrictEqual(queuedNames(), ['a.mp3', 'b.mp3', 'c.mp3'], 'Targets are clamped');
+
+      assert.strictEqual((await request('POST', '/queue/move', { from: 3, to: 0 })).status, 404);
+      assert.strictEqual((await request('POST', '/queue/move', { from: 0 })).status, 400);
+      assert.strictEqual(
+        (await request('POST', '/queue/move', { from: 'first', to: 1 })).status,
+        400
+      );
+
+      const removed = await request('DELETE', '/queue/1');
+      assert.strictEqual(removed.status, 200);
+      assert.deepStrictEqual(queuedNames(), ['a.mp3', 'c.mp3']);
+      assert.strictEqual((await request('DELETE', '/queue/2')).status, 404);
+      assert.strictEqual((await request('DELETE', '/queue/x')).status, 404);
+
+      assert.strictEqual((await request('DELETE', '/queue')).status, 204);
+      assert.deepStrictEqual(queuedNames(), []);
+    });
+  });
+
+  describe('Play and seek', () => {
+    it('should jump to a track by index or file name', async () => {
+      const index = manager.findTrackIndex('b.mp3');
+      assert.strictEqual((await request('POST', `/play/${index}`)).status, 204);
+      assert.strictEqual((await request('POST', '/play', { filename: 'c.mp3' })).status, 204);
+      assert.deepStrictEqual(calls, [
+        ['play', index],
+        ['play', manager.findTrackIndex('c.mp3')],
+      ]);
+
+      assert.strictEqual((await request('POST', '/play/99')).status, 404);
+      assert.strictEqual((await request('POST', '/play/-1')).status, 404);
+      assert.strictEqual((await request('POST', '/play/x')).status, 404);
+      assert.strictEqual((await request('POST', '/play', { filename: 'nope.mp3' })).status, 404);
+      assert.strictEqual(calls.length, 2, 'Unknown tracks never reach the controller');
+    });
+
+    it('should validate seek positions and report when nothing can be seeked', async () => {
+      assert.strictEqual((await request('POST', '/seek', { position: 12.5 })).status, 204);
+      assert.strictEqual((await request('POST', '/seek?position=30')).status, 204);
+      assert.deepStrictEqual(calls, [
+        ['seek', 12.5],
+        ['seek', 30],
+      ]);
+
+      for (const position of [-1, 'soon', '']) {
+        assert.strictEqual((await request('POST', '/seek', { position })).status, 400);
+      }
+      assert.strictEqual((await request('POST', '/seek')).status, 400);
+      assert.strictEqual(calls.length, 2, 'Invalid positions never reach the controller');
+
+      seekable = false;
+      assert.strictEqual((await request('POST', '/seek', { position: 5 })).status, 409);
+    });
+  });
+
+  describe('Lyrics', () => {
+    it('should report no lyrics once the playing track left the playlist', async () => {
+      fs.writeFileSync(
+        path.join(musicDir, 'e.lrc'),
+        '[00:01.00]First line\n[00:04.00]Second line\n'
+      );
+      const index = manager.findTrackIndex('e.mp3');
+      manager.setCurrentIndex(index);
+
+      const playing = await request('GET', '/lyrics/current');
+      assert.strictEqual(playing.status, 200);
+      assert.strictEqual(playing.body.index, index);
+      assert.strictEqual(playing.body.source, 'lrc');
+      assert.strictEqual(playing.body.line, 0);
+
+      manager.removeTrack(path.join(musicDir, 'e.mp3'));
+      const removed = await request('GET', '/lyrics/current');
+      assert.strictEqual(removed.status, 200);
+      assert.deepStrictEqual(removed.body, {
+        index: null,
+        filename: 'e.mp3',
+        source: null,
+        lines: [],
+        positionSeconds: 1.5,
+        line: -1,
+      });
+    });
+  });
+});
@@ -0,0 +1,101 @@
+'use strict';
+
+/**
+ * StreamDJ Jingle Tests
+ *
+ * Verifies:
+ * 1. Insertion rules are validated
+ * 2. Jingles fall due after N tracks or N minutes, and the same clip is
+ *    offered until it plays
+ * 3. A schedule slot's rule overrides the default
+ *
+ * Run with: npm test
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after, mock } = require('node:test');
+
+const { createJingleRotation, normalizeJingleRule } = require('../src/player/jingles');
+
+/* ==========================================================================
+ * Test Suite: Jingle Rotation
+ * ========================================================================== */
+
+describe('Jingle Rotation', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'streamdj-jingles-'));
+    fs.mkdirSync(path.join(dir, 'ids'));
+    for (const name of ['ids/station-id.mp3', 'sweeper.mp3', 'notes.txt']) {
+      fs.writeFileSync(path.join(dir, name), 'not really audio');
+    }
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    mock.timers.reset();
+  });
+
+  it('should validate insertion rules', () => {
+    assert.deepStrictEqual(normalizeJingleRule({ mode: 'tracks', every: 3 }), {
+      rule: { mode: 'tracks', every: 3 },
+    });
+    assert.strictEqual(normalizeJingleRule({ mode: 'off' }).rule.mode, 'off');
+    assert.ok('error' in normalizeJingleRule({ mode: 'tracks', every: 0 }));
+    assert.ok('error' in normalizeJingleRule({ mode: 'tracks', every: 101 }));
+    assert.ok('error' in normalizeJingleRule({ mode: 'minutes', every: 1.5 }));
+    assert.ok('error' in normalizeJingleRule({ mode: 'hourly', every: 1 }));
+  });
+
+  it('should insert a jingle every N tracks', async () => {
+    const jingles = createJingleRotation({
+      dir,
+      audioExtensions: ['.mp3'],
+      rule: { mode: 'tracks', every: 2 },
+    });
+    assert.strictEqual(await jingles.load(), 2);
+    assert.deepStrictEqual(
+      jingles.getStatus().jingles.map((jingle) => jingle.path),
+      ['ids/station-id.mp3', 'sweeper.mp3']
+    );
+
+    jingles.noteTrackStarted();
+    assert.strictEqual(jingles.peekDue(), null);
+    jingles.noteTrackStarted();
+    const due = jingles.peekDue();
+    assert.ok(due && due.isJingle);
+    assert.strictEqual(jingles.peekDue(), due);
+
+    jingles.markPlayed(due);
+    assert.strictEqual(jingles.peekDue(), null);
+    jingles.noteTrackStarted();
+    jingles.noteTrackStarted();
+    /* With two clips, the one that just played is not picked again */
+    assert.notStrictEqual(jingles.peekDue().fullPath, due.fullPath);
+  });
+
+  it('should insert by time and follow the schedule override', async () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.UTC(2026, 0, 1, 12) });
+    let override = null;
+    const jingles = createJingleRotation({
+      dir,
+      audioExtensions: ['.mp3'],
+      rule: { mode: 'minutes', every: 15 },
+      getOverride: () => override,
+    });
+    await jingles.load();
+    mock.timers.tick(14 * 60000);
+    assert.strictEqual(jingles.peekDue(), null);
+    mock.timers.tick(60000);
+    assert.ok(jingles.peekDue());
+
+    override = { mode: 'off', every: 4 };
+    assert.strictEqual(jingles.peekDue(), null);
+    assert.strictEqual(jingles.getStatus().scheduled, true);
+    assert.deepStrictEqual(jingles.getStatus().rule, { mode: 'minutes', every: 15 });
+  });
+});
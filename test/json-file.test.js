@@ -0,0 +1,65 @@
+'use strict';
+
+/**
+ * StreamDJ JSON File Tests
+ *
+ * Verifies:
+ * 1. Files are written through a temp file, creating missing folders
+ * 2. Compact output and the promise-based writer produce the same data
+ * 3. A failed write leaves no temp file behind
+ *
+ * Run with: npm test
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+
+const { writeJsonAtomic, writeJsonAtomicSync } = require('../src/lib/utils/json-file');
+
+/* ==========================================================================
+ * Test Suite: JSON File
+ * ========================================================================== */
+
+describe('JSON File', () => {
+  let tmpDir;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'streamdj-json-'));
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should write through a temp file and create missing folders', () => {
+    const filePath = path.join(tmpDir, 'nested', 'store.json');
+    writeJsonAtomicSync(filePath, { a: 1 });
+    assert.strictEqual(fs.readFileSync(filePath, 'utf8'), '{\n  "a": 1\n}');
+    assert.ok(!fs.existsSync(`${filePath}.tmp`));
+
+    writeJsonAtomicSync(filePath, { a: 2 });
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(filePath, 'utf8')), { a: 2 });
+  });
+
+  it('should write compact JSON without blocking', async () => {
+    const filePath = path.join(tmpDir, 'state.json');
+    await writeJsonAtomic(filePath, { list: [1, 2] }, { pretty: false });
+    assert.strictEqual(fs.readFileSync(filePath, 'utf8'), '{"list":[1,2]}');
+    assert.deepStrictEqual(fs.readdirSync(tmpDir).sort(), ['nested', 'state.json']);
+  });
+
+  it('should remove the temp file when a write fails', async () => {
+    /* A non-empty folder at the target path makes the rename fail */
+    const filePath = path.join(tmpDir, 'blocked.json');
+    fs.mkdirSync(filePath);
+    fs.writeFileSync(path.join(filePath, 'keep'), '');
+
+    assert.throws(() => writeJsonAtomicSync(filePath, { a: 1 }));
+    assert.ok(!fs.existsSync(`${filePath}.tmp`));
+    await assert.rejects(writeJsonAtomic(filePath, { a: 1 }));
+    assert.ok(!fs.existsSync(`${filePath}.tmp`));
+  });
+});
@@ -0,0 +1,100 @@
+'use strict';
+
+/**
+ * StreamDJ Library Index Tests
+ *
+ * Verifies:
+ * 1. Cached metadata is only served while size and mtime are unchanged
+ * 2. Entries missing from a scan are pruned
+ * 3. The index round-trips through disk and ignores other schema versions
+ *
+ * Run with: npm test
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+
+const { createLibraryIndex, INDEX_VERSION } = require('../src/player/library-index');
+
+const SAMPLE_TRACK = {
+  title: 'Song',
+  artist: 'Artist',
+  album: 'Album',
+  duration: 200,
+  format: 'flac',
+  filename: 'song.flac',
+  fullPath: '/music/song.flac',
+};
+
+/* ==========================================================================
+ * Test Suite: Library Index
+ * ========================================================================== */
+
+describe('Library Index', () => {
+  let tmpDir;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'streamdj-index-'));
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should serve cached metadata only for unchanged files', () => {
+    const index = createLibraryIndex({ filePath: path.join(tmpDir, 'lookup.json') });
+    index.update('/music/song.flac', { size: 10, mtimeMs: 1000 }, SAMPLE_TRACK);
+
+    const hit = index.lookup('/music/song.flac', { size: 10, mtimeMs: 1000 });
+    assert.strictEqual(hit.title, 'Song');
+    assert.strictEqual(hit.fullPath, undefined, 'Path fields should not be cached');
+
+    assert.strictEqual(index.lookup('/music/song.flac', { size: 11, mtimeMs: 1000 }), null);
+    assert.strictEqual(index.lookup('/music/song.flac', { size: 10, mtimeMs: 2000 }), null);
+  });
+
+  it('should prune entries not seen during a scan', () => {
+    const index = createLibraryIndex({ filePath: path.join(tmpDir, 'prune.json') });
+    index.update('/music/a.mp3', { size: 1, mtimeMs: 1 }, SAMPLE_TRACK);
+    index.update('/music/b.mp3', { size: 1, mtimeMs: 1 }, SAMPLE_TRACK);
+
+    const pruned = index.prune(new Set(['/music/a.mp3']));
+    assert.strictEqual(pruned, 1);
+    assert.strictEqual(index.size, 1);
+    assert.strictEqual(index.getStats().formats.flac, 1);
+  });
+
+  it('should persist and reload entries', async () => {
+    const filePath = path.join(tmpDir, 'roundtrip.json');
+    const index = createLibraryIndex({ filePath });
+    index.update('/music/song.flac', { size: 10, mtimeMs: 1000 }, SAMPLE_TRACK);
+    await index.save();
+
+    const reloaded = createLibraryIndex({ filePath });
+    await reloaded.load();
+    assert.strictEqual(reloaded.size, 1);
+    assert.strictEqual(reloaded.getStats().totalDurationSeconds, 200);
+  });
+
+  it('should ignore an index written with a different schema version', async () => {
+    const filePath = path.join(tmpDir, 'stale.json');
+    fs.writeFileSync(
+      filePath,
+      JSON.stringify({
+        version: INDEX_VERSION + 1,
+        tracks: { '/music/x.mp3': { size: 1, mtimeMs: 1, metadata: {} } },
+      })
+    );
+
+    const index = createLibraryIndex({ filePath });
+    await index.load();
+    assert.strictEqual(index.size, 0);
+    /* Still readable for carrying over fields until the rescan prunes it */
+    assert.deepStrictEqual(index.peek('/music/x.mp3'), {});
+    index.prune(new Set(['/music/x.mp3']));
+    assert.strictEqual(index.peek('/music/x.mp3'), null);
+  });
+});
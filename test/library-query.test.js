@@ -0,0 +1,125 @@
+'use strict';
+
+/**
+ * StreamDJ Library Query Tests
+ *
+ * Verifies:
+ * 1. Query parameters are validated and defaulted
+ * 2. Text search matches all terms across fields, ignoring case and accents
+ * 3. Filters, sorting (missing values last) and pagination combine correctly
+ *
+ * Run with: npm test
+ */
+
+const assert = require('assert');
+const { describe, it } = require('node:test');
+
+const { parseLibraryQuery, queryLibrary } = require('../src/player/library-query');
+
+const TRACKS = [
+  {
+    index: 0,
+    title: 'Halo',
+    artist: 'Beyoncé',
+    album: 'I Am...',
+    genre: 'Pop, R&B',
+    year: 2008,
+    duration: 261,
+    filename: 'halo.flac',
+  },
+  {
+    index: 1,
+    title: 'Teardrop',
+    artist: 'Massive Attack',
+    album: 'Mezzanine',
+    genre: 'Trip Hop',
+    year: 1998,
+    duration: 330,
+    filename: 'teardrop.mp3',
+  },
+  {
+    index: 2,
+    title: 'Angel',
+    artist: 'Massive Attack',
+    album: 'Mezzanine',
+    genre: 'Trip Hop',
+    year: 1998,
+    duration: 379,
+    filename: 'angel.mp3',
+  },
+  {
+    index: 3,
+    title: 'Untitled',
+    artist: 'Unknown Artist',
+    album: 'Unknown Album',
+    genre: null,
+    year: null,
+    duration: null,
+    filename: 'rec.wav',
+  },
+];
+
+/**
+ * Parses a query string and fails the test on validation errors
+ * @param {Object<string, string>} params - Query parameters
+ * @returns {Object} Normalized query
+ */
+function parse(params) {
+  const parsed = parseLibraryQuery(params);
+  assert.ok(!('error' in parsed), parsed.error);
+  return parsed.query;
+}
+
+/* ==========================================================================
+ * Test Suite: Library Query
+ * ========================================================================== */
+
+describe('Library Query', () => {
+  it('should apply defaults and reject invalid parameters', () => {
+    const query = parse({});
+    assert.strictEqual(query.limit, 50);
+    assert.strictEqual(query.offset, 0);
+    assert.strictEqual(query.sort, 'index');
+    assert.ok('error' in parseLibraryQuery({ sort: 'bitrate' }));
+    assert.ok('error' in parseLibraryQuery({ limit: '0' }));
+    assert.ok('error' in parseLibraryQuery({ year: '98' }));
+    assert.ok('error' in parseLibraryQuery({ minDuration: '-5' }));
+  });
+
+  it('should match every search term across fields ignoring case and accents', () => {
+    const result = queryLibrary(TRACKS, parse({ q: 'beyonce HALO' }));
+    assert.deepStrictEqual(
+      result.items.map((track) => track.index),
+      [0]
+    );
+    assert.strictEqual(queryLibrary(TRACKS, parse({ q: 'mezzanine angel' })).total, 1);
+  });
+
+  it('should filter by field, year range and duration', () => {
+    const byGenre = queryLibrary(TRACKS, parse({ genre: 'r&b' }));
+    assert.deepStrictEqual(
+      byGenre.items.map((track) => track.index),
+      [0]
+    );
+    const byYear = queryLibrary(TRACKS, parse({ year: '1990-1999', maxDuration: '340' }));
+    assert.deepStrictEqual(
+      byYear.items.map((track) => track.index),
+      [1]
+    );
+    assert.strictEqual(queryLibrary(TRACKS, parse({ artist: 'massive attack' })).total, 2);
+  });
+
+  it('should sort with missing values last and paginate', () => {
+    const desc = queryLibrary(TRACKS, parse({ sort: 'duration', order: 'desc' }));
+    assert.deepStrictEqual(
+      desc.items.map((track) => track.index),
+      [2, 1, 0, 3]
+    );
+    const page = queryLibrary(TRACKS, parse({ sort: 'title', limit: '2', offset: '2' }));
+    assert.strictEqual(page.total, 4);
+    assert.deepStrictEqual(
+      page.items.map((track) => track.title),
+      ['Teardrop', 'Untitled']
+    );
+  });
+});
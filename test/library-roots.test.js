@@ -0,0 +1,139 @@
+'use strict';
+
+/**
+ * StreamDJ Library Roots Tests
+ *
+ * Verifies:
+ * 1. Include and exclude glob patterns decide which files a root accepts
+ * 2. Library paths round-trip, with a root prefix for roots other than main
+ * 3. Invalid roots, overlapping roots and patterns that do not compile are
+ *    rejected, and the main root is protected
+ * 4. Roots are persisted and disabled roots accept nothing
+ *
+ * Run with: npm test
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+
+const { createLibraryRoots, MAIN_ROOT_ID } = require('../src/player/library-roots');
+
+/* ==========================================================================
+ * Test Suite: Library Roots
+ * ========================================================================== */
+
+describe('Library Roots', () => {
+  let tmpDir;
+  let musicDir;
+  let archiveDir;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'streamdj-roots-'));
+    musicDir = path.join(tmpDir, 'music');
+    archiveDir = path.join(tmpDir, 'archive');
+    fs.mkdirSync(musicDir);
+    fs.mkdirSync(archiveDir);
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should filter files with include and exclude patterns', () => {
+    const roots = createLibraryRoots({ musicDir });
+    const result = roots.add({
+      id: 'archive',
+      path: archiveDir,
+      include: ['**/*.{flac,mp3}'],
+      exclude: ['Demos', 'Live/*.mp3'],
+    });
+    assert.ok('root' in result);
+
+    const accepts = (relativePath) => roots.accepts(path.join(archiveDir, relativePath));
+    assert.strictEqual(accepts('song.flac'), true);
+    assert.strictEqual(accepts('Artist/Album/Song.MP3'), true);
+    assert.strictEqual(accepts('Artist/song.ogg'), false);
+    assert.strictEqual(accepts('Demos/take1.flac'), false);
+    assert.strictEqual(accepts('Artist/Demos/take2.flac'), false);
+    assert.strictEqual(accepts('Live/show.mp3'), false);
+    assert.strictEqual(accepts('Live/show.flac'), true);
+
+    /* The main root has no patterns; files outside every root are never accepted */
+    assert.strictEqual(roots.accepts(path.join(musicDir, 'a.ogg')), true);
+    assert.strictEqual(roots.accepts(path.join(tmpDir, 'elsewhere.mp3')), false);
+  });
+
+  it('should convert between absolute and library paths', () => {
+    const roots = createLibraryRoots({ musicDir });
+    roots.add({ id: 'archive', path: archiveDir });
+
+    const mainTrack = path.join(musicDir, 'Artist', 'song.mp3');
+    const archiveTrack = path.join(archiveDir, 'Artist', 'song.mp3');
+    assert.strictEqual(roots.toLibraryPath(mainTrack), 'Artist/song.mp3');
+    assert.strictEqual(roots.toLibraryPath(archiveTrack), 'archive:Artist/song.mp3');
+    assert.strictEqual(roots.toFullPath('Artist/song.mp3'), mainTrack);
+    assert.strictEqual(roots.toFullPath('archive:Artist/song.mp3'), archiveTrack);
+    assert.strictEqual(roots.getRootId(archiveTrack), 'archive');
+    assert.strictEqual(roots.getRootId(mainTrack), MAIN_ROOT_ID);
+
+    /* An unknown prefix is an ordinary folder name under the main root */
+    assert.strictEqual(roots.toFullPath('other:song.mp3'), path.join(musicDir, 'other:song.mp3'));
+
+    /* Stream URLs are their own library path */
+    const url = 'http://radio.example:8000/live';
+    assert.strictEqual(roots.toLibraryPath(url), url);
+    assert.strictEqual(roots.toFullPath(url), url);
+  });
+
+  it('should reject invalid roots and protect the main root', () => {
+    const roots = createLibraryRoots({ musicDir });
+    assert.ok('error' in roots.add({ id: 'Bad Id', path: archiveDir }));
+    assert.ok('error' in roots.add({ id: 'archive', path: 'relative/dir' }));
+    assert.ok('error' in roots.add({ id: 'archive', path: path.join(tmpDir, 'missing') }));
+    assert.ok('error' in roots.add({ id: 'inner', path: musicDir }));
+    assert.ok('error' in roots.add({ id: 'outer', path: tmpDir }));
+    assert.ok('error' in roots.add({ id: 'archive', path: archiveDir, include: 'x' }));
+    assert.ok('error' in roots.add({ id: 'archive', path: archiveDir, exclude: ['[z-a].mp3'] }));
+    assert.ok('root' in roots.add({ id: 'archive', path: archiveDir }));
+    assert.ok('error' in roots.add({ id: 'archive', path: archiveDir }));
+
+    assert.ok('error' in roots.update(MAIN_ROOT_ID, { path: archiveDir }));
+    assert.ok('error' in roots.remove(MAIN_ROOT_ID));
+    assert.ok('error' in roots.update(MAIN_ROOT_ID, { exclude: ['[z-a].mp3'] }));
+    assert.deepStrictEqual(roots.get(MAIN_ROOT_ID).exclude, []);
+    assert.strictEqual(roots.accepts(path.join(musicDir, 'z.mp3')), true);
+    assert.strictEqual(roots.update('nope', { enabled: false }), null);
+    assert.strictEqual(roots.remove('nope'), null);
+    assert.deepStrictEqual(roots.remove('archive'), { removed: true });
+    assert.deepStrictEqual(
+      roots.list().map((root) => root.id),
+      [MAIN_ROOT_ID]
+    );
+  });
+
+  it('should persist roots and accept nothing from a disabled root', () => {
+    const filePath = path.join(tmpDir, 'library-roots.json');
+    const roots = createLibraryRoots({ musicDir, filePath });
+    roots.load();
+    roots.add({ id: 'archive', path: archiveDir, exclude: ['*.wav'] });
+    roots.update('archive', { enabled: false });
+
+    const reloaded = createLibraryRoots({ musicDir, filePath });
+    reloaded.load();
+    assert.deepStrictEqual(reloaded.get('archive'), {
+      id: 'archive',
+      path: archiveDir,
+      enabled: false,
+      include: [],
+      exclude: ['*.wav'],
+    });
+    assert.strictEqual(reloaded.accepts(path.join(archiveDir, 'song.mp3')), false);
+
+    reloaded.update('archive', { enabled: true });
+    assert.strictEqual(reloaded.accepts(path.join(archiveDir, 'song.mp3')), true);
+    assert.strictEqual(reloaded.accepts(path.join(archiveDir, 'take.wav')), false);
+  });
+});
@@ -0,0 +1,116 @@
+'use strict';
+
+/**
+ * StreamDJ Library Watcher Tests
+ *
+ * Verifies:
+ * 1. Removing a track before the current one shifts every stored index
+ * 2. Removing the current track keeps it on air and continues after its slot
+ * 3. Removing a track after the current one only drops its queue entries
+ * 4. A renamed file keeps its playlist and queue position
+ *
+ * Run with: npm test
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+
+const { createPlaylistManager } = require('../src/player/playlist-manager');
+
+const TRACK_NAMES = ['a.mp3', 'b.mp3', 'c.mp3', 'd.mp3', 'e.mp3'];
+
+/* ==========================================================================
+ * Test Suite: Library Watcher
+ * ========================================================================== */
+
+describe('Library Watcher', () => {
+  let musicDir;
+  let manager;
+
+  /**
+   * Returns the file names in the up-next queue
+   * @returns {string[]} File names
+   */
+  function queuedNames() {
+    return manager.listQueue().map((entry) => entry.filename);
+  }
+
+  beforeEach(async () => {
+    musicDir = fs.mkdtempSync(path.join(os.tmpdir(), 'streamdj-watcher-'));
+    for (const name of TRACK_NAMES) {
+      fs.writeFileSync(path.join(musicDir, name), name);
+    }
+    manager = createPlaylistManager({ musicDir, shuffle: false });
+    await manager.loadInitialPlaylist();
+
+    /* Play the first two tracks, stop on the middle one and queue the rest */
+    manager.setCurrentIndex(0);
+    manager.addToHistory();
+    manager.setCurrentIndex(1);
+    manager.addToHistory();
+    manager.setCurrentIndex(2);
+    manager.enqueue(4);
+    manager.enqueue(0);
+    manager.enqueue(3);
+  });
+
+  afterEach(() => {
+    manager.stopWatcher();
+    fs.rmSync(musicDir, { recursive: true, force: true });
+  });
+
+  it('should shift stored indices when a track before the current one is removed', () => {
+    const [first, second, current, fourth, fifth] = manager.playlist.map((t) => t.filename);
+    assert.strictEqual(manager.removeTrack(path.join(musicDir, first)), true);
+
+    assert.strictEqual(manager.currentIndex, 1);
+    assert.strictEqual(manager.currentTrack.filename, current);
+    assert.deepStrictEqual(queuedNames(), [fifth, fourth]);
+    assert.strictEqual(manager.popFromHistory(), manager.findTrackIndex(second));
+    assert.strictEqual(manager.popFromHistory(), null, 'The removed track left the history');
+  });
+
+  it('should keep the removed current track on air and continue after its slot', () => {
+    const [, , current, fourth] = manager.playlist.map((t) => t.filename);
+    manager.clearQueue();
+    assert.strictEqual(manager.removeTrack(path.join(musicDir, current)), true);
+
+    assert.strictEqual(manager.currentIndex, -1);
+    assert.strictEqual(manager.currentTrack.filename, current, 'Status still shows the audio');
+    assert.strictEqual(manager.playlist[manager.pickNextIndex()].filename, fourth);
+  });
+
+  it('should only drop queue entries when a track after the current one is removed', () => {
+    const [first, , current, fourth] = manager.playlist.map((t) => t.filename);
+    assert.strictEqual(
+      manager.removeTrack(path.join(musicDir, manager.playlist[4].filename)),
+      true
+    );
+
+    assert.strictEqual(manager.currentIndex, 2);
+    assert.strictEqual(manager.currentTrack.filename, current);
+    assert.deepStrictEqual(queuedNames(), [first, fourth]);
+    assert.strictEqual(manager.removeTrack(path.join(musicDir, 'missing.mp3')), false);
+  });
+
+  it('should keep the playlist and queue position of a renamed file', async () => {
+    const [first, , current, fourth, fifth] = manager.playlist.map((t) => t.filename);
+    const renames = [];
+    manager.onTrackRenamed((oldPath, newPath) => renames.push([oldPath, newPath]));
+    const oldPath = path.join(musicDir, fifth);
+    const newPath = path.join(musicDir, 'renamed.mp3');
+
+    manager.handleRemovedFile(oldPath);
+    fs.renameSync(oldPath, newPath);
+    await manager.handleNewTrack(newPath);
+
+    assert.deepStrictEqual(renames, [[oldPath, newPath]]);
+    assert.strictEqual(manager.playlist.length, TRACK_NAMES.length);
+    assert.strictEqual(manager.findTrackIndex('renamed.mp3'), 4);
+    assert.strictEqual(manager.currentTrack.filename, current);
+    assert.deepStrictEqual(queuedNames(), ['renamed.mp3', first, fourth]);
+  });
+});
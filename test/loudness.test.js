@@ -0,0 +1,91 @@
+'use strict';
+
+/**
+ * StreamDJ Loudness Normalization Tests
+ *
+ * Verifies:
+ * 1. ReplayGain and Opus R128 tags are read into one gain representation
+ * 2. Applied gain follows the target loudness, mode and peak limit
+ * 3. FFmpeg ebur128 summaries are parsed
+ *
+ * Run with: npm test
+ */
+
+const assert = require('assert');
+const { describe, it } = require('node:test');
+
+const { readReplayGain, computeGainDb, parseLoudnessSummary } = require('../src/player/loudness');
+
+const EBUR128_OUTPUT = `[Parsed_ebur128_0 @ 0x5581] Summary:
+
+  Integrated loudness:
+    I:         -16.4 LUFS
+    Threshold: -26.9 LUFS
+
+  Loudness range:
+    LRA:         6.2 LU
+
+  True peak:
+    Peak:       -0.8 dBFS
+`;
+
+/* ==========================================================================
+ * Test Suite: Loudness Normalization
+ * ========================================================================== */
+
+describe('Loudness Normalization', () => {
+  it('should read ReplayGain tags', () => {
+    const replayGain = readReplayGain({
+      common: {
+        replaygain_track_gain: { dB: -6.5, ratio: 0.47 },
+        replaygain_track_peak: { dB: -0.2, ratio: 0.98 },
+      },
+    });
+    assert.strictEqual(replayGain.source, 'tags');
+    assert.strictEqual(replayGain.trackGain, -6.5);
+    assert.strictEqual(replayGain.trackPeak, 0.98);
+    assert.strictEqual(replayGain.albumGain, null);
+  });
+
+  it('should convert Opus R128 gain tags to the ReplayGain reference', () => {
+    const replayGain = readReplayGain({
+      common: {},
+      native: { vorbis: [{ id: 'R128_TRACK_GAIN', value: '-512' }] },
+    });
+    assert.strictEqual(replayGain.source, 'r128');
+    /* -2 dB relative to -23 LUFS is -7 dB relative to -18 LUFS */
+    assert.strictEqual(replayGain.trackGain, -7);
+  });
+
+  it('should return null for untagged files', () => {
+    assert.strictEqual(readReplayGain({ common: {}, native: {} }), null);
+  });
+
+  it('should apply gain relative to the target loudness', () => {
+    const replayGain = { trackGain: -4, trackPeak: null, albumGain: -2, albumPeak: null };
+    assert.strictEqual(computeGainDb(replayGain, { mode: 'track', targetLufs: -18 }), -4);
+    assert.strictEqual(computeGainDb(replayGain, { mode: 'track', targetLufs: -14 }), 0);
+    assert.strictEqual(computeGainDb(replayGain, { mode: 'album', targetLufs: -18 }), -2);
+    assert.strictEqual(computeGainDb(replayGain, { mode: 'off', targetLufs: -14 }), 0);
+    assert.strictEqual(computeGainDb(null, { mode: 'track', targetLufs: -14 }), 0);
+  });
+
+  it('should fall back to track gain in album mode when album gain is missing', () => {
+    const replayGain = { trackGain: -3, trackPeak: null, albumGain: null, albumPeak: null };
+    assert.strictEqual(computeGainDb(replayGain, { mode: 'album', targetLufs: -18 }), -3);
+  });
+
+  it('should limit gain so the peak does not clip', () => {
+    const replayGain = { trackGain: 6, trackPeak: 0.5, albumGain: null, albumPeak: null };
+    const gain = computeGainDb(replayGain, { mode: 'track', targetLufs: -14 });
+    assert.ok(Math.abs(gain - 6.0206) < 0.001, `Expected ~6.02 dB, got ${gain}`);
+  });
+
+  it('should parse the ebur128 summary', () => {
+    assert.deepStrictEqual(parseLoudnessSummary(EBUR128_OUTPUT), {
+      integratedLufs: -16.4,
+      truePeakDbfs: -0.8,
+    });
+    assert.strictEqual(parseLoudnessSummary('no summary here'), null);
+  });
+});
@@ -0,0 +1,107 @@
+'use strict';
+
+/**
+ * StreamDJ Lyrics Tests
+ *
+ * Verifies:
+ * 1. LRC text with repeated timestamps, offsets and word timings is parsed
+ * 2. Synced lyrics are read from SYLT frames and from LRC text in tags
+ * 3. A sidecar .lrc file next to the track is found and used
+ *
+ * Run with: npm test
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+
+const {
+  parseLrc,
+  readEmbeddedLyrics,
+  loadLyrics,
+  findLyricIndex,
+} = require('../src/player/lyrics');
+
+const SAMPLE_LRC = [
+  '[ti:Song]',
+  '[ar:Artist]',
+  '[00:12.00]First line',
+  '[00:17.20][01:05.5]Chorus',
+  '[00:21.10]<00:21.10>Word <00:21.60>timed',
+  'Unsynced line',
+].join('\n');
+
+/* ==========================================================================
+ * Test Suite: Lyrics
+ * ========================================================================== */
+
+describe('Lyrics', () => {
+  let tmpDir;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'streamdj-lyrics-'));
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should parse LRC lines in time order and find the line at a position', () => {
+    const lines = parseLrc(SAMPLE_LRC);
+    assert.deepStrictEqual(lines, [
+      { time: 12, text: 'First line' },
+      { time: 17.2, text: 'Chorus' },
+      { time: 21.1, text: 'Word timed' },
+      { time: 65.5, text: 'Chorus' },
+    ]);
+    assert.strictEqual(findLyricIndex(lines, 5), -1);
+    assert.strictEqual(findLyricIndex(lines, 17.2), 1);
+    assert.strictEqual(findLyricIndex(lines, 300), 3);
+
+    /* A positive offset shows every line earlier */
+    assert.deepStrictEqual(parseLrc('[offset:+500]\n[00:10.00]Line'), [
+      { time: 9.5, text: 'Line' },
+    ]);
+  });
+
+  it('should read synced lyrics from tags', () => {
+    const sylt = {
+      common: {
+        lyrics: [
+          {
+            timeStampFormat: 2,
+            syncText: [
+              { timestamp: 4000, text: 'Second' },
+              { timestamp: 1500, text: 'First' },
+            ],
+          },
+        ],
+      },
+    };
+    assert.deepStrictEqual(readEmbeddedLyrics(sylt), [
+      { time: 1.5, text: 'First' },
+      { time: 4, text: 'Second' },
+    ]);
+
+    const lrcText = {
+      common: { lyrics: [{ timeStampFormat: 0, syncText: [], text: SAMPLE_LRC }] },
+    };
+    assert.strictEqual(readEmbeddedLyrics(lrcText).length, 4);
+
+    const unsynced = {
+      common: { lyrics: [{ timeStampFormat: 0, syncText: [], text: 'Just words' }] },
+    };
+    assert.deepStrictEqual(readEmbeddedLyrics(unsynced), []);
+  });
+
+  it('should prefer a sidecar .lrc file', async () => {
+    const trackPath = path.join(tmpDir, 'song.mp3');
+    fs.writeFileSync(trackPath, '');
+    fs.writeFileSync(path.join(tmpDir, 'song.lrc'), SAMPLE_LRC);
+    const lyrics = await loadLyrics(trackPath);
+    assert.strictEqual(lyrics.source, 'lrc');
+    assert.strictEqual(lyrics.lines[0].text, 'First line');
+  });
+});
@@ -0,0 +1,126 @@
+'use strict';
+
+/**
+ * StreamDJ Master Volume Tests
+ *
+ * Verifies:
+ * 1. Levels are accepted as linear values or dB and validated
+ * 2. Unity gain passes audio through and level changes ramp without jumps
+ * 3. Mute silences output while keeping the level, and timed fades end on target
+ * 4. Muting during a timed fade cancels the fade and unmuting lands on its target
+ * 5. Stored settings fall back to defaults per field
+ *
+ * Run with: npm test
+ */
+
+const assert = require('assert');
+const { describe, it } = require('node:test');
+
+const {
+  createMasterVolume,
+  parseLevel,
+  normalizeVolumeSettings,
+  levelToDb,
+  MIN_VOLUME_DB,
+} = require('../src/player/master-volume');
+const { SAMPLE_RATE, BYTES_PER_FRAME } = require('../src/player/pcm-mixer');
+
+/**
+ * Builds stereo s16le PCM where every sample has the same value
+ * @param {number} frames - Number of frames
+ * @param {number} value - Sample value
+ * @returns {Buffer} PCM bytes
+ */
+function constantPcm(frames, value) {
+  const buffer = Buffer.alloc(frames * BYTES_PER_FRAME);
+  for (let offset = 0; offset < buffer.length; offset += 2) {
+    buffer.writeInt16LE(value, offset);
+  }
+  return buffer;
+}
+
+/**
+ * Reads the left sample of the last frame
+ * @param {Buffer} pcm - PCM bytes
+ * @returns {number} Sample value
+ */
+function lastSample(pcm) {
+  return pcm.readInt16LE(pcm.length - BYTES_PER_FRAME);
+}
+
+/* ==========================================================================
+ * Test Suite: Master Volume
+ * ========================================================================== */
+
+describe('Master Volume', () => {
+  it('should accept levels as linear values or dB', () => {
+    assert.deepStrictEqual(parseLevel({ level: 0.5 }), { level: 0.5 });
+    assert.ok(Math.abs(parseLevel({ db: -6 }).level - 0.501) < 0.001);
+    assert.deepStrictEqual(parseLevel({ db: MIN_VOLUME_DB }), { level: 0 });
+    assert.strictEqual(levelToDb(0.5), -6);
+    assert.strictEqual(levelToDb(0), null);
+
+    assert.ok('error' in parseLevel({ level: 1.5 }));
+    assert.ok('error' in parseLevel({ level: '0.5' }));
+    assert.ok('error' in parseLevel({ db: 3 }));
+    assert.ok('error' in parseLevel({ level: 0.5, db: -6 }));
+    assert.ok('error' in parseLevel({}));
+  });
+
+  it('should pass audio through at unity and ramp level changes', () => {
+    const volume = createMasterVolume();
+    const pcm = constantPcm(10, 1000);
+    assert.strictEqual(volume.apply(pcm), pcm, 'Unity gain returns the input');
+
+    volume.set({ level: 0.5 });
+    const ramped = volume.apply(constantPcm(SAMPLE_RATE / 10, 1000));
+    assert.ok(ramped.readInt16LE(0) > 990, 'The change starts from the previous level');
+    assert.strictEqual(lastSample(ramped), 500);
+    assert.strictEqual(volume.getState().db, -6);
+  });
+
+  it('should mute without losing the level and finish timed fades', () => {
+    const volume = createMasterVolume({ level: 0.8, muted: true });
+    assert.strictEqual(lastSample(volume.apply(constantPcm(10, 1000))), 0);
+
+    volume.set({ muted: false });
+    assert.strictEqual(lastSample(volume.apply(constantPcm(SAMPLE_RATE / 10, 1000))), 800);
+
+    volume.fadeTo(0.2, 1);
+    const half = volume.apply(constantPcm(SAMPLE_RATE / 2, 1000));
+    assert.ok(Math.abs(lastSample(half) - 500) <= 1, 'Halfway through the fade');
+    const fade = volume.getState().fade;
+    assert.strictEqual(fade.target, 0.2);
+    assert.strictEqual(fade.remainingSeconds, 0.5);
+    assert.deepStrictEqual(volume.getSettings(), { level: 0.2, muted: false });
+
+    assert.strictEqual(lastSample(volume.apply(constantPcm(SAMPLE_RATE / 2, 1000))), 200);
+    assert.strictEqual(volume.getState().fade, null);
+  });
+
+  it('should cancel a timed fade when mute changes', () => {
+    const volume = createMasterVolume({ level: 0.8 });
+    volume.fadeTo(0.2, 1);
+    volume.apply(constantPcm(SAMPLE_RATE / 2, 1000));
+
+    volume.set({ muted: true });
+    assert.strictEqual(volume.getState().fade, null, 'The fade is no longer reported');
+    assert.strictEqual(lastSample(volume.apply(constantPcm(SAMPLE_RATE / 10, 1000))), 0);
+
+    volume.set({ muted: false });
+    assert.strictEqual(lastSample(volume.apply(constantPcm(SAMPLE_RATE / 10, 1000))), 200);
+    assert.deepStrictEqual(volume.getSettings(), { level: 0.2, muted: false });
+  });
+
+  it('should fall back to defaults for invalid stored settings', () => {
+    assert.deepStrictEqual(normalizeVolumeSettings(null), { level: 1, muted: false });
+    assert.deepStrictEqual(normalizeVolumeSettings({ level: 2, muted: true }), {
+      level: 1,
+      muted: true,
+    });
+    assert.deepStrictEqual(normalizeVolumeSettings({ level: 0.25, muted: 'yes' }), {
+      level: 0.25,
+      muted: false,
+    });
+  });
+});
@@ -0,0 +1,61 @@
+'use strict';
+
+/**
+ * StreamDJ PCM Mixer Tests
+ *
+ * Verifies:
+ * 1. Queued PCM is read back in whole frames across chunk boundaries
+ * 2. Crossfades start on the outgoing track and end on the incoming one
+ *
+ * Run with: npm test
+ */
+
+const assert = require('assert');
+const { describe, it } = require('node:test');
+
+const { createPcmQueue, mixCrossfade, BYTES_PER_FRAME } = require('../src/player/pcm-mixer');
+
+/**
+ * Builds stereo s16le PCM where every sample has the same value
+ * @param {number} frames - Number of frames
+ * @param {number} value - Sample value
+ * @returns {Buffer} PCM bytes
+ */
+function constantPcm(frames, value) {
+  const buffer = Buffer.alloc(frames * BYTES_PER_FRAME);
+  for (let offset = 0; offset < buffer.length; offset += 2) {
+    buffer.writeInt16LE(value, offset);
+  }
+  return buffer;
+}
+
+/* ==========================================================================
+ * Test Suite: PCM Mixer
+ * ========================================================================== */
+
+describe('PCM Mixer', () => {
+  it('should read whole frames across chunk boundaries', () => {
+    const queue = createPcmQueue();
+    const pcm = constantPcm(3, 100);
+    queue.push(pcm.subarray(0, 5));
+    assert.strictEqual(queue.read(10).length, 4, 'Partial frames should stay queued');
+
+    queue.push(pcm.subarray(5));
+    assert.strictEqual(queue.frames, 2);
+    assert.strictEqual(queue.read(1).length, BYTES_PER_FRAME);
+    assert.strictEqual(queue.read(10).length, BYTES_PER_FRAME);
+    assert.strictEqual(queue.length, 0);
+  });
+
+  it('should fade from the outgoing to the incoming track', () => {
+    const mixed = mixCrossfade(constantPcm(11, 1000), constantPcm(11, -1000), 0, 10);
+    assert.strictEqual(mixed.readInt16LE(0), 1000, 'First frame is the outgoing track');
+    assert.strictEqual(mixed.readInt16LE(10 * BYTES_PER_FRAME), -1000, 'Last frame is incoming');
+  });
+
+  it('should treat missing frames as silence', () => {
+    const mixed = mixCrossfade(constantPcm(4, 1000), Buffer.alloc(0), 0, 4);
+    assert.strictEqual(mixed.length, 4 * BYTES_PER_FRAME);
+    assert.ok(mixed.readInt16LE(3 * BYTES_PER_FRAME) < 1000);
+  });
+});
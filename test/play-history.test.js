@@ -0,0 +1,217 @@
+'use strict';
+
+/**
+ * StreamDJ Play History Tests
+ *
+ * Verifies:
+ * 1. Query parameters are validated and defaulted
+ * 2. Plays are appended to the log and survive a reload, skipping corrupt lines
+ * 3. Time-range queries return overlapping plays newest first, with pagination
+ * 4. Licensing reports aggregate plays per track and export safe CSV
+ *
+ * Run with: npm test
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+
+const { createPlayHistory, parseHistoryQuery } = require('../src/player/play-history');
+const { parseReportQuery, buildPlayReport, formatReportCsv } = require('../src/player/play-report');
+
+/**
+ * Parses a query string and fails the test on validation errors
+ * @param {Object<string, string>} params - Query parameters
+ * @returns {Object} Normalized query
+ */
+function parse(params) {
+  const parsed = parseHistoryQuery(params);
+  assert.ok(!('error' in parsed), parsed.error);
+  return parsed.query;
+}
+
+/* ==========================================================================
+ * Test Suite: Play History
+ * ========================================================================== */
+
+describe('Play History', () => {
+  let tmpDir;
+  let musicDir;
+  let filePath;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'streamdj-history-'));
+    musicDir = path.join(tmpDir, 'music');
+    filePath = path.join(tmpDir, 'data', 'play-history.jsonl');
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  /**
+   * Builds track metadata as the playlist manager provides it
+   * @param {string} name - File name
+   * @returns {Object} Track metadata
+   */
+  function track(name) {
+    return {
+      fullPath: path.join(musicDir, 'Set', name),
+      filename: name,
+      title: name.replace(/\.mp3$/, ''),
+      artist: 'DJ',
+      album: null,
+      duration: 180,
+    };
+  }
+
+  it('should apply defaults and reject invalid parameters', () => {
+    const query = parse({});
+    assert.strictEqual(query.from, null);
+    assert.strictEqual(query.limit, 50);
+    assert.strictEqual(parse({ from: '2026-01-01T21:00:00Z' }).from, Date.UTC(2026, 0, 1, 21));
+    assert.strictEqual(parse({ to: '1767301200000' }).to, 1767301200000);
+    assert.strictEqual(parse({ to: '2026-01-31' }).to, Date.UTC(2026, 1, 1) - 1);
+    assert.ok('error' in parseHistoryQuery({ from: 'yesterday' }));
+    assert.ok('error' in parseHistoryQuery({ from: '2026-01-02', to: '2026-01-01' }));
+    assert.ok('error' in parseHistoryQuery({ reason: 'paused' }));
+    assert.ok('error' in parseHistoryQuery({ limit: '501' }));
+  });
+
+  it('should persist plays and reload them, skipping corrupt lines', () => {
+    const history = createPlayHistory({ filePath, musicDir });
+    history.load();
+    const start = Date.UTC(2026, 0, 1, 20, 55);
+    const first = history.record({
+      track: track('one.mp3'),
+      startedAt: start,
+      endedAt: start + 180000,
+      playedSeconds: 179.96,
+      endReason: 'finished',
+    });
+    assert.strictEqual(first.id, 1);
+    assert.strictEqual(first.path, 'Set/one.mp3');
+    assert.strictEqual(first.playedSeconds, 180);
+    history.record({
+      track: track('two.mp3'),
+      startedAt: start + 180000,
+      endedAt: start + 240000,
+      playedSeconds: 60,
+      endReason: 'skipped',
+    });
+    fs.appendFileSync(filePath, '{"id": 3, "startedAt"');
+
+    const reloaded = createPlayHistory({ filePath, musicDir });
+    reloaded.load();
+    assert.strictEqual(reloaded.size(), 2);
+    const next = reloaded.record({
+      track: track('three.mp3'),
+      startedAt: start + 240000,
+      endedAt: start + 250000,
+      playedSeconds: 10,
+      endReason: 'error',
+    });
+    assert.strictEqual(next.id, 3);
+  });
+
+  it('should return plays overlapping a time range, newest first', () => {
+    const history = createPlayHistory({ filePath, musicDir });
+    history.load();
+
+    /* one.mp3 ran 20:55-20:58; only it was playing at 20:57 */
+    const at = parse({ from: '2026-01-01T20:57:00Z', to: '2026-01-01T20:57:00Z' });
+    assert.deepStrictEqual(
+      history.query(at).items.map((play) => play.filename),
+      ['one.mp3']
+    );
+
+    const all = history.query(parse({ limit: '2' }));
+    assert.strictEqual(all.total, 3);
+    assert.deepStrictEqual(
+      all.items.map((play) => play.filename),
+      ['three.mp3', 'two.mp3']
+    );
+    const skipped = history.query(parse({ reason: 'skipped' }));
+    assert.deepStrictEqual(
+      skipped.items.map((play) => play.id),
+      [2]
+    );
+  });
+});
+
+/* ==========================================================================
+ * Test Suite: Play Report
+ * ========================================================================== */
+
+describe('Play Report', () => {
+  /**
+   * Builds a play record
+   * @param {string} trackPath - Relative track path
+   * @param {number} playedSeconds - Seconds played
+   * @param {Object} [tags={}] - Tag overrides
+   * @returns {Object} Play record
+   */
+  function play(trackPath, playedSeconds, tags = {}) {
+    return {
+      path: trackPath,
+      title: 'Song',
+      artist: 'Band',
+      album: 'Album',
+      isrc: null,
+      label: null,
+      playedSeconds,
+      ...tags,
+    };
+  }
+
+  it('should count plays and seconds per track using the latest tags', () => {
+    const parsed = parseReportQuery({ from: '2026-01-01', to: '2026-01-31', minSeconds: '30' });
+    assert.ok(!('error' in parsed), parsed.error);
+    const report = buildPlayReport(
+      [
+        play('a.mp3', 200),
+        play('b.mp3', 120, { title: 'Other' }),
+        play('a.mp3', 10),
+        play('a.mp3', 180.6, { isrc: 'USRC17607839', label: 'Indie' }),
+        play('c.mp3', 0),
+      ],
+      parsed.query
+    );
+    assert.strictEqual(report.to, '2026-01-31T23:59:59.999Z');
+    assert.strictEqual(report.totalPlays, 3);
+    assert.deepStrictEqual(report.tracks[0], {
+      title: 'Song',
+      artist: 'Band',
+      album: 'Album',
+      isrc: 'USRC17607839',
+      label: 'Indie',
+      plays: 2,
+      secondsPlayed: 381,
+      path: 'a.mp3',
+    });
+    assert.strictEqual(report.tracks.length, 2);
+    assert.ok('error' in parseReportQuery({ format: 'xml' }));
+  });
+
+  it('should quote CSV fields and neutralize formulas', () => {
+    const csv = formatReportCsv({
+      tracks: [
+        {
+          title: 'Hello, "World"',
+          artist: '=HYPERLINK("x")',
+          album: null,
+          isrc: null,
+          label: null,
+          plays: 1,
+          secondsPlayed: 60,
+          path: 'a.mp3',
+        },
+      ],
+    });
+    const lines = csv.split('\r\n');
+    assert.strictEqual(lines[0], 'Title,Artist,Album,ISRC,Label,Plays,Seconds Played,Path');
+    assert.strictEqual(lines[1], `"Hello, ""World""","'=HYPERLINK(""x"")",,,,1,60,a.mp3`);
+  });
+});
@@ -0,0 +1,66 @@
+'use strict';
+
+/**
+ * StreamDJ Playback Controller Tests
+ *
+ * Verifies:
+ * 1. Seek targets are clamped to the playable part of the track
+ * 2. Jumps to unknown tracks and seeks without a track are refused
+ *
+ * Run with: npm test
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+
+const {
+  createPlaybackController,
+  clampSeekPosition,
+} = require('../src/player/playback-controller');
+const { createPlaylistManager } = require('../src/player/playlist-manager');
+
+/* ==========================================================================
+ * Test Suite: Playback Controller
+ * ========================================================================== */
+
+describe('Playback Controller', () => {
+  let musicDir;
+
+  before(() => {
+    musicDir = fs.mkdtempSync(path.join(os.tmpdir(), 'streamdj-controller-'));
+    fs.writeFileSync(path.join(musicDir, 'a.mp3'), '');
+  });
+
+  after(() => {
+    fs.rmSync(musicDir, { recursive: true, force: true });
+  });
+
+  it('should clamp seek targets to the playable part of the track', () => {
+    const track = { duration: 200, cues: null };
+    assert.strictEqual(clampSeekPosition(track, 42), 42);
+    assert.strictEqual(clampSeekPosition(track, -3), 0);
+    assert.strictEqual(clampSeekPosition(track, 500), 199, 'Stops a second short of the end');
+
+    const cued = { duration: 200, cues: { in: 2, out: 150 } };
+    assert.strictEqual(clampSeekPosition(cued, 180), 149, 'The out cue ends the track');
+    assert.strictEqual(clampSeekPosition({ duration: 0.5, cues: null }, 10), 0);
+    assert.strictEqual(clampSeekPosition({ duration: null, cues: null }, 1000), 1000);
+  });
+
+  it('should refuse jumps to unknown tracks and seeks without a track', async () => {
+    const playlistManager = createPlaylistManager({ musicDir, shuffle: false });
+    await playlistManager.loadInitialPlaylist();
+    const controller = createPlaybackController({
+      playlistManager,
+      audioSocket: { isConnected: () => false, isWritable: () => false },
+    });
+
+    assert.strictEqual(await controller.playTrack(1), false);
+    assert.strictEqual(await controller.playTrack(-1), false);
+    assert.strictEqual(await controller.seekTo(10), false);
+    assert.strictEqual(playlistManager.currentIndex, -1, 'Nothing started playing');
+  });
+});
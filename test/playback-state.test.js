@@ -0,0 +1,133 @@
+'use strict';
+
+/**
+ * StreamDJ Playback State Tests
+ *
+ * Verifies:
+ * 1. The saved state round-trips through the state file
+ * 2. Unchanged state is not rewritten
+ * 3. A store that never started does not overwrite the previous run's state
+ * 4. A new playlist manager restores the current track, history, queue and
+ *    shuffle order by library path, dropping tracks that are gone
+ * 5. State files holding absolute paths still restore
+ *
+ * Run with: npm test
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+
+const { createPlaybackStateStore } = require('../src/player/playback-state');
+const { createPlaylistManager } = require('../src/player/playlist-manager');
+
+const TRACK_NAMES = ['a.mp3', 'b.mp3', 'c.mp3', 'd.mp3'];
+
+/* ==========================================================================
+ * Test Suite: Playback State
+ * ========================================================================== */
+
+describe('Playback State', () => {
+  let tmpDir;
+  let musicDir;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'streamdj-resume-'));
+    musicDir = path.join(tmpDir, 'music');
+    fs.mkdirSync(musicDir);
+    for (const name of TRACK_NAMES) {
+      fs.writeFileSync(path.join(musicDir, name), '');
+    }
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should save and load the snapshot, and only save on stop once started', async () => {
+    const filePath = path.join(tmpDir, 'playback-state.json');
+    let position = 42.5;
+    const snapshot = () => ({
+      current: '/music/a.mp3',
+      position,
+      history: [],
+      upNext: [],
+      shuffledQueue: [],
+      recentPlays: [],
+      lastPlayedAt: [],
+    });
+    const store = createPlaybackStateStore({ filePath, getSnapshot: snapshot });
+    assert.strictEqual(store.load(), null);
+    assert.strictEqual(await store.save(), true);
+    assert.strictEqual(store.load().position, 42.5);
+    assert.ok(!fs.readFileSync(filePath, 'utf8').includes('\n'), 'Saved without indentation');
+
+    const { savedAt } = store.load();
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    await Promise.all([store.save(), store.save()]);
+    assert.strictEqual(store.load().savedAt, savedAt, 'Unchanged state is not rewritten');
+
+    position = 0;
+    const idle = createPlaybackStateStore({ filePath, getSnapshot: snapshot });
+    await idle.stop();
+    assert.strictEqual(idle.load().position, 42.5);
+
+    idle.start();
+    await idle.stop();
+    assert.strictEqual(idle.load().position, 0);
+  });
+
+  it('should restore navigation state by path in a new playlist manager', async () => {
+    const first = createPlaylistManager({ musicDir, rotationRules: { trackRepeatHours: 2 } });
+    await first.loadInitialPlaylist();
+    const indexOf = (manager, name) => manager.findTrackIndex(name);
+
+    first.setCurrentIndex(indexOf(first, 'a.mp3'));
+    first.addToHistory();
+    first.setCurrentIndex(indexOf(first, 'b.mp3'));
+    first.enqueue(indexOf(first, 'd.mp3'));
+    first.enqueue(indexOf(first, 'c.mp3'));
+    const saved = first.getResumeState();
+    assert.strictEqual(saved.current, 'b.mp3');
+    assert.deepStrictEqual(saved.history, ['a.mp3']);
+    assert.deepStrictEqual(
+      saved.lastPlayedAt.map(([trackPath]) => trackPath),
+      ['a.mp3', 'b.mp3']
+    );
+
+    /* d.mp3 disappears before the restart */
+    fs.rmSync(path.join(musicDir, 'd.mp3'));
+    const second = createPlaylistManager({ musicDir });
+    await second.loadInitialPlaylist();
+    const current = second.restoreResumeState(saved);
+
+    assert.strictEqual(current, indexOf(second, 'b.mp3'));
+    assert.strictEqual(second.currentTrack.filename, 'b.mp3');
+    assert.deepStrictEqual(
+      second.listQueue().map((entry) => entry.filename),
+      ['c.mp3']
+    );
+    assert.strictEqual(second.popFromHistory(), indexOf(second, 'a.mp3'));
+    assert.ok(!second.getResumeState().shuffledQueue.includes('d.mp3'));
+  });
+
+  it('should restore state saved with absolute paths', async () => {
+    const manager = createPlaylistManager({ musicDir });
+    await manager.loadInitialPlaylist();
+    const current = manager.restoreResumeState({
+      current: path.join(musicDir, 'c.mp3'),
+      history: [path.join(musicDir, 'a.mp3')],
+      upNext: [path.join(musicDir, 'b.mp3')],
+      lastPlayedAt: [[path.join(musicDir, 'a.mp3'), Date.now()]],
+    });
+
+    assert.strictEqual(current, manager.findTrackIndex('c.mp3'));
+    assert.deepStrictEqual(
+      manager.listQueue().map((entry) => entry.filename),
+      ['b.mp3']
+    );
+    assert.strictEqual(manager.popFromHistory(), manager.findTrackIndex('a.mp3'));
+  });
+});
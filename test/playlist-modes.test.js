@@ -0,0 +1,212 @@
+'use strict';
+
+/**
+ * StreamDJ Playback Mode Tests
+ *
+ * Verifies:
+ * 1. Sequential order wraps around in repeat-all mode
+ * 2. Repeat-one replays the current track unless the user skips
+ * 3. Stop-after-queue plays out the up-next queue and then stops
+ * 4. Peeking at the next track does not consume it or change the shuffle
+ *    order, and the peeked pick is the one taken until the queue changes
+ * 5. Shuffle picks keep artists apart and fall back to the least recently played track
+ * 6. Harmonic order picks a track in a compatible key and tempo
+ *
+ * Run with: npm test
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+
+const { createPlaylistManager } = require('../src/player/playlist-manager');
+
+const TRACK_NAMES = ['a.mp3', 'b.mp3', 'c.mp3'];
+
+/** Tags served through a stub library index, keyed by file name */
+const TAGGED_TRACKS = {
+  'a1.mp3': { artist: 'Artist A', album: 'Album X', bpm: 124, key: '8A' },
+  'a2.mp3': { artist: 'Artist A', album: 'Album X', bpm: 124, key: '3B' },
+  'b1.mp3': { artist: 'Artist B', album: 'Album Y', bpm: 126, key: '9A' },
+  'c1.mp3': { artist: 'Artist C', album: 'Album Z', bpm: 140, key: '8A' },
+};
+
+/* ==========================================================================
+ * Test Suite: Playback Modes
+ * ========================================================================== */
+
+describe('Playback Modes', () => {
+  let musicDir;
+
+  before(() => {
+    musicDir = fs.mkdtempSync(path.join(os.tmpdir(), 'streamdj-modes-'));
+    for (const name of TRACK_NAMES) {
+      fs.writeFileSync(path.join(musicDir, name), '');
+    }
+  });
+
+  after(() => {
+    fs.rmSync(musicDir, { recursive: true, force: true });
+  });
+
+  /**
+   * Creates a sequential playlist manager with the test tracks loaded
+   * @param {string} repeat - Repeat mode
+   * @returns {Promise<Object>} PlaylistManager instance
+   */
+  async function createManager(repeat) {
+    const manager = createPlaylistManager({ musicDir, shuffle: false, repeat });
+    await manager.loadInitialPlaylist();
+    return manager;
+  }
+
+  it('should wrap around in sequential repeat-all mode', async () => {
+    const manager = await createManager('all');
+    manager.setCurrentIndex(manager.playlist.length - 1);
+    assert.strictEqual(manager.pickNextIndex(), 0);
+  });
+
+  it('should replay the current track in repeat-one mode unless skipped', async () => {
+    const manager = await createManager('one');
+    manager.setCurrentIndex(1);
+    assert.strictEqual(manager.pickNextIndex(), 1);
+    assert.strictEqual(manager.pickNextIndex({ manual: true }), 2);
+  });
+
+  it('should stop after the up-next queue in stop-after-queue mode', async () => {
+    const manager = await createManager('stop-after-queue');
+    manager.setCurrentIndex(0);
+    manager.enqueue(2);
+    assert.strictEqual(manager.pickNextIndex(), 2);
+    assert.strictEqual(manager.pickNextIndex(), -1);
+    assert.strictEqual(manager.pickNextIndex({ manual: true }), 1);
+  });
+
+  it('should peek without consuming the queue', async () => {
+    const manager = await createManager('all');
+    manager.setCurrentIndex(0);
+    manager.enqueue(2);
+    assert.strictEqual(manager.peekNextIndex(), 2);
+    assert.strictEqual(manager.listQueue().length, 1);
+    assert.strictEqual(manager.pickNextIndex(), 2);
+    assert.strictEqual(manager.listQueue().length, 0);
+  });
+
+  it('should keep the peeked shuffle pick until something changes', async () => {
+    const manager = createPlaylistManager({ musicDir, shuffle: true });
+    await manager.loadInitialPlaylist();
+    manager.setCurrentIndex(0);
+    while (manager.getResumeState().shuffledQueue.length > 0) {
+      manager.pickNextIndex();
+    }
+
+    /* An exhausted shuffle order is only rebuilt once the pick is taken */
+    const peeked = manager.peekNextIndex();
+    assert.notStrictEqual(peeked, 0);
+    assert.strictEqual(manager.getResumeState().shuffledQueue.length, 0);
+    assert.strictEqual(manager.peekNextIndex(), peeked);
+    assert.strictEqual(manager.pickNextIndex({ manual: true }), peeked);
+    assert.strictEqual(manager.getResumeState().shuffledQueue.length, 1);
+
+    manager.enqueue(0);
+    assert.strictEqual(manager.peekNextIndex(), 0, 'Queueing replaces the cached pick');
+  });
+
+  it('should switch modes at runtime', async () => {
+    const manager = await createManager('all');
+    const mode = manager.setPlaybackMode({ order: 'shuffle', repeat: 'one' });
+    assert.deepStrictEqual(mode, { order: 'shuffle', repeat: 'one' });
+    assert.deepStrictEqual(manager.getPlaybackMode(), mode);
+  });
+});
+
+/* ==========================================================================
+ * Test Suite: Rotation Rules
+ * ========================================================================== */
+
+describe('Rotation Rules', () => {
+  let musicDir;
+
+  before(() => {
+    musicDir = fs.mkdtempSync(path.join(os.tmpdir(), 'streamdj-rules-'));
+    for (const name of Object.keys(TAGGED_TRACKS)) {
+      fs.writeFileSync(path.join(musicDir, name), '');
+    }
+  });
+
+  after(() => {
+    fs.rmSync(musicDir, { recursive: true, force: true });
+  });
+
+  /**
+   * Creates a shuffling playlist manager whose tags come from TAGGED_TRACKS
+   * @param {Object} rules - Rotation rules
+   * @returns {Promise<Object>} PlaylistManager instance
+   */
+  async function createManager(rules) {
+    const libraryIndex = {
+      lookup: (fullPath) => ({
+        title: path.basename(fullPath),
+        duration: 180,
+        replayGain: { trackGain: 0 },
+        ...TAGGED_TRACKS[path.basename(fullPath)],
+      }),
+      update() {},
+      prune: () => 0,
+      save: async () => {},
+      scheduleSave() {},
+    };
+    const manager = createPlaylistManager({ musicDir, libraryIndex, rotationRules: rules });
+    await manager.loadInitialPlaylist();
+    return manager;
+  }
+
+  it('should not pick the same artist back-to-back when others remain', async () => {
+    for (let attempt = 0; attempt < 10; attempt += 1) {
+      const manager = await createManager({
+        artistSeparation: 1,
+        albumSeparation: 0,
+        trackRepeatHours: 0,
+      });
+      manager.setCurrentIndex(manager.findTrackIndex('a1.mp3'));
+      manager.setPlaybackMode({ order: 'shuffle' });
+      const next = manager.getTrackAtIndex(manager.pickNextIndex());
+      assert.notStrictEqual(next.artist, 'Artist A');
+    }
+  });
+
+  it('should fall back to the least recently played track when relaxing', async () => {
+    const manager = await createManager({
+      artistSeparation: 0,
+      albumSeparation: 0,
+      trackRepeatHours: 1,
+      fallback: 'relax',
+    });
+    for (const name of ['b1.mp3', 'c1.mp3', 'a1.mp3']) {
+      manager.setCurrentIndex(manager.findTrackIndex(name));
+      await new Promise((resolve) => setTimeout(resolve, 5));
+    }
+    /* Every remaining track is inside the repeat window; b1 has rested longest */
+    manager.setRotationSource(
+      ['a1.mp3', 'b1.mp3', 'c1.mp3'].map((name) => path.join(musicDir, name))
+    );
+    assert.strictEqual(manager.pickNextIndex(), manager.findTrackIndex('b1.mp3'));
+  });
+
+  it('should prefer a compatible key and tempo in harmonic order', async () => {
+    for (let attempt = 0; attempt < 10; attempt += 1) {
+      const manager = await createManager({
+        artistSeparation: 0,
+        albumSeparation: 0,
+        trackRepeatHours: 1,
+        bpmTolerance: 6,
+      });
+      manager.setCurrentIndex(manager.findTrackIndex('a1.mp3'));
+      assert.strictEqual(manager.setPlaybackMode({ order: 'harmonic' }).order, 'harmonic');
+      /* a2 is in a clashing key and c1 too fast; only b1 mixes with a1 */
+      assert.strictEqual(manager.pickNextIndex(), manager.findTrackIndex('b1.mp3'));
+    }
+  });
+});
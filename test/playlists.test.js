@@ -0,0 +1,129 @@
+'use strict';
+
+/**
+ * StreamDJ Saved Playlist Tests
+ *
+ * Verifies:
+ * 1. M3U parsing reads #EXTINF data and skips comments
+ * 2. Imported paths from other machines match library files by path suffix
+ * 3. The playlist store persists playlists, crates and the active source
+ * 4. An active rotation source limits automatic picks to its tracks
+ *
+ * Run with: npm test
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+
+const { parseM3u, buildM3u, createLibraryMatcher } = require('../src/player/m3u');
+const { createPlaylistStore } = require('../src/player/playlist-store');
+const { createPlaylistManager } = require('../src/player/playlist-manager');
+
+/* ==========================================================================
+ * Test Suite: M3U
+ * ========================================================================== */
+
+describe('M3U', () => {
+  it('should parse extended M3U entries', () => {
+    const entries = parseM3u(
+      '\uFEFF#EXTM3U\r\n#EXTINF:215,Artist - Song\r\nArtist/song.mp3\r\n\r\n# comment\r\nother.flac\r\n'
+    );
+    assert.deepStrictEqual(entries, [
+      { location: 'Artist/song.mp3', title: 'Artist - Song', duration: 215 },
+      { location: 'other.flac', title: null, duration: null },
+    ]);
+  });
+
+  it('should match foreign absolute paths by their longest known suffix', () => {
+    const match = createLibraryMatcher(['Live/Artist/song.mp3', 'Studio/Artist/song.mp3']);
+    assert.strictEqual(
+      match('C:\\Users\\dj\\Music\\Studio\\Artist\\song.mp3'),
+      'Studio/Artist/song.mp3'
+    );
+    assert.strictEqual(match('file:///home/dj/Live/Artist/song.mp3'), 'Live/Artist/song.mp3');
+    assert.strictEqual(match('/elsewhere/unknown.mp3'), null);
+    assert.strictEqual(match('http://radio.example/stream'), null);
+  });
+
+  it('should round-trip through buildM3u', () => {
+    const content = buildM3u([
+      { location: '/music/a.mp3', title: 'A', artist: 'X', duration: 61.4 },
+    ]);
+    assert.deepStrictEqual(parseM3u(content), [
+      { location: '/music/a.mp3', title: 'X - A', duration: 61 },
+    ]);
+  });
+});
+
+/* ==========================================================================
+ * Test Suite: Playlist Store and Rotation
+ * ========================================================================== */
+
+describe('Playlist Store', () => {
+  let tmpDir;
+  let musicDir;
+  let filePath;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'streamdj-playlists-'));
+    musicDir = path.join(tmpDir, 'music');
+    filePath = path.join(tmpDir, 'data', 'playlists.json');
+    fs.mkdirSync(musicDir);
+    for (const name of ['a.mp3', 'b.mp3', 'c.mp3', 'd.mp3']) {
+      fs.writeFileSync(path.join(musicDir, name), '');
+    }
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should persist playlists, crates and the active source', () => {
+    const store = createPlaylistStore({ filePath, musicDir });
+    const full = (name) => path.join(musicDir, name);
+    const playlist = store.create({ name: 'Late Night', tracks: [full('c.mp3'), full('a.mp3')] });
+    const crate = store.create({
+      name: 'Late Night',
+      kind: 'crate',
+      tracks: [full('d.mp3'), full('b.mp3')],
+    });
+    assert.strictEqual(playlist.id, 'late-night');
+    assert.strictEqual(crate.id, 'late-night-2');
+    assert.deepStrictEqual(crate.tracks, ['b.mp3', 'd.mp3']);
+    assert.ok(store.setActive(playlist.id));
+
+    const reloaded = createPlaylistStore({ filePath, musicDir });
+    reloaded.load();
+    assert.deepStrictEqual(reloaded.get('late-night').tracks, ['c.mp3', 'a.mp3']);
+    assert.strictEqual(reloaded.activeId, 'late-night');
+    assert.deepStrictEqual(reloaded.getActiveTrackPaths(), [full('c.mp3'), full('a.mp3')]);
+
+    assert.ok(reloaded.remove('late-night'));
+    assert.strictEqual(reloaded.activeId, null);
+  });
+
+  it('should limit automatic picks to the rotation source in its order', async () => {
+    const manager = createPlaylistManager({ musicDir, shuffle: false });
+    await manager.loadInitialPlaylist();
+    const indexOf = (name) => manager.findTrackIndex(name);
+    manager.setRotationSource([path.join(musicDir, 'd.mp3'), path.join(musicDir, 'b.mp3')]);
+
+    manager.setCurrentIndex(indexOf('a.mp3'));
+    assert.strictEqual(manager.pickNextIndex(), indexOf('d.mp3'));
+    manager.setCurrentIndex(indexOf('d.mp3'));
+    assert.strictEqual(manager.pickNextIndex(), indexOf('b.mp3'));
+    manager.setCurrentIndex(indexOf('b.mp3'));
+    assert.strictEqual(manager.pickNextIndex(), indexOf('d.mp3'));
+    assert.strictEqual(manager.getRotationSize(), 2);
+
+    manager.setPlaybackMode({ order: 'shuffle' });
+    const picks = new Set([manager.pickNextIndex(), manager.pickNextIndex()]);
+    assert.deepStrictEqual(picks, new Set([indexOf('d.mp3')]));
+
+    manager.setRotationSource(null);
+    assert.strictEqual(manager.getRotationSize(), 4);
+  });
+});
@@ -0,0 +1,203 @@
+'use strict';
+
+/**
+ * StreamDJ Schedule Tests
+ *
+ * Verifies:
+ * 1. Slots are validated, and overlapping slots (including ones that run past
+ *    midnight or the end of the week) are rejected
+ * 2. The active slot is looked up in the schedule's timezone
+ * 3. The scheduler resolves slot sources and falls back to the default rotation
+ *
+ * Run with: npm test
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+
+const { createScheduleStore } = require('../src/player/schedule-store');
+const { createScheduler } = require('../src/player/scheduler');
+
+/* ==========================================================================
+ * Test Suite: Schedule Store
+ * ========================================================================== */
+
+describe('Schedule Store', () => {
+  let tmpDir;
+  let filePath;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'streamdj-schedule-'));
+    filePath = path.join(tmpDir, 'data', 'schedule.json');
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  /**
+   * Builds slot input with a folder source
+   * @param {Object} fields - Slot fields
+   * @returns {Object} Slot input
+   */
+  function slot(fields) {
+    return { source: { type: 'folder', path: 'Mixes' }, ...fields };
+  }
+
+  it('should validate slots and reject overlaps across midnight and week end', () => {
+    const store = createScheduleStore({ filePath, defaultTimezone: 'UTC' });
+    store.load();
+    assert.ok('error' in store.addSlot(slot({ days: ['mon'], start: '10:00', end: '10:00' })));
+    assert.ok('error' in store.addSlot(slot({ days: ['xyz'], start: '10:00', end: '11:00' })));
+    assert.ok(
+      'error' in
+        store.addSlot({ days: ['mon'], start: '10:00', end: '11:00', source: { type: 'tags' } })
+    );
+
+    const late = store.addSlot(slot({ name: 'Late', days: ['sun'], start: '22:00', end: '02:00' }));
+    assert.strictEqual(late.slot.id, 'slot-1');
+    /* Sunday 22:00-02:00 runs into Monday morning */
+    const clash = store.addSlot(slot({ days: ['mon'], start: '01:00', end: '03:00' }));
+    assert.match(clash.error, /overlap/);
+    const evening = store.addSlot(
+      slot({ days: ['mon', 'fri'], start: '18:00', end: '24:00', transition: 'fade' })
+    );
+    assert.strictEqual(evening.slot.transition, 'fade');
+    assert.strictEqual(evening.slot.jingles, null);
+    assert.ok(
+      'error' in
+        store.addSlot(
+          slot({
+            days: ['tue'],
+            start: '10:00',
+            end: '11:00',
+            jingles: { mode: 'tracks', every: 0 },
+          })
+        )
+    );
+    assert.ok(!('error' in store.addSlot(slot({ days: ['mon'], start: '02:00', end: '18:00' }))));
+  });
+
+  it('should find the active slot in the schedule timezone and persist changes', () => {
+    const store = createScheduleStore({ filePath, defaultTimezone: 'UTC' });
+    store.load();
+    assert.strictEqual(store.get().slots.length, 3);
+
+    /* Monday 2026-01-05 01:30 UTC is still inside Sunday's late slot */
+    assert.strictEqual(store.getActiveSlot(new Date(Date.UTC(2026, 0, 5, 1, 30))).id, 'slot-1');
+    assert.strictEqual(store.getActiveSlot(new Date(Date.UTC(2026, 0, 9, 23, 59))).id, 'slot-2');
+    assert.strictEqual(store.getActiveSlot(new Date(Date.UTC(2026, 0, 6, 12))), null);
+
+    /* 17:30 UTC is 18:30 in Berlin (CET), inside the Monday evening slot */
+    assert.ok('error' in store.replace({ timezone: 'Mars/Olympus' }));
+    store.replace({ timezone: 'Europe/Berlin' });
+    const reloaded = createScheduleStore({ filePath, defaultTimezone: 'UTC' });
+    reloaded.load();
+    assert.strictEqual(reloaded.timezone, 'Europe/Berlin');
+    assert.strictEqual(reloaded.getActiveSlot(new Date(Date.UTC(2026, 0, 5, 17, 30))).id, 'slot-2');
+    assert.strictEqual(reloaded.removeSlot('slot-2'), true);
+    assert.strictEqual(reloaded.removeSlot('slot-2'), false);
+  });
+
+  it('should reject sources the checkSource hook refuses', () => {
+    const store = createScheduleStore({
+      filePath: path.join(tmpDir, 'checked.json'),
+      defaultTimezone: 'UTC',
+      checkSource: (source) => (source.path === 'Gone' ? 'folder Gone not found' : null),
+    });
+    const result = store.addSlot({
+      days: ['tue'],
+      start: '08:00',
+      end: '09:00',
+      source: { type: 'folder', path: 'Gone' },
+    });
+    assert.strictEqual(result.error, 'slot slot-1: folder Gone not found');
+  });
+});
+
+/* ==========================================================================
+ * Test Suite: Scheduler
+ * ========================================================================== */
+
+describe('Scheduler', () => {
+  const musicDir = path.join(os.tmpdir(), 'streamdj-music');
+  const library = [
+    { fullPath: path.join(musicDir, 'Mixes', 'a.mp3'), genre: 'House', artist: 'A' },
+    { fullPath: path.join(musicDir, 'Mixes', 'b.mp3'), genre: 'Techno', artist: 'B' },
+    { fullPath: path.join(musicDir, 'Mixes Old', 'c.mp3'), genre: 'House', artist: 'C' },
+  ];
+
+  /**
+   * Builds a scheduler around fakes, recording rotation changes and fades
+   * @param {Object|null} activeSlot - Slot the fake store reports as active
+   * @returns {{scheduler: Object, sources: Array, fades: number[], setSlot: Function}} Harness
+   */
+  function harness(activeSlot) {
+    let slot = activeSlot;
+    const sources = [];
+    const fades = [];
+    const scheduler = createScheduler({
+      scheduleStore: { getActiveSlot: () => slot, fadeSeconds: 3, timezone: 'UTC' },
+      playlistManager: {
+        playlist: library,
+        setRotationSource: (paths) => sources.push(paths),
+      },
+      playlistStore: {
+        get: (id) => (id === 'pl-1' ? { tracks: ['Mixes/b.mp3'] } : null),
+        toFullPath: (relative) => path.join(musicDir, ...relative.split('/')),
+        getActiveTrackPaths: () => null,
+      },
+      musicDir,
+      playbackController: {
+        isPlaying: () => true,
+        fadeToNext: async (seconds) => {
+          fades.push(seconds);
+        },
+      },
+    });
+    return { scheduler, sources, fades, setSlot: (next) => (slot = next) };
+  }
+
+  it('should resolve folder, tag and playlist sources', () => {
+    const { scheduler } = harness(null);
+    const resolve = (source) => scheduler.resolveSource({ id: 'slot-1', source });
+    assert.deepStrictEqual(resolve({ type: 'folder', path: 'Mixes' }), [
+      library[0].fullPath,
+      library[1].fullPath,
+    ]);
+    assert.deepStrictEqual(resolve({ type: 'tags', filter: { genre: 'House' } }), [
+      library[0].fullPath,
+      library[2].fullPath,
+    ]);
+    assert.deepStrictEqual(resolve({ type: 'playlist', id: 'pl-1' }), [library[1].fullPath]);
+    assert.deepStrictEqual(resolve({ type: 'playlist', id: 'missing' }), []);
+  });
+
+  it('should switch sources on slot changes and fade into fade slots', () => {
+    const { scheduler, sources, fades, setSlot } = harness(null);
+    scheduler.check();
+    assert.deepStrictEqual(sources, [null]);
+
+    setSlot({
+      id: 'slot-1',
+      transition: 'fade',
+      source: { type: 'playlist', id: 'pl-1' },
+      jingles: { mode: 'tracks', every: 2 },
+    });
+    scheduler.check();
+    scheduler.check();
+    assert.deepStrictEqual(scheduler.getJingleRule(), { mode: 'tracks', every: 2 });
+    assert.deepStrictEqual(sources, [null, [library[1].fullPath]]);
+    assert.deepStrictEqual(fades, [3]);
+    assert.strictEqual(scheduler.getStatus().activeSlotId, 'slot-1');
+
+    /* A slot whose source is empty keeps the default rotation */
+    setSlot({ id: 'slot-2', transition: 'track', source: { type: 'playlist', id: 'missing' } });
+    scheduler.check();
+    assert.deepStrictEqual(sources[sources.length - 1], null);
+    assert.deepStrictEqual(fades, [3]);
+  });
+});
@@ -0,0 +1,194 @@
+'use strict';
+
+/**
+ * StreamDJ Streams Tests
+ *
+ * Verifies:
+ * 1. Stream entries are validated and ICY StreamTitle values are parsed
+ * 2. Interleaved ICY metadata is split from the audio across chunk boundaries
+ * 3. A local HTTP stream is read with its titles, reconnected after a drop
+ *    and ended once a complete response arrives
+ * 4. Redirects to anything but http: or https: end the stream
+ *
+ * Run with: npm test
+ */
+
+const assert = require('assert');
+const http = require('http');
+const { describe, it, before, after } = require('node:test');
+
+const {
+  normalizeStream,
+  parseIcyMetadata,
+  splitStreamTitle,
+  createIcyDemuxer,
+  openStream,
+} = require('../src/player/streams');
+
+const META_INT = 8;
+
+/**
+ * Builds an ICY metadata block with its length byte
+ * @param {string} title - StreamTitle value
+ * @returns {Buffer} Length byte and padded block
+ */
+function metadataBlock(title) {
+  const text = Buffer.from(`StreamTitle='${title}';StreamUrl='';`);
+  const length = Math.ceil(text.length / 16);
+  const block = Buffer.alloc(1 + length * 16);
+  block[0] = length;
+  text.copy(block, 1);
+  return block;
+}
+
+/**
+ * Interleaves audio bytes with a metadata block after every META_INT bytes
+ * @param {Buffer} audio - Audio bytes (a multiple of META_INT long)
+ * @param {string[]} titles - Title per block; '' sends an empty block
+ * @returns {Buffer} Response body
+ */
+function icyBody(audio, titles) {
+  const parts = [];
+  for (let i = 0; i < audio.length / META_INT; i += 1) {
+    parts.push(audio.subarray(i * META_INT, (i + 1) * META_INT));
+    parts.push(titles[i] ? metadataBlock(titles[i]) : Buffer.alloc(1));
+  }
+  return Buffer.concat(parts);
+}
+
+/* ==========================================================================
+ * Test Suite: Streams
+ * ========================================================================== */
+
+describe('Streams', () => {
+  let server;
+  let baseUrl;
+  let requests = 0;
+  const audio = Buffer.from('0123456789abcdefghijklmnopqrstuv');
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      requests += 1;
+      assert.strictEqual(req.headers['icy-metadata'], '1');
+      if (req.url === '/moved') {
+        res.writeHead(302, { Location: '/complete' });
+        res.end();
+        return;
+      }
+      if (req.url === '/to-file') {
+        res.writeHead(302, { Location: 'file:///etc/passwd' });
+        res.end();
+        return;
+      }
+      const body = icyBody(audio, ["Artist - It's Live", '', 'Artist - Next', '']);
+      if (req.url === '/drop' && requests === 1) {
+        /* No Content-Length and cut short: a dropped live connection */
+        res.writeHead(200, { 'icy-metaint': String(META_INT) });
+        res.end(body.subarray(0, 20));
+        return;
+      }
+      res.writeHead(200, {
+        'icy-metaint': String(META_INT),
+        'Content-Length': String(body.length),
+      });
+      res.end(body);
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  /**
+   * Reads a stream until it ends
+   * @param {string} url - Stream URL
+   * @returns {Promise<{audio: Buffer, titles: string[], err: Error|null}>} What was received
+   */
+  function readStream(url) {
+    return new Promise((resolve) => {
+      const chunks = [];
+      const titles = [];
+      openStream({
+        url,
+        onData: (chunk) => chunks.push(chunk),
+        onTitle: (title) => titles.push(title),
+        onEnd: (err) => resolve({ audio: Buffer.concat(chunks), titles, err }),
+        reconnectDelayMs: 10,
+      });
+    });
+  }
+
+  it('should validate stream entries', () => {
+    assert.deepStrictEqual(normalizeStream({ url: 'https://radio.example/live' }), {
+      stream: { url: 'https://radio.example/live', name: 'radio.example' },
+    });
+    assert.strictEqual(
+      normalizeStream({ url: ' http://radio.example:8000/a ', name: ' Radio ' }).stream.name,
+      'Radio'
+    );
+    assert.ok('error' in normalizeStream({ url: 'ftp://radio.example/live' }));
+    assert.ok('error' in normalizeStream({ url: '/music/song.mp3' }));
+    assert.ok('error' in normalizeStream({ url: 'http://radio.example', name: '' }));
+  });
+
+  it('should parse stream titles', () => {
+    const block = metadataBlock("Guns N' Roses - Don't Cry").subarray(1);
+    assert.strictEqual(parseIcyMetadata(block), "Guns N' Roses - Don't Cry");
+    assert.strictEqual(parseIcyMetadata(Buffer.from("StreamUrl='x';")), null);
+    assert.deepStrictEqual(splitStreamTitle('Artist - Title - Remix'), {
+      artist: 'Artist',
+      title: 'Title - Remix',
+    });
+    assert.deepStrictEqual(splitStreamTitle('Station jingle'), {
+      artist: null,
+      title: 'Station jingle',
+    });
+  });
+
+  it('should split metadata from audio across chunk boundaries', () => {
+    const body = icyBody(audio, ['A - One', '', 'B - Two', '']);
+    const titles = [];
+    const demux = createIcyDemuxer(META_INT, (block) => titles.push(parseIcyMetadata(block)));
+    const out = [];
+    for (let offset = 0; offset < body.length; offset += 5) {
+      out.push(demux(body.subarray(offset, offset + 5)));
+    }
+    assert.deepStrictEqual(Buffer.concat(out), audio);
+    assert.deepStrictEqual(titles, ['A - One', 'B - Two']);
+  });
+
+  it('should read a stream, reconnect after a drop and end with a complete response', async () => {
+    requests = 0;
+    const dropped = await readStream(`${baseUrl}/drop`);
+    assert.strictEqual(requests, 2);
+    assert.strictEqual(dropped.err, null);
+    /* The audio of the dropped connection is kept, then the stream starts over */
+    assert.deepStrictEqual(dropped.audio.subarray(dropped.audio.length - audio.length), audio);
+    assert.deepStrictEqual(dropped.titles, ["Artist - It's Live", 'Artist - Next']);
+
+    const redirected = await readStream(`${baseUrl}/moved`);
+    assert.strictEqual(redirected.err, null);
+    assert.deepStrictEqual(redirected.audio, audio);
+  });
+
+  it('should refuse redirects to other schemes', async () => {
+    requests = 0;
+    const result = await readStream(`${baseUrl}/to-file`);
+    assert.ok(result.err instanceof Error);
+    assert.match(result.err.message, /file:/);
+    assert.strictEqual(requests, 1, 'The redirect is not retried');
+    assert.strictEqual(result.audio.length, 0);
+  });
+
+  it('should give up on a stream that cannot be reached', async () => {
+    const unreachable = http.createServer();
+    await new Promise((resolve) => unreachable.listen(0, '127.0.0.1', resolve));
+    const { port } = unreachable.address();
+    await new Promise((resolve) => unreachable.close(resolve));
+    const result = await readStream(`http://127.0.0.1:${port}/live`);
+    assert.ok(result.err instanceof Error);
+    assert.strictEqual(result.audio.length, 0);
+  });
+});
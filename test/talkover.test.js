@@ -0,0 +1,97 @@
+'use strict';
+
+/**
+ * StreamDJ Talk-over Mixer Tests
+ *
+ * Verifies:
+ * 1. Music passes through unchanged without voice, including split frames
+ * 2. Voice is mixed in and the music is ducked, then released after it stops
+ * 3. Settings updates are validated and merged
+ *
+ * Run with: npm test
+ */
+
+const assert = require('assert');
+const { describe, it } = require('node:test');
+
+const {
+  createTalkoverMixer,
+  normalizeTalkoverSettings,
+  DEFAULT_TALKOVER_SETTINGS,
+} = require('../src/server/talkover-mixer');
+
+const BYTES_PER_FRAME = 4;
+
+/**
+ * Builds stereo s16le PCM where every sample has the same value
+ * @param {number} frames - Number of frames
+ * @param {number} value - Sample value
+ * @returns {Buffer} PCM bytes
+ */
+function constantPcm(frames, value) {
+  const buffer = Buffer.alloc(frames * BYTES_PER_FRAME);
+  for (let offset = 0; offset < buffer.length; offset += 2) {
+    buffer.writeInt16LE(value, offset);
+  }
+  return buffer;
+}
+
+/**
+ * Creates a mixer that keeps its settings in memory
+ * @returns {Object} Talk-over mixer
+ */
+function createMixer() {
+  return createTalkoverMixer({ log: () => {}, warn: () => {}, persistenceFile: null });
+}
+
+/* ==========================================================================
+ * Test Suite: Talk-over Mixer
+ * ========================================================================== */
+
+describe('Talk-over Mixer', () => {
+  it('should pass music through and carry split frames into the next chunk', () => {
+    const mixer = createMixer();
+    const music = constantPcm(4, 1000);
+    const first = mixer.mix(music.subarray(0, 6));
+    const second = mixer.mix(music.subarray(6));
+    assert.strictEqual(first.length, 4);
+    assert.strictEqual(second.length, 12);
+    assert.deepStrictEqual(Buffer.concat([first, second]), music);
+  });
+
+  it('should duck the music while voice is present and release it afterwards', () => {
+    const mixer = createMixer();
+    mixer.updateSettings({ duckDb: 20, attackMs: 1, releaseMs: 10 });
+
+    /* 200 ms of voice over 200 ms of music */
+    mixer.pushVoice(constantPcm(8820, 500));
+    const ducked = mixer.mix(constantPcm(8820, 10000));
+    const last = ducked.length - BYTES_PER_FRAME;
+    /* 10000 at -20 dB plus the voice */
+    assert.ok(Math.abs(ducked.readInt16LE(last) - 1500) <= 2, ducked.readInt16LE(last));
+    assert.strictEqual(mixer.getStatus().voiceActive, true);
+
+    /* Voice stops: hold, then release back to full level */
+    const released = mixer.mix(constantPcm(44100, 10000));
+    assert.strictEqual(released.readInt16LE(released.length - BYTES_PER_FRAME), 10000);
+    assert.strictEqual(mixer.getStatus().voiceActive, false);
+    assert.strictEqual(mixer.getStatus().musicGainDb, 0);
+  });
+
+  it('should not duck for voice below the threshold', () => {
+    const mixer = createMixer();
+    mixer.pushVoice(constantPcm(4410, 1));
+    const output = mixer.mix(constantPcm(4410, 10000));
+    assert.strictEqual(output.readInt16LE(output.length - BYTES_PER_FRAME), 10001);
+    assert.strictEqual(mixer.getStatus().voiceActive, false);
+  });
+
+  it('should validate and merge settings updates', () => {
+    const merged = normalizeTalkoverSettings({ duckDb: 6 }, DEFAULT_TALKOVER_SETTINGS);
+    assert.strictEqual(merged.duckDb, 6);
+    assert.strictEqual(merged.releaseMs, DEFAULT_TALKOVER_SETTINGS.releaseMs);
+    assert.throws(() => normalizeTalkoverSettings({ duckDb: 60 }, DEFAULT_TALKOVER_SETTINGS));
+    assert.throws(() => normalizeTalkoverSettings({ gain: 1 }, DEFAULT_TALKOVER_SETTINGS));
+    assert.throws(() => normalizeTalkoverSettings({ attackMs: '5' }, DEFAULT_TALKOVER_SETTINGS));
+  });
+});
@@ -0,0 +1,95 @@
+'use strict';
+
+/**
+ * StreamDJ Tempo & Key Tests
+ *
+ * Verifies:
+ * 1. Key tags in Camelot, Open Key and musical notation map to Camelot keys
+ * 2. Key and tempo compatibility follow the Camelot wheel and half/double time
+ * 3. Tempo and key are estimated from a synthetic signal
+ *
+ * Run with: npm test
+ */
+
+const assert = require('assert');
+const { describe, it } = require('node:test');
+
+const {
+  normalizeKey,
+  readTempoKey,
+  isKeyCompatible,
+  isTempoCompatible,
+  isHarmonicMatch,
+  estimateBpm,
+  estimateKey,
+} = require('../src/player/tempo-key');
+
+const SAMPLE_RATE = 11025;
+
+/**
+ * Builds a signal of decaying clicks on every beat with a chord held underneath
+ * @param {number} bpm - Beats per minute
+ * @param {number[]} midiNotes - Chord notes
+ * @param {number} seconds - Length
+ * @returns {Float32Array} Mono samples
+ */
+function synthesize(bpm, midiNotes, seconds) {
+  const samples = new Float32Array(SAMPLE_RATE * seconds);
+  for (const midi of midiNotes) {
+    const frequency = 440 * Math.pow(2, (midi - 69) / 12);
+    for (let i = 0; i < samples.length; i++) {
+      samples[i] += 0.1 * Math.sin((2 * Math.PI * frequency * i) / SAMPLE_RATE);
+    }
+  }
+  const period = (60 / bpm) * SAMPLE_RATE;
+  for (let start = 0; start < samples.length; start += period) {
+    for (let i = 0; i < 200 && Math.round(start) + i < samples.length; i++) {
+      samples[Math.round(start) + i] += Math.sin(i * 0.5) * Math.exp(-i / 40);
+    }
+  }
+  return samples;
+}
+
+/* ==========================================================================
+ * Test Suite: Tempo & Key
+ * ========================================================================== */
+
+describe('Tempo & Key', () => {
+  it('should normalize key tags to Camelot notation', () => {
+    assert.strictEqual(normalizeKey('Am'), '8A');
+    assert.strictEqual(normalizeKey('08a'), '8A');
+    assert.strictEqual(normalizeKey('1d'), '8B');
+    assert.strictEqual(normalizeKey('C#m'), '12A');
+    assert.strictEqual(normalizeKey('Bb major'), '6B');
+    assert.strictEqual(normalizeKey('F#'), '2B');
+    assert.strictEqual(normalizeKey('o'), null);
+    assert.deepStrictEqual(readTempoKey({ common: { bpm: 127.96, key: 'Ebm' } }), {
+      bpm: 128,
+      key: '2A',
+    });
+    assert.deepStrictEqual(readTempoKey({ common: {} }), { bpm: null, key: null });
+  });
+
+  it('should match keys on the Camelot wheel and tempos within tolerance', () => {
+    assert.ok(isKeyCompatible('8A', '8B'));
+    assert.ok(isKeyCompatible('12A', '1A'));
+    assert.ok(!isKeyCompatible('8A', '9B'));
+    assert.ok(!isKeyCompatible('8A', '10A'));
+    assert.ok(isTempoCompatible(126, 124, 6));
+    assert.ok(isTempoCompatible(64, 126, 6));
+    assert.ok(!isTempoCompatible(140, 124, 6));
+
+    const reference = { bpm: 124, key: '8A' };
+    assert.ok(isHarmonicMatch(reference, { bpm: 140, key: '7A' }, 0));
+    assert.ok(!isHarmonicMatch(reference, { bpm: 124, key: null }, 6));
+    assert.ok(isHarmonicMatch({ bpm: null, key: null }, { bpm: 90, key: '1B' }, 6));
+  });
+
+  it('should estimate tempo and key of a signal', () => {
+    /* A minor triad over a 128 BPM click */
+    const samples = synthesize(128, [57, 60, 64], 20);
+    assert.ok(Math.abs(estimateBpm(samples, SAMPLE_RATE) - 128) <= 1);
+    assert.strictEqual(estimateKey(samples, SAMPLE_RATE), '8A');
+    assert.strictEqual(estimateBpm(new Float32Array(SAMPLE_RATE * 20), SAMPLE_RATE), null);
+  });
+});
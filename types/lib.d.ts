@@ -63,6 +63,9 @@ declare module './lib/config' {
   /** TCP port for audio stream communication between player and server */
   export const TCP_PORT: number;
 
+  /** TCP port for the talk-over voice input */
+  export const VOICE_TCP_PORT: number;
+
   /** HTTP port for the server control API */
   export const HTTP_PORT: number;
 
@@ -72,6 +75,9 @@ declare module './lib/config' {
   /** Default TCP port value */
   export const DEFAULT_TCP_PORT: number;
 
+  /** Default voice TCP port value */
+  export const DEFAULT_VOICE_TCP_PORT: number;
+
   /** Default HTTP port value */
   export const DEFAULT_HTTP_PORT: number;
 
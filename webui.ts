@@ -207,8 +207,47 @@ interface PlayerTrack {
   title: string;
   artist: string;
   album: string;
+  genre: string | null;
+  year: number | null;
   duration: number | null;
+  format: string;
   filename: string;
+  cover: string | null;
+  bpm: number | null;
+  key: string | null;
+  streamTitle?: string | null;
+  queuePosition: number | null;
+}
+
+/*
+ * Single entry in the player's up-next queue.
+ */
+interface PlayerQueueEntry {
+  position: number;
+  index: number;
+  title: string;
+  artist: string;
+  album: string;
+  duration: number | null;
+  filename: string;
+}
+
+/*
+ * Playback order and repeat mode reported by the player.
+ */
+interface PlayerPlaybackMode {
+  order: 'shuffle' | 'harmonic' | 'sequential';
+  repeat: 'all' | 'one' | 'stop-after-queue';
+}
+
+/*
+ * Master volume reported by the player; `fade` is set while a timed fade runs.
+ */
+interface PlayerVolume {
+  level: number;
+  db: number | null;
+  muted: boolean;
+  fade: { target: number; remainingSeconds: number } | null;
 }
 
 /*
@@ -219,6 +258,9 @@ interface PlayerCurrentResponse {
   isPlaying: boolean;
   isPaused: boolean;
   positionSeconds: number;
+  queue: PlayerQueueEntry[];
+  mode: PlayerPlaybackMode;
+  volume: PlayerVolume;
 }
 
 /*
@@ -242,11 +284,11 @@ interface ServerStatusResponse {
 /*
  * Aggregated view of everything the web UI needs to render.
  *
- * Built by fetchCombinedState() and served at /api/state.
+ * Built by fetchCombinedState() and served at /api/state. The track list is
+ * not included; the browser pages through it via /api/player/library.
  */
 interface CombinedState {
   playerCurrent: PlayerCurrentResponse | null;
-  playlist: PlayerTrack[];
   serverStatus: ServerStatusResponse | null;
   timestamp: string;
 }
@@ -281,11 +323,28 @@ interface OverlayStyleLabels {
   commentPrefix: string;
 }
 
+interface OverlayStyleCover extends OverlayStyleLayout {
+  enabled: boolean;
+  size: number;
+}
+
+interface OverlayStyleLyrics extends OverlayStyleLayout {
+  enabled: boolean;
+  color: string;
+  opacity: number;
+  size: number;
+  box: boolean;
+  boxColor: string;
+  boxOpacity: number;
+}
+
 interface OverlayStyleValues {
   font: OverlayStyleFont;
   box: OverlayStyleBox;
   layout: OverlayStyleLayout;
   labels: OverlayStyleLabels;
+  cover: OverlayStyleCover;
+  lyrics: OverlayStyleLyrics;
 }
 
 interface OverlayStyleCapabilities {
@@ -328,7 +387,7 @@ app.use(
         scriptSrcAttr: ["'unsafe-inline'"],
         styleSrc: ["'self'", "'unsafe-inline'", 'https://fonts.googleapis.com'],
         fontSrc: ["'self'", 'https://fonts.gstatic.com'],
-        imgSrc: ["'self'", 'data:'],
+        imgSrc: ["'self'", 'data:', 'blob:'],
         connectSrc: ["'self'", `http://127.0.0.1:${SERVER_HTTP_PORT}`],
       },
     },
@@ -537,22 +596,112 @@ async function callPlayerAction(action: PlayerAction): Promise<boolean> {
   }
 }
 
+/*
+ * Forward a JSON request to the player API and relay its status and body.
+ *
+ * Used for player routes that take a payload or return data, unlike the
+ * fire-and-forget transport actions handled by callPlayerAction().
+ */
+async function proxyPlayerRequest(
+  req: Request,
+  res: Response,
+  method: string,
+  playerPath: string,
+  label: string
+): Promise<void> {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), 5000);
+  try {
+    const hasBody = method !== 'GET' && method !== 'DELETE';
+    const response = await fetch(`${PLAYER_API_BASE}${playerPath}`, {
+      method,
+      headers: getDownstreamHeaders(hasBody ? 'application/json' : undefined),
+      body: hasBody ? JSON.stringify(req.body || {}) : undefined,
+      signal: controller.signal,
+    });
+    if (response.status === 204) {
+      res.status(204).end();
+      return;
+    }
+    const payload = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      res.status(response.status).json(payload || { error: `${label} failed` });
+      return;
+    }
+    res.status(response.status).json(payload);
+  } catch (err) {
+    warn(`${label} proxy failed:`, err instanceof Error ? err.message : err);
+    res.status(502).json({ error: `${label} failed` });
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+/*
+ * Forward an image request to the player API and relay the bytes with the
+ * player's caching headers. Errors come back as JSON like other proxies.
+ */
+async function proxyPlayerImage(
+  req: Request,
+  res: Response,
+  playerPath: string,
+  label: string
+): Promise<void> {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), 5000);
+  try {
+    const response = await fetch(`${PLAYER_API_BASE}${playerPath}${forwardedQuery(req)}`, {
+      signal: controller.signal,
+      headers: getDownstreamHeaders(),
+    });
+    if (!response.ok) {
+      const payload = await response.json().catch(() => ({ error: `${label} failed` }));
+      res.status(response.status).json(payload);
+      return;
+    }
+    for (const header of ['content-type', 'cache-control', 'etag', 'last-modified']) {
+      const value = response.headers.get(header);
+      if (value) {
+        res.setHeader(header, value);
+      }
+    }
+    res.send(Buffer.from(await response.arrayBuffer()));
+  } catch (err) {
+    warn(`${label} proxy failed:`, err instanceof Error ? err.message : err);
+    res.status(502).json({ error: `${label} failed` });
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+/*
+ * Rebuild a request's query string for forwarding. Only single-valued
+ * parameters are kept.
+ */
+function forwardedQuery(req: Request): string {
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(req.query)) {
+    if (typeof value === 'string') {
+      params.append(key, value);
+    }
+  }
+  const query = params.toString();
+  return query ? `?${query}` : '';
+}
+
 /*
  * Fetch everything the web UI needs in one go:
  *   - current playback state
- *   - full playlist
  *   - server / streaming status
  */
 async function fetchCombinedState(): Promise<CombinedState> {
-  const [playerCurrentResult, playlistResult, serverStatusResult] = await Promise.all([
+  const [playerCurrentResult, serverStatusResult] = await Promise.all([
     fetchJson<PlayerCurrentResponse>(`${PLAYER_API_BASE}/current`),
-    fetchJson<PlayerTrack[]>(`${PLAYER_API_BASE}/playlist`),
     fetchJson<ServerStatusResponse>(`${SERVER_STATUS_BASE}/status`),
   ]);
 
   return {
     playerCurrent: playerCurrentResult.data ?? null,
-    playlist: playlistResult.data ?? [],
     serverStatus: serverStatusResult.data ?? null,
     timestamp: new Date().toISOString(),
   };
@@ -591,6 +740,197 @@ app.get('/api/state', async (_req: Request, res: Response) => {
   res.json(state);
 });
 
+/*
+ * Up-next queue management, proxied to the player API.
+ * These routes (and play/seek below) are registered before /api/player/:action
+ * so their paths are not treated as transport actions.
+ */
+app.post('/api/player/queue', (req: Request, res: Response) =>
+  proxyPlayerRequest(req, res, 'POST', '/queue', 'Queue add')
+);
+
+app.post('/api/player/queue/move', (req: Request, res: Response) =>
+  proxyPlayerRequest(req, res, 'POST', '/queue/move', 'Queue reorder')
+);
+
+app.delete('/api/player/queue/:position', (req: Request, res: Response) =>
+  proxyPlayerRequest(
+    req,
+    res,
+    'DELETE',
+    `/queue/${encodeURIComponent(String(req.params.position))}`,
+    'Queue remove'
+  )
+);
+
+app.delete('/api/player/queue', (req: Request, res: Response) =>
+  proxyPlayerRequest(req, res, 'DELETE', '/queue', 'Queue clear')
+);
+
+/*
+ * Jump to a playlist track and seek within the current one.
+ */
+app.post('/api/player/play/:index', (req: Request, res: Response) =>
+  proxyPlayerRequest(
+    req,
+    res,
+    'POST',
+    `/play/${encodeURIComponent(String(req.params.index))}`,
+    'Play track'
+  )
+);
+
+app.post('/api/player/seek', (req: Request, res: Response) =>
+  proxyPlayerRequest(req, res, 'POST', '/seek', 'Seek')
+);
+
+/*
+ * Read, set and clear a track's cue points.
+ */
+app.get('/api/player/tracks/:index/cues', (req: Request, res: Response) =>
+  proxyPlayerRequest(
+    req,
+    res,
+    'GET',
+    `/tracks/${encodeURIComponent(String(req.params.index))}/cues`,
+    'Cue points'
+  )
+);
+
+app.put('/api/player/tracks/:index/cues', (req: Request, res: Response) =>
+  proxyPlayerRequest(
+    req,
+    res,
+    'PUT',
+    `/tracks/${encodeURIComponent(String(req.params.index))}/cues`,
+    'Cue points update'
+  )
+);
+
+app.delete('/api/player/tracks/:index/cues', (req: Request, res: Response) =>
+  proxyPlayerRequest(
+    req,
+    res,
+    'DELETE',
+    `/tracks/${encodeURIComponent(String(req.params.index))}/cues`,
+    'Cue points clear'
+  )
+);
+
+/*
+ * Embedded cover art thumbnails, by track or by cover id.
+ */
+app.get('/api/player/tracks/:index/cover', (req: Request, res: Response) =>
+  proxyPlayerImage(
+    req,
+    res,
+    `/tracks/${encodeURIComponent(String(req.params.index))}/cover`,
+    'Cover art'
+  )
+);
+
+app.get('/api/player/covers/:id', (req: Request, res: Response) =>
+  proxyPlayerImage(req, res, `/covers/${encodeURIComponent(String(req.params.id))}`, 'Cover art')
+);
+
+/*
+ * Search and page through the library.
+ */
+app.get('/api/player/library', (req: Request, res: Response) =>
+  proxyPlayerRequest(req, res, 'GET', `/library${forwardedQuery(req)}`, 'Library')
+);
+
+/*
+ * Page through the persistent play history.
+ */
+app.get('/api/player/history', (req: Request, res: Response) =>
+  proxyPlayerRequest(req, res, 'GET', `/history${forwardedQuery(req)}`, 'History')
+);
+
+/*
+ * Download a licensing report (JSON or CSV). The body is relayed as-is so
+ * the player's Content-Type and file name reach the browser.
+ */
+app.get('/api/player/history/report', async (req: Request, res: Response) => {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), 10000);
+  try {
+    const response = await fetch(`${PLAYER_API_BASE}/history/report${forwardedQuery(req)}`, {
+      signal: controller.signal,
+      cache: 'no-store',
+      headers: getDownstreamHeaders(),
+    });
+    if (!response.ok) {
+      const payload = await response.json().catch(() => ({ error: 'Report failed' }));
+      res.status(response.status).json(payload);
+      return;
+    }
+    res.setHeader('Content-Type', response.headers.get('content-type') ?? 'application/json');
+    const disposition = response.headers.get('content-disposition');
+    if (disposition) {
+      res.setHeader('Content-Disposition', disposition);
+    }
+    res.send(Buffer.from(await response.arrayBuffer()));
+  } catch (err) {
+    warn('History report proxy failed:', err instanceof Error ? err.message : err);
+    res.status(502).json({ error: 'Report failed' });
+  } finally {
+    clearTimeout(timeout);
+  }
+});
+
+/*
+ * Weekly programming schedule and jingle rule. Saved playlists are listed
+ * so slots can pick one as their source.
+ */
+app.get('/api/player/schedule', (req: Request, res: Response) =>
+  proxyPlayerRequest(req, res, 'GET', '/schedule', 'Schedule')
+);
+
+app.put('/api/player/schedule', (req: Request, res: Response) =>
+  proxyPlayerRequest(req, res, 'PUT', '/schedule', 'Schedule update')
+);
+
+app.post('/api/player/schedule/slots', (req: Request, res: Response) =>
+  proxyPlayerRequest(req, res, 'POST', '/schedule/slots', 'Schedule slot add')
+);
+
+app.delete('/api/player/schedule/slots/:id', (req: Request, res: Response) =>
+  proxyPlayerRequest(
+    req,
+    res,
+    'DELETE',
+    `/schedule/slots/${encodeURIComponent(String(req.params.id))}`,
+    'Schedule slot remove'
+  )
+);
+
+app.get('/api/player/jingles', (req: Request, res: Response) =>
+  proxyPlayerRequest(req, res, 'GET', '/jingles', 'Jingles')
+);
+
+app.put('/api/player/jingles', (req: Request, res: Response) =>
+  proxyPlayerRequest(req, res, 'PUT', '/jingles', 'Jingle rule update')
+);
+
+app.get('/api/player/playlists', (req: Request, res: Response) =>
+  proxyPlayerRequest(req, res, 'GET', '/playlists', 'Playlists')
+);
+
+/*
+ * Switch playback order / repeat mode.
+ */
+app.put('/api/player/mode', (req: Request, res: Response) =>
+  proxyPlayerRequest(req, res, 'PUT', '/mode', 'Playback mode')
+);
+
+/*
+ * Set the master volume and mute state.
+ */
+app.put('/api/player/volume', (req: Request, res: Response) =>
+  proxyPlayerRequest(req, res, 'PUT', '/volume', 'Master volume')
+);
+
 /*
  * Proxy a limited set of control actions to the player API.
  */